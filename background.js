@@ -5,9 +5,21 @@
 
 console.log('Tilio background service worker starting...');
 
+// Shared data layer used by the bookmark and cloud syncs and remote backups (classic scripts, no DOM required)
+importScripts(
+  'src/js/storage.js',
+  'src/js/folders.js',
+  'src/js/workspaces.js',
+  'src/js/bookmark-sync.js',
+  'src/js/cloud-sync.js',
+  'src/js/backup-crypto.js',
+  'src/js/backup-client.js'
+);
+
 // Extension installation/update handler
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('Tilio extension installed/updated:', details.reason);
+  createContextMenus();
   if (details.reason === 'install') {
     // Set default settings on first install
     chrome.storage.local.set({
@@ -28,6 +40,8 @@ chrome.runtime.onInstalled.addListener((details) => {
 // Handle extension startup
 chrome.runtime.onStartup.addListener(() => {
   console.log('Tilio extension startup');
+  // Pick up changes other devices made while the browser was closed
+  scheduleCloudSync(1000);
 });
 
 // Handle messages from content scripts or popup
@@ -55,6 +69,50 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         }
         break;
       
+      case 'bookmarkSyncConnect':
+        respondAsync(request.action, connectBookmarkSync(request.rootId), sendResponse);
+        return true;
+
+      case 'bookmarkSyncDisconnect':
+        respondAsync(request.action, disconnectBookmarkSync(), sendResponse);
+        return true;
+
+      case 'bookmarkSyncNow':
+        respondAsync(request.action, runBookmarkSync(), sendResponse);
+        return true;
+
+      case 'bookmarkImport':
+        respondAsync(request.action, importBookmarkFolder(request.folderId), sendResponse);
+        return true;
+
+      case 'cloudSyncEnable':
+        respondAsync(request.action, withCloudSync((sync) => sync.enable()), sendResponse);
+        return true;
+
+      case 'cloudSyncDisable':
+        respondAsync(request.action, withCloudSync(async (sync) => ({ changed: false, state: await sync.disable() })), sendResponse);
+        return true;
+
+      case 'cloudSyncNow':
+        respondAsync(request.action, withCloudSync((sync) => sync.sync()), sendResponse);
+        return true;
+
+      case 'remoteBackupNow':
+        respondAsync(request.action, runRemoteBackup(), sendResponse);
+        return true;
+
+      case 'addPage':
+        respondAsync(request.action, addPage(request), sendResponse);
+        return true;
+
+      case 'getBestIcon':
+        respondAsync(request.action, fetchBestIcon(request.url).then((icon) => ({ icon })), sendResponse);
+        return true;
+
+      case 'saveWindowTabs':
+        respondAsync(request.action, saveWindowTabs(request.windowId), sendResponse);
+        return true;
+
       default:
         sendResponse({ error: 'Unknown action' });
     }
@@ -64,6 +122,339 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// Resolve an async message handler into a { success, ... } response
+async function respondAsync(action, promise, sendResponse) {
+  try {
+    const result = await promise;
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    console.error(`${action} failed:`, error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// ============ Bookmark Sync ============
+// Two-way sync between a Chrome bookmark folder and the root grid (see src/js/bookmark-sync.js)
+
+const BOOKMARK_SYNC_DELAY = 1500;
+let bookmarkSyncQueue = Promise.resolve();
+let bookmarkSyncTimer = null;
+let applyingBookmarkChanges = false;
+let pendingBookmarkChanges = {};
+
+// Run bookmark tasks one at a time so concurrent syncs never interleave
+function queueBookmarkTask(task) {
+  const run = bookmarkSyncQueue.then(task);
+  bookmarkSyncQueue = run.catch(() => {});
+  return run;
+}
+
+async function withBookmarkSync(task) {
+  const folderSystem = new FolderSystem(new StorageManager());
+  await folderSystem.initialize();
+  applyingBookmarkChanges = true;
+  try {
+    return await task(new BookmarkSync(folderSystem));
+  } finally {
+    applyingBookmarkChanges = false;
+  }
+}
+
+// Let open new tab pages reload data written by the background worker
+function notifyDataChanged() {
+  chrome.runtime.sendMessage({ action: 'tilioDataChanged' }).catch(() => {});
+}
+
+function connectBookmarkSync(rootId) {
+  if (!rootId) return Promise.reject(new Error('No bookmark folder selected'));
+  return queueBookmarkTask(() =>
+    withBookmarkSync(async (sync) => {
+      pendingBookmarkChanges = {};
+      await chrome.storage.local.remove(BookmarkSync.CHANGES_KEY);
+      const state = await sync.connect(rootId);
+      notifyDataChanged();
+      return { state };
+    })
+  );
+}
+
+function disconnectBookmarkSync() {
+  return queueBookmarkTask(() =>
+    withBookmarkSync(async (sync) => {
+      pendingBookmarkChanges = {};
+      await chrome.storage.local.remove(BookmarkSync.CHANGES_KEY);
+      const state = await sync.disconnect();
+      notifyDataChanged();
+      return { state };
+    })
+  );
+}
+
+function importBookmarkFolder(folderId) {
+  if (!folderId) return Promise.reject(new Error('No bookmark folder selected'));
+  return queueBookmarkTask(() =>
+    withBookmarkSync(async (sync) => {
+      const imported = await sync.importFolder(folderId);
+      if (imported > 0) notifyDataChanged();
+      return { imported };
+    })
+  );
+}
+
+function runBookmarkSync() {
+  return queueBookmarkTask(async () => {
+    const startedAt = Date.now();
+
+    // Persist recorded bookmark changes first so they survive a worker restart
+    const stored = await chrome.storage.local.get(BookmarkSync.CHANGES_KEY);
+    const changes = { ...(stored[BookmarkSync.CHANGES_KEY] || {}), ...pendingBookmarkChanges };
+    pendingBookmarkChanges = {};
+    await chrome.storage.local.set({ [BookmarkSync.CHANGES_KEY]: changes });
+
+    const result = await withBookmarkSync(async (sync) => {
+      const state = sync.getState();
+      if (!state.enabled) return { changed: false, state };
+      const changed = await sync.sync(changes);
+      return { changed, state };
+    });
+
+    // Changes up to this run are reconciled; keep anything recorded meanwhile
+    const latest = (await chrome.storage.local.get(BookmarkSync.CHANGES_KEY))[BookmarkSync.CHANGES_KEY] || {};
+    const remaining = {};
+    for (const [id, time] of Object.entries(latest)) {
+      if (time > startedAt) remaining[id] = time;
+    }
+    await chrome.storage.local.set({ [BookmarkSync.CHANGES_KEY]: remaining });
+
+    if (result.changed) notifyDataChanged();
+    return result;
+  });
+}
+
+function scheduleBookmarkSync() {
+  clearTimeout(bookmarkSyncTimer);
+  bookmarkSyncTimer = setTimeout(() => {
+    bookmarkSyncTimer = null;
+    runBookmarkSync().catch((error) => console.error('Bookmark sync failed:', error));
+  }, BOOKMARK_SYNC_DELAY);
+}
+
+function recordBookmarkChange(id) {
+  if (applyingBookmarkChanges) return; // our own writes during a sync
+  pendingBookmarkChanges[id] = Date.now();
+  scheduleBookmarkSync();
+}
+
+if (chrome.bookmarks) {
+  chrome.bookmarks.onCreated.addListener((id) => recordBookmarkChange(id));
+  chrome.bookmarks.onChanged.addListener((id) => recordBookmarkChange(id));
+  chrome.bookmarks.onMoved.addListener((id) => recordBookmarkChange(id));
+  chrome.bookmarks.onRemoved.addListener((id) => recordBookmarkChange(id));
+}
+
+// Grid edits made in a new tab page are pushed to bookmarks after a short delay
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.newtab_data) return;
+  const { oldValue, newValue } = changes.newtab_data;
+  const next = newValue?.meta?.bookmarkSync;
+  if (!next?.enabled) return;
+  // Saves made by the sync itself advance lastSync
+  if ((next.lastSync || 0) > (oldValue?.meta?.bookmarkSync?.lastSync || 0)) return;
+  scheduleBookmarkSync();
+});
+
+// ============ Cloud Sync ============
+// Layout and settings shared between devices through chrome.storage.sync (see src/js/cloud-sync.js)
+
+const CLOUD_SYNC_DELAY = 5000; // chrome.storage.sync allows 120 writes per minute
+let cloudSyncTimer = null;
+
+// Shares the bookmark task queue so the two syncs never write newtab_data at the same time
+function withCloudSync(task) {
+  return queueBookmarkTask(async () => {
+    const folderSystem = new FolderSystem(new StorageManager());
+    await folderSystem.initialize();
+    const result = await task(new CloudSync(folderSystem));
+    if (result.changed) notifyDataChanged();
+    return result;
+  });
+}
+
+async function runCloudSync() {
+  const state = await new StorageManager().getSyncState();
+  if (!state.enabled) return { changed: false, state };
+  return withCloudSync((sync) => sync.sync());
+}
+
+function scheduleCloudSync(delay = CLOUD_SYNC_DELAY) {
+  clearTimeout(cloudSyncTimer);
+  cloudSyncTimer = setTimeout(() => {
+    cloudSyncTimer = null;
+    runCloudSync().catch((error) => console.error('Cloud sync failed:', error));
+  }, delay);
+}
+
+// Local edits are published after a short delay; changes from other devices are merged right away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.tilio_sync_manifest) {
+    scheduleCloudSync(1000);
+  } else if (areaName === 'local' && changes.newtab_data) {
+    scheduleCloudSync();
+  }
+});
+
+// ============ Remote Backups ============
+// Encrypted backups pushed to a WebDAV / HTTP server on a schedule (see src/js/backup-client.js)
+
+const REMOTE_BACKUP_ALARM = 'tilio-remote-backup';
+
+async function runRemoteBackup() {
+  const storage = new StorageManager();
+  const config = await storage.getStoredValue(BackupClient.CONFIG_KEY);
+  const state = (await storage.getStoredValue(BackupClient.STATE_KEY)) || {};
+  try {
+    const data = await storage.loadData();
+    const name = await new BackupClient(config).backup(storage.createExport(data));
+    await storage.setStoredValue(BackupClient.STATE_KEY, { ...state, lastBackup: Date.now(), lastFile: name, error: null });
+    return { name };
+  } catch (error) {
+    await storage.setStoredValue(BackupClient.STATE_KEY, { ...state, lastAttempt: Date.now(), error: error.message });
+    throw error;
+  }
+}
+
+async function scheduleRemoteBackups() {
+  if (!chrome.alarms) return;
+  const config = await new StorageManager().getStoredValue(BackupClient.CONFIG_KEY);
+  const hours = Number(config?.intervalHours) || 0;
+  const existing = await chrome.alarms.get(REMOTE_BACKUP_ALARM);
+  if (!config?.url || hours <= 0) {
+    if (existing) await chrome.alarms.clear(REMOTE_BACKUP_ALARM);
+    return;
+  }
+  // Keep the running alarm unless the interval changed
+  if (existing?.periodInMinutes === hours * 60) return;
+  await chrome.alarms.create(REMOTE_BACKUP_ALARM, { delayInMinutes: hours * 60, periodInMinutes: hours * 60 });
+}
+
+if (chrome.alarms) {
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== REMOTE_BACKUP_ALARM) return;
+    runRemoteBackup().catch((error) => console.error('Remote backup failed:', error));
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[BackupClient.CONFIG_KEY]) {
+    scheduleRemoteBackups().catch((error) => console.error('Failed to schedule backups:', error));
+  }
+});
+
+// ============ Add Pages ============
+// The toolbar popup adds the active page (or saves the window's tabs as a folder); the
+// "Add page to Tilio" context menu and the keyboard commands add to the main grid
+
+const ACTION_BADGE_DURATION = 3000;
+const ADD_PAGE_MENU_ID = 'tilio-add-page';
+
+// Shares the bookmark task queue so adds never interleave with a sync writing newtab_data
+function addPage({ name, url, icon, folderId }) {
+  return queueBookmarkTask(async () => {
+    const folderSystem = new FolderSystem(new StorageManager());
+    await folderSystem.initialize();
+    const item = folderId
+      ? await folderSystem.addSite(folderId, { name, url, icon })
+      : await folderSystem.addRootLink({ name, url, icon });
+    notifyDataChanged();
+    return { id: item.id };
+  });
+}
+
+// With several tabs highlighted only those are saved (the new tab page offers the same choice)
+function saveWindowTabs(windowId = chrome.windows.WINDOW_ID_CURRENT) {
+  return queueBookmarkTask(async () => {
+    const tabs = await chrome.tabs.query({ windowId });
+    const highlighted = tabs.filter((tab) => tab.highlighted);
+    const folderSystem = new FolderSystem(new StorageManager());
+    await folderSystem.initialize();
+    const result = await folderSystem.createFolderFromTabs(highlighted.length > 1 ? highlighted : tabs);
+    notifyDataChanged();
+    return { folderId: result.folder.id, added: result.added, duplicates: result.duplicates };
+  });
+}
+
+// Brief feedback on the toolbar icon for actions that run without the popup
+function flashActionBadge(text, color) {
+  chrome.action.setBadgeBackgroundColor({ color });
+  chrome.action.setBadgeText({ text });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), ACTION_BADGE_DURATION);
+}
+
+function createContextMenus() {
+  if (!chrome.contextMenus) return;
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: ADD_PAGE_MENU_ID,
+      title: 'Add page to Tilio',
+      contexts: ['page', 'link'],
+      documentUrlPatterns: ['http://*/*', 'https://*/*'],
+    });
+  });
+}
+
+// Add a web page to the main grid with the best icon it offers
+async function addWebPage(url, name) {
+  if (!/^https?:/i.test(url || '')) throw new Error('Only web pages can be added');
+  const icon = await fetchBestIcon(url);
+  await addPage({ name: name || url, url, icon: typeof icon === 'string' ? icon : null });
+}
+
+function addPageFromContextMenu(info, tab) {
+  // Right-clicking a link adds the link, anything else adds the page
+  if (info.linkUrl) {
+    let name = info.linkUrl;
+    try {
+      name = new URL(info.linkUrl).hostname.replace(/^www\./, '');
+    } catch {
+      // addWebPage rejects the URL
+    }
+    return addWebPage(info.linkUrl, name);
+  }
+  return addWebPage(info.pageUrl || tab?.url, tab?.title);
+}
+
+if (chrome.contextMenus) {
+  chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId !== ADD_PAGE_MENU_ID) return;
+    addPageFromContextMenu(info, tab)
+      .then(() => flashActionBadge('+1', '#38a169'))
+      .catch((error) => {
+        console.error('Failed to add page:', error);
+        flashActionBadge('!', '#e53e3e');
+      });
+  });
+}
+
+// Keyboard commands from the manifest; rebound at chrome://extensions/shortcuts
+if (chrome.commands) {
+  chrome.commands.onCommand.addListener((command, tab) => {
+    let task;
+    if (command === 'add-current-page') {
+      task = addWebPage(tab?.url, tab?.title).then(() => '+1');
+    } else if (command === 'save-window-tabs') {
+      task = saveWindowTabs(tab?.windowId).then(({ added }) => `+${added}`);
+    } else {
+      return;
+    }
+    task
+      .then((text) => flashActionBadge(text, '#38a169'))
+      .catch((error) => {
+        console.error(`Failed to run ${command}:`, error);
+        flashActionBadge('!', '#e53e3e');
+      });
+  });
+}
+
 // Monitor storage usage to prevent quota issues
 
 function cleanupOldData() {
@@ -33,17 +33,47 @@ cat $SRC_DIR/js/performance.js \
     $SRC_DIR/js/storage.js \
     $SRC_DIR/js/search.js \
     $SRC_DIR/js/folders.js \
+    $SRC_DIR/js/bookmark-html.js \
+    $SRC_DIR/js/backup-crypto.js \
+    $SRC_DIR/js/backup-client.js \
+    $SRC_DIR/js/link-opener.js \
+    $SRC_DIR/js/shortcuts.js \
+    $SRC_DIR/js/themes.js \
+    $SRC_DIR/js/theme-schedule.js \
+    $SRC_DIR/js/workspaces.js \
+    $SRC_DIR/js/media-store.js \
+    $SRC_DIR/js/wallpaper.js \
     $SRC_DIR/js/settings.js \
     $SRC_DIR/js/weather.js \
     $SRC_DIR/js/ui/ComponentManager.js \
+    $SRC_DIR/js/ui/LiveAnnouncer.js \
     $SRC_DIR/js/ui/RenderManager.js \
     $SRC_DIR/js/ui/DialogManager.js \
     $SRC_DIR/js/ui/NotificationManager.js \
     $SRC_DIR/js/ui/DragDropManager.js \
     $SRC_DIR/js/ui/ContextMenuManager.js \
     $SRC_DIR/js/ui/PopoverManager.js \
+    $SRC_DIR/js/ui/SettingsSectionManager.js \
+    $SRC_DIR/js/ui/ThemeEditorManager.js \
+    $SRC_DIR/js/ui/ThemeSectionManager.js \
+    $SRC_DIR/js/ui/ThemeScheduleSectionManager.js \
+    $SRC_DIR/js/ui/WallpaperSectionManager.js \
+    $SRC_DIR/js/ui/WorkspaceSectionManager.js \
+    $SRC_DIR/js/ui/SearchSectionManager.js \
+    $SRC_DIR/js/ui/ShortcutSectionManager.js \
+    $SRC_DIR/js/ui/ImportExportSectionManager.js \
+    $SRC_DIR/js/ui/SyncSectionManager.js \
+    $SRC_DIR/js/ui/BackupSectionManager.js \
+    $SRC_DIR/js/ui/SnapshotSectionManager.js \
     $SRC_DIR/js/ui/SettingsUIManager.js \
     $SRC_DIR/js/ui/EventHandler.js \
+    $SRC_DIR/js/ui/UndoManager.js \
+    $SRC_DIR/js/ui/SelectionManager.js \
+    $SRC_DIR/js/ui/CommandPaletteManager.js \
+    $SRC_DIR/js/ui/CheatsheetManager.js \
+    $SRC_DIR/js/ui/GridNavigationManager.js \
+    $SRC_DIR/js/ui/WorkspaceSwitcherManager.js \
+    $SRC_DIR/js/ui/GridPageManager.js \
     $SRC_DIR/js/ui.js \
     $SRC_DIR/js/ui/index.js \
     $SRC_DIR/js/app.js > $BUILD_DIR/js/combined.js
@@ -79,6 +109,14 @@ cat > $BUILD_DIR/index.html << 'EOF'
         <header class="header">
                 <div class="weather" id="weather">🌤️ Loading...</div>
             <div class="header-actions">
+                <button class="settings-btn workspace-btn" id="workspace-button" aria-haspopup="menu" aria-expanded="false" title="Switch workspace">
+                    <span>🗃️</span>
+                    <span class="workspace-btn-name" id="workspace-name">Home</span>
+                </button>
+                <button class="settings-btn" id="save-tabs-button" title="Save this window's tabs as a folder">
+                    <span>🗂️</span>
+                    Save Tabs
+                </button>
                 <button class="settings-btn" id="settings-button">
                     <span>⚙️</span>
                     Settings
@@ -89,9 +127,13 @@ cat > $BUILD_DIR/index.html << 'EOF'
                 <div class="search-bar" id="search-bar-container">
                     <!-- Search bar will be initialized here -->
                 </div>
-                <div class="folder-grid" id="folder-grid">
+                <div class="folder-grid" id="folder-grid" role="group" aria-label="Folders and links">
                     <!-- Folders and Links will be dynamically generated here -->
                 </div>
+                <div class="grid-pages" id="grid-pages" role="group" aria-label="Pages" hidden></div>
+                <p class="visually-hidden" id="tile-keyboard-hint">
+                    Arrow keys move between tiles. Space picks a tile up to move it.
+                </p>
         </main>
         <div class="folder-overlay" id="folder-overlay">
             <!-- Folder content overlay will be generated here -->
@@ -126,6 +168,28 @@ terser $BUILD_DIR/background.js \
     --mangle \
     --output $BUILD_DIR/background.js
 
+# Scripts loaded by the service worker via importScripts (paths must match background.js)
+mkdir -p $BUILD_DIR/$SRC_DIR/js
+for script in storage.js folders.js workspaces.js bookmark-sync.js cloud-sync.js backup-crypto.js backup-client.js; do
+    terser $SRC_DIR/js/$script \
+        --compress drop_console=true \
+        --mangle \
+        --output $BUILD_DIR/$SRC_DIR/js/$script
+done
+
+# Toolbar popup (reuses storage.js and folders.js from above)
+echo "📦 Building toolbar popup..."
+mkdir -p $BUILD_DIR/$SRC_DIR/css
+terser $SRC_DIR/js/popup.js \
+    --compress drop_console=true \
+    --mangle \
+    --output $BUILD_DIR/$SRC_DIR/js/popup.js
+cleancss -O 2 $SRC_DIR/css/popup.css -o $BUILD_DIR/$SRC_DIR/css/popup.css
+html-minifier-terser popup.html \
+    --collapse-whitespace \
+    --remove-comments \
+    --output $BUILD_DIR/popup.html
+
 # Create build info
 # Tilio Production Build
 
@@ -3,6 +3,8 @@ class newtabApp {
   constructor() {
     this.storageManager = new StorageManager();
     this.folderSystem = new FolderSystem(this.storageManager);
+    this.workspaces = new Workspaces(this.folderSystem);
+    this.workspaceTimer = null;
     this.settingsManager = new SettingsManager(this.storageManager);
     this.weatherManager = new WeatherManager();
     this.data = null;
@@ -19,6 +21,10 @@ class newtabApp {
     // Initialize storage and load data
     await this.initializeData();
 
+    // Auto-switch rules may pick another workspace than the one open last time
+    await this.checkWorkspaceRules();
+    this.settingsManager.workspaceTheme = this.workspaces.getActive().theme;
+
   // Initialize settings manager
   await this.settingsManager.init();
 
@@ -45,7 +51,7 @@ class newtabApp {
           const grid = document.getElementById("folder-grid");
           const overlay = document.getElementById("folder-overlay");
           if (!this.ui && grid && overlay) {
-            this.ui = new UIManager(grid, overlay, this.folderSystem);
+            this.ui = this.createUI(grid, overlay);
           }
           this.ui?.renderGrid?.(
             this.folderSystem.getAllFolders?.() || [],
@@ -57,6 +63,11 @@ class newtabApp {
       /* ignore */
     }
 
+    // Daily snapshot for the History panel, off the startup path
+    setTimeout(() => {
+      this.storageManager.maybeCreateDailySnapshot().catch(() => {});
+    }, 2000);
+
     // Initialize UI after data is ready
     const grid = document.getElementById("folder-grid");
     const overlay = document.getElementById("folder-overlay");
@@ -66,7 +77,7 @@ class newtabApp {
         await this.folderSystem.sortByPopularity();
       }
       
-      this.ui = new UIManager(grid, overlay, this.folderSystem);
+      this.ui = this.createUI(grid, overlay);
       this.ui.renderGrid(this.data.folders, this.data.links || []);
     }
 
@@ -81,6 +92,19 @@ class newtabApp {
     }, 1500);
   }
 
+  /**
+   * The page's UI, wired to the settings and workspaces it changes
+   * @param {HTMLElement} grid
+   * @param {HTMLElement} overlay
+   */
+  createUI(grid, overlay) {
+    return new UIManager(grid, overlay, this.folderSystem, {
+      settingsManager: this.settingsManager,
+      workspaces: this.workspaces,
+      changeWorkspaces: (task) => this.changeWorkspaces(task),
+    });
+  }
+
   async initializeData() {
     try {
       // Initialize folder system (loads data via storage manager)
@@ -108,6 +132,14 @@ class newtabApp {
       });
     }
 
+    // Save this window's tabs as a folder
+    const saveTabsButton = document.getElementById("save-tabs-button");
+    if (saveTabsButton) {
+      saveTabsButton.addEventListener("click", () => {
+        this.ui.saveWindowTabs();
+      });
+    }
+
     // Folder grid click handler
     const folderGrid = document.getElementById("folder-grid");
     if (folderGrid) {
@@ -133,6 +165,108 @@ class newtabApp {
         this.refreshGrid();
       });
     }
+
+    // Timers are throttled in background tabs and paused during sleep; catch up when shown
+    document.addEventListener("visibilitychange", () => {
+      if (!document.hidden) this.checkWorkspaceRules();
+    });
+
+    // Data rewritten by the background worker (e.g. bookmark sync) or another new tab
+    if (typeof chrome !== "undefined" && chrome.runtime?.onMessage) {
+      chrome.runtime.onMessage.addListener((message) => {
+        if (message?.action === "tilioDataChanged") {
+          this.reloadData();
+        }
+      });
+    }
+  }
+
+  /**
+   * Reload data from storage and re-render, keeping the page in step with
+   * changes written outside of it
+   */
+  async reloadData() {
+    const activeId = this.workspaces.getActive().id;
+    await this.initializeData();
+    await this.refreshLayout({ keepHistory: this.workspaces.getActive().id === activeId });
+  }
+
+  /**
+   * Re-render after the layout was replaced as a whole (reloaded or another workspace)
+   * @param {{keepHistory?: boolean}} [options] - keepHistory: the same workspace was reloaded,
+   *   so undo steps stay unless their items were changed elsewhere
+   */
+  async refreshLayout({ keepHistory = false } = {}) {
+    await this.applyWorkspaceTheme();
+    if (keepHistory) this.ui?.undoManager?.dropConflicts();
+    else this.ui?.undoManager?.clear();
+    this.ui?.gridPageManager?.reset();
+    await this.refreshGrid();
+    this.ui?.popoverManager?.refreshPopover();
+    this.ui?.workspaceSwitcherManager?.render();
+  }
+
+  // ============ Workspaces ============
+
+  /**
+   * Change the workspaces and bring this page and the other open new tabs up to date
+   * @param {function(Workspaces): Promise<*>} task
+   * @returns {Promise<*>} what the task returned
+   */
+  async changeWorkspaces(task) {
+    const activeId = this.workspaces.getActive().id;
+    const auto = JSON.stringify(this.workspaces.getState().auto);
+    const result = await task(this.workspaces);
+    if (this.workspaces.getActive().id !== activeId) {
+      await this.refreshLayout();
+    } else {
+      await this.applyWorkspaceTheme();
+      this.ui?.workspaceSwitcherManager?.render();
+    }
+    this.announceDataChanged();
+    // Changed rules may call for another workspace right away, and for another check time
+    if (JSON.stringify(this.workspaces.getState().auto) !== auto) await this.checkWorkspaceRules();
+    return result;
+  }
+
+  /**
+   * Have the other open new tabs reload, so they don't save their stale copy over a change
+   */
+  announceDataChanged() {
+    if (typeof chrome !== "undefined" && chrome.runtime?.sendMessage) {
+      chrome.runtime.sendMessage({ action: "tilioDataChanged" }).catch(() => {});
+    }
+  }
+
+  /**
+   * Show the active workspace's own theme, or the global one when it has none
+   */
+  async applyWorkspaceTheme() {
+    const theme = this.workspaces.getActive().theme || null;
+    if (theme === this.settingsManager.workspaceTheme) return;
+    this.settingsManager.workspaceTheme = theme;
+    this.settingsManager.startThemeTransition();
+    await this.settingsManager.applySettings();
+  }
+
+  /**
+   * Switch when an auto-switch rule starts or ends, then wait for the next rule change
+   */
+  async checkWorkspaceRules() {
+    clearTimeout(this.workspaceTimer);
+    const auto = this.workspaces.getState().auto;
+    if (!auto.enabled) return;
+    try {
+      if (await this.workspaces.applyAuto()) {
+        // Before startup finishes, init shows the new workspace itself
+        if (this.ui) await this.refreshLayout();
+        this.announceDataChanged();
+      }
+    } catch (error) {
+      console.error("Workspace auto-switch failed:", error);
+    }
+    const delay = Math.min(Workspaces.nextCheck(auto) - Date.now(), ThemeSchedule.MAX_CHECK_DELAY);
+    this.workspaceTimer = setTimeout(() => this.checkWorkspaceRules(), Math.max(delay, 1000));
   }
 
   async handleAddFolder() {
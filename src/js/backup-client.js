@@ -0,0 +1,165 @@
+// tilio - Remote Backups (no UI dependencies)
+// Stores encrypted backups on a WebDAV server or any HTTP endpoint that accepts PUT and GET.
+// WebDAV folders are listed with PROPFIND; plain HTTP targets keep an index file next to the backups.
+
+class BackupClient {
+	/**
+	 * @param {Object} config - { url, mode: 'webdav'|'http', username, password, passphrase, retention }
+	 * @param {Function} [fetchImpl] - fetch compatible function
+	 */
+	constructor(config, fetchImpl) {
+		this.config = { ...BackupClient.DEFAULTS, ...config };
+		if (!this.config.url) throw new Error("No backup server configured");
+		this.fetch = fetchImpl || fetch.bind(globalThis);
+	}
+
+	/** Backup folder URL, always ending in a slash */
+	get baseUrl() {
+		const url = this.config.url.trim();
+		return url.endsWith("/") ? url : url + "/";
+	}
+
+	// =============== Backup & Restore ==================
+
+	/**
+	 * Encrypt an export and upload it, then drop backups beyond the retention count
+	 * @param {Object} exportData - payload from StorageManager.createExport()
+	 * @returns {Promise<string>} file name of the new backup
+	 */
+	async backup(exportData) {
+		const text = await BackupCrypto.encrypt(
+			JSON.stringify(exportData, null, 2),
+			this.config.passphrase,
+		);
+		const name = `tilio-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tilio`;
+		await this.request("PUT", name, {
+			body: text,
+			headers: { "Content-Type": "application/octet-stream" },
+		});
+		if (this.config.mode !== "webdav") {
+			await this.writeIndex([name, ...(await this.list())]);
+		}
+		await this.prune();
+		return name;
+	}
+
+	/**
+	 * Download and decrypt a backup
+	 * @param {string} name
+	 * @returns {Promise<string>} export JSON
+	 */
+	async restore(name) {
+		const response = await this.request("GET", name);
+		const text = await response.text();
+		if (!BackupCrypto.isEncrypted(text)) return text;
+		return await BackupCrypto.decrypt(text, this.config.passphrase);
+	}
+
+	/**
+	 * Backup file names on the server, newest first
+	 * @returns {Promise<string[]>}
+	 */
+	async list() {
+		let names;
+		if (this.config.mode === "webdav") {
+			const response = await this.request("PROPFIND", "", {
+				headers: { Depth: "1", "Content-Type": "application/xml" },
+				body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>',
+			});
+			const xml = await response.text();
+			names = [...xml.matchAll(/<(?:[\w-]+:)?href>([^<]+)<\/(?:[\w-]+:)?href>/g)].map((m) =>
+				decodeURIComponent(m[1].trim().split("/").pop()),
+			);
+		} else {
+			const response = await this.request("GET", BackupClient.INDEX_FILE, { allowMissing: true });
+			names = response.status === 404 ? [] : await response.json();
+			if (!Array.isArray(names)) throw new Error("Backup index is damaged");
+		}
+		return [...new Set(names.filter((name) => BackupClient.FILE_PATTERN.test(name)))]
+			.sort()
+			.reverse();
+	}
+
+	/**
+	 * Delete the oldest backups beyond the retention count
+	 * @returns {Promise<string[]>} removed file names
+	 */
+	async prune() {
+		const retention = Math.max(1, parseInt(this.config.retention, 10) || BackupClient.DEFAULTS.retention);
+		const names = await this.list();
+		const removed = names.slice(retention);
+		for (const name of removed) {
+			try {
+				await this.request("DELETE", name, { allowMissing: true });
+			} catch (error) {
+				// Servers without DELETE keep the file; it is still dropped from the index
+				console.warn("Failed to delete old backup:", name, error);
+			}
+		}
+		if (removed.length && this.config.mode !== "webdav") {
+			await this.writeIndex(names.slice(0, retention));
+		}
+		return removed;
+	}
+
+	// =============== HTTP ==================
+
+	async writeIndex(names) {
+		await this.request("PUT", BackupClient.INDEX_FILE, {
+			body: JSON.stringify(names),
+			headers: { "Content-Type": "application/json" },
+		});
+	}
+
+	/**
+	 * @param {string} method
+	 * @param {string} name - file name relative to the backup folder
+	 * @param {{body?: string, headers?: Object, allowMissing?: boolean}} [options]
+	 * @returns {Promise<Response>}
+	 */
+	async request(method, name, options = {}) {
+		const headers = { ...(options.headers || {}) };
+		if (this.config.username) {
+			const credentials = `${this.config.username}:${this.config.password || ""}`;
+			headers.Authorization = "Basic " + BackupCrypto.toBase64(new TextEncoder().encode(credentials));
+		}
+
+		let response;
+		try {
+			response = await this.fetch(this.baseUrl + encodeURIComponent(name), {
+				method,
+				headers,
+				body: options.body,
+				cache: "no-store",
+				credentials: "omit",
+			});
+		} catch (error) {
+			throw new Error(`Backup server unreachable (${error.message})`);
+		}
+		if (response.ok || (options.allowMissing && response.status === 404)) return response;
+		if (response.status === 401 || response.status === 403) {
+			throw new Error("Backup server rejected the credentials");
+		}
+		throw new Error(`${method} ${name || this.baseUrl} failed with HTTP ${response.status}`);
+	}
+}
+
+BackupClient.DEFAULTS = {
+	url: "",
+	mode: "webdav",
+	username: "",
+	password: "",
+	passphrase: "",
+	retention: 10,
+	intervalHours: 24, // 0 = manual backups only
+};
+BackupClient.INDEX_FILE = "tilio-backups.json";
+BackupClient.FILE_PATTERN = /^tilio-backup-[\w-]+\.tilio$/;
+// chrome.storage.local keys: server settings and the outcome of the last backup
+BackupClient.CONFIG_KEY = "tilio_backup_config";
+BackupClient.STATE_KEY = "tilio_backup_state";
+
+// Export for window (pages) and the service worker global scope
+if (typeof window !== "undefined") {
+	window.BackupClient = BackupClient;
+}
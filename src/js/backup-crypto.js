@@ -0,0 +1,129 @@
+// tilio - Backup Encryption (no UI dependencies)
+// Passphrase based encryption for backups: PBKDF2-SHA-256 derives an AES-GCM key.
+// Encrypted text is a header line followed by a JSON envelope with the KDF and cipher parameters.
+
+class BackupCrypto {
+	/**
+	 * Whether text is an encrypted backup
+	 * @param {string} text
+	 */
+	static isEncrypted(text) {
+		return typeof text === "string" && text.startsWith(BackupCrypto.HEADER);
+	}
+
+	/**
+	 * Encrypt text with a passphrase
+	 * @param {string} text
+	 * @param {string} passphrase
+	 * @returns {Promise<string>} header line + JSON envelope
+	 */
+	static async encrypt(text, passphrase) {
+		if (!passphrase) throw new Error("A passphrase is required");
+		const salt = crypto.getRandomValues(new Uint8Array(16));
+		const iv = crypto.getRandomValues(new Uint8Array(12));
+		const iterations = BackupCrypto.ITERATIONS;
+		const key = await BackupCrypto.deriveKey(passphrase, salt, iterations);
+		const cipherText = await crypto.subtle.encrypt(
+			{ name: "AES-GCM", iv },
+			key,
+			new TextEncoder().encode(text),
+		);
+
+		const envelope = {
+			kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt: BackupCrypto.toBase64(salt) },
+			cipher: { name: "AES-GCM", iv: BackupCrypto.toBase64(iv) },
+			data: BackupCrypto.toBase64(new Uint8Array(cipherText)),
+		};
+		return `${BackupCrypto.HEADER}\n${JSON.stringify(envelope)}`;
+	}
+
+	/**
+	 * Decrypt text produced by encrypt()
+	 * @param {string} text
+	 * @param {string} passphrase
+	 * @returns {Promise<string>}
+	 */
+	static async decrypt(text, passphrase) {
+		if (!BackupCrypto.isEncrypted(text)) throw new Error("Not an encrypted backup");
+		let envelope;
+		try {
+			envelope = JSON.parse(text.slice(BackupCrypto.HEADER.length));
+		} catch (_) {
+			throw new Error("Encrypted backup is damaged");
+		}
+		if (envelope?.kdf?.name !== "PBKDF2" || envelope?.cipher?.name !== "AES-GCM") {
+			throw new Error("Unsupported encryption format");
+		}
+
+		// A tampered iteration count could make key derivation hang or trivially cheap
+		const iterations = envelope.kdf.iterations;
+		if (
+			!Number.isInteger(iterations) ||
+			iterations < BackupCrypto.MIN_ITERATIONS ||
+			iterations > BackupCrypto.MAX_ITERATIONS
+		) {
+			throw new Error("Encrypted backup is damaged");
+		}
+		let salt, iv, data;
+		try {
+			salt = BackupCrypto.fromBase64(envelope.kdf.salt);
+			iv = BackupCrypto.fromBase64(envelope.cipher.iv);
+			data = BackupCrypto.fromBase64(envelope.data);
+		} catch (_) {
+			throw new Error("Encrypted backup is damaged");
+		}
+
+		const key = await BackupCrypto.deriveKey(passphrase || "", salt, iterations);
+		try {
+			const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, data);
+			return new TextDecoder().decode(plain);
+		} catch (_) {
+			// AES-GCM authentication fails for a wrong passphrase and for tampered data alike
+			throw new Error("Wrong passphrase or damaged backup");
+		}
+	}
+
+	static async deriveKey(passphrase, salt, iterations) {
+		const material = await crypto.subtle.importKey(
+			"raw",
+			new TextEncoder().encode(passphrase),
+			"PBKDF2",
+			false,
+			["deriveKey"],
+		);
+		return crypto.subtle.deriveKey(
+			{ name: "PBKDF2", hash: "SHA-256", salt, iterations },
+			material,
+			{ name: "AES-GCM", length: 256 },
+			false,
+			["encrypt", "decrypt"],
+		);
+	}
+
+	static toBase64(bytes) {
+		let binary = "";
+		for (let i = 0; i < bytes.length; i += 0x8000) {
+			binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+		}
+		return btoa(binary);
+	}
+
+	static fromBase64(text) {
+		const binary = atob(text);
+		const bytes = new Uint8Array(binary.length);
+		for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+		return bytes;
+	}
+}
+
+// First line of every encrypted backup
+BackupCrypto.HEADER = "TILIO-ENCRYPTED-BACKUP v1";
+BackupCrypto.ITERATIONS = 310000;
+// Iteration counts accepted when decrypting
+BackupCrypto.MIN_ITERATIONS = 100000;
+BackupCrypto.MAX_ITERATIONS = 10000000;
+
+// Export for window (pages) and the service worker global scope
+if (typeof window !== "undefined") {
+	window.BackupCrypto = BackupCrypto;
+}
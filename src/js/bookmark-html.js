@@ -0,0 +1,227 @@
+// tilio - Netscape Bookmark File Format (bookmarks.html)
+// Converts between Tilio data and the bookmarks.html format every browser imports and exports.
+// Root links become top-level <DT><A> entries and folders become <DT><H3> + <DL> groups.
+
+class BookmarkHtml {
+	/**
+	 * @param {StorageManager} storageManager - used for ids and URL sanitization
+	 */
+	constructor(storageManager) {
+		if (!storageManager) throw new Error("BookmarkHtml requires a StorageManager");
+		this.storage = storageManager;
+	}
+
+	/**
+	 * Whether a text file looks like a Netscape bookmark file
+	 * @param {string} text
+	 */
+	static isBookmarkHtml(text) {
+		const head = String(text || "").slice(0, 1024).trimStart().toUpperCase();
+		return (
+			head.startsWith("<!DOCTYPE NETSCAPE-BOOKMARK-FILE") ||
+			(head.startsWith("<") && head.includes("<DL"))
+		);
+	}
+
+	// =============== Export ==================
+
+	/**
+	 * Serialize root links and folders (in grid order) to bookmarks.html
+	 * @param {Object} data - persisted Tilio data { folders, links, rootOrder }
+	 * @returns {string}
+	 */
+	toHtml(data) {
+		const folders = Array.isArray(data?.folders) ? data.folders : [];
+		const links = Array.isArray(data?.links) ? data.links : [];
+		const rootOrder = Array.isArray(data?.rootOrder) ? data.rootOrder : [];
+		const now = Math.floor(Date.now() / 1000);
+
+		// Follow rootOrder, then append anything it does not reference
+		const byId = new Map([
+			...folders.map((f) => [f.id, { kind: "folder", item: f }]),
+			...links.map((l) => [l.id, { kind: "link", item: l }]),
+		]);
+		const ordered = [];
+		for (const entry of rootOrder) {
+			const found = byId.get(entry.id);
+			if (found) {
+				ordered.push(found);
+				byId.delete(entry.id);
+			}
+		}
+		ordered.push(...byId.values());
+
+		const lines = [
+			"<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+			"<!-- This is an automatically generated file.",
+			"     It will be read and overwritten.",
+			"     DO NOT EDIT! -->",
+			'<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+			"<TITLE>Bookmarks</TITLE>",
+			"<H1>Bookmarks</H1>",
+			"<DL><p>",
+		];
+		for (const { kind, item } of ordered) {
+			if (kind === "folder") this.writeFolder(lines, item, 1, now);
+			else this.writeLink(lines, item, 1, now);
+		}
+		lines.push("</DL><p>");
+		return lines.join("\n") + "\n";
+	}
+
+	writeFolder(lines, folder, depth, now) {
+		const indent = "    ".repeat(depth);
+		lines.push(
+			`${indent}<DT><H3 ADD_DATE="${now}" LAST_MODIFIED="${now}">${this.escapeName(folder.name)}</H3>`,
+		);
+		lines.push(`${indent}<DL><p>`);
+		for (const site of folder.sites || []) this.writeLink(lines, site, depth + 1, now);
+		for (const sub of folder.folders || []) this.writeFolder(lines, sub, depth + 1, now);
+		lines.push(`${indent}</DL><p>`);
+	}
+
+	writeLink(lines, link, depth, now) {
+		const indent = "    ".repeat(depth);
+		const added = link.popularity?.createdAt
+			? Math.floor(link.popularity.createdAt / 1000)
+			: now;
+		let attrs = `HREF="${this.escape(link.url)}" ADD_DATE="${added}"`;
+		const icon = link.icon;
+		if (icon && icon.type === "static" && icon.url) {
+			attrs += icon.url.startsWith("data:")
+				? ` ICON="${this.escape(icon.url)}"`
+				: ` ICON_URI="${this.escape(icon.url)}"`;
+		}
+		lines.push(`${indent}<DT><A ${attrs}>${this.escapeName(link.name)}</A>`);
+	}
+
+	// =============== Import ==================
+
+	/**
+	 * Parse bookmarks.html into Tilio structures.
+	 * Contents of the browser's bookmarks bar folder are placed on the root grid;
+	 * every other top-level folder stays a folder.
+	 * @param {string} html
+	 * @returns {{folders: Object[], links: Object[], rootOrder: Array<{type: string, id: string}>, count: number}}
+	 */
+	fromHtml(html) {
+		if (typeof DOMParser === "undefined") throw new Error("HTML parsing is not available");
+		const doc = new DOMParser().parseFromString(String(html || ""), "text/html");
+		const rootList = doc.querySelector("dl");
+		if (!rootList) throw new Error("No bookmarks found in file");
+
+		const result = { folders: [], links: [], rootOrder: [], count: 0 };
+		for (const entry of this.readList(rootList, result)) {
+			if (entry.toolbar) {
+				// Browser exports wrap the bookmarks bar in a folder; it maps to the grid itself
+				entry.item.sites.forEach((site) => this.addRootEntry(result, "link", site));
+				entry.item.folders.forEach((folder) => this.addRootEntry(result, "folder", folder));
+			} else {
+				this.addRootEntry(result, entry.kind, entry.item);
+			}
+		}
+		return result;
+	}
+
+	addRootEntry(result, kind, item) {
+		if (kind === "link") result.links.push(item);
+		else result.folders.push(item);
+		result.rootOrder.push({ type: kind, id: item.id });
+	}
+
+	/**
+	 * Read the <DT> entries of one <DL>
+	 * @returns {Array<{kind: 'link'|'folder', item: Object, toolbar?: boolean}>}
+	 */
+	readList(list, result) {
+		const entries = [];
+		for (const dt of this.childrenByTag(list, "DT")) {
+			const anchor = this.childrenByTag(dt, "A")[0];
+			const heading = this.childrenByTag(dt, "H3")[0];
+			if (anchor) {
+				const link = this.readLink(anchor);
+				if (link) {
+					entries.push({ kind: "link", item: link });
+					result.count++;
+				}
+			} else if (heading) {
+				// The folder's <DL> is parsed either inside the <DT> or as its next sibling
+				let sublist = this.childrenByTag(dt, "DL")[0];
+				if (!sublist) {
+					let next = dt.nextElementSibling;
+					while (next && next.tagName === "P") next = next.nextElementSibling;
+					if (next && next.tagName === "DL") sublist = next;
+				}
+				const folder = {
+					id: this.storage.generateId(),
+					name: heading.textContent.trim() || "Folder",
+					sites: [],
+					folders: [],
+				};
+				for (const child of sublist ? this.readList(sublist, result) : []) {
+					if (child.kind === "link") folder.sites.push(child.item);
+					else folder.folders.push(child.item);
+				}
+				entries.push({
+					kind: "folder",
+					item: folder,
+					toolbar: heading.hasAttribute("personal_toolbar_folder"),
+				});
+			}
+		}
+		return entries;
+	}
+
+	readLink(anchor) {
+		const href = anchor.getAttribute("href") || "";
+		let url;
+		try {
+			// Skip bookmarklets and browser-internal entries such as Firefox "place:" queries
+			const protocol = new URL(href).protocol;
+			if (!["http:", "https:", "chrome:", "chrome-extension:"].includes(protocol))
+				return null;
+			url = this.storage.sanitizeUrl(href);
+		} catch (_) {
+			return null;
+		}
+
+		const iconData = anchor.getAttribute("icon");
+		const iconUri = anchor.getAttribute("icon_uri");
+		let icon = { type: "generated", pageUrl: url, size: 32 };
+		if (iconData && iconData.startsWith("data:image/")) {
+			icon = { type: "static", url: iconData };
+		} else if (iconUri && /^https?:\/\//i.test(iconUri)) {
+			icon = { type: "static", url: iconUri };
+		}
+
+		return {
+			id: this.storage.generateId(),
+			name: anchor.textContent.trim() || url,
+			url,
+			icon,
+		};
+	}
+
+	childrenByTag(el, tag) {
+		return Array.from(el.children).filter((c) => c.tagName === tag);
+	}
+
+	// =============== Helpers ==================
+
+	escape(text) {
+		return String(text ?? "").replace(
+			/[&<>"]/g,
+			(c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c],
+		);
+	}
+
+	/** Stored names are HTML-escaped once; decode them so they are written escaped exactly once */
+	escapeName(text) {
+		return this.escape(this.storage.unescapeHtml(text));
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+	window.BookmarkHtml = BookmarkHtml;
+}
@@ -0,0 +1,490 @@
+// tilio - Chrome Bookmarks Sync (no UI dependencies)
+// Mirrors one Chrome bookmark folder with the root grid: URL bookmarks map to links/sites,
+// bookmark subfolders map to (nested) Tilio folders. Runs in the background service worker.
+
+class BookmarkSync {
+	/**
+	 * @param {FolderSystem} folderSystem - initialized folder system to reconcile
+	 * @param {Object} [bookmarksApi] - promise based chrome.bookmarks compatible API
+	 */
+	constructor(folderSystem, bookmarksApi) {
+		if (!folderSystem) throw new Error("BookmarkSync requires a FolderSystem");
+		this.fs = folderSystem;
+		this.api =
+			bookmarksApi ||
+			(typeof chrome !== "undefined" && chrome.bookmarks ? chrome.bookmarks : null);
+		this.changed = false;
+	}
+
+	/**
+	 * Sync state persisted in data.meta.bookmarkSync
+	 * removed: { [bookmarkId]: deletedAt } tombstones for items deleted in Tilio
+	 */
+	getState() {
+		const meta = this.fs.data.meta;
+		if (!meta.bookmarkSync || typeof meta.bookmarkSync !== "object") {
+			meta.bookmarkSync = { enabled: false, rootId: null, lastSync: 0, removed: {} };
+		}
+		if (!meta.bookmarkSync.removed || typeof meta.bookmarkSync.removed !== "object") {
+			meta.bookmarkSync.removed = {};
+		}
+		return meta.bookmarkSync;
+	}
+
+	// =============== Connection ==================
+
+	/**
+	 * Connect the root grid to a bookmark folder and run the first sync.
+	 * Existing tiles are paired with bookmarks by URL (folders by name) before anything is created.
+	 * @param {string} rootId - bookmark folder id
+	 */
+	async connect(rootId) {
+		if (!this.api) throw new Error("Bookmarks API not available");
+		const [root] = await this.api.getSubTree(rootId);
+		if (!root || root.url) throw new Error("Not a bookmark folder");
+
+		await this.fs.storage.createSnapshot("Before connecting bookmark sync", this.fs.data);
+		this.clearBookmarkIds();
+		const state = this.getState();
+		state.enabled = true;
+		state.rootId = rootId;
+		state.rootTitle = root.title || "";
+		state.lastSync = 0;
+		state.removed = {};
+		await this.sync();
+		return state;
+	}
+
+	/** Stop syncing; tiles and bookmarks are left as they are */
+	async disconnect() {
+		const state = this.getState();
+		state.enabled = false;
+		state.rootId = null;
+		state.rootTitle = "";
+		state.removed = {};
+		this.clearBookmarkIds();
+		await this.fs.save();
+		return state;
+	}
+
+	clearBookmarkIds() {
+		this.fs.links.forEach((link) => delete link.bookmarkId);
+		this.fs.forEachFolder((folder) => {
+			delete folder.bookmarkId;
+			(folder.sites || []).forEach((site) => delete site.bookmarkId);
+		});
+	}
+
+	// =============== One-time Import ==================
+
+	/**
+	 * Copy a bookmark folder into the root grid once, without connecting it.
+	 * URLs that already exist anywhere in the grid are skipped.
+	 * @param {string} folderId - bookmark folder id
+	 * @returns {Promise<number>} number of bookmarks imported
+	 */
+	async importFolder(folderId) {
+		if (!this.api) throw new Error("Bookmarks API not available");
+		const [root] = await this.api.getSubTree(folderId);
+		if (!root) throw new Error("Bookmark folder not found");
+
+		const existing = new Set(this.fs.links.map((l) => l.url));
+		this.fs.forEachFolder((folder) =>
+			(folder.sites || []).forEach((s) => existing.add(s.url)),
+		);
+
+		let count = 0;
+		const visit = (node, parent) => {
+			for (const child of node.children || []) {
+				if (child.url) {
+					if (!this.isSyncableUrl(child.url)) continue;
+					const item = this.createFromBookmark(child);
+					if (existing.has(item.url)) continue;
+					delete item.bookmarkId;
+					this.attach(parent, "url", item);
+					existing.add(item.url);
+					count++;
+				} else {
+					const folder = this.createFromBookmark(child);
+					delete folder.bookmarkId;
+					this.attach(parent, "folder", folder);
+					visit(child, folder);
+				}
+			}
+		};
+		visit(root, null);
+		await this.fs.save();
+		return count;
+	}
+
+	// =============== Two-way Sync ==================
+
+	/**
+	 * Reconcile the root grid with the connected bookmark folder.
+	 * When both sides changed the same item, the most recently modified side wins.
+	 * @param {Object} [changes] - { [bookmarkId]: modifiedAt } recorded from chrome.bookmarks events
+	 * @returns {Promise<boolean>} whether Tilio data changed
+	 */
+	async sync(changes = {}) {
+		const state = this.getState();
+		if (!state.enabled || !state.rootId || !this.api) return false;
+		this.changed = false;
+		this.changes = changes || {};
+		this.state = state;
+
+		const tree = await this.indexBookmarks(state.rootId);
+		if (!tree) {
+			// Connected folder was deleted; stop syncing rather than wiping the grid
+			state.enabled = false;
+			this.clearBookmarkIds();
+			await this.fs.save();
+			return true;
+		}
+		const { root, bookmarks } = tree;
+		const tilio = this.indexTilio();
+
+		// 1. Pair untracked tiles with untracked bookmarks (by URL / folder name)
+		this.pairContainer(null, root, tilio, bookmarks);
+
+		// 2. Bookmarks not in Tilio: import, unless Tilio deleted them more recently
+		const bookmarkRemovals = [];
+		this.collectBookmarkOnly(root, null, tilio, bookmarkRemovals);
+
+		// 3. Tiles not in bookmarks: export, unless the bookmark was deleted more recently
+		const tilioRemovals = [];
+		await this.collectTilioOnly(null, tilio, bookmarks, tilioRemovals);
+
+		// 4. Paired items: reconcile title, URL and parent folder
+		await this.reconcilePaired(tilio, bookmarks);
+
+		// 5. Deletions last, so moved children are out of deleted folders first
+		for (const { item, kind, parent } of tilioRemovals) {
+			this.detach(parent, kind, item);
+			this.changed = true;
+		}
+		for (const { id, kind } of bookmarkRemovals) {
+			try {
+				if (kind === "folder") await this.api.removeTree(id);
+				else await this.api.remove(id);
+			} catch (err) {
+				console.warn("Failed to remove bookmark:", err);
+			}
+		}
+
+		state.removed = {};
+		state.lastSync = Date.now();
+		await this.fs.save();
+		return this.changed;
+	}
+
+	/**
+	 * @returns {Promise<{root: Object, bookmarks: Map<string, {node: Object, kind: string, parentId: string}>}|null>}
+	 */
+	async indexBookmarks(rootId) {
+		let root;
+		try {
+			[root] = await this.api.getSubTree(rootId);
+		} catch (_) {
+			return null;
+		}
+		if (!root) return null;
+		const bookmarks = new Map();
+		const visit = (node) => {
+			for (const child of node.children || []) {
+				bookmarks.set(child.id, {
+					node: child,
+					kind: child.url ? "url" : "folder",
+					parentId: node.id,
+				});
+				if (!child.url) visit(child);
+			}
+		};
+		visit(root);
+		return { root, bookmarks };
+	}
+
+	/**
+	 * Index tiles that carry a bookmarkId
+	 * @returns {Map<string, {item: Object, kind: string, parent: Object|null}>} parent null = root grid
+	 */
+	indexTilio() {
+		const index = new Map();
+		const visit = (parent) => {
+			for (const item of this.urlList(parent)) {
+				if (item.bookmarkId) index.set(item.bookmarkId, { item, kind: "url", parent });
+			}
+			for (const folder of this.folderList(parent)) {
+				if (folder.bookmarkId)
+					index.set(folder.bookmarkId, { item: folder, kind: "folder", parent });
+				visit(folder);
+			}
+		};
+		visit(null);
+		return index;
+	}
+
+	pairContainer(parent, bookmarkFolder, tilio, bookmarks) {
+		const free = (bookmarkFolder.children || []).filter((n) => !tilio.has(n.id));
+		const isTracked = (item) => item.bookmarkId && bookmarks.has(item.bookmarkId);
+		const pair = (item, kind, node) => {
+			if (item.bookmarkId) tilio.delete(item.bookmarkId);
+			item.bookmarkId = node.id;
+			tilio.set(node.id, { item, kind, parent });
+			this.changed = true;
+		};
+
+		for (const item of this.urlList(parent)) {
+			if (isTracked(item)) continue;
+			const idx = free.findIndex((n) => n.url && n.url === item.url);
+			if (idx !== -1) pair(item, "url", free.splice(idx, 1)[0]);
+		}
+		for (const folder of this.folderList(parent)) {
+			if (isTracked(folder)) continue;
+			const name = this.fs.storage.unescapeHtml(folder.name);
+			const idx = free.findIndex((n) => !n.url && (n.title || "") === name);
+			if (idx !== -1) pair(folder, "folder", free.splice(idx, 1)[0]);
+		}
+
+		// Descend into folders paired on both sides
+		for (const folder of this.folderList(parent)) {
+			const entry = folder.bookmarkId && bookmarks.get(folder.bookmarkId);
+			if (entry && entry.kind === "folder")
+				this.pairContainer(folder, entry.node, tilio, bookmarks);
+		}
+	}
+
+	collectBookmarkOnly(node, parent, tilio, removals) {
+		for (const child of node.children || []) {
+			const tracked = tilio.get(child.id);
+			if (tracked) {
+				if (tracked.kind === "folder" && !child.url)
+					this.collectBookmarkOnly(child, tracked.item, tilio, removals);
+				continue;
+			}
+			const tombstone = this.state.removed[child.id];
+			if (tombstone !== undefined && !this.bookmarkOutlives(child, tombstone, tilio)) {
+				removals.push({ id: child.id, kind: child.url ? "url" : "folder" });
+				continue;
+			}
+			this.importNode(child, parent, tilio);
+		}
+	}
+
+	async collectTilioOnly(parent, tilio, bookmarks, removals) {
+		const exportItem = async (item, kind) => {
+			const missing = item.bookmarkId && !bookmarks.has(item.bookmarkId);
+			if (missing) {
+				const deletedAt = this.changes[item.bookmarkId] || this.state.lastSync || 0;
+				if (!this.tilioOutlives(item, kind, deletedAt, bookmarks)) {
+					removals.push({ item, kind, parent });
+					return false;
+				}
+				tilio.delete(item.bookmarkId);
+				delete item.bookmarkId;
+			}
+			if (!item.bookmarkId) await this.exportItem(item, kind, parent, tilio, bookmarks);
+			return true;
+		};
+
+		for (const item of [...this.urlList(parent)]) await exportItem(item, "url");
+		for (const folder of [...this.folderList(parent)]) {
+			if (await exportItem(folder, "folder"))
+				await this.collectTilioOnly(folder, tilio, bookmarks, removals);
+		}
+	}
+
+	async reconcilePaired(tilio, bookmarks) {
+		const rootId = this.state.rootId;
+		for (const [id, tracked] of tilio) {
+			const entry = bookmarks.get(id);
+			if (!entry || entry.kind !== tracked.kind) continue;
+			const { item, kind } = tracked;
+			const node = entry.node;
+
+			const title = node.title || "";
+			const titleDiff = this.fs.storage.unescapeHtml(item.name) !== title;
+			const urlDiff = kind === "url" && item.url !== node.url;
+			const tilioParentId = tracked.parent ? tracked.parent.bookmarkId : rootId;
+			const parentDiff = entry.parentId !== tilioParentId;
+			if (!titleDiff && !urlDiff && !parentDiff) continue;
+
+			if (this.bookmarkTime(node) > (item.modifiedAt || 0)) {
+				// Bookmark side is newer: update the tile
+				if (titleDiff) item.name = this.fs.sanitizeInput(title || node.url || "Folder");
+				if (urlDiff && this.isSyncableUrl(node.url)) {
+					item.url = this.fs.sanitizeUrl(node.url);
+					if (!item.icon || item.icon.type === "generated")
+						item.icon = { type: "generated", pageUrl: item.url, size: 32 };
+				}
+				if (parentDiff) this.moveTile(tracked, entry.parentId, tilio);
+				item.modifiedAt = Date.now();
+				this.changed = true;
+			} else {
+				// Tile is newer: update the bookmark
+				try {
+					if (titleDiff || urlDiff) {
+						await this.api.update(
+							id,
+							kind === "url"
+								? { title: this.fs.storage.unescapeHtml(item.name), url: item.url }
+								: { title: this.fs.storage.unescapeHtml(item.name) },
+						);
+					}
+					if (parentDiff && tilioParentId) {
+						await this.api.move(id, { parentId: tilioParentId });
+						entry.parentId = tilioParentId;
+					}
+				} catch (err) {
+					console.warn("Failed to update bookmark:", err);
+				}
+			}
+		}
+	}
+
+	moveTile(tracked, bookmarkParentId, tilio) {
+		let target = null;
+		if (bookmarkParentId !== this.state.rootId) {
+			const parentEntry = tilio.get(bookmarkParentId);
+			if (!parentEntry || parentEntry.kind !== "folder") return;
+			target = parentEntry.item;
+			// The target may still sit inside this folder until its own move is applied
+			if (tracked.kind === "folder" && this.fs.isFolderWithin(target.id, tracked.item.id))
+				return;
+		}
+		this.detach(tracked.parent, tracked.kind, tracked.item);
+		this.attach(target, tracked.kind, tracked.item);
+		tracked.parent = target;
+	}
+
+	// =============== Conflict Timing ==================
+
+	/** Last time a bookmark changed, from recorded events or its creation date */
+	bookmarkTime(node) {
+		return this.changes[node.id] || node.dateAdded || 0;
+	}
+
+	/** Whether a bookmark (or anything new inside it) changed after Tilio deleted it */
+	bookmarkOutlives(node, deletedAt, tilio) {
+		if (this.bookmarkTime(node) > deletedAt) return true;
+		return (node.children || []).some(
+			(child) =>
+				!tilio.has(child.id) &&
+				this.bookmarkOutlives(child, this.state.removed[child.id] ?? deletedAt, tilio),
+		);
+	}
+
+	/** Whether a tile (or anything new inside it) changed after its bookmark was deleted */
+	tilioOutlives(item, kind, deletedAt, bookmarks) {
+		if ((item.modifiedAt || 0) > deletedAt) return true;
+		if (kind !== "folder") return false;
+		const untracked = (child) => !child.bookmarkId || !bookmarks.has(child.bookmarkId);
+		const childDeletedAt = (child) =>
+			(child.bookmarkId && this.changes[child.bookmarkId]) || deletedAt;
+		return (
+			(item.sites || []).some(
+				(s) => untracked(s) && this.tilioOutlives(s, "url", childDeletedAt(s), bookmarks),
+			) ||
+			(item.folders || []).some(
+				(f) => untracked(f) && this.tilioOutlives(f, "folder", childDeletedAt(f), bookmarks),
+			)
+		);
+	}
+
+	// =============== Tree Operations ==================
+
+	importNode(node, parent, tilio) {
+		if (node.url && !this.isSyncableUrl(node.url)) return;
+		const kind = node.url ? "url" : "folder";
+		const item = this.createFromBookmark(node);
+		this.attach(parent, kind, item);
+		tilio.set(node.id, { item, kind, parent });
+		this.changed = true;
+		if (kind === "folder") {
+			for (const child of node.children || []) {
+				if (!tilio.has(child.id)) this.importNode(child, item, tilio);
+			}
+		}
+	}
+
+	async exportItem(item, kind, parent, tilio, bookmarks) {
+		const parentId = parent ? parent.bookmarkId : this.state.rootId;
+		if (!parentId) return;
+		const title = this.fs.storage.unescapeHtml(item.name);
+		const node = await this.api.create(
+			kind === "url" ? { parentId, title, url: item.url } : { parentId, title },
+		);
+		item.bookmarkId = node.id;
+		bookmarks.set(node.id, { node: { ...node, children: [] }, kind, parentId });
+		tilio.set(node.id, { item, kind, parent });
+		this.changed = true;
+	}
+
+	createFromBookmark(node) {
+		const now = Date.now();
+		if (node.url) {
+			const url = this.fs.sanitizeUrl(node.url);
+			return {
+				id: this.fs.generateId(),
+				name: this.fs.sanitizeInput(node.title || url),
+				url,
+				icon: { type: "generated", pageUrl: url, size: 32 },
+				bookmarkId: node.id,
+				modifiedAt: now,
+			};
+		}
+		return {
+			id: this.fs.generateId(),
+			name: this.fs.sanitizeInput(node.title || "Folder"),
+			sites: [],
+			folders: [],
+			bookmarkId: node.id,
+			modifiedAt: now,
+		};
+	}
+
+	urlList(parent) {
+		return parent ? parent.sites : this.fs.links;
+	}
+
+	folderList(parent) {
+		if (!parent) return this.fs.folders;
+		if (!Array.isArray(parent.folders)) parent.folders = [];
+		return parent.folders;
+	}
+
+	attach(parent, kind, item) {
+		(kind === "url" ? this.urlList(parent) : this.folderList(parent)).push(item);
+		if (!parent) {
+			this.fs.rootOrder.push({ type: kind === "url" ? "link" : "folder", id: item.id });
+		}
+	}
+
+	detach(parent, kind, item) {
+		const list = kind === "url" ? this.urlList(parent) : this.folderList(parent);
+		const idx = list.indexOf(item);
+		if (idx !== -1) list.splice(idx, 1);
+		if (!parent) {
+			this.fs.rootOrder = this.fs.rootOrder.filter((e) => e.id !== item.id);
+		}
+	}
+
+	// =============== Helpers ==================
+
+	isSyncableUrl(url) {
+		try {
+			return ["http:", "https:", "chrome:", "chrome-extension:"].includes(
+				new URL(url).protocol,
+			);
+		} catch {
+			return false;
+		}
+	}
+}
+
+// Storage key for bookmark modification times recorded by the background worker
+BookmarkSync.CHANGES_KEY = "tilio_bookmark_changes";
+
+// Export for window (pages) and the service worker global scope
+if (typeof window !== "undefined") {
+	window.BookmarkSync = BookmarkSync;
+}
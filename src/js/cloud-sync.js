@@ -0,0 +1,409 @@
+// tilio - Cross-device Sync through chrome.storage.sync (no UI dependencies)
+// Keeps the layout and settings in step between devices signed in to the same Chrome profile.
+// Runs in the background service worker; StorageManager handles chunking and quotas.
+
+class CloudSync {
+	/**
+	 * @param {FolderSystem} folderSystem - initialized folder system to reconcile
+	 * @param {Object} [area] - chrome.storage.sync compatible area (e.g. a MemoryStorageArea in tests)
+	 */
+	constructor(folderSystem, area) {
+		if (!folderSystem) throw new Error("CloudSync requires a FolderSystem");
+		this.fs = folderSystem;
+		this.storage = folderSystem.storage;
+		this.area = area || this.storage.getSyncArea();
+	}
+
+	// =============== Connection ==================
+
+	async enable() {
+		const state = await this.storage.getSyncState();
+		await this.storage.setSyncState({ ...state, enabled: true, status: "pending", error: null });
+		return await this.sync();
+	}
+
+	/** Stop syncing this device; data already in sync storage stays for other devices */
+	async disable() {
+		const state = await this.storage.getSyncState();
+		await this.storage.setStoredValue(CloudSync.BASE_KEY, null);
+		return await this.storage.setSyncState({ ...state, enabled: false, status: "disabled", error: null });
+	}
+
+	// =============== Sync ==================
+
+	/**
+	 * Merge the synced layout into this device and publish the result.
+	 * Items changed on only one side since the last sync take that side; items changed on
+	 * both take the most recently modified version.
+	 * @returns {Promise<{changed: boolean, state: Object}>} changed: whether local data changed
+	 */
+	async sync() {
+		let state = await this.storage.getSyncState();
+		if (!state.enabled) return { changed: false, state };
+		// Only the first workspace is shared; syncing picks up again once it is switched back to
+		if (!Workspaces.isPrimary(this.fs.data)) {
+			state = await this.storage.setSyncState({ ...state, status: "paused", error: null });
+			return { changed: false, state };
+		}
+
+		try {
+			const remote = await this.storage.readSyncData(this.area);
+			const base = (await this.storage.getStoredValue(CloudSync.BASE_KEY)) || null;
+			const local = this.toPayload();
+			const merged = remote ? this.merge(local, remote.payload, base) : local;
+
+			const changed = this.signature(merged) !== this.signature(local);
+			if (changed) await this.apply(merged);
+
+			let bytes = state.bytes;
+			if (!remote || this.signature(merged) !== this.signature(remote.payload)) {
+				({ bytes } = await this.storage.writeSyncData(merged, this.area));
+			} else if (this.area.getBytesInUse) {
+				bytes = await this.area.getBytesInUse(null);
+			}
+
+			await this.storage.setStoredValue(CloudSync.BASE_KEY, this.indexPayload(merged).base);
+			state = await this.storage.setSyncState({
+				...state,
+				status: "synced",
+				error: null,
+				lastSync: Date.now(),
+				bytes,
+			});
+			return { changed, state };
+		} catch (error) {
+			await this.storage.setSyncState({
+				...state,
+				status: error.incomplete ? "pending" : "error",
+				error: error.incomplete ? null : error.message,
+			});
+			// A partial read resolves itself once the remaining chunks arrive
+			if (error.incomplete) return { changed: false, state };
+			throw error;
+		}
+	}
+
+	// =============== Payload ==================
+
+	/**
+	 * The part of the data that is shared between devices. Bookmark ids and default
+	 * icons are device specific or derivable, and names are stored unescaped.
+	 */
+	toPayload() {
+		const clean = (item) => {
+			const copy = { ...item, name: this.storage.unescapeHtml(item.name) };
+			delete copy.bookmarkId;
+			const icon = copy.icon;
+			if (icon?.type === "generated" && icon.pageUrl === copy.url && (icon.size || 32) === 32) {
+				delete copy.icon;
+			}
+			return copy;
+		};
+		const cleanFolder = (folder) => ({
+			...clean(folder),
+			sites: (folder.sites || []).map(clean),
+			folders: (folder.folders || []).map(cleanFolder),
+		});
+		return {
+			folders: this.fs.folders.map(cleanFolder),
+			links: this.fs.links.map(clean),
+			rootOrder: this.fs.rootOrder.map(({ type, id }) => ({ type, id })),
+			settings: this.sharedSettings(this.fs.data.settings),
+		};
+	}
+
+	/**
+	 * Copy of the settings without the ones that stay on each device
+	 * @param {Object} settings
+	 */
+	sharedSettings(settings) {
+		const copy = JSON.parse(JSON.stringify(settings || {}));
+		CloudSync.LOCAL_SETTINGS.forEach((key) => delete copy[key]);
+		return copy;
+	}
+
+	/**
+	 * Flatten a payload into items and container orders
+	 * @returns {{items: Map, orders: Object, base: Object}} base: compact form kept for the next merge
+	 */
+	indexPayload(payload) {
+		const items = new Map();
+		const orders = { root: [] };
+		const add = (kind, node, parentId) => {
+			const { sites, folders, ...fields } = node;
+			const sig = this.storage.hashString(JSON.stringify({ kind, parentId, fields }));
+			items.set(node.id, { kind, fields, parentId, sig });
+		};
+		const walk = (folder, parentId) => {
+			add("folder", folder, parentId);
+			orders[folder.id + "/sites"] = (folder.sites || []).map((s) => s.id);
+			orders[folder.id + "/folders"] = (folder.folders || []).map((f) => f.id);
+			(folder.sites || []).forEach((site) => add("site", site, folder.id));
+			(folder.folders || []).forEach((sub) => walk(sub, folder.id));
+		};
+		(payload.links || []).forEach((link) => add("link", link, null));
+		(payload.folders || []).forEach((folder) => walk(folder, null));
+		orders.root = (payload.rootOrder || []).map((e) => e.id);
+
+		const base = { items: {}, orders, settings: {} };
+		items.forEach(({ sig }, id) => (base.items[id] = sig));
+		Object.entries(payload.settings || {}).forEach(([key, value]) => {
+			base.settings[key] = JSON.stringify(value);
+		});
+		return { items, orders, base };
+	}
+
+	/**
+	 * Order-independent fingerprint of a payload, for telling whether two payloads differ
+	 * @param {Object} payload
+	 * @returns {string}
+	 */
+	signature(payload) {
+		const { base } = this.indexPayload(payload);
+		const sorted = (obj) => Object.keys(obj).sort().map((key) => [key, obj[key]]);
+		return this.storage.hashString(
+			JSON.stringify([sorted(base.items), sorted(base.orders), sorted(base.settings)]),
+		);
+	}
+
+	// =============== Merge ==================
+
+	/**
+	 * Three-way merge of two payloads against the state of the last sync
+	 * @param {Object} local
+	 * @param {Object} remote
+	 * @param {Object|null} base - from indexPayload(); null on the first sync of this device
+	 * @returns {Object} merged payload
+	 */
+	merge(local, remote, base) {
+		// Payloads written before a setting became device specific may still carry it
+		remote = { ...remote, settings: this.sharedSettings(remote.settings) };
+		const L = this.indexPayload(local);
+		const R = this.indexPayload(remote);
+		const B = base || { items: {}, orders: {}, settings: {} };
+
+		const items = new Map();
+		const ids = new Set([...L.items.keys(), ...R.items.keys()]);
+		for (const id of ids) {
+			const l = L.items.get(id);
+			const r = R.items.get(id);
+			const b = B.items[id];
+			if (l && r) {
+				const localChanged = l.sig !== b;
+				const remoteChanged = r.sig !== b;
+				if (remoteChanged && !localChanged) items.set(id, r);
+				else if (localChanged && !remoteChanged) items.set(id, l);
+				else items.set(id, (r.fields.modifiedAt || 0) > (l.fields.modifiedAt || 0) ? r : l);
+			} else {
+				const item = l || r;
+				// Deleted on one side: keep only if the other side edited it since the last sync
+				if (b === undefined || item.sig !== b) items.set(id, item);
+			}
+		}
+
+		// Settings merge key by key; a key changed on both sides keeps this device's value.
+		// A device syncing for the first time adopts the synced settings.
+		const settings = base
+			? { ...remote.settings, ...local.settings }
+			: { ...local.settings, ...remote.settings };
+		Object.keys(remote.settings || {}).forEach((key) => {
+			const localValue = JSON.stringify(local.settings?.[key]);
+			const remoteValue = JSON.stringify(remote.settings[key]);
+			if (localValue === B.settings[key] && remoteValue !== localValue) {
+				settings[key] = remote.settings[key];
+			}
+		});
+
+		const order = (key) => {
+			const lo = L.orders[key] || [];
+			const ro = R.orders[key] || [];
+			const bo = JSON.stringify(B.orders[key] || []);
+			const primary = !base || JSON.stringify(lo) === bo ? ro : lo;
+			return [...primary, ...lo, ...ro];
+		};
+		return { ...this.rebuild(items, order), settings };
+	}
+
+	/**
+	 * Build the nested layout from merged items
+	 * @param {Map} items - id -> { kind, fields, parentId }
+	 * @param {(key: string) => string[]} order - preferred id order of a container
+	 */
+	rebuild(items, order) {
+		const folders = new Map();
+		items.forEach(({ kind, fields }, id) => {
+			if (kind === "folder") folders.set(id, { ...fields, sites: [], folders: [] });
+		});
+
+		// Parent folders missing on the merged side, or moves that form a cycle, land on the root
+		const parentOf = (id) => {
+			const parentId = items.get(id).parentId;
+			if (!parentId || !folders.has(parentId)) return null;
+			const visited = new Set();
+			for (let p = parentId; p && !visited.has(p); p = items.get(p).parentId) {
+				if (p === id) return null;
+				if (!folders.has(items.get(p).parentId)) break;
+				visited.add(p);
+			}
+			return parentId;
+		};
+
+		const containers = new Map();
+		const place = (key, id) => {
+			if (!containers.has(key)) containers.set(key, []);
+			containers.get(key).push(id);
+		};
+		items.forEach(({ kind }, id) => {
+			const parentId = kind === "link" ? null : parentOf(id);
+			if (!parentId) place("root", id);
+			else place(parentId + (kind === "site" ? "/sites" : "/folders"), id);
+		});
+
+		const sorted = (key) => {
+			const ids = containers.get(key) || [];
+			const rank = new Map();
+			order(key).forEach((id, i) => {
+				if (!rank.has(id)) rank.set(id, i);
+			});
+			return ids.sort((a, b) => (rank.get(a) ?? Infinity) - (rank.get(b) ?? Infinity));
+		};
+
+		folders.forEach((folder, id) => {
+			folder.sites = sorted(id + "/sites").map((siteId) => ({ ...items.get(siteId).fields }));
+			folder.folders = sorted(id + "/folders").map((subId) => folders.get(subId));
+		});
+
+		const layout = { folders: [], links: [], rootOrder: [] };
+		sorted("root").forEach((id) => {
+			if (folders.has(id)) {
+				layout.folders.push(folders.get(id));
+				layout.rootOrder.push({ type: "folder", id });
+			} else {
+				// Sites whose folder was deleted elsewhere stay as root links
+				layout.links.push({ ...items.get(id).fields });
+				layout.rootOrder.push({ type: "link", id });
+			}
+		});
+		return layout;
+	}
+
+	// =============== Apply ==================
+
+	/**
+	 * Write a merged payload into the folder system, keeping device specific fields
+	 * @param {Object} payload
+	 */
+	async apply(payload) {
+		const current = new Map();
+		this.fs.links.forEach((link) => current.set(link.id, link));
+		this.fs.forEachFolder((folder) => {
+			current.set(folder.id, folder);
+			(folder.sites || []).forEach((site) => current.set(site.id, site));
+		});
+
+		const seen = new Set();
+		// Copies, so the payload itself stays as synced
+		const restore = (item) => {
+			seen.add(item.id);
+			const copy = { ...item };
+			const live = current.get(item.id);
+			if (live?.bookmarkId) copy.bookmarkId = live.bookmarkId;
+			if (!copy.icon && copy.url) copy.icon = { type: "generated", pageUrl: copy.url, size: 32 };
+			return copy;
+		};
+		const restoreFolder = (folder) => ({
+			...restore(folder),
+			sites: folder.sites.map(restore),
+			folders: folder.folders.map(restoreFolder),
+		});
+		const folders = payload.folders.map(restoreFolder);
+		const links = payload.links.map(restore);
+
+		const removed = [...current.keys()].filter((id) => !seen.has(id));
+		if (removed.length) {
+			await this.storage.createSnapshot("Before cloud sync", this.fs.data);
+		}
+		// Items deleted on another device also leave the bookmarks folder
+		removed.forEach((id) => this.fs.recordBookmarkRemoval(current.get(id)));
+
+		this.fs.data.folders = this.fs.folders = folders;
+		this.fs.data.links = this.fs.links = links;
+		// Pages are laid out per device, like bookmark ids; items new here join the page on screen
+		const pages = new Map(this.fs.rootOrder.map((e) => [e.id, e.page]));
+		const rootOrder = payload.rootOrder.map((e) => (pages.get(e.id) === undefined ? e : { ...e, page: pages.get(e.id) }));
+		this.fs.data.rootOrder = this.fs.rootOrder = rootOrder;
+		this.fs.data.settings = { ...this.fs.data.settings, ...this.sharedSettings(payload.settings) };
+		await this.fs.save();
+	}
+}
+
+// chrome.storage.local key holding the item signatures of the last sync (merge base)
+CloudSync.BASE_KEY = "tilio_cloud_sync_base";
+// Settings never synced: the wallpaper's images are kept in this device's IndexedDB
+CloudSync.LOCAL_SETTINGS = ["wallpaper"];
+
+/**
+ * In-memory stand-in for chrome.storage.sync with the same promise API and quotas,
+ * for exercising CloudSync outside the extension
+ */
+class MemoryStorageArea {
+	constructor(quotas = {}) {
+		this.QUOTA_BYTES = quotas.bytes || 102400;
+		this.QUOTA_BYTES_PER_ITEM = quotas.bytesPerItem || 8192;
+		this.MAX_ITEMS = quotas.maxItems || 512;
+		this.items = new Map();
+	}
+
+	async get(keys) {
+		const list =
+			keys == null ? [...this.items.keys()] : Array.isArray(keys) ? keys : [keys];
+		const result = {};
+		list.forEach((key) => {
+			if (this.items.has(key)) result[key] = JSON.parse(this.items.get(key));
+		});
+		return result;
+	}
+
+	async set(values) {
+		const next = new Map(this.items);
+		for (const [key, value] of Object.entries(values)) {
+			const json = JSON.stringify(value);
+			if (this.size(key, json) > this.QUOTA_BYTES_PER_ITEM) {
+				throw new Error("QUOTA_BYTES_PER_ITEM quota exceeded");
+			}
+			next.set(key, json);
+		}
+		if (next.size > this.MAX_ITEMS) throw new Error("MAX_ITEMS quota exceeded");
+		let total = 0;
+		next.forEach((json, key) => (total += this.size(key, json)));
+		if (total > this.QUOTA_BYTES) throw new Error("QUOTA_BYTES quota exceeded");
+		this.items = next;
+	}
+
+	async remove(keys) {
+		(Array.isArray(keys) ? keys : [keys]).forEach((key) => this.items.delete(key));
+	}
+
+	async clear() {
+		this.items.clear();
+	}
+
+	async getBytesInUse(keys) {
+		const list =
+			keys == null ? [...this.items.keys()] : Array.isArray(keys) ? keys : [keys];
+		return list.reduce(
+			(sum, key) => sum + (this.items.has(key) ? this.size(key, this.items.get(key)) : 0),
+			0,
+		);
+	}
+
+	size(key, json) {
+		return new TextEncoder().encode(key + json).length;
+	}
+}
+
+// Export for window (pages) and the service worker global scope
+if (typeof window !== "undefined") {
+	window.CloudSync = CloudSync;
+	window.MemoryStorageArea = MemoryStorageArea;
+}
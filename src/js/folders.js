@@ -12,7 +12,8 @@ class FolderSystem {
 		this.data = null; // full persisted object { folders, settings, version }
 		this.folders = []; // convenience reference to this.data.folders
 		this.links = []; // root-level links shown alongside folders
-		this.rootOrder = []; // [{ type: 'folder'|'link', id: string }]
+		this.rootOrder = []; // [{ type: 'folder'|'link', id: string, page?: number }]
+		this.currentPage = 0; // root grid page on screen; root items added without a page land on it
 	}
 
 	/**
@@ -88,8 +89,8 @@ class FolderSystem {
 		// Normalize root links
 		this.links.forEach(normalizeSingle);
 
-		// Normalize sites in folders
-		this.folders.forEach((folder) => {
+		// Normalize sites in folders (including subfolders)
+		this.forEachFolder((folder) => {
 			if (Array.isArray(folder.sites)) {
 				folder.sites.forEach(normalizeSingle);
 			}
@@ -116,6 +117,7 @@ class FolderSystem {
 	/** Persist current data to storage */
 	async save() {
 		// this.data.folders already points to this.folders
+		this.normalizePages();
 		this.data.links = this.links;
 		this.data.rootOrder = this.rootOrder;
 		return await this.storage.saveData(this.data);
@@ -379,8 +381,8 @@ class FolderSystem {
 			hosts.add(normalized);
 		});
 
-		// Add sites from all folders (normalized)
-		this.folders.forEach((folder) => {
+		// Add sites from all folders and subfolders (normalized)
+		this.forEachFolder((folder) => {
 			if (Array.isArray(folder.sites)) {
 				folder.sites.forEach((site) => {
 					const normalized = this.normalizeHostname(site.url);
@@ -432,6 +434,7 @@ class FolderSystem {
 			id: this.generateId(),
 			name: this.sanitizeInput(name || "New Folder"),
 			sites: [],
+			folders: [],
 			...extra,
 		};
 		this.folders.push(folder);
@@ -448,37 +451,233 @@ class FolderSystem {
 		const folder = this.getFolderById(id);
 		if (!folder) throw new Error("Folder not found");
 		if ("name" in data) folder.name = this.sanitizeInput(data.name);
-		// Allow updating arbitrary metadata fields except sites/id
+		// Allow updating arbitrary metadata fields except sites/folders/id
 		for (const [k, v] of Object.entries(data)) {
-			if (k === "id" || k === "sites" || k === "name") continue;
+			if (k === "id" || k === "sites" || k === "folders" || k === "name")
+				continue;
 			folder[k] = v;
 		}
+		this.touch(folder);
 		await this.save();
 		return folder;
 	}
 
-	/** Delete a folder and its sites */
+	/** Delete a folder (root or nested) together with its sites and subfolders */
 	async deleteFolder(id) {
-		const idx = this.folders.findIndex((f) => f.id === id);
-		if (idx === -1) throw new Error("Folder not found");
-		const [removed] = this.folders.splice(idx, 1);
-		this.rootOrder = this.rootOrder.filter(
-			(e) => !(e.type === "folder" && e.id === id),
-		);
+		const folder = this.getFolderById(id);
+		if (!folder) throw new Error("Folder not found");
+		this.storage.createSnapshot(`Deleted folder "${folder.name}"`, this.data);
+		const removed = this.detachFolder(id);
+		if (!removed) throw new Error("Folder not found");
+		this.recordBookmarkRemoval(removed);
 		await this.save();
 		return removed;
 	}
 
-	/** Get all folders in order */
+	/** Get all root folders in order */
 	getAllFolders() {
 		return this.folders;
 	}
 
-	/** Get root items in display order */
-	getRootItems() {
+	// =============== Nested Folders ==================
+
+	/**
+	 * Walk every folder depth-first, including subfolders
+	 * @param {(folder: Object, parent: Object|null, depth: number) => void} callback
+	 */
+	forEachFolder(callback) {
+		const walk = (list, parent, depth) => {
+			for (const folder of list) {
+				callback(folder, parent, depth);
+				if (Array.isArray(folder.folders)) walk(folder.folders, folder, depth + 1);
+			}
+		};
+		walk(this.folders, null, 0);
+	}
+
+	/**
+	 * Get every folder as a flat, display-ordered list
+	 * @returns {Array<{folder: Object, parent: Object|null, depth: number}>}
+	 */
+	getFolderTree() {
+		const result = [];
+		this.forEachFolder((folder, parent, depth) =>
+			result.push({ folder, parent, depth }),
+		);
+		return result;
+	}
+
+	/**
+	 * Get the parent folder of a folder
+	 * @param {string} id
+	 * @returns {Object|null} parent folder, or null for root folders and unknown ids
+	 */
+	getParentFolder(id) {
+		let found = null;
+		this.forEachFolder((folder, parent) => {
+			if (folder.id === id) found = parent;
+		});
+		return found;
+	}
+
+	/**
+	 * Get the chain of folders from the root down to (and including) a folder
+	 * @param {string} id
+	 * @returns {Object[]} empty when the folder does not exist
+	 */
+	getFolderPath(id) {
+		const path = [];
+		const walk = (list) => {
+			for (const folder of list) {
+				path.push(folder);
+				if (folder.id === id) return true;
+				if (Array.isArray(folder.folders) && walk(folder.folders)) return true;
+				path.pop();
+			}
+			return false;
+		};
+		return walk(this.folders) ? path : [];
+	}
+
+	/**
+	 * Whether a folder is the same as, or nested anywhere inside, another folder
+	 * @param {string} folderId
+	 * @param {string} ancestorId
+	 */
+	isFolderWithin(folderId, ancestorId) {
+		return this.getFolderPath(folderId).some((f) => f.id === ancestorId);
+	}
+
+	/**
+	 * Remove a folder from wherever it lives without saving
+	 * @param {string} id
+	 * @returns {Object|null} the detached folder
+	 */
+	detachFolder(id) {
+		const parent = this.getParentFolder(id);
+		const list = parent ? parent.folders : this.folders;
+		const idx = list.findIndex((f) => f.id === id);
+		if (idx === -1) return null;
+		const [removed] = list.splice(idx, 1);
+		if (!parent) {
+			this.rootOrder = this.rootOrder.filter(
+				(e) => !(e.type === "folder" && e.id === id),
+			);
+		}
+		return removed;
+	}
+
+	/**
+	 * Create a subfolder inside an existing folder
+	 * @param {string} parentId
+	 * @param {string} name
+	 * @param {object} extra optional extra fields (e.g., color)
+	 */
+	async createSubfolder(parentId, name, extra = {}) {
+		const parent = this.getFolderById(parentId);
+		if (!parent) throw new Error("Folder not found");
+		const folder = {
+			id: this.generateId(),
+			name: this.sanitizeInput(name || "New Folder"),
+			sites: [],
+			folders: [],
+			...extra,
+		};
+		if (!Array.isArray(parent.folders)) parent.folders = [];
+		parent.folders.push(folder);
+		await this.save();
+		return folder;
+	}
+
+	/**
+	 * Move a folder (with everything in it) inside another folder
+	 * @param {string} folderId
+	 * @param {string} targetFolderId
+	 */
+	async moveFolderToFolder(folderId, targetFolderId) {
+		if (folderId === targetFolderId) return null;
+		const target = this.getFolderById(targetFolderId);
+		if (!target || !this.getFolderById(folderId))
+			throw new Error("Folder not found");
+		if (this.isFolderWithin(targetFolderId, folderId))
+			throw new Error("Cannot move a folder into one of its own subfolders");
+
+		const folder = this.detachFolder(folderId);
+		if (!Array.isArray(target.folders)) target.folders = [];
+		target.folders.push(folder);
+		this.touch(folder);
+		await this.save();
+		return folder;
+	}
+
+	/**
+	 * Move a nested folder to another position among its sibling subfolders
+	 * @param {string} folderId
+	 * @param {number} newIndex - clamped to the parent's subfolders
+	 * @returns {Promise<number>} the index the folder ended up at
+	 */
+	async reorderSubfolder(folderId, newIndex) {
+		const parent = this.getParentFolder(folderId);
+		if (!parent) throw new Error("Folder not found");
+		const idx = parent.folders.findIndex((f) => f.id === folderId);
+		const clamped = Math.max(0, Math.min(newIndex, parent.folders.length - 1));
+		if (clamped === idx) return clamped;
+		const [folder] = parent.folders.splice(idx, 1);
+		parent.folders.splice(clamped, 0, folder);
+		await this.save();
+		return clamped;
+	}
+
+	/**
+	 * Move a nested folder back to the root grid; insert into rootOrder at index (optional)
+	 * @param {string} folderId
+	 * @param {number} [insertIndex]
+	 */
+	async moveFolderToRoot(folderId, insertIndex) {
+		if (!this.getParentFolder(folderId)) return this.getFolderById(folderId);
+		const folder = this.detachFolder(folderId);
+		if (!folder) throw new Error("Folder not found");
+		this.folders.push(folder);
+		const entry = { type: "folder", id: folder.id };
+		const idx = Number.isInteger(insertIndex)
+			? Math.max(0, Math.min(insertIndex, this.rootOrder.length))
+			: this.rootOrder.length;
+		this.rootOrder.splice(idx, 0, entry);
+		this.touch(folder);
+		await this.save();
+		return folder;
+	}
+
+	/**
+	 * Collect sites for a folder tile preview, falling back to subfolder contents
+	 * so that folders holding only subfolders still show icons
+	 * @param {Object} folder
+	 * @param {number} [max]
+	 */
+	getPreviewSites(folder, max = 4) {
+		const sites = [];
+		const collect = (f) => {
+			for (const site of f.sites || []) {
+				if (sites.length >= max) return;
+				sites.push(site);
+			}
+			for (const sub of f.folders || []) {
+				if (sites.length >= max) return;
+				collect(sub);
+			}
+		};
+		if (folder) collect(folder);
+		return sites;
+	}
+
+	/**
+	 * Get root items in display order
+	 * @param {Array<{type: string, id: string}>} [entries] - part of rootOrder, e.g. one page
+	 */
+	getRootItems(entries = this.rootOrder) {
 		const byFolder = new Map(this.folders.map((f) => [f.id, f]));
 		const byLink = new Map(this.links.map((l) => [l.id, l]));
-		return this.rootOrder
+		return entries
 			.map((e) =>
 				e.type === "folder"
 					? byFolder.get(e.id)
@@ -491,6 +690,79 @@ class FolderSystem {
 			.filter(Boolean);
 	}
 
+	// =============== Pages ==================
+	// The root grid can be split into pages. rootOrder stays one list in display order; while
+	// there is more than one page, each entry also carries the index of its page.
+
+	/**
+	 * Page of each rootOrder entry, numbered from 0 without gaps. Entries added without a
+	 * page go to the page on screen.
+	 * @returns {number[]}
+	 */
+	getPageIndexes() {
+		const hasPage = (e) => Number.isInteger(e.page) && e.page >= 0;
+		const fallback = this.rootOrder.some(hasPage) ? this.currentPage : 0;
+		const pages = this.rootOrder.map((e) => (hasPage(e) ? e.page : fallback));
+		const numbers = [...new Set(pages)].sort((a, b) => a - b);
+		return pages.map((page) => numbers.indexOf(page));
+	}
+
+	/** Number of root grid pages, at least one */
+	getPageCount() {
+		return Math.max(1, ...this.getPageIndexes().map((page) => page + 1));
+	}
+
+	/**
+	 * Root items of one page in display order
+	 * @param {number} page
+	 */
+	getPageItems(page) {
+		const indexes = this.getPageIndexes();
+		return this.getRootItems(this.rootOrder.filter((e, i) => indexes[i] === page));
+	}
+
+	/** Keep rootOrder in page order with pages numbered from 0; a single page needs no numbers */
+	normalizePages() {
+		const indexes = this.getPageIndexes();
+		const single = indexes.every((page) => page === 0);
+		const entries = this.rootOrder.map((entry, i) => ({ entry, page: indexes[i] }));
+		// A stable sort keeps the order within each page
+		entries.sort((a, b) => a.page - b.page);
+		entries.forEach(({ entry, page }, i) => {
+			if (single) delete entry.page;
+			else entry.page = page;
+			this.rootOrder[i] = entry;
+		});
+	}
+
+	/**
+	 * Move root items to another page. Pages left empty are removed.
+	 * @param {Array<{type: string, id: string}>} items
+	 * @param {number} page - index of the page; one past the last page starts a new one
+	 * @param {number} [position] - index on the page, after its last tile by default
+	 * @returns {Promise<number>} the page the items ended up on
+	 */
+	async moveToPage(items, page, position) {
+		const isMoved = (e) => items.some((item) => item.type === e.type && item.id === e.id);
+		const indexes = this.getPageIndexes();
+		const target = Math.max(0, Math.min(page, Math.max(-1, ...indexes) + 1));
+		const moved = [];
+		const rest = [];
+		this.rootOrder.forEach((entry, i) => {
+			entry.page = indexes[i];
+			(isMoved(entry) ? moved : rest).push(entry);
+		});
+		if (!moved.length) throw new Error("Item not found");
+
+		const before = rest.filter((e) => e.page < target).length;
+		const onPage = rest.filter((e) => e.page === target).length;
+		const at = before + Math.max(0, Math.min(position ?? onPage, onPage));
+		moved.forEach((entry) => (entry.page = target));
+		this.rootOrder.splice(0, this.rootOrder.length, ...rest.slice(0, at), ...moved, ...rest.slice(at));
+		await this.save();
+		return moved[0].page ?? 0;
+	}
+
 	// =============== Root Links ==================
 
 	/** Get all root-level links */
@@ -556,6 +828,8 @@ class FolderSystem {
 				link.icon = { type: "generated", pageUrl: link.url, size: 32 };
 			}
 		}
+		if ("openInNewTab" in data) link.openInNewTab = !!data.openInNewTab;
+		this.touch(link);
 		await this.save();
 		return link;
 	}
@@ -568,6 +842,7 @@ class FolderSystem {
 		this.rootOrder = this.rootOrder.filter(
 			(e) => !(e.type === "link" && e.id === linkId),
 		);
+		this.recordBookmarkRemoval(removed);
 		await this.save();
 		return removed;
 	}
@@ -583,6 +858,24 @@ class FolderSystem {
 		return this.links;
 	}
 
+	/**
+	 * Move a folder or link to another position on the root grid
+	 * @param {'folder'|'link'} type
+	 * @param {string} id
+	 * @param {number} newIndex - rootOrder index, clamped to the grid
+	 * @returns {Promise<number>} the index the item ended up at
+	 */
+	async moveRootItem(type, id, newIndex) {
+		const currentIndex = this.rootOrder.findIndex((e) => e.type === type && e.id === id);
+		if (currentIndex === -1) throw new Error("Item not found");
+		const clamped = Math.max(0, Math.min(newIndex, this.rootOrder.length - 1));
+		if (clamped === currentIndex) return clamped;
+		const [entry] = this.rootOrder.splice(currentIndex, 1);
+		this.rootOrder.splice(clamped, 0, entry);
+		await this.save();
+		return clamped;
+	}
+
 	/** Move a root link into a folder as a site */
 	async moveLinkToFolder(linkId, folderId) {
 		const folder = this.getFolderById(folderId);
@@ -601,6 +894,8 @@ class FolderSystem {
 			url: this.sanitizeUrl(link.url),
 			icon: link.icon || { type: "generated", pageUrl: link.url, size: 32 },
 		};
+		if (link.bookmarkId) site.bookmarkId = link.bookmarkId;
+		this.touch(site);
 		folder.sites.push(site);
 		await this.save();
 		return { folder, site };
@@ -613,13 +908,25 @@ class FolderSystem {
 		const target = this.getFolderById(targetFolderId);
 		if (!source || !target) throw new Error("Folder not found");
 
-		// Move all sites from source to target (append)
+		if (this.isFolderWithin(targetFolderId, sourceFolderId))
+			throw new Error("Cannot merge a folder into one of its own subfolders");
+		this.storage.createSnapshot(
+			`Merged "${source.name}" into "${target.name}"`,
+			this.data,
+		);
+
+		// Move all sites and subfolders from source to target (append)
+		(source.sites || []).forEach((s) => this.touch(s));
+		(source.folders || []).forEach((f) => this.touch(f));
 		target.sites.push(...(source.sites || []));
 		source.sites = [];
+		if (!Array.isArray(target.folders)) target.folders = [];
+		target.folders.push(...(source.folders || []));
+		source.folders = [];
 
 		// Remove source folder from collections
-		await this.deleteFolder(sourceFolderId);
-		// deleteFolder calls save; but target.sites already updated. Save again to persist final state
+		this.detachFolder(sourceFolderId);
+		this.recordBookmarkRemoval(source);
 		await this.save();
 		return target;
 	}
@@ -648,12 +955,16 @@ class FolderSystem {
 		const folder = {
 			id: this.generateId(),
 			name,
-			sites: selected.map((l) => ({
-				id: this.generateId(),
-				name: this.sanitizeInput(l.name),
-				url: this.sanitizeUrl(l.url),
-				icon: l.icon || { type: "generated", pageUrl: l.url, size: 32 },
-			})),
+			sites: selected.map((l) =>
+				this.touch({
+					id: this.generateId(),
+					name: this.sanitizeInput(l.name),
+					url: this.sanitizeUrl(l.url),
+					icon: l.icon || { type: "generated", pageUrl: l.url, size: 32 },
+					...(l.bookmarkId ? { bookmarkId: l.bookmarkId } : {}),
+				}),
+			),
+			folders: [],
 		};
 
 		// Remove links from root collections
@@ -677,11 +988,12 @@ class FolderSystem {
 
 	// =============== Site Management ==============
 
-	/** Add a site to a folder */
-	async addSite(folderId, siteData) {
-		const folder = this.getFolderById(folderId);
-		if (!folder) throw new Error("Folder not found");
-
+	/**
+	 * Build a validated site from user or tab data, stamped as just modified
+	 * @param {{name?: string, url?: string, icon?: string|Object}} siteData
+	 * @returns {Object} site, not yet added to any folder
+	 */
+	createSite(siteData) {
 		const name = this.sanitizeInput(siteData?.name || "New Site");
 		const url = this.sanitizeUrl(siteData?.url || "");
 
@@ -702,12 +1014,20 @@ class FolderSystem {
 			iconObj = { type: "generated", pageUrl: url, size: 32 };
 		}
 
-		const site = {
+		return this.touch({
 			id: this.generateId(),
 			name,
 			url,
 			icon: iconObj,
-		};
+		});
+	}
+
+	/** Add a site to a folder */
+	async addSite(folderId, siteData) {
+		const folder = this.getFolderById(folderId);
+		if (!folder) throw new Error("Folder not found");
+
+		const site = this.createSite(siteData);
 		folder.sites.push(site);
 		await this.save();
 		return site;
@@ -750,6 +1070,7 @@ class FolderSystem {
 			if (k === "id" || k === "name" || k === "url" || k === "icon") continue;
 			site[k] = v;
 		}
+		this.touch(site);
 		await this.save();
 		return site;
 	}
@@ -761,10 +1082,46 @@ class FolderSystem {
 		const idx = folder.sites.findIndex((s) => s.id === siteId);
 		if (idx === -1) throw new Error("Site not found");
 		const [removed] = folder.sites.splice(idx, 1);
+		this.recordBookmarkRemoval(removed);
 		await this.save();
 		return removed;
 	}
 
+	/** Move a site from one folder (or subfolder) into another */
+	async moveSiteBetweenFolders(sourceFolderId, siteId, targetFolderId) {
+		if (sourceFolderId === targetFolderId) return null;
+		const source = this.getFolderById(sourceFolderId);
+		const target = this.getFolderById(targetFolderId);
+		if (!source || !target) throw new Error("Folder not found");
+		const idx = source.sites.findIndex((s) => s.id === siteId);
+		if (idx === -1) throw new Error("Site not found");
+		const [site] = source.sites.splice(idx, 1);
+		target.sites.push(site);
+		this.touch(site);
+		await this.save();
+		return { folder: target, site };
+	}
+
+	/**
+	 * Move a site to another position within its folder
+	 * @param {string} folderId
+	 * @param {string} siteId
+	 * @param {number} newIndex - clamped to the folder's sites
+	 * @returns {Promise<number>} the index the site ended up at
+	 */
+	async reorderSite(folderId, siteId, newIndex) {
+		const folder = this.getFolderById(folderId);
+		if (!folder) throw new Error("Folder not found");
+		const idx = folder.sites.findIndex((s) => s.id === siteId);
+		if (idx === -1) throw new Error("Site not found");
+		const clamped = Math.max(0, Math.min(newIndex, folder.sites.length - 1));
+		if (clamped === idx) return clamped;
+		const [site] = folder.sites.splice(idx, 1);
+		folder.sites.splice(clamped, 0, site);
+		await this.save();
+		return clamped;
+	}
+
 	/** Move a site from a folder to the root grid as a link; insert into rootOrder at index (optional) */
 	async moveSiteToRoot(folderId, siteId, insertIndex) {
 		const folder = this.getFolderById(folderId);
@@ -780,6 +1137,8 @@ class FolderSystem {
 			url: this.sanitizeUrl(site.url),
 			icon: site.icon || { type: "generated", pageUrl: site.url, size: 32 },
 		};
+		if (site.bookmarkId) link.bookmarkId = site.bookmarkId;
+		this.touch(link);
 		this.links.push(link);
 		const entry = { type: "link", id: link.id };
 		const idxIns = Number.isInteger(insertIndex)
@@ -791,6 +1150,392 @@ class FolderSystem {
 		return link;
 	}
 
+	// =============== Bulk Operations ==================
+	// Items are { type: 'link'|'folder'|'site', id, folderId? } where folderId is the
+	// folder holding a site. Selections come from one grid: the root or a single folder.
+
+	/**
+	 * Move several items into a folder; items that are already there or can't go
+	 * there (a folder into itself or its own subfolder) are skipped
+	 * @param {Object[]} items
+	 * @param {string} targetFolderId
+	 * @returns {Promise<number>} number of items moved
+	 */
+	async moveItemsToFolder(items, targetFolderId) {
+		if (!this.getFolderById(targetFolderId)) throw new Error("Folder not found");
+		let moved = 0;
+		for (const item of items) {
+			if (item.type === "link") {
+				await this.moveLinkToFolder(item.id, targetFolderId);
+			} else if (item.type === "site") {
+				if (item.folderId === targetFolderId) continue;
+				await this.moveSiteBetweenFolders(item.folderId, item.id, targetFolderId);
+			} else if (item.type === "folder") {
+				if (
+					this.isFolderWithin(targetFolderId, item.id) ||
+					this.getParentFolder(item.id)?.id === targetFolderId
+				)
+					continue;
+				await this.moveFolderToFolder(item.id, targetFolderId);
+			} else {
+				continue;
+			}
+			moved++;
+		}
+		return moved;
+	}
+
+	/**
+	 * Move sites and nested folders to the root grid
+	 * @param {Object[]} items
+	 * @param {number} [insertIndex] - rootOrder index of the first moved item
+	 * @returns {Promise<Object[]>} the moved items as root items ({ type: 'link'|'folder', id })
+	 */
+	async moveItemsToRoot(items, insertIndex) {
+		const moved = [];
+		let idx = Number.isInteger(insertIndex) ? insertIndex : undefined;
+		for (const item of items) {
+			if (item.type === "site") {
+				const link = await this.moveSiteToRoot(item.folderId, item.id, idx);
+				moved.push({ type: "link", id: link.id });
+			} else if (item.type === "folder") {
+				const folder = await this.moveFolderToRoot(item.id, idx);
+				moved.push({ type: "folder", id: folder.id });
+			} else if (item.type === "link") {
+				moved.push({ type: "link", id: item.id });
+				continue;
+			} else {
+				continue;
+			}
+			if (idx !== undefined) idx++;
+		}
+		return moved;
+	}
+
+	/**
+	 * Delete several items at once (one snapshot, one save)
+	 * @param {Object[]} items
+	 * @returns {Promise<number>} number of items deleted
+	 */
+	async deleteItems(items) {
+		if (!Array.isArray(items) || !items.length) return 0;
+		this.storage.createSnapshot(
+			`Deleted ${items.length} item${items.length === 1 ? "" : "s"}`,
+			this.data,
+		);
+
+		let deleted = 0;
+		for (const item of items) {
+			let removed = null;
+			if (item.type === "link") {
+				const idx = this.links.findIndex((l) => l.id === item.id);
+				if (idx !== -1) [removed] = this.links.splice(idx, 1);
+				this.rootOrder = this.rootOrder.filter(
+					(e) => !(e.type === "link" && e.id === item.id),
+				);
+			} else if (item.type === "site") {
+				const folder = this.getFolderById(item.folderId);
+				const idx = folder ? folder.sites.findIndex((s) => s.id === item.id) : -1;
+				if (idx !== -1) [removed] = folder.sites.splice(idx, 1);
+			} else if (item.type === "folder") {
+				removed = this.detachFolder(item.id);
+			}
+			if (!removed) continue;
+			this.recordBookmarkRemoval(removed);
+			deleted++;
+		}
+
+		await this.save();
+		return deleted;
+	}
+
+	/**
+	 * Group selected items into a new folder. Root links go through
+	 * createFolderFromRootLinks; items inside a folder get a new subfolder there.
+	 * @param {Object[]} items
+	 * @param {string} [folderName]
+	 * @param {number} [insertIndex] - rootOrder index for a new root folder
+	 * @returns {Promise<Object>} the new folder
+	 */
+	async createFolderFromItems(items, folderName, insertIndex) {
+		if (!Array.isArray(items) || !items.length) throw new Error("No items provided");
+		const linkIds = items.filter((i) => i.type === "link").map((i) => i.id);
+		const others = items.filter((i) => i.type !== "link");
+
+		// Items inside a folder: the new folder becomes a sibling subfolder
+		const nested = others.find((i) => i.type === "site" || this.getParentFolder(i.id));
+		const parentId = nested
+			? nested.type === "site"
+				? nested.folderId
+				: this.getParentFolder(nested.id).id
+			: null;
+
+		let folder;
+		if (parentId) {
+			folder = await this.createSubfolder(parentId, folderName);
+		} else if (linkIds.length) {
+			folder = await this.createFolderFromRootLinks(linkIds, folderName, insertIndex);
+		} else {
+			folder = await this.createFolder(folderName);
+			if (Number.isInteger(insertIndex)) {
+				const entry = this.rootOrder.pop();
+				const idx = Math.max(0, Math.min(insertIndex, this.rootOrder.length));
+				this.rootOrder.splice(idx, 0, entry);
+				await this.save();
+			}
+		}
+
+		await this.moveItemsToFolder(others, folder.id);
+		return folder;
+	}
+
+	// =============== Saved Tabs ==================
+
+	/**
+	 * Save browser tabs as a new root folder. Tabs that are not web pages (new tab, settings,
+	 * extension pages) are left out, and tabs showing the same page - same host by
+	 * normalizeHostname, same path and query - are saved once. Only the tabs are compared
+	 * with each other: pages that already have a tile are saved again, so the folder holds
+	 * the whole window.
+	 * @param {Array<{url: string, title?: string}>} tabs - chrome.tabs.Tab objects
+	 * @param {string} [name] - folder name; defaults to "Tabs <date>"
+	 * @returns {Promise<{folder: Object, added: number, duplicates: number}>}
+	 */
+	async createFolderFromTabs(tabs, name) {
+		const seen = new Set();
+		const pages = [];
+		let duplicates = 0;
+		for (const tab of tabs || []) {
+			let parsed;
+			try {
+				parsed = new URL(tab?.url);
+			} catch {
+				continue;
+			}
+			if (parsed.protocol !== "http:" && parsed.protocol !== "https:") continue;
+			const key = this.normalizeHostname(tab.url) + parsed.pathname.replace(/\/+$/, "") + parsed.search;
+			if (seen.has(key)) {
+				duplicates++;
+				continue;
+			}
+			seen.add(key);
+			pages.push(tab);
+		}
+		if (!pages.length) throw new Error("No web pages to save");
+
+		// Created with its sites in one save, so the folder never appears half filled
+		const sites = pages.map((tab) => this.createSite({ name: tab.title || tab.url, url: tab.url }));
+		const folder = await this.createFolder(name?.trim() || `Tabs ${new Date().toLocaleDateString()}`, { sites });
+		return { folder, added: pages.length, duplicates };
+	}
+
+	// =============== Merge Import ==================
+
+	/**
+	 * Work out how an imported layout would merge into the current one, without changing anything.
+	 * Links and sites are matched by normalized hostname (same rule as getAllExistingHosts):
+	 * an unknown host is added, an identical URL is skipped, and a different URL on a known
+	 * host is a conflict. Folders are matched by name so packs extend existing folders.
+	 * @param {{folders?: Object[], links?: Object[], rootOrder?: Array<{type: string, id: string}>}} incoming
+	 * @returns {{added: Object[], skipped: Object[], conflicts: Object[], root: Object[]}}
+	 *   added/skipped/conflicts are display entries { key, kind, name, url, path, existing? };
+	 *   root is the tree consumed by applyMerge
+	 */
+	planMerge(incoming) {
+		const plan = { added: [], skipped: [], conflicts: [], root: [] };
+		let nextKey = 0;
+
+		// normalized host -> existing items using it
+		const known = new Map();
+		const remember = (item, path) => {
+			const host = this.normalizeHostname(item.url);
+			if (!known.has(host)) known.set(host, []);
+			known.get(host).push({ name: item.name, url: item.url, path });
+		};
+		this.links.forEach((link) => remember(link, ""));
+		const walk = (list, path) => {
+			for (const folder of list) {
+				const folderPath = path ? `${path} / ${folder.name}` : folder.name;
+				(folder.sites || []).forEach((site) => remember(site, folderPath));
+				walk(folder.folders || [], folderPath);
+			}
+		};
+		walk(this.folders, "");
+
+		// Same address apart from "www." and a trailing slash
+		const urlKey = (url) => {
+			try {
+				const u = new URL(url);
+				return `${this.normalizeHostname(url)}${u.pathname.replace(/\/+$/, "")}${u.search}`;
+			} catch {
+				return url;
+			}
+		};
+		const sameUrl = (a, b) => urlKey(a) === urlKey(b);
+		const classifyUrl = (item, path) => {
+			const url = this.sanitizeUrl(item?.url || "");
+			try {
+				new URL(url);
+			} catch {
+				return null;
+			}
+			const entry = {
+				key: `merge_${nextKey++}`,
+				kind: path ? "site" : "link",
+				name: item.name || url,
+				url,
+				path,
+			};
+			const matches = known.get(this.normalizeHostname(url)) || [];
+			if (!matches.length) {
+				entry.status = "added";
+				plan.added.push(entry);
+				remember(entry, path);
+			} else if (matches.some((m) => sameUrl(m.url, url))) {
+				entry.status = "skipped";
+				entry.reason = "Already exists";
+				entry.existing = matches.find((m) => sameUrl(m.url, url));
+				plan.skipped.push(entry);
+			} else {
+				entry.status = "conflict";
+				entry.existing = matches[0];
+				plan.conflicts.push(entry);
+			}
+			return { type: "url", item: { ...item, url }, entry };
+		};
+
+		const findByName = (list, name) =>
+			(list || []).find(
+				(f) => this.normalizeFolderName(f.name) === this.normalizeFolderName(name),
+			) || null;
+		const classifyFolder = (folder, siblings, path) => {
+			const name = folder?.name || "Folder";
+			const target = findByName(siblings, name);
+			const shownName = target ? target.name : name;
+			const folderPath = path ? `${path} / ${shownName}` : shownName;
+			const node = {
+				type: "folder",
+				name,
+				extra: folder?.color ? { color: folder.color } : {},
+				target,
+				children: [],
+			};
+			if (!target) {
+				plan.added.push({ key: `merge_${nextKey++}`, kind: "folder", name, path: path || "" });
+			}
+			for (const site of folder?.sites || []) {
+				const child = classifyUrl(site, folderPath);
+				if (child) node.children.push(child);
+			}
+			for (const sub of folder?.folders || []) {
+				node.children.push(classifyFolder(sub, target?.folders, folderPath));
+			}
+			return node;
+		};
+
+		// Root items in the file's display order, then anything rootOrder misses
+		const folders = Array.isArray(incoming?.folders) ? incoming.folders : [];
+		const links = Array.isArray(incoming?.links) ? incoming.links : [];
+		const pending = new Map([
+			...folders.map((f) => [f, "folder"]),
+			...links.map((l) => [l, "link"]),
+		]);
+		const ordered = [];
+		for (const e of Array.isArray(incoming?.rootOrder) ? incoming.rootOrder : []) {
+			const list = e.type === "folder" ? folders : links;
+			const item = list.find((x) => x.id === e.id);
+			if (item && pending.has(item)) {
+				ordered.push([item, pending.get(item)]);
+				pending.delete(item);
+			}
+		}
+		ordered.push(...pending.entries());
+
+		for (const [item, type] of ordered) {
+			const node =
+				type === "folder" ? classifyFolder(item, this.folders, "") : classifyUrl(item, "");
+			if (node) plan.root.push(node);
+		}
+		return plan;
+	}
+
+	/**
+	 * Apply a plan from planMerge
+	 * @param {Object} plan
+	 * @param {Set<string>|string[]} [acceptedConflicts] - conflict keys to add anyway
+	 * @returns {Promise<number>} number of links and sites added
+	 */
+	async applyMerge(plan, acceptedConflicts = []) {
+		this.storage.createSnapshot("Before merge import", this.data);
+		const accepted = new Set(acceptedConflicts);
+		let count = 0;
+		const include = (node) =>
+			node.entry.status === "added" ||
+			(node.entry.status === "conflict" && accepted.has(node.entry.key));
+		const toSite = (item) => ({
+			id: this.generateId(),
+			name: this.sanitizeInput(item.name || item.url),
+			url: item.url,
+			icon:
+				item.icon && typeof item.icon === "object"
+					? item.icon
+					: { type: "generated", pageUrl: item.url, size: 32 },
+		});
+		const newFolder = (node) => ({
+			id: this.generateId(),
+			name: this.sanitizeInput(node.name),
+			sites: [],
+			folders: [],
+			...node.extra,
+		});
+		const hasContent = (folder) => folder.sites.length > 0 || folder.folders.length > 0;
+
+		const fill = (folder, children) => {
+			for (const child of children) {
+				if (child.type === "url") {
+					if (!include(child)) continue;
+					folder.sites.push(toSite(child.item));
+					count++;
+				} else if (child.target) {
+					fill(child.target, child.children);
+				} else {
+					const sub = newFolder(child);
+					fill(sub, child.children);
+					if (hasContent(sub)) {
+						if (!Array.isArray(folder.folders)) folder.folders = [];
+						folder.folders.push(sub);
+					}
+				}
+			}
+		};
+
+		for (const node of plan.root) {
+			if (node.type === "url") {
+				if (!include(node)) continue;
+				const link = toSite(node.item);
+				this.links.push(link);
+				this.rootOrder.push({ type: "link", id: link.id });
+				count++;
+			} else if (node.target) {
+				fill(node.target, node.children);
+			} else {
+				const folder = newFolder(node);
+				fill(folder, node.children);
+				if (!hasContent(folder)) continue;
+				this.folders.push(folder);
+				this.rootOrder.push({ type: "folder", id: folder.id });
+			}
+		}
+
+		await this.save();
+		return count;
+	}
+
+	/** Folder names compare case-insensitively and ignore HTML escaping */
+	normalizeFolderName(name) {
+		return this.storage.unescapeHtml(name).trim().toLowerCase();
+	}
+
 	/** Generate a favicon URL from a site URL */
 	generateFaviconUrl(url, size = 32) {
 		try {
@@ -905,7 +1650,7 @@ class FolderSystem {
 
 		// Initialize popularity for all items
 		this.links.forEach(link => this.initializePopularity(link));
-		this.folders.forEach(folder => {
+		this.forEachFolder(folder => {
 			folder.sites?.forEach(site => this.initializePopularity(site));
 		});
 
@@ -936,10 +1681,100 @@ class FolderSystem {
 		return true;
 	}
 
+	// =============== Search ======================
+
+	/**
+	 * Fuzzy-find root links and folder sites by name and URL.
+	 * Better matches come first; popularity breaks ties and lifts frequently used tiles.
+	 * @param {string} query
+	 * @param {number} [limit]
+	 * @returns {Array<{type: 'link'|'site', item: Object, folderId: string|null, path: string[], score: number}>}
+	 *   path: names of the enclosing folders, outermost first
+	 */
+	searchItems(query, limit = 20) {
+		const q = String(query || "").trim().toLowerCase();
+		const results = [];
+		const consider = (type, item, folderId, path) => {
+			let match = 1; // an empty query lists the most popular tiles
+			if (q) {
+				const url = String(item.url || "").replace(/^[a-z]+:\/\/(www\.)?/i, "");
+				match = Math.max(
+					this.fuzzyScore(item.name, q),
+					this.fuzzyScore(url, q) * 0.8,
+				);
+				if (match <= 0) return;
+			}
+			const score = match + Math.log1p(this.calculatePopularityScore(item)) * 5;
+			results.push({ type, item, folderId, path, score });
+		};
+
+		this.getAllLinks().forEach((link) => consider("link", link, null, []));
+		const walk = (folders, path) => {
+			for (const folder of folders || []) {
+				const folderPath = [...path, folder.name];
+				(folder.sites || []).forEach((site) => consider("site", site, folder.id, folderPath));
+				walk(folder.folders, folderPath);
+			}
+		};
+		walk(this.folders, []);
+
+		return results.sort((a, b) => b.score - a.score).slice(0, limit);
+	}
+
+	/**
+	 * Score how well text matches a lowercase query: prefix > word start > substring >
+	 * characters in order (fuzzy). 0 means no match.
+	 * @param {string} text
+	 * @param {string} query - lowercase
+	 * @returns {number} 0..100
+	 */
+	fuzzyScore(text, query) {
+		const t = String(text || "").toLowerCase();
+		if (!t || !query) return 0;
+		if (t.startsWith(query)) return 100;
+		const index = t.indexOf(query);
+		if (index !== -1) {
+			return /[\s\-_./:]/.test(t[index - 1]) ? 80 : 60;
+		}
+
+		// Subsequence: every query character appears in order; tighter spans score higher
+		let pos = -1;
+		let first = -1;
+		for (const ch of query) {
+			pos = t.indexOf(ch, pos + 1);
+			if (pos === -1) return 0;
+			if (first === -1) first = pos;
+		}
+		const span = pos - first + 1;
+		return Math.max(1, 40 * (query.length / span));
+	}
+
 	// =============== Helpers ======================
 
+	/** Stamp an item with its last modification time (used to resolve bookmark sync conflicts) */
+	touch(item) {
+		item.modifiedAt = Date.now();
+		return item;
+	}
+
+	/**
+	 * Remember that a synced item was deleted so the bookmark sync removes its bookmark
+	 * instead of importing it again
+	 * @param {Object} item - removed link, site or folder
+	 */
+	recordBookmarkRemoval(item) {
+		const sync = this.data.meta?.bookmarkSync;
+		if (!item || !item.bookmarkId || !sync || !sync.enabled) return;
+		if (!sync.removed || typeof sync.removed !== "object") sync.removed = {};
+		sync.removed[item.bookmarkId] = Date.now();
+	}
+
 	getFolderById(id) {
-		return this.folders.find((f) => f.id === id);
+		let found;
+		this.forEachFolder((folder) => {
+			if (!found && folder.id === id) found = folder;
+		});
+		return found;
 	}
 
 	getSiteById(folderId, siteId) {
@@ -0,0 +1,135 @@
+// tilio - Link Opening (no UI dependencies)
+// Opens tiles in the current tab, a new foreground or background tab, or a new window,
+// and launches whole folders as a tab group.
+// Modifier keys follow the browser: middle-click or Ctrl/Cmd-click opens a background tab,
+// adding Shift brings that tab to the front, and Shift-click alone opens a new window.
+
+class LinkOpener {
+	/**
+	 * Open mode for a click or key press
+	 * @param {MouseEvent|KeyboardEvent} event
+	 * @param {Object} [item] - link or site; openInNewTab turns plain clicks into new tabs
+	 * @returns {'current'|'foreground'|'background'|'window'}
+	 */
+	static modeForEvent(event, item) {
+		const newTab = event?.button === 1 || event?.ctrlKey || event?.metaKey;
+		if (newTab) return event.shiftKey ? "foreground" : "background";
+		if (event?.shiftKey) return "window";
+		return item?.openInNewTab ? "foreground" : "current";
+	}
+
+	/**
+	 * Open a URL
+	 * @param {string} url
+	 * @param {'current'|'foreground'|'background'|'window'} [mode]
+	 */
+	static async open(url, mode = "current") {
+		if (mode === "current" || !LinkOpener.MODES.includes(mode)) {
+			LinkOpener.navigate(url);
+			return;
+		}
+
+		const api = typeof chrome !== "undefined" ? chrome : null;
+		try {
+			if (mode === "window") {
+				if (api?.windows?.create) await api.windows.create({ url, focused: true });
+				else window.open(url, "_blank", "noopener,popup");
+				return;
+			}
+			if (api?.tabs?.create) {
+				// Link the tab to this one so closing it returns here, like a regular Ctrl-click
+				const current = await api.tabs.getCurrent?.();
+				await api.tabs.create({
+					url,
+					active: mode === "foreground",
+					...(current ? { openerTabId: current.id } : {}),
+				});
+				return;
+			}
+			window.open(url, "_blank", "noopener");
+		} catch (error) {
+			console.warn("Failed to open link in a new tab, opening it here:", error);
+			LinkOpener.navigate(url);
+		}
+	}
+
+	/**
+	 * Open several URLs as background tabs, grouped when the tabGroups API is available
+	 * @param {string[]} urls
+	 * @param {{title?: string, color?: string}} [group] - tab group label and color
+	 * @returns {Promise<{opened: number, grouped: boolean}>}
+	 */
+	static async openAll(urls, group = {}) {
+		const api = typeof chrome !== "undefined" ? chrome : null;
+		if (!urls.length) return { opened: 0, grouped: false };
+
+		if (!api?.tabs?.create) {
+			// Plain page (e.g. the dev build); the browser may block all but the first popup
+			urls.forEach((url) => window.open(url, "_blank", "noopener"));
+			return { opened: urls.length, grouped: false };
+		}
+
+		const current = await api.tabs.getCurrent?.();
+		const tabs = [];
+		for (const url of urls) {
+			try {
+				tabs.push(await api.tabs.create({ url, active: false, ...(current ? { windowId: current.windowId } : {}) }));
+			} catch (error) {
+				console.warn("Failed to open tab:", url, error);
+			}
+		}
+		if (!tabs.length || !api.tabs.group || !api.tabGroups?.update) {
+			return { opened: tabs.length, grouped: false };
+		}
+
+		try {
+			const groupId = await api.tabs.group({
+				tabIds: tabs.map((tab) => tab.id),
+				...(current ? { createProperties: { windowId: current.windowId } } : {}),
+			});
+			await api.tabGroups.update(groupId, {
+				title: group.title || "",
+				color: LinkOpener.GROUP_COLORS.includes(group.color) ? group.color : "grey",
+			});
+			return { opened: tabs.length, grouped: true };
+		} catch (error) {
+			console.warn("Failed to group tabs:", error);
+			return { opened: tabs.length, grouped: false };
+		}
+	}
+
+	/**
+	 * Tab group color for a folder: its own color when that names a group color,
+	 * otherwise one picked from the name so a folder always gets the same color
+	 * @param {{name?: string, color?: string}} folder
+	 * @returns {string} one of LinkOpener.GROUP_COLORS
+	 */
+	static groupColorFor(folder) {
+		const own = String(folder?.color || "").toLowerCase();
+		if (LinkOpener.GROUP_COLORS.includes(own)) return own;
+		const name = String(folder?.name || "");
+		let hash = 0;
+		for (let i = 0; i < name.length; i++) {
+			hash = (hash * 31 + name.charCodeAt(i)) | 0;
+		}
+		return LinkOpener.GROUP_COLORS[Math.abs(hash) % LinkOpener.GROUP_COLORS.length];
+	}
+
+	/** Navigate the current tab */
+	static navigate(url) {
+		try {
+			window.location.href = url;
+		} catch {
+			window.location.assign(url);
+		}
+	}
+}
+
+LinkOpener.MODES = ["current", "foreground", "background", "window"];
+// chrome.tabGroups.Color values
+LinkOpener.GROUP_COLORS = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
+
+// Export for window (pages) and the service worker global scope
+if (typeof window !== "undefined") {
+	window.LinkOpener = LinkOpener;
+}
@@ -0,0 +1,110 @@
+// tilio - Media Store
+// Background images live in IndexedDB rather than chrome.storage: an image is often
+// several megabytes, which would eat into the newtab_data quota on every save.
+// Images are device-local; they are not part of backups or cloud sync.
+
+class MediaStore {
+	constructor(dbName = "tilio-media") {
+		this.dbName = dbName;
+		this.dbPromise = null;
+	}
+
+	static isAvailable() {
+		return typeof indexedDB !== "undefined";
+	}
+
+	/**
+	 * Open (and on first run create) the database
+	 * @returns {Promise<IDBDatabase>}
+	 */
+	open() {
+		if (!this.dbPromise) {
+			this.dbPromise = new Promise((resolve, reject) => {
+				const request = indexedDB.open(this.dbName, MediaStore.VERSION);
+				request.onupgradeneeded = () => {
+					const db = request.result;
+					if (!db.objectStoreNames.contains(MediaStore.IMAGES)) {
+						db.createObjectStore(MediaStore.IMAGES, { keyPath: "id" });
+					}
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => {
+					this.dbPromise = null;
+					reject(request.error);
+				};
+			});
+		}
+		return this.dbPromise;
+	}
+
+	/**
+	 * Run one request against the images store
+	 * @param {string} mode - "readonly" or "readwrite"
+	 * @param {function(IDBObjectStore): IDBRequest} makeRequest
+	 * @returns {Promise<*>} the request's result, once the transaction has committed
+	 */
+	async run(mode, makeRequest) {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(MediaStore.IMAGES, mode);
+			const request = makeRequest(transaction.objectStore(MediaStore.IMAGES));
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+		});
+	}
+
+	/**
+	 * @param {Object} record - image record with an id
+	 */
+	async put(record) {
+		await this.run("readwrite", (store) => store.put(record));
+		return record;
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {Promise<Object|null>}
+	 */
+	async get(id) {
+		if (!id) return null;
+		return (await this.run("readonly", (store) => store.get(id))) || null;
+	}
+
+	/**
+	 * All images, oldest first
+	 * @returns {Promise<Array<Object>>}
+	 */
+	async list() {
+		const records = await this.run("readonly", (store) => store.getAll());
+		return records.sort((a, b) => a.addedAt - b.addedAt);
+	}
+
+	/**
+	 * Change fields of a stored image
+	 * @param {string} id
+	 * @param {Object} changes
+	 * @returns {Promise<Object|null>} the updated record, or null if it no longer exists
+	 */
+	async update(id, changes) {
+		const record = await this.get(id);
+		if (!record) return null;
+		return this.put({ ...record, ...changes });
+	}
+
+	async delete(id) {
+		await this.run("readwrite", (store) => store.delete(id));
+	}
+
+	async clear() {
+		await this.run("readwrite", (store) => store.clear());
+	}
+}
+
+MediaStore.VERSION = 1;
+MediaStore.IMAGES = "images";
+
+// Export for window (pages)
+if (typeof window !== "undefined") {
+	window.MediaStore = MediaStore;
+}
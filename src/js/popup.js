@@ -0,0 +1,146 @@
+// tilio - Toolbar Popup
+// Adds the active tab to the main grid or a folder, and saves the window's tabs as a folder.
+// Writes go through the background worker so open new tab pages reload the change.
+
+class TilioPopup {
+  constructor() {
+    this.storage = new StorageManager();
+    this.folderSystem = new FolderSystem(this.storage);
+    this.tab = null;
+    this.iconUrl = null;
+    this.form = document.getElementById("add-page-form");
+    this.titleInput = document.getElementById("page-title");
+    this.urlInput = document.getElementById("page-url");
+    this.targetSelect = document.getElementById("page-target");
+    this.icon = document.getElementById("page-icon");
+    this.host = document.getElementById("page-host");
+    this.status = document.getElementById("popup-status");
+  }
+
+  async init() {
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.addPage();
+    });
+    document.getElementById("save-tabs").addEventListener("click", () => this.saveTabs());
+    this.urlInput.addEventListener("change", () => this.updatePreview());
+
+    await this.folderSystem.initialize();
+    await this.renderTargets();
+
+    [this.tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = this.tab?.url || "";
+    if (!/^https?:/i.test(url)) {
+      this.setStatus("This page can't be added to Tilio.", "error");
+      this.form.querySelector("#add-page").disabled = true;
+      return;
+    }
+    this.titleInput.value = this.tab.title || "";
+    this.urlInput.value = url;
+    this.updatePreview();
+    this.titleInput.select();
+  }
+
+  /** Main grid plus every folder, indented by depth; the last choice is preselected */
+  async renderTargets() {
+    const lastTarget = await this.storage.getStoredValue(TilioPopup.LAST_TARGET_KEY);
+    this.folderSystem.getFolderTree().forEach(({ folder, depth }) => {
+      const option = document.createElement("option");
+      option.value = folder.id;
+      // Folder names are stored HTML-escaped, like the <option> markup in DialogManager
+      option.innerHTML = `${"&nbsp;&nbsp;".repeat(depth)}${depth ? "↳ " : ""}${folder.name}`;
+      this.targetSelect.appendChild(option);
+    });
+    if (lastTarget && this.folderSystem.getFolderById(lastTarget)) {
+      this.targetSelect.value = lastTarget;
+    }
+  }
+
+  /** Show the favicon right away, then swap in the best icon the background worker finds */
+  async updatePreview() {
+    const url = this.urlInput.value.trim();
+    this.iconUrl = null;
+    let host = "";
+    try {
+      host = new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+      // Invalid URLs are reported on submit
+    }
+    this.host.textContent = host;
+    this.icon.src = this.tab?.url === url && this.tab.favIconUrl
+      ? this.tab.favIconUrl
+      : this.folderSystem.generateFallbackFaviconUrl(url);
+    if (!host) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: "getBestIcon", url });
+      // A string is a verified image; otherwise the generated favicon is kept
+      if (this.urlInput.value.trim() === url && typeof response?.icon === "string") {
+        this.iconUrl = response.icon;
+        this.icon.src = response.icon;
+      }
+    } catch (error) {
+      console.warn("Failed to look up icon:", error);
+    }
+  }
+
+  async addPage() {
+    const folderId = this.targetSelect.value || null;
+    const button = this.form.querySelector("#add-page");
+    button.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "addPage",
+        name: this.titleInput.value.trim(),
+        url: this.urlInput.value.trim(),
+        icon: this.iconUrl,
+        folderId,
+      });
+      if (!response?.success) throw new Error(response?.error || "Failed to add page");
+      await this.storage.setStoredValue(TilioPopup.LAST_TARGET_KEY, folderId);
+      const where = folderId ? this.targetSelect.selectedOptions[0].textContent.replace(/^[\s↳]+/, "") : "the main grid";
+      this.setStatus(`Added to ${where}.`, "success");
+      setTimeout(() => window.close(), TilioPopup.CLOSE_DELAY);
+    } catch (error) {
+      console.error("Failed to add page:", error);
+      this.setStatus(error.message === "Invalid URL" ? "Please enter a valid URL." : error.message, "error");
+      button.disabled = false;
+    }
+  }
+
+  async saveTabs() {
+    const button = document.getElementById("save-tabs");
+    button.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "saveWindowTabs",
+        windowId: this.tab?.windowId,
+      });
+      if (!response?.success) throw new Error(response?.error || "Failed to save tabs");
+      const { added, duplicates } = response;
+      this.setStatus(
+        `Saved ${added} tab${added === 1 ? "" : "s"} as a folder${duplicates ? ` (${duplicates} duplicate tab${duplicates === 1 ? "" : "s"} skipped)` : ""}.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Failed to save tabs:", error);
+      this.setStatus(error.message, "error");
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  setStatus(message, type) {
+    this.status.textContent = message;
+    this.status.dataset.type = type;
+  }
+}
+
+TilioPopup.LAST_TARGET_KEY = "tilio_popup_target";
+TilioPopup.CLOSE_DELAY = 900;
+
+document.addEventListener("DOMContentLoaded", () => {
+  new TilioPopup().init().catch((error) => {
+    console.error("Popup failed to start:", error);
+  });
+});
@@ -18,6 +18,7 @@
 
   function buildForm(settings){
     const engine = settings.searchEngine || { name: 'DuckDuckGo', template: 'https://duckduckgo.com/?q={query}' };
+    const engines = getEngines(settings);
     console.log('Search: Building form with engine:', engine.name);
     const container = document.getElementById('search-bar-container');
     if(!container) return;
@@ -25,57 +26,597 @@
     container.innerHTML = '';
     const form = document.createElement('form');
     form.setAttribute('autocomplete','off');
+    form.innerHTML = `
+      <div class="search-leading">
+        <button type="button" class="engine-badge" aria-haspopup="menu" aria-expanded="false" aria-controls="tilio-engine-menu">
+          <img alt="" />
+        </button>
+      </div>
+      <input type="text" id="tilio-search-input" aria-label="Search"
+             role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="tilio-search-suggestions" />
+      <button class="nt-btn search-submit" type="submit" aria-label="Search submit">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>
+        <span>Search</span>
+      </button>`;
+
+    const input = form.querySelector('#tilio-search-input');
+    const badge = form.querySelector('.engine-badge');
+    input.placeholder = engine.name;
+
+    // Badge shows the engine the current text goes to
+    const showEngine = (target)=>{
+      setLogo(badge.querySelector('img'), target);
+      const routed = target !== engine;
+      badge.classList.toggle('routed', routed);
+      badge.title = routed ? `Searching ${target.name}` : `Search engine: ${engine.name} (click to change)`;
+      badge.setAttribute('aria-label', `Search engine: ${target.name}. Change default engine`);
+    };
+    const resolve = (text)=> routeQuery(text, engines, engine);
+    showEngine(engine);
+
+    // Modifier keys of the Enter press or button click that submits the form
+    let openMode = 'current';
+    const trackMode = (e)=>{ openMode = searchOpenMode(e); };
+    input.addEventListener('keydown', (e)=>{ if(e.key === 'Enter') trackMode(e); });
+    const submitButton = form.querySelector('.search-submit');
+    submitButton.addEventListener('click', trackMode);
+    const submit = (mode)=>{
+      openMode = mode;
+      form.requestSubmit();
+    };
+    submitButton.addEventListener('auxclick', (e)=>{
+      if(e.button === 1) submit(searchOpenMode(e));
+    });
+
+    form.addEventListener('submit', async (e)=>{
+      e.preventDefault();
+      const mode = openMode;
+      openMode = 'current';
+      const q = input.value.trim();
+      if(!q) return;
+      const route = resolve(q);
+      if(!route.query) return;
+      await rememberSearch(q, settings);
+      const url = route.engine.template.replace('{query}', encodeURIComponent(route.query));
+      if(mode !== 'current' && window.LinkOpener){
+        LinkOpener.open(url, mode);
+        return;
+      }
+      // Use chrome.tabs if available else fallback
+      try {
+        if(typeof chrome !== 'undefined' && chrome.tabs && chrome.tabs.update){
+          chrome.tabs.update({ url });
+        } else {
+          window.location.href = url;
+        }
+      } catch(err){
+        window.location.href = url;
+      }
+    });
+
+    // Typing ">" first hands the rest over to the command palette
+    input.addEventListener('input', ()=>{
+      showEngine(resolve(input.value).engine);
+      const palette = window.__newtabApp?.ui?.commandPaletteManager;
+      if(!palette || !input.value.startsWith('>')) return;
+      const query = input.value.slice(1).trimStart();
+      input.value = '';
+      showEngine(engine);
+      palette.open(query);
+    });
+
+    container.appendChild(form);
+    attachEngineMenu(container, badge, engines, engine);
+    attachSuggestions(container, submit, input, resolve, settings);
+  }
+
+  /**
+   * Where a search opens: Ctrl/Cmd or middle-click -> background tab, Alt or
+   * Ctrl/Cmd+Shift -> foreground tab, Shift -> new window (same as the address bar)
+   */
+  function searchOpenMode(e){
+    if(!window.LinkOpener) return 'current';
+    if(e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey) return 'foreground';
+    return LinkOpener.modeForEvent(e);
+  }
+
+  // ---- Engines & keywords ----
+
+  function getEngines(settings){
+    if(window.SettingsManager?.resolveSearchEngines){
+      return SettingsManager.resolveSearchEngines(settings);
+    }
+    return [settings.searchEngine || { name: 'DuckDuckGo', template: 'https://duckduckgo.com/?q={query}' }];
+  }
+
+  function normalizeKeyword(keyword){
+    return String(keyword || '').trim().toLowerCase().replace(/^!+/, '');
+  }
+
+  /**
+   * Pick the engine for typed text: a leading keyword ("gh react hooks", "!w tokyo")
+   * or a trailing bang ("tokyo !w") routes to that engine, anything else uses the default
+   * @returns {{engine: Object, query: string, prefix: string, suffix: string}}
+   *   prefix/suffix: the keyword part of the text, kept when completing suggestions
+   */
+  function routeQuery(text, engines, defaultEngine){
+    const find = (keyword)=>{
+      const wanted = normalizeKeyword(keyword);
+      return wanted ? engines.find((e)=> normalizeKeyword(e.keyword) === wanted) : null;
+    };
+    const leading = /^(\s*!?([^\s!]+)\s+)(\S[\s\S]*)$/.exec(text);
+    if(leading){
+      const engine = find(leading[2]);
+      if(engine) return { engine, query: leading[3].trim(), prefix: leading[1], suffix: '' };
+    }
+    const trailing = /^([\s\S]*?\S)(\s+!([^\s!]+)\s*)$/.exec(text);
+    if(trailing){
+      const engine = find(trailing[3]);
+      if(engine) return { engine, query: trailing[1].trim(), prefix: '', suffix: trailing[2] };
+    }
+    return { engine: defaultEngine, query: text.trim(), prefix: '', suffix: '' };
+  }
+
+  function setLogo(img, engine){
     const knownLogos = {
       'DuckDuckGo': 'icons/search-engines/duckduckgo.svg',
       'Google': 'icons/search-engines/google.svg',
       'Bing': 'icons/search-engines/bing.svg',
       'Brave': 'icons/search-engines/brave.svg'
     };
+    let host = '';
+    try { host = new URL(engine.template.replace('{query}','test')).hostname; } catch(_){ /* invalid template */ }
     // Derive domain for custom engine favicon
     let logoSrc = knownLogos[engine.name];
     if(!logoSrc){
       try {
-        const u = new URL(engine.template.replace('{query}','test'));
         // Use Chrome Extension Favicon API for better accuracy
         const faviconBaseUrl = new URL(chrome.runtime.getURL("/_favicon/"));
-        faviconBaseUrl.searchParams.set("pageUrl", u.origin);
+        faviconBaseUrl.searchParams.set("pageUrl", `https://${host}`);
         faviconBaseUrl.searchParams.set("size", "32");
         logoSrc = faviconBaseUrl.toString();
       } catch(_) {
         logoSrc = 'icons/search-engines/duckduckgo.svg';
       }
     }
-    form.innerHTML = `
-      <div class="search-leading">
-        <span class="engine-badge" title="Search engine">
-          <img src="${logoSrc}" alt="${engine.name} logo" 
-               onerror="this.src='https://www.google.com/s2/favicons?domain=' + new URL('${engine.template.replace('{query}','test')}').hostname + '&sz=32';" />
-        </span>
-      </div>
-      <input type="text" id="tilio-search-input" placeholder="${engine.name}" aria-label="Search" />
-      <button class="nt-btn search-submit" type="submit" aria-label="Search submit">
-        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>
-        <span>Search</span>
-      </button>`;
+    img.classList.toggle('engine-favicon', !knownLogos[engine.name]);
+    img.onerror = ()=>{
+      img.onerror = null;
+      img.src = host ? `https://www.google.com/s2/favicons?domain=${host}&sz=32` : 'icons/search-engines/duckduckgo.svg';
+    };
+    if(img.getAttribute('src') !== logoSrc) img.src = logoSrc;
+  }
 
-    form.addEventListener('submit', (e)=>{
-      e.preventDefault();
-      const q = form.querySelector('#tilio-search-input').value.trim();
-      if(!q) return;
-      const url = engine.template.replace('{query}', encodeURIComponent(q));
-      // Use chrome.tabs if available else fallback
-      try {
-        if(typeof chrome !== 'undefined' && chrome.tabs && chrome.tabs.update){
-          chrome.tabs.update({ url });
+  // ---- Engine menu ----
+  // The badge opens a menu of engines; picking one makes it the default
+
+  function attachEngineMenu(container, badge, engines, current){
+    const menu = document.createElement('ul');
+    menu.id = 'tilio-engine-menu';
+    menu.className = 'engine-menu';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', 'Default search engine');
+    menu.hidden = true;
+
+    engines.forEach((engine)=>{
+      const item = document.createElement('li');
+      item.className = 'engine-menu-item';
+      item.setAttribute('role', 'menuitemradio');
+      item.setAttribute('aria-checked', engine.template === current.template ? 'true' : 'false');
+      item.tabIndex = -1;
+      const img = document.createElement('img');
+      img.alt = '';
+      setLogo(img, engine);
+      const name = document.createElement('span');
+      name.className = 'engine-menu-name';
+      name.textContent = engine.name;
+      item.append(img, name);
+      if(normalizeKeyword(engine.keyword)){
+        const keyword = document.createElement('kbd');
+        keyword.textContent = normalizeKeyword(engine.keyword);
+        item.appendChild(keyword);
+      }
+      item.addEventListener('click', ()=> choose(engine));
+      menu.appendChild(item);
+    });
+    container.appendChild(menu);
+
+    const items = ()=> [...menu.querySelectorAll('.engine-menu-item')];
+    const onOutside = (e)=>{
+      if(!menu.contains(e.target) && !badge.contains(e.target)) close(false);
+    };
+
+    function open(){
+      menu.hidden = false;
+      badge.setAttribute('aria-expanded', 'true');
+      const checked = menu.querySelector('[aria-checked="true"]') || items()[0];
+      checked?.focus();
+      document.addEventListener('mousedown', onOutside);
+    }
+
+    function close(restoreFocus = true){
+      if(menu.hidden) return;
+      menu.hidden = true;
+      badge.setAttribute('aria-expanded', 'false');
+      document.removeEventListener('mousedown', onOutside);
+      if(restoreFocus) badge.focus();
+    }
+
+    async function choose(engine){
+      close();
+      if(engine.template === current.template) return;
+      const manager = window.__newtabApp?.settingsManager;
+      if(!manager) return;
+      const saved = await manager.updateSettings({ searchEngine: { ...engine } });
+      if(!saved) return;
+      if(typeof window.__newtabSearchRefresh === 'function') window.__newtabSearchRefresh();
+      document.getElementById('tilio-search-input')?.focus();
+    }
+
+    badge.addEventListener('click', ()=> menu.hidden ? open() : close());
+    badge.addEventListener('keydown', (e)=>{
+      if(e.key === 'ArrowDown' || e.key === 'ArrowUp'){
+        e.preventDefault();
+        open();
+      }
+    });
+    menu.addEventListener('keydown', (e)=>{
+      const list = items();
+      const index = list.indexOf(document.activeElement);
+      switch(e.key){
+        case 'ArrowDown':
+          e.preventDefault();
+          list[(index + 1) % list.length].focus();
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          list[(index - 1 + list.length) % list.length].focus();
+          break;
+        case 'Home':
+          e.preventDefault();
+          list[0].focus();
+          break;
+        case 'End':
+          e.preventDefault();
+          list[list.length - 1].focus();
+          break;
+        case 'Enter':
+        case ' ':
+          e.preventDefault();
+          if(index >= 0) choose(engines[index]);
+          break;
+        case 'Escape':
+          e.preventDefault();
+          e.stopPropagation();
+          close();
+          break;
+        case 'Tab':
+          close(false);
+          break;
+      }
+    });
+  }
+
+  // ---- Search history ----
+
+  function getStorage(){
+    return window.__newtabApp?.storageManager || (window.StorageManager ? new StorageManager() : null);
+  }
+
+  function historyLimit(settings){
+    return settings.searchHistoryLimit ?? 50;
+  }
+
+  async function rememberSearch(query, settings){
+    try {
+      await getStorage()?.addSearchHistory(query, historyLimit(settings));
+    } catch(err){
+      console.warn('Search: Failed to save history', err);
+    }
+  }
+
+  // ---- Suggestion dropdown ----
+  // Merges matching history, tiles and (optionally) the engine's suggest endpoint
+  // into an ARIA combobox listbox under the input
+
+  const MAX_HISTORY = 5;
+  const MAX_RECENT = 8; // history shown for an empty input
+  const MAX_TILES = 3;
+  const MAX_ENGINE = 6;
+
+  /**
+   * @param {Function} resolve - routeQuery bound to the configured engines
+   * @param {Function} submit - submit(mode) runs the search for the input text
+   */
+  function attachSuggestions(container, submit, input, resolve, settings){
+    const list = document.createElement('ul');
+    list.id = 'tilio-search-suggestions';
+    list.className = 'search-suggestions';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', 'Search suggestions');
+    list.hidden = true;
+    container.appendChild(list);
+
+    let history = [];
+    let items = [];
+    let active = -1;
+    let typed = '';
+    let remote = { key: null, results: [] }; // key: engine template + query
+    let pending = null; // AbortController of the running suggest request
+    let debounce = null;
+
+    getStorage()?.getSearchHistory().then((entries)=>{ history = entries; }).catch(()=>{});
+
+    function localItems(q, route){
+      const lower = q.toLowerCase();
+      const result = [];
+      const matches = lower
+        ? history.filter((entry)=> entry.query.toLowerCase().includes(lower)).slice(0, MAX_HISTORY)
+        : history.slice(0, MAX_RECENT);
+      matches.forEach((entry)=> result.push({ kind: 'history', text: entry.query }));
+
+      const folderSystem = window.__newtabApp?.folderSystem;
+      if(route.query && folderSystem?.searchItems){
+        folderSystem.searchItems(route.query, MAX_TILES).forEach((match)=>{
+          result.push({ kind: 'tile', text: getStorage().unescapeHtml(match.item.name) || match.item.url, match });
+        });
+      }
+      return result;
+    }
+
+    function update(){
+      const q = input.value.trim();
+      const route = resolve(input.value);
+      const key = `${route.engine.template}\n${route.query}`;
+      items = localItems(q, route);
+      if(route.query && remote.key === key){
+        // Completions keep the keyword so they search the same engine
+        const seen = new Set(items.filter((i)=> i.kind === 'history').map((i)=> i.text.toLowerCase()));
+        remote.results
+          .map((text)=> (route.prefix + text + route.suffix).trim())
+          .filter((text)=> !seen.has(text.toLowerCase()))
+          .slice(0, MAX_ENGINE)
+          .forEach((text)=> items.push({ kind: 'suggestion', text }));
+      }
+      active = -1;
+      render();
+      if(route.query && remote.key !== key) requestRemote(route, key);
+    }
+
+    function requestRemote(route, key){
+      if(!settings.searchSuggestions || !route.engine.suggest) return;
+      clearTimeout(debounce);
+      debounce = setTimeout(async ()=>{
+        pending?.abort();
+        pending = new AbortController();
+        try {
+          const url = route.engine.suggest.replace('{query}', encodeURIComponent(route.query));
+          const res = await fetch(url, { signal: pending.signal, credentials: 'omit' });
+          if(!res.ok) throw new Error(`HTTP ${res.status}`);
+          remote = { key, results: parseSuggestions(await res.json()) };
+          // Drop answers for text the user has already changed
+          if(resolve(input.value).query === route.query && document.activeElement === input) update();
+        } catch(err){
+          if(err.name !== 'AbortError') console.warn('Search: Suggestions unavailable', err);
+        }
+      }, 150);
+    }
+
+    function render(){
+      list.innerHTML = '';
+      if(!items.length || document.activeElement !== input){
+        close();
+        return;
+      }
+      items.forEach((item, index)=>{
+        const li = document.createElement('li');
+        li.id = `tilio-search-option-${index}`;
+        li.className = `search-suggestion ${item.kind}`;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', 'false');
+
+        const icon = document.createElement('span');
+        icon.className = 'search-suggestion-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        if(item.kind === 'tile'){
+          const img = document.createElement('img');
+          img.alt = '';
+          img.src = window.__newtabApp.folderSystem.getIconSrc(item.match.item);
+          icon.appendChild(img);
         } else {
-          window.location.href = url;
+          icon.textContent = item.kind === 'history' ? '↺' : '⌕';
         }
+
+        const text = document.createElement('span');
+        text.className = 'search-suggestion-text';
+        text.textContent = item.text;
+        li.append(icon, text);
+
+        if(item.kind === 'tile'){
+          const host = document.createElement('span');
+          host.className = 'search-suggestion-meta';
+          host.textContent = hostOf(item.match.item.url);
+          li.appendChild(host);
+        } else if(item.kind === 'history'){
+          li.setAttribute('aria-description', 'Recent search, Shift+Delete removes it');
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.className = 'search-suggestion-remove';
+          remove.tabIndex = -1;
+          remove.title = 'Remove from history';
+          remove.setAttribute('aria-hidden', 'true');
+          remove.textContent = '×';
+          remove.addEventListener('mousedown', (e)=>{
+            e.preventDefault();
+            e.stopPropagation();
+            removeHistory(item.text);
+          });
+          li.appendChild(remove);
+        }
+
+        // mousedown keeps focus in the input so blur does not close the list first
+        li.addEventListener('mousedown', (e)=>{
+          e.preventDefault();
+          choose(item, e);
+        });
+        li.addEventListener('mousemove', ()=> setActive(index, false));
+        list.appendChild(li);
+      });
+
+      if(items.some((item)=> item.kind === 'history') && historyLimit(settings) > 0){
+        const footer = document.createElement('li');
+        footer.className = 'search-suggestions-footer';
+        footer.setAttribute('role', 'presentation');
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.tabIndex = -1;
+        clear.textContent = 'Clear search history';
+        clear.addEventListener('mousedown', async (e)=>{
+          e.preventDefault();
+          history = [];
+          await getStorage()?.clearSearchHistory();
+          update();
+        });
+        footer.appendChild(clear);
+        list.appendChild(footer);
+      }
+
+      list.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+      input.removeAttribute('aria-activedescendant');
+    }
+
+    function close(){
+      list.hidden = true;
+      active = -1;
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Highlight an option; keyboard moves also preview query text in the input
+     * @param {number} index - -1 returns to the typed text
+     */
+    function setActive(index, fromKeyboard = true){
+      active = index;
+      list.querySelectorAll('.search-suggestion').forEach((li, i)=>{
+        li.classList.toggle('active', i === index);
+        li.setAttribute('aria-selected', i === index ? 'true' : 'false');
+      });
+      const item = items[index];
+      if(item){
+        input.setAttribute('aria-activedescendant', `tilio-search-option-${index}`);
+        list.children[index].scrollIntoView?.({ block: 'nearest' });
+      } else {
+        input.removeAttribute('aria-activedescendant');
+      }
+      if(fromKeyboard) input.value = item && item.kind !== 'tile' ? item.text : typed;
+    }
+
+    function move(step){
+      if(list.hidden){
+        update();
+        return;
+      }
+      if(!items.length) return;
+      // Wrap through the typed text: -1 -> first ... last -> -1
+      let next = active + step;
+      if(next < -1) next = items.length - 1;
+      if(next >= items.length) next = -1;
+      setActive(next);
+    }
+
+    /**
+     * @param {Object} item
+     * @param {Event} e - modifier keys pick a new tab or window
+     */
+    function choose(item, e){
+      close();
+      if(item.kind === 'tile'){
+        const { item: tile, folderId } = item.match;
+        window.__newtabApp.folderSystem.recordClick(tile.id, folderId).catch((err)=>{
+          console.warn('Failed to record click:', err);
+        });
+        if(window.LinkOpener) LinkOpener.open(tile.url, LinkOpener.modeForEvent(e, tile));
+        else window.location.href = tile.url;
+        return;
+      }
+      input.value = item.text;
+      submit(searchOpenMode(e));
+    }
+
+    async function removeHistory(query){
+      history = history.filter((entry)=> entry.query !== query);
+      try {
+        history = await getStorage()?.removeSearchHistory(query) || history;
       } catch(err){
-        window.location.href = url;
+        console.warn('Search: Failed to update history', err);
+      }
+      input.value = typed;
+      update();
+    }
+
+    input.addEventListener('input', ()=>{
+      typed = input.value;
+      if(typed.startsWith('>')) return close();
+      update();
+    });
+    input.addEventListener('focus', ()=>{
+      typed = input.value;
+      update();
+    });
+    input.addEventListener('blur', close);
+    input.addEventListener('keydown', (e)=>{
+      switch(e.key){
+        case 'ArrowDown':
+          e.preventDefault();
+          move(1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          move(-1);
+          break;
+        case 'Enter':
+          if(active >= 0 && items[active]){
+            e.preventDefault();
+            choose(items[active], e);
+          }
+          break;
+        case 'Escape':
+          if(!list.hidden){
+            e.preventDefault();
+            e.stopPropagation();
+            input.value = typed;
+            close();
+          }
+          break;
+        case 'Delete':
+          if(e.shiftKey && items[active]?.kind === 'history'){
+            e.preventDefault();
+            removeHistory(items[active].text);
+          }
+          break;
+        case 'Tab':
+          close();
+          break;
       }
     });
+  }
 
-    container.appendChild(form);
+  /**
+   * Read an OpenSearch suggestions response (["query", ["a", "b"]]) or a
+   * list of { phrase } objects
+   * @returns {string[]}
+   */
+  function parseSuggestions(json){
+    let list = [];
+    if(Array.isArray(json) && Array.isArray(json[1])) list = json[1];
+    else if(Array.isArray(json)) list = json.map((entry)=> entry?.phrase);
+    return list.filter((text)=> typeof text === 'string' && text.trim());
+  }
+
+  function hostOf(url){
+    try { return new URL(url).hostname.replace(/^www\./, ''); } catch(_){ return url; }
   }
 
   function init(){
@@ -4,6 +4,9 @@ class SettingsManager {
     this.storage = storageManager;
     this.settings = {};
     this.systemThemeMedia = null;
+    this.wallpaper = new WallpaperManager(storageManager);
+    // Theme of the active workspace (set by the app); wins over the theme and its schedule
+    this.workspaceTheme = null;
     this.themes = {
       // 'auto' is a pseudo theme; it will map to light/dark based on system.
       auto: this.getAutoThemePreview(),
@@ -93,8 +96,11 @@ class SettingsManager {
         await this.storage.saveData(updatedData);
       }
 
+      await this.migrateCustomTheme();
+
       await this.applySettings();
       this.initClock();
+      this.initThemeSchedule();
       return true;
     } catch (error) {
       if (window.errorHandler) {
@@ -133,16 +139,26 @@ class SettingsManager {
       // these values will be copied into backgroundColor/textColor/primaryColor/backgroundGradient
       // on load to keep compatibility with existing code paths.
       customColors: null,
+      userThemes: [], // theme library (ThemeEngine documents with an id); theme "user:<id>" selects one
+      wallpaper: WallpaperManager.defaults(), // background image over the theme; images live in MediaStore
+      themeSchedule: ThemeSchedule.defaults(), // time-of-day or sunrise/sunset theme switching; off by default
       showTileLabels: true, // Show labels below tiles by default
       accessibility: {
         highContrast: false,
         reducedMotion: false,
       },
-      // Search related defaults
+      // Search related defaults. searchEngine is the default engine; searchEngines is
+      // only stored once the user edits the list (see resolveSearchEngines)
       searchEngine: {
+        id: "google",
         name: "Google",
         template: "https://www.google.com/search?q={query}",
+        suggest: "https://suggestqueries.google.com/complete/search?client=firefox&q={query}",
       },
+      searchSuggestions: false, // query the engine's suggest endpoint while typing
+      searchHistoryLimit: 50, // recent searches kept for the dropdown; 0 = no history
+      openAllConfirmThreshold: 10, // ask before "Open All" launches more tabs than this; 0 = never ask
+      shortcuts: {}, // rebound keys by ShortcutRegistry command id; unlisted commands use their defaults
     };
   }
 
@@ -238,11 +254,27 @@ class SettingsManager {
       // Ensure any stored customColors are reflected in root color keys before applying
       this.syncCustomColors();
 
-      // Apply theme
-      if (this.settings.theme && !this.settings.customTheme) {
+      // Apply theme. A workspace with its own theme shows that one; otherwise a theme
+      // schedule, when on, picks the theme for the time of day
+      const workspaceTheme = this.settings.customTheme ? null : this.getWorkspaceTheme();
+      if (workspaceTheme) clearTimeout(this.themeScheduleTimer);
+      const scheduledTheme = this.settings.customTheme || workspaceTheme ? null : this.resolveScheduledTheme();
+      let activeTheme = workspaceTheme || scheduledTheme || this.settings.theme;
+      // A library theme's stylesheet only stays while it is selected
+      const userTheme = this.settings.customTheme ? null : this.getUserTheme(activeTheme);
+      this.removeUserTheme();
+      // A library theme that no longer exists (removed on another device) falls back to auto
+      if (!userTheme && ThemeEngine.parseUserKey(activeTheme)) {
+        activeTheme = "auto";
+        if (!scheduledTheme) this.settings.theme = "auto";
+      }
+      this.activeTheme = activeTheme;
+      if (userTheme) {
+        this.applyUserTheme(userTheme);
+      } else if (activeTheme && !this.settings.customTheme) {
         // Handle 'auto' theme by mapping to system light/dark
-        let effectiveThemeKey = this.settings.theme;
-        if (this.settings.theme === "auto") {
+        let effectiveThemeKey = activeTheme;
+        if (activeTheme === "auto") {
           // Set up or refresh media listener
           if (typeof window !== "undefined" && window.matchMedia) {
             if (!this.systemThemeMedia) {
@@ -251,7 +283,7 @@ class SettingsManager {
               );
               // Listen for system theme changes and re-apply when in auto mode
               this.systemThemeMedia.addEventListener("change", () => {
-                if (this.settings.theme === "auto") {
+                if (this.activeTheme === "auto") {
                   // Update preview cache for UI and re-apply
                   this.themes.auto = this.getAutoThemePreview();
                   this.applySettings();
@@ -285,8 +317,8 @@ class SettingsManager {
         themeKeys.forEach((t) => body.classList.remove(`theme-${t}`));
         body.classList.remove("theme-custom");
         // Add canonical class for chosen theme (e.g., theme-light, theme-dark, theme-auto)
-        body.classList.add(`theme-${this.settings.theme}`);
-        if (this.settings.theme === "auto") {
+        body.classList.add(`theme-${activeTheme}`);
+        if (activeTheme === "auto") {
           // Add effective runtime theme for variable remap (theme-light or theme-dark)
           body.classList.add(`theme-${effectiveThemeKey}`);
         }
@@ -372,6 +404,13 @@ class SettingsManager {
         document.body.classList.remove("reduced-motion");
       }
 
+      // Background image; a storage failure leaves the theme background showing
+      try {
+        await this.wallpaper.apply(this.settings.wallpaper);
+      } catch (error) {
+        console.error("Error applying background image:", error);
+      }
+
       // Update clock
       this.updateClock();
 
@@ -398,7 +437,7 @@ class SettingsManager {
       tileSize: (v) => Number.isInteger(v) && v >= 60 && v <= 200,
       theme: (v) =>
         typeof v === "string" &&
-        (v === "auto" || this.themes[v] || v === "custom"),
+        (v === "auto" || this.themes[v] || v === "custom" || !!ThemeEngine.parseUserKey(v)),
       customColors: (v) =>
         v === null ||
         (typeof v === "object" &&
@@ -425,6 +464,14 @@ class SettingsManager {
           v.yPercent >= 0 &&
           v.yPercent <= 100),
       customTheme: (v) => typeof v === "boolean",
+      userThemes: (v) =>
+        Array.isArray(v) &&
+        v.length <= ThemeEngine.MAX_LIBRARY &&
+        new Set(v.map((theme) => theme?.id)).size === v.length &&
+        v.every((theme) => typeof theme?.id === "string" && !ThemeEngine.validate(theme)),
+      wallpaper: (v) => WallpaperManager.validate(v),
+      themeSchedule: (v) =>
+        !ThemeSchedule.validate(v, (theme) => theme !== "custom" && validations.theme(theme)),
       showTileLabels: (v) => typeof v === "boolean",
       "accessibility.highContrast": (v) => typeof v === "boolean",
       "accessibility.reducedMotion": (v) => typeof v === "boolean",
@@ -434,7 +481,27 @@ class SettingsManager {
         typeof v === "object" &&
         typeof v.name === "string" &&
         typeof v.template === "string" &&
-        v.template.includes("{query}"),
+        v.template.includes("{query}") &&
+        (v.suggest === undefined || v.suggest === "" ||
+          (typeof v.suggest === "string" && v.suggest.includes("{query}"))),
+      searchEngines: (v) => {
+        if (!Array.isArray(v) || !v.length) return false;
+        const keywords = new Set();
+        return v.every((engine) => {
+          if (!engine || typeof engine.name !== "string" || !engine.name.trim()) return false;
+          if (SettingsManager.validateSearchTemplate(engine.template)) return false;
+          if (SettingsManager.validateSearchTemplate(engine.suggest, true)) return false;
+          const keyword = SettingsManager.normalizeKeyword(engine.keyword);
+          if (!keyword) return true;
+          if (!/^[\w.-]+$/.test(keyword) || keywords.has(keyword)) return false;
+          keywords.add(keyword);
+          return true;
+        });
+      },
+      searchSuggestions: (v) => typeof v === "boolean",
+      searchHistoryLimit: (v) => Number.isInteger(v) && v >= 0 && v <= 500,
+      openAllConfirmThreshold: (v) => Number.isInteger(v) && v >= 0 && v <= 100,
+      shortcuts: (v) => !new ShortcutRegistry().validate(v),
     };
 
     const validator = validations[key];
@@ -467,18 +534,7 @@ class SettingsManager {
   async exportData() {
     try {
       const data = await this.storage.loadData();
-      const exportData = {
-        folders: data.folders,
-        links: data.links,
-        rootOrder: data.rootOrder,
-        meta: data.meta,
-        settings: data.settings,
-        version: data.version,
-        exportDate: new Date().toISOString(),
-        appVersion: "1.0",
-      };
-
-      return JSON.stringify(exportData, null, 2);
+      return JSON.stringify(this.storage.createExport(data), null, 2);
     } catch (error) {
       console.error("Error exporting data:", error);
       throw error;
@@ -498,20 +554,7 @@ class SettingsManager {
       }
 
       // Create backup before import
-      const currentData = await this.storage.loadData();
-      const backupData = {
-        ...currentData,
-        backupDate: new Date().toISOString(),
-      };
-
-      // Save backup to a separate key
-      if (
-        typeof chrome !== "undefined" &&
-        chrome.storage &&
-        chrome.storage.local
-      ) {
-        await chrome.storage.local.set({ newtab_backup: backupData });
-      }
+      await this.backupCurrentData();
 
       // Import new data
       const newData = {
@@ -525,9 +568,12 @@ class SettingsManager {
         },
         version: importData.version || "1.0",
       };
+      // Backups made with several workspaces carry the ones that weren't open
+      if (importData.workspaces) newData.workspaces = importData.workspaces;
 
       await this.storage.saveData(newData);
       this.settings = newData.settings;
+      await this.migrateCustomTheme();
       await this.applySettings();
 
       console.log("Data imported successfully");
@@ -538,6 +584,78 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Snapshot the current data before it gets replaced (restorable from the History panel)
+   * @returns {Promise<Object>} the current data
+   */
+  async backupCurrentData() {
+    const currentData = await this.storage.loadData();
+    await this.storage.createSnapshot("Before import", currentData);
+    return currentData;
+  }
+
+  /**
+   * Export links and folders as a Netscape bookmarks.html file
+   */
+  async exportBookmarksHtml() {
+    try {
+      const data = await this.storage.loadData();
+      return new BookmarkHtml(this.storage).toHtml(data);
+    } catch (error) {
+      console.error("Error exporting bookmarks:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import a Netscape bookmarks.html file, replacing links and folders
+   * (settings are kept)
+   * @returns {Promise<number>} number of bookmarks imported
+   */
+  async importBookmarksHtml(html) {
+    try {
+      const parsed = new BookmarkHtml(this.storage).fromHtml(html);
+      if (parsed.count === 0) {
+        throw new Error("No bookmarks found in file");
+      }
+
+      const currentData = await this.backupCurrentData();
+      const newData = {
+        ...currentData,
+        folders: parsed.folders,
+        links: parsed.links,
+        rootOrder: parsed.rootOrder,
+      };
+
+      await this.storage.saveData(newData);
+      return parsed.count;
+    } catch (error) {
+      console.error("Error importing bookmarks:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read links and folders from a Tilio backup or bookmarks.html file without saving anything
+   * @returns {{folders: Object[], links: Object[], rootOrder: Array}}
+   */
+  parseLayoutFile(text) {
+    if (BookmarkHtml.isBookmarkHtml(text)) {
+      const parsed = new BookmarkHtml(this.storage).fromHtml(text);
+      return { folders: parsed.folders, links: parsed.links, rootOrder: parsed.rootOrder };
+    }
+
+    const importData = JSON.parse(text);
+    if (!this.validateImportData(importData)) {
+      throw new Error("Invalid import data format");
+    }
+    return {
+      folders: importData.folders || [],
+      links: importData.links || [],
+      rootOrder: importData.rootOrder || [],
+    };
+  }
+
   /**
    * Validate import data structure
    */
@@ -739,6 +857,141 @@ class SettingsManager {
     }
   }
 
+  // ============ Theme Library ============
+
+  /**
+   * Library theme selected by a settings.theme value
+   * @param {string} key - e.g. "user:abc123"
+   * @returns {Object|null} theme document
+   */
+  getUserTheme(key) {
+    const id = ThemeEngine.parseUserKey(key);
+    if (!id) return null;
+    return (this.settings.userThemes || []).find((theme) => theme.id === id) || null;
+  }
+
+  /**
+   * Show a theme document on the page: its stylesheet plus the base theme's classes for
+   * everything it doesn't style. Also used by the theme editor's live preview
+   * @param {Object} theme - validated theme
+   */
+  applyUserTheme(theme) {
+    const body = document.body;
+    Object.keys(this.themes).forEach((t) => body.classList.remove(`theme-${t}`));
+    body.classList.remove("theme-custom");
+    body.classList.add("theme-user", `theme-${theme.base}`);
+    const root = document.documentElement;
+    root.style.setProperty("--background-gradient", ThemeEngine.gradientCss(theme.gradient));
+    root.style.setProperty("--primary-color", theme.colors.primary);
+    ThemeEngine.apply(theme);
+  }
+
+  removeUserTheme() {
+    document.body.classList.remove("theme-user");
+    ThemeEngine.remove();
+  }
+
+  /**
+   * Turn the custom theme of older versions (three color pickers) into a library theme
+   */
+  async migrateCustomTheme() {
+    if (!this.settings.customTheme || !this.settings.customColors) return;
+    const { backgroundColor, textColor, primaryColor } = this.settings.customColors;
+    const theme = ThemeEngine.create("dark", "Custom");
+    theme.id = `custom-${Date.now().toString(36)}`;
+    Object.assign(theme.colors, {
+      primary: primaryColor,
+      background: backgroundColor,
+      text: textColor,
+      textSecondary: textColor,
+      panel: backgroundColor,
+    });
+    theme.gradient.stops.forEach((stop) => {
+      stop.color = backgroundColor;
+    });
+    theme.popover.background = backgroundColor;
+    if (ThemeEngine.validate(theme)) return;
+
+    this.settings.userThemes = [...(this.settings.userThemes || []), theme];
+    this.settings.theme = ThemeEngine.userKey(theme.id);
+    this.settings.customTheme = false;
+    const data = await this.storage.loadData();
+    data.settings = this.settings;
+    await this.storage.saveData(data);
+  }
+
+  /**
+   * The active workspace's theme, unless it was removed from the library since
+   * @returns {string|null} settings.theme value
+   */
+  getWorkspaceTheme() {
+    const key = this.workspaceTheme;
+    return key && (this.themes[key] || this.getUserTheme(key)) ? key : null;
+  }
+
+  // ============ Theme Schedule ============
+
+  /**
+   * Theme the schedule picks right now, and arm the timer for the next change
+   * @returns {string|null} settings.theme value, or null when no schedule applies
+   */
+  resolveScheduledTheme() {
+    clearTimeout(this.themeScheduleTimer);
+    const result = ThemeSchedule.resolve(this.settings.themeSchedule);
+    if (!result) return null;
+    const delay = Math.min(result.nextChange - Date.now(), ThemeSchedule.MAX_CHECK_DELAY);
+    this.themeScheduleTimer = setTimeout(() => this.checkThemeSchedule(), Math.max(delay, 1000));
+    return result.theme;
+  }
+
+  /**
+   * Switch themes when the schedule has moved on since the last apply
+   */
+  async checkThemeSchedule() {
+    if (this.getWorkspaceTheme()) return;
+    const result = ThemeSchedule.resolve(this.settings.themeSchedule);
+    if (!result || result.theme === this.activeTheme) {
+      this.resolveScheduledTheme();
+      return;
+    }
+    this.startThemeTransition();
+    await this.applySettings();
+  }
+
+  /**
+   * Fade colors between the old and new theme instead of switching at once
+   */
+  startThemeTransition() {
+    const prefersReduced = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    if (this.settings.accessibility?.reducedMotion || prefersReduced) return;
+    const body = document.body;
+    body.classList.add("theme-transition");
+    // Gradients can't transition, so the old one fades out on a layer above the new one.
+    // A background image stays put and needs no fade
+    if (!body.classList.contains("has-wallpaper")) {
+      const current = getComputedStyle(body);
+      const fade = document.createElement("div");
+      fade.className = "theme-fade";
+      fade.setAttribute("aria-hidden", "true");
+      fade.style.backgroundColor = current.backgroundColor;
+      fade.style.backgroundImage = current.backgroundImage;
+      body.appendChild(fade);
+      requestAnimationFrame(() => requestAnimationFrame(() => fade.classList.add("fading")));
+      setTimeout(() => fade.remove(), SettingsManager.THEME_TRANSITION_MS);
+    }
+    clearTimeout(this.themeTransitionTimer);
+    this.themeTransitionTimer = setTimeout(() => {
+      body.classList.remove("theme-transition");
+    }, SettingsManager.THEME_TRANSITION_MS);
+  }
+
+  initThemeSchedule() {
+    // Timers are throttled in background tabs and paused during sleep; catch up when shown
+    document.addEventListener("visibilitychange", () => {
+      if (!document.hidden && this.settings.themeSchedule?.enabled) this.checkThemeSchedule();
+    });
+  }
+
   /**
    * Get available themes
    */
@@ -768,6 +1021,52 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Search engines available in the search bar. Until the user edits the list the
+   * built-in engines are used, plus a custom default engine saved by older versions.
+   * @param {Object} settings
+   * @returns {Array<{id: string, name: string, keyword: string, template: string, suggest?: string}>}
+   */
+  static resolveSearchEngines(settings) {
+    const engines =
+      Array.isArray(settings?.searchEngines) && settings.searchEngines.length
+        ? settings.searchEngines
+        : SettingsManager.DEFAULT_SEARCH_ENGINES.map((engine) => ({ ...engine }));
+    const current = settings?.searchEngine;
+    if (current?.template && !engines.some((engine) => engine.template === current.template)) {
+      return [{ id: "custom", keyword: "", ...current }, ...engines];
+    }
+    return engines;
+  }
+
+  /**
+   * Check a search engine URL template
+   * @param {string} template
+   * @param {boolean} [optional] - an empty template is fine (suggestion endpoints)
+   * @returns {string|null} problem description, or null when the template is usable
+   */
+  static validateSearchTemplate(template, optional = false) {
+    if (!template) return optional ? null : "Enter a URL template";
+    if (typeof template !== "string" || !template.includes("{query}")) {
+      return "The URL must contain {query} where the search terms go";
+    }
+    let url;
+    try {
+      url = new URL(template.replace(/\{query\}/g, "test"));
+    } catch (_) {
+      return "Enter a valid URL";
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      return "Use an http:// or https:// URL";
+    }
+    return null;
+  }
+
+  /** Keywords are matched case-insensitively, with or without a leading "!" */
+  static normalizeKeyword(keyword) {
+    return String(keyword || "").trim().toLowerCase().replace(/^!+/, "");
+  }
+
   /**
    * Sync customColors palette (if present & customTheme true) into legacy root color fields.
    * This keeps backward compatibility with existing applySettings logic and ensures persistence.
@@ -790,6 +1089,55 @@ class SettingsManager {
   }
 }
 
+// How long a scheduled theme switch fades (body.theme-transition in animations.css)
+SettingsManager.THEME_TRANSITION_MS = 800;
+
+// Built-in search engines. Typing a keyword first ("gh react hooks", "!w tokyo")
+// sends the rest of the query to that engine
+SettingsManager.DEFAULT_SEARCH_ENGINES = [
+  {
+    id: "google",
+    name: "Google",
+    keyword: "g",
+    template: "https://www.google.com/search?q={query}",
+    suggest: "https://suggestqueries.google.com/complete/search?client=firefox&q={query}",
+  },
+  {
+    id: "duckduckgo",
+    name: "DuckDuckGo",
+    keyword: "ddg",
+    template: "https://duckduckgo.com/?q={query}",
+    suggest: "https://duckduckgo.com/ac/?q={query}&type=list",
+  },
+  {
+    id: "bing",
+    name: "Bing",
+    keyword: "b",
+    template: "https://www.bing.com/search?q={query}",
+    suggest: "https://api.bing.com/osjson.aspx?query={query}",
+  },
+  {
+    id: "brave",
+    name: "Brave",
+    keyword: "br",
+    template: "https://search.brave.com/search?q={query}",
+    suggest: "https://search.brave.com/api/suggest?q={query}",
+  },
+  {
+    id: "wikipedia",
+    name: "Wikipedia",
+    keyword: "w",
+    template: "https://en.wikipedia.org/wiki/Special:Search?search={query}",
+    suggest: "https://en.wikipedia.org/w/api.php?action=opensearch&format=json&search={query}",
+  },
+  {
+    id: "github",
+    name: "GitHub",
+    keyword: "gh",
+    template: "https://github.com/search?q={query}",
+  },
+];
+
 // Export for use in other modules
 if (typeof window !== "undefined") {
   window.SettingsManager = SettingsManager;
@@ -0,0 +1,252 @@
+// tilio - Keyboard Shortcuts (no UI dependencies)
+// Registry of the new tab page's shortcuts: default bindings, user overrides stored in
+// settings.shortcuts, matching key events to commands and finding conflicts.
+// Shortcuts that work on any page are manifest `commands`, rebound at chrome://extensions/shortcuts.
+//
+// Combos are written "Mod+Shift+K": Mod is Ctrl (Cmd on macOS), then Alt, Shift and the key.
+
+class ShortcutRegistry {
+	/**
+	 * @param {Function} [getOverrides] - returns the user's bindings { commandId: string[] }
+	 */
+	constructor(getOverrides) {
+		this.getOverrides = getOverrides || (() => ({}));
+	}
+
+	/**
+	 * Combos bound to a command: the user's when they changed it, otherwise the defaults
+	 * @param {string} id
+	 * @param {Object} [overrides] - bindings to use instead of the stored ones
+	 * @returns {string[]}
+	 */
+	getBindings(id, overrides) {
+		const command = ShortcutRegistry.getCommand(id);
+		if (!command) return [];
+		const user = command.fixed ? null : (overrides || this.getOverrides() || {})[id];
+		return Array.isArray(user) ? user : command.keys;
+	}
+
+	/**
+	 * Command bound to a key event where it happened
+	 * @param {KeyboardEvent} event
+	 * @param {{scope: string|string[], editable?: boolean}} context - 'tile' for a focused tile,
+	 *   'popover' in an open popover (both for tiles inside it), otherwise 'page'; editable when
+	 *   typing in a field. The first matching command wins, so tile commands come first
+	 * @returns {Object|null} command
+	 */
+	match(event, context) {
+		const combo = ShortcutRegistry.comboFromEvent(event);
+		if (!combo) return null;
+		return (
+			ShortcutRegistry.COMMANDS.find(
+				(command) =>
+					!command.fixed &&
+					(!context.editable || command.fields) &&
+					ShortcutRegistry.inScope(command, context.scope) &&
+					this.getBindings(command.id).includes(combo),
+			) || null
+		);
+	}
+
+	/**
+	 * Commands that would clash with binding `combo` to `id`: same keys where both apply,
+	 * including keys the page handles itself
+	 * @param {string} id
+	 * @param {string} combo
+	 * @param {Object} [overrides] - draft bindings being edited
+	 * @returns {Object[]} conflicting commands
+	 */
+	findConflicts(id, combo, overrides) {
+		const command = ShortcutRegistry.getCommand(id);
+		if (!command) return [];
+		return ShortcutRegistry.COMMANDS.filter(
+			(other) =>
+				other.id !== id &&
+				ShortcutRegistry.scopesOverlap(command, other) &&
+				this.getBindings(other.id, overrides).includes(combo),
+		);
+	}
+
+	/**
+	 * First clash in a complete set of user bindings, for settings validation
+	 * @param {Object} overrides - { commandId: string[] }
+	 * @returns {string|null} description of the problem, or null when valid
+	 */
+	validate(overrides) {
+		if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+			return "Shortcuts must be an object";
+		}
+		for (const [id, combos] of Object.entries(overrides)) {
+			const command = ShortcutRegistry.getCommand(id);
+			if (!command || command.fixed) return `Unknown shortcut command: ${id}`;
+			if (!Array.isArray(combos) || !combos.every((c) => typeof c === "string" && c)) {
+				return `Invalid keys for ${command.label}`;
+			}
+			for (const combo of combos) {
+				if (ShortcutRegistry.isReserved(combo)) {
+					return `${ShortcutRegistry.formatCombo(combo)} is reserved by the browser`;
+				}
+				const clash = this.findConflicts(id, combo, overrides)[0];
+				if (clash) {
+					return `${ShortcutRegistry.formatCombo(combo)} is used by both "${command.label}" and "${clash.label}"`;
+				}
+			}
+		}
+		return null;
+	}
+
+	// ============ Key Combos ============
+
+	/**
+	 * Combo string for a key event, or null for lone modifier presses
+	 * @param {KeyboardEvent} event
+	 * @returns {string|null}
+	 */
+	static comboFromEvent(event) {
+		const key = ShortcutRegistry.keyName(event);
+		if (!key) return null;
+		const parts = [];
+		if (event.ctrlKey || event.metaKey) parts.push("Mod");
+		if (event.altKey) parts.push("Alt");
+		// Shift is part of symbols like "?"; it only counts for letters, digits and named keys
+		if (event.shiftKey && (key.length > 1 || /[A-Z0-9]/.test(key))) parts.push("Shift");
+		parts.push(key);
+		return parts.join("+");
+	}
+
+	/** Key part of a combo: upper-case letters, "Space", or the KeyboardEvent.key name */
+	static keyName(event) {
+		const key = event?.key;
+		if (!key || ShortcutRegistry.MODIFIER_KEYS.includes(key)) return null;
+		// Alt changes the typed character on macOS (Alt+N is "˜"); use the physical key
+		const code = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code || "");
+		if (code && event.altKey) return code[1] || code[2];
+		if (key === " ") return "Space";
+		if (key === "Esc") return "Escape";
+		return key.length === 1 ? key.toUpperCase() : key;
+	}
+
+	/** Combos the browser keeps for itself; a page never receives them */
+	static isReserved(combo) {
+		return ShortcutRegistry.RESERVED.includes(combo);
+	}
+
+	/**
+	 * Keys of a combo as shown to the user, e.g. ["Ctrl", "Shift", "K"] or ["⌘", "⇧", "K"]
+	 * @param {string} combo
+	 * @returns {string[]}
+	 */
+	static comboKeys(combo) {
+		const mac = ShortcutRegistry.isMac();
+		const labels = mac ? ShortcutRegistry.MAC_LABELS : ShortcutRegistry.KEY_LABELS;
+		// "+" itself can be the key, e.g. "Mod++"
+		const key = combo.endsWith("+") ? "+" : combo.slice(combo.lastIndexOf("+") + 1);
+		const parts = [...combo.slice(0, combo.length - key.length).split("+").filter(Boolean), key];
+		return parts.map((part) => labels[part] || ShortcutRegistry.KEY_LABELS[part] || part);
+	}
+
+	/** Combo as one string, e.g. "Ctrl+Shift+K" or "⌘⇧K" */
+	static formatCombo(combo) {
+		return ShortcutRegistry.comboKeys(combo).join(ShortcutRegistry.isMac() ? "" : "+");
+	}
+
+	static isMac() {
+		return typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform || "");
+	}
+
+	// ============ Commands ============
+
+	static getCommand(id) {
+		return ShortcutRegistry.COMMANDS.find((command) => command.id === id) || null;
+	}
+
+	/** Whether a command applies with focus on a tile, in an open popover or elsewhere */
+	static inScope(command, scope) {
+		return command.scopes.includes("global") || [].concat(scope).some((s) => command.scopes.includes(s));
+	}
+
+	static scopesOverlap(a, b) {
+		if (a.scopes.includes("global") || b.scopes.includes("global")) return true;
+		return a.scopes.some((scope) => b.scopes.includes(scope));
+	}
+
+	/** Commands by group, in display order */
+	static getGroups() {
+		const groups = new Map();
+		ShortcutRegistry.COMMANDS.forEach((command) => {
+			if (!groups.has(command.group)) groups.set(command.group, []);
+			groups.get(command.group).push(command);
+		});
+		return Array.from(groups, ([name, commands]) => ({ name, commands }));
+	}
+}
+
+ShortcutRegistry.MODIFIER_KEYS = ["Control", "Meta", "Alt", "AltGraph", "Shift", "CapsLock", "Dead", "Unidentified", "Process"];
+
+ShortcutRegistry.RESERVED = ["Mod+T", "Mod+Shift+T", "Mod+N", "Mod+Shift+N", "Mod+W", "Mod+Shift+W", "Mod+Q", "Mod+Tab", "Mod+Shift+Tab"];
+
+ShortcutRegistry.KEY_LABELS = {
+	Mod: "Ctrl",
+	ArrowUp: "↑",
+	ArrowDown: "↓",
+	ArrowLeft: "←",
+	ArrowRight: "→",
+	Escape: "Esc",
+	Delete: "Del",
+	PageUp: "PgUp",
+	PageDown: "PgDn",
+};
+
+ShortcutRegistry.MAC_LABELS = {
+	Mod: "⌘",
+	Alt: "⌥",
+	Shift: "⇧",
+	Backspace: "⌫",
+	Enter: "↩",
+};
+
+// scopes: 'global' anywhere, 'tile' with a tile focused, 'popover' in an open folder popover
+// (tiles inside it are in both; tile commands listed first take precedence). fields: also works while typing in an input. fixed: handled by the
+// page itself, listed in the cheatsheet and checked for conflicts but not rebindable.
+ShortcutRegistry.COMMANDS = [
+	{ id: "open-palette", group: "General", label: "Open command palette", keys: ["Mod+K"], scopes: ["global"], fields: true },
+	{ id: "show-shortcuts", group: "General", label: "Show keyboard shortcuts", keys: ["?"], scopes: ["global"] },
+	{ id: "undo", group: "General", label: "Undo", keys: ["Mod+Z"], scopes: ["global"] },
+	{ id: "redo", group: "General", label: "Redo", keys: ["Mod+Shift+Z", "Mod+Y"], scopes: ["global"] },
+	{ id: "new-link", group: "General", label: "Add a link", keys: ["Alt+N"], scopes: ["global"] },
+	{ id: "save-tabs", group: "General", label: "Save this window's tabs as a folder", keys: [], scopes: ["global"] },
+	{ id: "next-workspace", group: "General", label: "Switch to the next workspace", keys: ["Alt+W"], scopes: ["global"] },
+	{ id: "close", group: "General", label: "Close menus, popovers and dialogs", keys: ["Escape"], scopes: ["global"], fixed: true },
+
+	{ id: "focus-search", group: "Search", label: "Focus the search bar", keys: ["/"], scopes: ["global"] },
+	{ id: "search-new-tab", group: "Search", label: "Search in a new tab", keys: ["Alt+Enter"], scopes: ["search"], fixed: true },
+	{ id: "remove-history", group: "Search", label: "Remove the highlighted history entry", keys: ["Shift+Delete"], scopes: ["search"], fixed: true },
+
+	{ id: "tile-navigate", group: "Folders & Links", label: "Move between tiles", keys: ["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "Home", "End"], scopes: ["tile"], fixed: true },
+	{ id: "tile-move", group: "Folders & Links", label: "Move the focused tile", keys: ["Alt+ArrowLeft", "Alt+ArrowRight", "Alt+ArrowUp", "Alt+ArrowDown"], scopes: ["tile"], fixed: true },
+	{ id: "tile-grab", group: "Folders & Links", label: "Pick up the focused tile; arrows choose where, Enter drops", keys: ["Space"], scopes: ["tile"], fixed: true },
+	{ id: "tile-open", group: "Folders & Links", label: "Open the focused tile", keys: ["Enter"], scopes: ["tile"], fixed: true },
+	{ id: "tile-open-background", group: "Folders & Links", label: "Open link in a background tab", keys: ["Mod+Enter"], scopes: ["tile"], fixed: true },
+	{ id: "tile-open-window", group: "Folders & Links", label: "Open link in a new window", keys: ["Shift+Enter"], scopes: ["tile"], fixed: true },
+	{ id: "tile-rename", group: "Folders & Links", label: "Edit the focused tile", keys: ["F2"], scopes: ["tile"] },
+	{ id: "tile-delete", group: "Folders & Links", label: "Delete the focused tile", keys: ["Mod+Delete", "Mod+Backspace"], scopes: ["tile"] },
+	{ id: "tile-select", group: "Folders & Links", label: "Select the focused tile", keys: ["Shift+Space", "Mod+Space"], scopes: ["tile"], fixed: true },
+	{ id: "select-all", group: "Folders & Links", label: "Select all tiles", keys: ["Mod+A"], scopes: ["tile", "popover", "page"], fixed: true },
+	{ id: "next-page", group: "Folders & Links", label: "Next page of tiles", keys: ["PageDown", "ArrowRight"], scopes: ["page"] },
+	{ id: "previous-page", group: "Folders & Links", label: "Previous page of tiles", keys: ["PageUp", "ArrowLeft"], scopes: ["page"] },
+
+	{ id: "folder-open-all", group: "Folder Popover", label: "Open all sites in a tab group", keys: ["Alt+Enter"], scopes: ["tile", "popover"] },
+	{ id: "popover-rename", group: "Folder Popover", label: "Rename the open folder", keys: ["F2"], scopes: ["popover"] },
+	{ id: "popover-parent", group: "Folder Popover", label: "Go to the parent folder", keys: ["Backspace"], scopes: ["popover"] },
+
+	{ id: "open-settings", group: "Settings & Appearance", label: "Open settings", keys: ["Mod+,"], scopes: ["global"], fields: true },
+	{ id: "toggle-theme", group: "Settings & Appearance", label: "Toggle light / dark theme", keys: ["Alt+T"], scopes: ["global"] },
+
+	{ id: "toggle-clock", group: "Clock", label: "Show or hide the clock", keys: ["Alt+C"], scopes: ["global"] },
+	{ id: "toggle-clock-seconds", group: "Clock", label: "Show or hide seconds", keys: [], scopes: ["global"] },
+];
+
+// Export for window (pages)
+if (typeof window !== "undefined") {
+	window.ShortcutRegistry = ShortcutRegistry;
+}
@@ -2,6 +2,14 @@
 class StorageManager {
 	constructor() {
 		this.storageKey = "newtab_data";
+		this.snapshotsKey = "newtab_snapshots";
+		this.lastDailySnapshotKey = "newtab_last_daily_snapshot"; // time of the last daily snapshot check
+		this.snapshotQueue = Promise.resolve(); // snapshot writes, one at a time
+		this.maxSnapshots = 30;
+		this.snapshotQuotaShare = 0.4; // max share of the storage quota used by snapshot history
+		this.syncKeyPrefix = "tilio_sync_"; // chrome.storage.sync keys: <prefix>manifest, <prefix>0..n
+		this.syncStateKey = "tilio_cloud_sync"; // per-device sync state, kept in chrome.storage.local
+		this.searchHistoryKey = "tilio_search_history"; // recent search bar queries, never synced or exported
 		this.defaultData = {
 			folders: [],
 			links: [],
@@ -24,6 +32,25 @@ class StorageManager {
 				showSeconds: false,
 				clockFreePosition: null, // { xPercent: number, yPercent: number }
 				customTheme: false,
+				userThemes: [],
+				wallpaper: {
+					source: "none",
+					imageId: null,
+					interval: 60,
+					blur: 0,
+					dim: 20,
+					adaptive: true,
+				},
+				themeSchedule: {
+					enabled: false,
+					mode: "times",
+					rules: [
+						{ start: "08:00", theme: "light" },
+						{ start: "18:00", theme: "dark" },
+					],
+					sun: { day: "light", night: "dark" },
+					location: null,
+				},
 				accessibility: {
 					highContrast: false,
 					reducedMotion: false,
@@ -31,10 +58,15 @@ class StorageManager {
 				searchEngine: {
 					name: "Google",
 					template: "https://www.google.com/search?q={query}",
+					suggest: "https://suggestqueries.google.com/complete/search?client=firefox&q={query}",
 				},
+				searchSuggestions: false,
+				searchHistoryLimit: 50,
 				autoSortByPopularity: false,
+				openAllConfirmThreshold: 10,
+				shortcuts: {},
 			},
-			version: "1.0",
+			version: "1.1",
 		};
 	}
 
@@ -234,8 +266,8 @@ class StorageManager {
 				}
 			}
 
-			// Validate folders structure
-			for (const folder of data.folders) {
+			// Validate folders structure (folders may contain nested subfolders)
+			const validateFolder = (folder) => {
 				if (!folder.id || !folder.name || !Array.isArray(folder.sites)) {
 					return false;
 				}
@@ -245,6 +277,16 @@ class StorageManager {
 						return false;
 					}
 				}
+
+				// subfolders are optional but if present must be an array of folders
+				if (folder.folders !== undefined) {
+					if (!Array.isArray(folder.folders)) return false;
+					if (!folder.folders.every(validateFolder)) return false;
+				}
+				return true;
+			};
+			if (!data.folders.every(validateFolder)) {
+				return false;
 			}
 
 			// Validate root links if present
@@ -264,6 +306,29 @@ class StorageManager {
 					if (!("type" in entry) || !("id" in entry)) return false;
 					if (entry.type !== "folder" && entry.type !== "link") return false;
 					if (typeof entry.id !== "string") return false;
+					if (entry.page !== undefined && !(Number.isInteger(entry.page) && entry.page >= 0)) return false;
+				}
+			}
+
+			// Workspaces are optional; parked layouts are checked like the active one
+			if (data.workspaces !== undefined) {
+				const { workspaces } = data;
+				if (
+					!workspaces ||
+					typeof workspaces !== "object" ||
+					!Array.isArray(workspaces.list) ||
+					!workspaces.list.some((w) => w && w.id === workspaces.activeId)
+				) {
+					return false;
+				}
+				for (const workspace of workspaces.list) {
+					if (typeof workspace.id !== "string" || typeof workspace.name !== "string") return false;
+					if (
+						workspace.layout &&
+						!this.validateSchema({ ...workspace.layout, settings, version: data.version })
+					) {
+						return false;
+					}
 				}
 			}
 
@@ -284,31 +349,36 @@ class StorageManager {
 			// Deep clone to avoid modifying original
 			const sanitized = JSON.parse(JSON.stringify(data));
 
-			// Sanitize folder names and site data
-			if (sanitized.folders) {
-				sanitized.folders.forEach((folder) => {
-					if (folder.name) {
-						folder.name = this.escapeHtml(folder.name);
-					}
+			// Sanitize folder names and site data, descending into subfolders
+			const sanitizeFolder = (folder) => {
+				if (folder.name) {
+					folder.name = this.escapeName(folder.name);
+				}
 
-					if (folder.sites) {
-						folder.sites.forEach((site) => {
-							if (site.name) {
-								site.name = this.escapeHtml(site.name);
-							}
-							if (site.url) {
-								site.url = this.sanitizeUrl(site.url);
-							}
-						});
-					}
-				});
+				if (folder.sites) {
+					folder.sites.forEach((site) => {
+						if (site.name) {
+							site.name = this.escapeName(site.name);
+						}
+						if (site.url) {
+							site.url = this.sanitizeUrl(site.url);
+						}
+					});
+				}
+
+				if (Array.isArray(folder.folders)) {
+					folder.folders.forEach(sanitizeFolder);
+				}
+			};
+			if (sanitized.folders) {
+				sanitized.folders.forEach(sanitizeFolder);
 			}
 
 			// Sanitize root links
 			if (sanitized.links) {
 				sanitized.links.forEach((link) => {
 					if (link.name) {
-						link.name = this.escapeHtml(link.name);
+						link.name = this.escapeName(link.name);
 					}
 					if (link.url) {
 						link.url = this.sanitizeUrl(link.url);
@@ -350,7 +420,7 @@ class StorageManager {
 	 */
 	migrateData(data) {
 		try {
-			const currentVersion = "1.0";
+			const currentVersion = "1.1";
 
 			if (data.version === currentVersion) {
 				// Ensure new optional fields exist
@@ -405,6 +475,13 @@ class StorageManager {
 				migratedData.meta.topSitesBlacklist = [];
 			}
 
+			// 1.1: folders can hold subfolders; give every folder a folders array
+			const ensureSubfolders = (folder) => {
+				if (!Array.isArray(folder.folders)) folder.folders = [];
+				folder.folders.forEach(ensureSubfolders);
+			};
+			migratedData.folders.forEach(ensureSubfolders);
+
 			// Ensure rootOrder exists
 			if (!Array.isArray(migratedData.rootOrder)) {
 				migratedData.rootOrder = [
@@ -518,17 +595,482 @@ class StorageManager {
 		}
 	}
 
+	/**
+	 * Backup file payload for stored data (settings + folders)
+	 * @param {Object} data
+	 * @returns {Object}
+	 */
+	createExport(data) {
+		return {
+			folders: data.folders,
+			links: data.links,
+			rootOrder: data.rootOrder,
+			meta: data.meta,
+			settings: data.settings,
+			workspaces: data.workspaces,
+			version: data.version,
+			exportDate: new Date().toISOString(),
+			appVersion: "1.0",
+		};
+	}
+
+	// =============== Snapshot History ===============
+
+	/**
+	 * Read a raw value from chrome.storage.local (or localStorage outside the extension)
+	 * @param {string} key
+	 */
+	async getStoredValue(key) {
+		if (
+			typeof chrome !== "undefined" &&
+			chrome.storage &&
+			chrome.storage.local &&
+			chrome.storage.local.get
+		) {
+			const result = await chrome.storage.local.get([key]);
+			return result[key];
+		}
+		const raw = localStorage.getItem(key);
+		return raw ? JSON.parse(raw) : undefined;
+	}
+
+	/**
+	 * Write a raw value to chrome.storage.local (or localStorage outside the extension)
+	 * @param {string} key
+	 * @param {*} value
+	 */
+	async setStoredValue(key, value) {
+		if (
+			typeof chrome !== "undefined" &&
+			chrome.storage &&
+			chrome.storage.local &&
+			chrome.storage.local.set
+		) {
+			await chrome.storage.local.set({ [key]: value });
+		} else {
+			localStorage.setItem(key, JSON.stringify(value));
+		}
+	}
+
+	/**
+	 * List snapshots, newest first
+	 * @returns {Promise<Array<{id: string, createdAt: number, reason: string, data: Object}>>}
+	 */
+	async getSnapshots() {
+		try {
+			const list = await this.getStoredValue(this.snapshotsKey);
+			return Array.isArray(list) ? list : [];
+		} catch (error) {
+			console.error("Error loading snapshots:", error);
+			return [];
+		}
+	}
+
+	/**
+	 * Record a snapshot of the layout. Identical consecutive snapshots are skipped.
+	 * The data is captured right away; the history is rewritten in the background, so
+	 * callers editing the layout need not wait for it.
+	 * @param {string} reason - shown in the History panel (e.g. "Before import")
+	 * @param {Object} [data] - data to capture; defaults to what is currently stored
+	 * @returns {Promise<Object|null>} the snapshot, or null when nothing was recorded
+	 */
+	createSnapshot(reason, data) {
+		let json = null;
+		try {
+			// Serialize before any await so callers can mutate their data right away
+			json = data ? JSON.stringify(data) : null;
+		} catch (error) {
+			console.error("Error creating snapshot:", error);
+			return Promise.resolve(null);
+		}
+		const task = this.snapshotQueue.then(() => this.writeSnapshot(reason, json));
+		this.snapshotQueue = task;
+		return task;
+	}
+
+	/**
+	 * Add a snapshot to the history (createSnapshot queues these)
+	 * @param {string} reason
+	 * @param {string|null} json - serialized data, or null for what is currently stored
+	 */
+	async writeSnapshot(reason, json) {
+		try {
+			if (json === null) json = JSON.stringify(await this.loadData());
+			const captured = JSON.parse(json);
+			if (!this.validateSchema(captured)) return null;
+
+			const snapshots = await this.getSnapshots();
+			const latest = snapshots[0];
+			// Sizes differ for nearly every change; only equal sizes need the full comparison
+			if (latest && this.getSnapshotSize(latest) === json.length && JSON.stringify(latest.data) === json) {
+				return null;
+			}
+
+			const snapshot = {
+				id: this.generateId(),
+				createdAt: Date.now(),
+				reason: reason || "Snapshot",
+				data: captured,
+				size: json.length,
+			};
+			snapshots.unshift(snapshot);
+			await this.setStoredValue(this.snapshotsKey, this.pruneSnapshots(snapshots));
+			return snapshot;
+		} catch (error) {
+			console.error("Error creating snapshot:", error);
+			return null;
+		}
+	}
+
+	/**
+	 * Take the daily snapshot if none was taken in the last 24 hours
+	 */
+	async maybeCreateDailySnapshot() {
+		const last = await this.getStoredValue(this.lastDailySnapshotKey);
+		if (Date.now() - (last || 0) < 24 * 3600 * 1000) return null;
+		await this.setStoredValue(this.lastDailySnapshotKey, Date.now());
+		return await this.createSnapshot("Daily snapshot");
+	}
+
+	/**
+	 * Serialized size of a snapshot's data, measured when it was taken
+	 * @param {Object} snapshot
+	 * @returns {number}
+	 */
+	getSnapshotSize(snapshot) {
+		// Snapshots from older versions don't carry their size
+		if (typeof snapshot.size !== "number") snapshot.size = JSON.stringify(snapshot.data).length;
+		return snapshot.size;
+	}
+
+	/**
+	 * Drop the oldest snapshots until the history fits its share of the storage quota
+	 * (and the snapshot count limit). The newest snapshot is always kept.
+	 * @param {Array} snapshots - newest first
+	 */
+	pruneSnapshots(snapshots) {
+		const quota =
+			(typeof chrome !== "undefined" && chrome.storage?.local?.QUOTA_BYTES) || 5242880;
+		// The stored layout takes about as much room as its newest snapshot
+		const budget = Math.min(
+			quota * this.snapshotQuotaShare,
+			quota * 0.9 - this.getSnapshotSize(snapshots[0]),
+		);
+
+		// Each entry adds its id, time and reason to the data
+		const entrySize = (snapshot) => this.getSnapshotSize(snapshot) + 200;
+		const kept = snapshots.slice(0, this.maxSnapshots);
+		let size = kept.reduce((total, snapshot) => total + entrySize(snapshot), 0);
+		while (kept.length > 1 && size > budget) {
+			size -= entrySize(kept.pop());
+		}
+		return kept;
+	}
+
+	/**
+	 * Replace the layout with a snapshot, snapshotting the current state first
+	 * so the restore itself can be undone from the History panel
+	 * @param {string} id
+	 */
+	async restoreSnapshot(id) {
+		const snapshot = (await this.getSnapshots()).find((s) => s.id === id);
+		if (!snapshot) throw new Error("Snapshot not found");
+		await this.createSnapshot("Before restore");
+		const current = await this.loadData();
+		const restored = this.migrateData(JSON.parse(JSON.stringify(snapshot.data)));
+		// Keep sync wiring of this device; the snapshot may predate it. A snapshot taken in
+		// another workspace keeps its own, so one workspace never mirrors over another's folder
+		if (restored.workspaces?.activeId === current.workspaces?.activeId) {
+			restored.meta = { ...restored.meta, bookmarkSync: current.meta?.bookmarkSync };
+		}
+		if (!(await this.saveData(restored))) throw new Error("Failed to restore snapshot");
+		return restored;
+	}
+
+	/**
+	 * Compare two layouts
+	 * @param {Object} before
+	 * @param {Object} after
+	 * @returns {{added: Object[], removed: Object[], changed: Object[]}} entries { kind, name, url?, path, from? }
+	 */
+	diffLayouts(before, after) {
+		const index = (data) => {
+			const items = new Map();
+			for (const link of data?.links || []) {
+				items.set(link.id, { kind: "link", name: link.name, url: link.url, path: "" });
+			}
+			const walk = (folders, path) => {
+				for (const folder of folders || []) {
+					items.set(folder.id, { kind: "folder", name: folder.name, path });
+					const inner = path ? `${path} / ${folder.name}` : folder.name;
+					for (const site of folder.sites || []) {
+						items.set(site.id, { kind: "site", name: site.name, url: site.url, path: inner });
+					}
+					walk(folder.folders, inner);
+				}
+			};
+			walk(data?.folders, "");
+			return items;
+		};
+
+		const a = index(before);
+		const b = index(after);
+		const diff = { added: [], removed: [], changed: [] };
+		for (const [id, item] of b) {
+			const old = a.get(id);
+			if (!old) {
+				diff.added.push(item);
+			} else if (old.name !== item.name || old.url !== item.url || old.path !== item.path) {
+				diff.changed.push({ ...item, from: old });
+			}
+		}
+		for (const [id, item] of a) {
+			if (!b.has(id)) diff.removed.push(item);
+		}
+		return diff;
+	}
+
+	// =============== Cloud Sync Storage ===============
+	// chrome.storage.sync allows 8 KB per item and 100 KB in total, so the synced
+	// layout is split into string chunks plus a manifest written in a single set() call
+
+	/**
+	 * The chrome.storage.sync area, or null outside the extension
+	 * @returns {Object|null}
+	 */
+	getSyncArea() {
+		if (typeof chrome !== "undefined" && chrome.storage && chrome.storage.sync) {
+			return chrome.storage.sync;
+		}
+		return null;
+	}
+
+	/**
+	 * Quotas of a sync area, falling back to the documented chrome.storage.sync limits
+	 * @param {Object} area
+	 */
+	getSyncQuotas(area) {
+		return {
+			bytes: area?.QUOTA_BYTES || 102400,
+			bytesPerItem: area?.QUOTA_BYTES_PER_ITEM || 8192,
+			maxItems: area?.MAX_ITEMS || 512,
+		};
+	}
+
+	/**
+	 * Read the synced payload
+	 * @param {Object} [area] - chrome.storage.sync compatible area
+	 * @returns {Promise<{payload: Object, manifest: Object}|null>} null when nothing was synced yet
+	 */
+	async readSyncData(area = this.getSyncArea()) {
+		if (!area) throw new Error("Sync storage not available");
+		const manifestKey = this.syncKeyPrefix + "manifest";
+		const manifest = (await area.get(manifestKey))[manifestKey];
+		if (!manifest || !manifest.chunks) return null;
+
+		const keys = [];
+		for (let i = 0; i < manifest.chunks; i++) keys.push(this.syncKeyPrefix + i);
+		const stored = await area.get(keys);
+		const json = keys.map((key) => stored[key] || "").join("");
+
+		// Another device's write may still be arriving chunk by chunk
+		if (this.hashString(json) !== manifest.hash) {
+			const error = new Error("Synced data is incomplete");
+			error.incomplete = true;
+			throw error;
+		}
+		return { payload: JSON.parse(json), manifest };
+	}
+
+	/**
+	 * Replace the synced payload
+	 * @param {Object} payload
+	 * @param {Object} [area] - chrome.storage.sync compatible area
+	 * @returns {Promise<{manifest: Object, bytes: number}>}
+	 */
+	async writeSyncData(payload, area = this.getSyncArea()) {
+		if (!area) throw new Error("Sync storage not available");
+		const manifestKey = this.syncKeyPrefix + "manifest";
+		const quotas = this.getSyncQuotas(area);
+		const json = JSON.stringify(payload);
+		const chunks = this.chunkString(json, quotas.bytesPerItem - 64);
+
+		const items = {};
+		chunks.forEach((chunk, i) => (items[this.syncKeyPrefix + i] = chunk));
+		const manifest = {
+			chunks: chunks.length,
+			hash: this.hashString(json),
+			updatedAt: Date.now(),
+		};
+		items[manifestKey] = manifest;
+
+		const bytes = Object.entries(items).reduce(
+			(sum, [key, value]) => sum + this.byteLength(key + JSON.stringify(value)),
+			0,
+		);
+		if (bytes > quotas.bytes || chunks.length + 1 > quotas.maxItems) {
+			throw new Error(
+				`Layout is too large to sync (${Math.ceil(bytes / 1024)} KB of ${Math.floor(quotas.bytes / 1024)} KB)`,
+			);
+		}
+
+		const previous = (await area.get(manifestKey))[manifestKey];
+		await area.set(items);
+
+		// Drop chunks left over from a larger previous payload
+		const stale = [];
+		for (let i = chunks.length; i < (previous?.chunks || 0); i++) {
+			stale.push(this.syncKeyPrefix + i);
+		}
+		if (stale.length) await area.remove(stale);
+		return { manifest, bytes };
+	}
+
+	/**
+	 * Split a string into pieces whose JSON encoding fits maxBytes (UTF-8)
+	 * @param {string} text
+	 * @param {number} maxBytes
+	 * @returns {string[]}
+	 */
+	chunkString(text, maxBytes) {
+		const chunks = [];
+		let start = 0;
+		while (start < text.length) {
+			let end = Math.min(text.length, start + maxBytes);
+			let size;
+			while ((size = this.byteLength(JSON.stringify(text.slice(start, end)))) > maxBytes) {
+				// Escapes and multi-byte characters take more than a byte each
+				end -= Math.max(1, Math.ceil((size - maxBytes) / 6));
+			}
+			// Never split a surrogate pair
+			const last = text.charCodeAt(end - 1);
+			if (end < text.length && last >= 0xd800 && last <= 0xdbff) end--;
+			chunks.push(text.slice(start, end));
+			start = end;
+		}
+		return chunks;
+	}
+
+	byteLength(text) {
+		return new TextEncoder().encode(text).length;
+	}
+
+	/**
+	 * Short FNV-1a hash used to detect changes and incomplete reads
+	 * @param {string} text
+	 * @returns {string}
+	 */
+	hashString(text) {
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < text.length; i++) {
+			hash ^= text.charCodeAt(i);
+			hash = Math.imul(hash, 0x01000193);
+		}
+		return (hash >>> 0).toString(16);
+	}
+
+	/**
+	 * Sync state of this device (enabled, last sync, status, usage)
+	 * @returns {Promise<Object>}
+	 */
+	async getSyncState() {
+		const state = await this.getStoredValue(this.syncStateKey);
+		return { enabled: false, lastSync: 0, status: "disabled", error: null, bytes: 0, ...state };
+	}
+
+	async setSyncState(state) {
+		await this.setStoredValue(this.syncStateKey, state);
+		return state;
+	}
+
+	// =============== Search History ===============
+
+	/**
+	 * Recent search bar queries, newest first
+	 * @returns {Promise<Array<{query: string, time: number}>>}
+	 */
+	async getSearchHistory() {
+		const list = await this.getStoredValue(this.searchHistoryKey);
+		return Array.isArray(list) ? list : [];
+	}
+
+	/**
+	 * Move a query to the front of the history and drop entries beyond the limit
+	 * @param {string} query - empty to only apply the limit
+	 * @param {number} limit - entries to keep; 0 keeps no history at all
+	 * @returns {Promise<Array<{query: string, time: number}>>}
+	 */
+	async addSearchHistory(query, limit) {
+		const text = String(query || "").trim();
+		if (!limit) {
+			await this.clearSearchHistory();
+			return [];
+		}
+		const history = (await this.getSearchHistory()).filter(
+			(entry) => entry.query.toLowerCase() !== text.toLowerCase(),
+		);
+		if (text) history.unshift({ query: text, time: Date.now() });
+		const kept = history.slice(0, limit);
+		await this.setStoredValue(this.searchHistoryKey, kept);
+		return kept;
+	}
+
+	async removeSearchHistory(query) {
+		const history = (await this.getSearchHistory()).filter((entry) => entry.query !== query);
+		await this.setStoredValue(this.searchHistoryKey, history);
+		return history;
+	}
+
+	async clearSearchHistory() {
+		await this.setStoredValue(this.searchHistoryKey, []);
+	}
+
 	/**
 	 * Escape HTML to prevent XSS
 	 * @param {string} text - Text to escape
 	 * @returns {string} - Escaped text
 	 */
 	escapeHtml(text) {
+		// No DOM in the background service worker
+		if (typeof document === "undefined") {
+			return String(text).replace(
+				/[&<>]/g,
+				(c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[c],
+			);
+		}
 		const div = document.createElement("div");
 		div.textContent = text;
 		return div.innerHTML;
 	}
 
+	/**
+	 * Names in memory are escaped already; escape them exactly once so saving again
+	 * doesn't add another level
+	 * @param {string} name
+	 * @returns {string}
+	 */
+	escapeName(name) {
+		return this.escapeHtml(this.unescapeHtml(name));
+	}
+
+	/**
+	 * Reverse escapeHtml, for names shown as text or written outside Tilio. Decodes exactly
+	 * one level: a name whose text is literally "&lt;" stays "&lt;"
+	 * @param {string} text - Escaped text
+	 * @returns {string} - Plain text
+	 */
+	unescapeHtml(text) {
+		const named = { amp: "&", lt: "<", gt: ">", quot: '"', nbsp: "\u00a0" };
+		return String(text ?? "").replace(
+			/&(?:#(\d+)|#x([\da-f]+)|(amp|lt|gt|quot|nbsp));/gi,
+			(entity, dec, hex, name) => {
+				if (name) return named[name.toLowerCase()];
+				const code = dec ? Number(dec) : parseInt(hex, 16);
+				return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+			},
+		);
+	}
+
 	/**
 	 * Sanitize URL to ensure it's valid
 	 * @param {string} url - URL to sanitize
@@ -0,0 +1,181 @@
+// tilio - Theme Schedule (no UI dependencies)
+// Picks the theme for the current time from settings.themeSchedule: either rules that each
+// start at a time of day ("ocean from 08:00, dark from 18:00") or a day and a night theme that
+// switch at sunrise and sunset for a saved location. SettingsManager.applySettings shows the
+// resolved theme and re-checks when the next change is due.
+
+class ThemeSchedule {
+	static defaults() {
+		return {
+			enabled: false,
+			mode: "times", // "times" or "sun"
+			rules: [
+				{ start: "08:00", theme: "light" },
+				{ start: "18:00", theme: "dark" },
+			],
+			sun: { day: "light", night: "dark" },
+			location: null, // { latitude, longitude, label } for sunrise and sunset
+		};
+	}
+
+	/**
+	 * First problem with a schedule
+	 * @param {Object} schedule - settings.themeSchedule
+	 * @param {function(string): boolean} isTheme - whether a settings.theme value exists
+	 * @returns {string|null} description of the problem, or null when valid
+	 */
+	static validate(schedule, isTheme) {
+		if (!schedule || typeof schedule !== "object") return "A schedule must be an object";
+		if (typeof schedule.enabled !== "boolean") return "enabled must be true or false";
+		if (!ThemeSchedule.MODES.includes(schedule.mode)) return `mode must be one of: ${ThemeSchedule.MODES.join(", ")}`;
+
+		const { rules } = schedule;
+		if (!Array.isArray(rules) || !rules.length || rules.length > ThemeSchedule.MAX_RULES) {
+			return `Add 1-${ThemeSchedule.MAX_RULES} schedule rules`;
+		}
+		const starts = new Set();
+		for (const rule of rules) {
+			if (!rule || ThemeSchedule.parseTime(rule.start) === null) return "Each rule needs a start time (HH:MM)";
+			if (starts.has(rule.start)) return `Two rules start at ${rule.start}`;
+			starts.add(rule.start);
+			if (!isTheme(rule.theme)) return `Unknown theme in the ${rule.start} rule`;
+		}
+
+		if (!schedule.sun || !isTheme(schedule.sun.day) || !isTheme(schedule.sun.night)) {
+			return "Choose a day and a night theme";
+		}
+		const { location } = schedule;
+		if (location !== null) {
+			if (
+				typeof location !== "object" ||
+				!(Math.abs(location.latitude) <= 90) ||
+				!(Math.abs(location.longitude) <= 180) ||
+				typeof location.label !== "string" ||
+				location.label.length > 80
+			) {
+				return "Invalid location";
+			}
+		}
+		if (schedule.enabled && schedule.mode === "sun" && !location) {
+			return "Set a location to switch at sunrise and sunset";
+		}
+		return null;
+	}
+
+	/**
+	 * @param {string} value - "HH:MM"
+	 * @returns {number|null} minutes after midnight
+	 */
+	static parseTime(value) {
+		const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || "");
+		return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+	}
+
+	/**
+	 * The scheduled theme for a moment
+	 * @param {Object} schedule - settings.themeSchedule
+	 * @param {Date} [now]
+	 * @returns {{theme: string, nextChange: Date}|null} null when the schedule is off or
+	 *   can't be worked out (no location yet)
+	 */
+	static resolve(schedule, now = new Date()) {
+		if (!schedule?.enabled) return null;
+		return schedule.mode === "sun" ? ThemeSchedule.resolveSun(schedule, now) : ThemeSchedule.resolveTimes(schedule, now);
+	}
+
+	static resolveTimes(schedule, now) {
+		const rules = (schedule.rules || [])
+			.map((rule) => ({ ...rule, minutes: ThemeSchedule.parseTime(rule.start) }))
+			.filter((rule) => rule.minutes !== null)
+			.sort((a, b) => a.minutes - b.minutes);
+		if (!rules.length) return null;
+
+		const minutes = now.getHours() * 60 + now.getMinutes();
+		// Before the first rule of the day, the last rule from yesterday still applies
+		const active = [...rules].reverse().find((rule) => rule.minutes <= minutes) || rules[rules.length - 1];
+		const next = rules.find((rule) => rule.minutes > minutes);
+		const nextChange = ThemeSchedule.atMinutes(now, next ? next.minutes : rules[0].minutes, next ? 0 : 1);
+		return { theme: active.theme, nextChange };
+	}
+
+	static resolveSun(schedule, now) {
+		const { location, sun } = schedule;
+		if (!location) return null;
+		const today = ThemeSchedule.sunTimes(now, location.latitude, location.longitude);
+		const nextMidnight = ThemeSchedule.atMinutes(now, 0, 1);
+
+		// Midnight sun or polar night: one theme all day, look again tomorrow
+		if (today.polar) return { theme: today.polar === "day" ? sun.day : sun.night, nextChange: nextMidnight };
+		if (now < today.sunrise) return { theme: sun.night, nextChange: today.sunrise };
+		if (now < today.sunset) return { theme: sun.day, nextChange: today.sunset };
+		const tomorrow = ThemeSchedule.sunTimes(nextMidnight, location.latitude, location.longitude);
+		return { theme: sun.night, nextChange: tomorrow.sunrise || nextMidnight };
+	}
+
+	/**
+	 * A local time of day, some days from a date
+	 * @param {Date} date
+	 * @param {number} minutes - after midnight
+	 * @param {number} [addDays]
+	 * @returns {Date}
+	 */
+	static atMinutes(date, minutes, addDays = 0) {
+		return new Date(date.getFullYear(), date.getMonth(), date.getDate() + addDays, 0, minutes);
+	}
+
+	/**
+	 * Sunrise and sunset on a date (the standard sunrise equation, accurate to a minute or two)
+	 * @param {Date} date - any time on the local day
+	 * @param {number} latitude
+	 * @param {number} longitude
+	 * @returns {{sunrise: Date, sunset: Date}|{polar: string}} polar is "day" or "night" when
+	 *   the sun doesn't rise or set that day
+	 */
+	static sunTimes(date, latitude, longitude) {
+		const rad = Math.PI / 180;
+		const dayMs = 86400000;
+		const J1970 = 2440588;
+		const J2000 = 2451545;
+		const J0 = 0.0009;
+		const obliquity = rad * 23.4397;
+
+		const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+		const days = noon.valueOf() / dayMs - 0.5 + J1970 - J2000;
+		const lw = rad * -longitude;
+		const phi = rad * latitude;
+
+		const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+		const approxTransit = (hourAngle) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+		const meanAnomaly = rad * (357.5291 + 0.98560028 * approxTransit(0));
+		const eclipticLongitude =
+			meanAnomaly +
+			rad * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly)) +
+			rad * 102.9372 +
+			Math.PI;
+		const transit = (approx) =>
+			J2000 + approx + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+		const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+		// Sun's center 0.833° below the horizon: refraction plus the solar disc's radius
+		const cosHourAngle =
+			(Math.sin(rad * -0.833) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+		if (cosHourAngle > 1) return { polar: "night" };
+		if (cosHourAngle < -1) return { polar: "day" };
+
+		const solarNoon = transit(approxTransit(0));
+		const set = transit(approxTransit(Math.acos(cosHourAngle)));
+		const rise = solarNoon - (set - solarNoon);
+		const fromJulian = (j) => new Date((j + 0.5 - J1970) * dayMs);
+		return { sunrise: fromJulian(rise), sunset: fromJulian(set) };
+	}
+}
+
+ThemeSchedule.MODES = ["times", "sun"];
+ThemeSchedule.MAX_RULES = 8;
+// Longest wait between checks, so a laptop waking from sleep catches up soon after
+ThemeSchedule.MAX_CHECK_DELAY = 15 * 60 * 1000;
+
+// Export for window (pages)
+if (typeof window !== "undefined") {
+	window.ThemeSchedule = ThemeSchedule;
+}
@@ -0,0 +1,396 @@
+// tilio - Theme Engine (no UI dependencies)
+// A theme is a JSON document: colors, background gradient stops, tile shape and shadow,
+// label style, font and popover styling. Users build themes in Settings → Appearance, keep
+// them in settings.userThemes and share them as .tilio-theme.json files.
+//
+// Every token is checked against ThemeEngine.SCHEMA before a theme is saved, imported or
+// applied, and only validated values (hex colors, numbers in range, known keywords) ever
+// reach the generated stylesheet.
+
+class ThemeEngine {
+	/**
+	 * A new theme document copied from a built-in preset
+	 * @param {string} [preset] - key of ThemeEngine.PRESETS
+	 * @param {string} [name]
+	 * @returns {Object} theme
+	 */
+	static create(preset = "dark", name) {
+		const source = ThemeEngine.PRESETS[preset] || ThemeEngine.PRESETS.dark;
+		const theme = JSON.parse(JSON.stringify(source));
+		if (name) theme.name = name;
+		return theme;
+	}
+
+	/**
+	 * First problem with a theme document
+	 * @param {Object} theme
+	 * @returns {string|null} description of the problem, or null when valid
+	 */
+	static validate(theme) {
+		if (!theme || typeof theme !== "object" || Array.isArray(theme)) return "A theme must be an object";
+		if (theme.format !== ThemeEngine.FORMAT) return "Not a Tilio theme file";
+		if (!Number.isInteger(theme.version) || theme.version < 1 || theme.version > ThemeEngine.VERSION) {
+			return "Unsupported theme version";
+		}
+		if (typeof theme.name !== "string" || !theme.name.trim() || theme.name.length > ThemeEngine.MAX_NAME_LENGTH) {
+			return `The theme name must be 1-${ThemeEngine.MAX_NAME_LENGTH} characters`;
+		}
+		if (theme.id !== undefined && (typeof theme.id !== "string" || !/^[\w-]{1,40}$/.test(theme.id))) {
+			return "Invalid theme id";
+		}
+		if (!ThemeEngine.BASES.includes(theme.base)) return `base must be one of: ${ThemeEngine.BASES.join(", ")}`;
+
+		const known = ["format", "version", "name", "id", "base", "gradient", "font", ...Object.keys(ThemeEngine.SCHEMA)];
+		const unknown = Object.keys(theme).find((key) => !known.includes(key));
+		if (unknown) return `Unknown theme token: ${unknown}`;
+
+		for (const [group, tokens] of Object.entries(ThemeEngine.SCHEMA)) {
+			const values = theme[group];
+			if (!values || typeof values !== "object" || Array.isArray(values)) return `${group} must be an object`;
+			const extra = Object.keys(values).find((key) => !tokens[key]);
+			if (extra) return `Unknown theme token: ${group}.${extra}`;
+			for (const [key, spec] of Object.entries(tokens)) {
+				const problem = ThemeEngine.checkToken(spec, values[key]);
+				if (problem) return `${group}.${key} ${problem}`;
+			}
+		}
+
+		if (!Object.keys(ThemeEngine.FONTS).includes(theme.font)) {
+			return `font must be one of: ${Object.keys(ThemeEngine.FONTS).join(", ")}`;
+		}
+		return ThemeEngine.validateGradient(theme.gradient);
+	}
+
+	/**
+	 * @param {Object} spec - one ThemeEngine.SCHEMA entry
+	 * @param {*} value
+	 * @returns {string|null} what is wrong with the value
+	 */
+	static checkToken(spec, value) {
+		switch (spec.type) {
+			case "color":
+				return ThemeEngine.isColor(value) ? null : "must be a #rrggbb color";
+			case "number":
+				return Number.isInteger(value) && value >= spec.min && value <= spec.max
+					? null
+					: `must be a whole number from ${spec.min} to ${spec.max}`;
+			case "enum":
+				return spec.values.includes(value) ? null : `must be one of: ${spec.values.join(", ")}`;
+			case "boolean":
+				return typeof value === "boolean" ? null : "must be true or false";
+			default:
+				return "has an unknown type";
+		}
+	}
+
+	static validateGradient(gradient) {
+		if (!gradient || typeof gradient !== "object" || Array.isArray(gradient)) return "gradient must be an object";
+		const extra = Object.keys(gradient).find((key) => key !== "angle" && key !== "stops");
+		if (extra) return `Unknown theme token: gradient.${extra}`;
+		if (!Number.isInteger(gradient.angle) || gradient.angle < 0 || gradient.angle > 360) {
+			return "gradient.angle must be a whole number from 0 to 360";
+		}
+		const { stops } = gradient;
+		if (!Array.isArray(stops) || stops.length < 2 || stops.length > ThemeEngine.MAX_STOPS) {
+			return `gradient.stops must have 2-${ThemeEngine.MAX_STOPS} stops`;
+		}
+		for (let i = 0; i < stops.length; i++) {
+			const stop = stops[i];
+			if (!stop || typeof stop !== "object" || Object.keys(stop).some((key) => key !== "color" && key !== "at")) {
+				return `gradient.stops[${i}] must have only a color and an at position`;
+			}
+			if (!ThemeEngine.isColor(stop.color)) return `gradient.stops[${i}].color must be a #rrggbb color`;
+			if (!Number.isInteger(stop.at) || stop.at < 0 || stop.at > 100) {
+				return `gradient.stops[${i}].at must be a whole number from 0 to 100`;
+			}
+			if (i && stop.at < stops[i - 1].at) return "gradient.stops must be in order of position";
+		}
+		return null;
+	}
+
+	static isColor(value) {
+		return typeof value === "string" && /^#[0-9a-fA-F]{6}$/.test(value);
+	}
+
+	// ============ Files ============
+
+	/**
+	 * Theme file contents; the library id stays local
+	 * @param {Object} theme
+	 * @returns {string}
+	 */
+	static serialize(theme) {
+		const { id, ...file } = theme;
+		return JSON.stringify(file, null, 2);
+	}
+
+	/**
+	 * Read a .tilio-theme.json file
+	 * @param {string} text
+	 * @returns {Object} validated theme without an id
+	 * @throws {Error} with the validation problem
+	 */
+	static parse(text) {
+		let theme;
+		try {
+			theme = JSON.parse(text);
+		} catch (_) {
+			throw new Error("The file is not valid JSON");
+		}
+		const problem = ThemeEngine.validate(theme);
+		if (problem) throw new Error(problem);
+		delete theme.id;
+		theme.name = theme.name.trim();
+		return theme;
+	}
+
+	static fileName(theme) {
+		const slug = theme.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "theme";
+		return `${slug}${ThemeEngine.FILE_EXTENSION}`;
+	}
+
+	// ============ Library Keys ============
+
+	/** settings.theme value selecting a library theme */
+	static userKey(id) {
+		return `user:${id}`;
+	}
+
+	/** @returns {string|null} library id of a settings.theme value, or null for built-in themes */
+	static parseUserKey(key) {
+		const match = /^user:([\w-]{1,40})$/.exec(key || "");
+		return match ? match[1] : null;
+	}
+
+	// ============ CSS ============
+
+	static gradientCss(gradient) {
+		const stops = gradient.stops.map((stop) => `${stop.color} ${stop.at}%`).join(", ");
+		return `linear-gradient(${gradient.angle}deg, ${stops})`;
+	}
+
+	/**
+	 * Stylesheet for a validated theme, scoped to body.theme-user. The body also carries the
+	 * theme's base class (theme-light or theme-dark) for every token a theme doesn't set.
+	 * @param {Object} theme
+	 * @returns {string}
+	 */
+	static toCss(theme) {
+		const { colors, tile, label, popover } = theme;
+		const mix = (color, percent) => `color-mix(in srgb, ${color} ${percent}%, transparent)`;
+		const tileBg = mix(colors.tile, tile.opacity);
+		const labelRules = {
+			plain: "text-shadow: none;",
+			shadow: "text-shadow: 0 1px 3px rgba(0, 0, 0, 0.6);",
+			pill: `text-shadow: none; width: auto; max-width: calc(var(--folder-size) + 20px); padding: 2px 10px; border-radius: 999px; background: ${mix(colors.panel, 75)};`,
+		};
+
+		return `
+body.theme-user {
+	--primary-color: ${colors.primary};
+	--bg-color: ${colors.background};
+	--background-gradient: ${ThemeEngine.gradientCss(theme.gradient)};
+	--color-text-primary: ${colors.text};
+	--color-text-secondary: ${colors.textSecondary};
+	--text-color: ${colors.text};
+	--text-color-muted: ${colors.textSecondary};
+	--tile-bg: ${tileBg};
+	--tile-border: ${colors.tileBorder};
+	--surface-panel-bg: ${colors.panel};
+	--surface-panel-border: color-mix(in srgb, ${colors.text} 15%, ${colors.panel});
+	--surface-popover-bg: ${mix(popover.background, popover.opacity)};
+	font-family: ${ThemeEngine.FONTS[theme.font]};
+}
+body.theme-user .folder-button,
+body.theme-user .link-button {
+	border-radius: ${tile.radius}px;
+	background: ${tileBg};
+	border: 1px solid ${colors.tileBorder};
+	box-shadow: ${ThemeEngine.SHADOWS[tile.shadow]};
+	backdrop-filter: blur(${tile.blur}px);
+	-webkit-backdrop-filter: blur(${tile.blur}px);
+}
+body.theme-user .folder-button:hover,
+body.theme-user .link-item:hover .link-button {
+	box-shadow: ${ThemeEngine.HOVER_SHADOWS[tile.shadow]};
+	background: color-mix(in srgb, ${colors.primary} 14%, ${tileBg});
+}
+body.theme-user .folder-title,
+body.theme-user .link-title {
+	color: ${colors.text};
+	font-weight: ${label.weight};
+	text-transform: ${label.uppercase ? "uppercase" : "none"};
+	${labelRules[label.style]}
+}
+body.theme-user .folder-popover {
+	border-radius: ${popover.radius}px;
+	backdrop-filter: blur(${popover.blur}px);
+	-webkit-backdrop-filter: blur(${popover.blur}px);
+	box-shadow: ${ThemeEngine.SHADOWS[popover.shadow]};
+}
+`;
+	}
+
+	/**
+	 * Put a theme's stylesheet on the page, replacing the previous one
+	 * @param {Object} theme - validated theme
+	 */
+	static apply(theme) {
+		let style = document.getElementById(ThemeEngine.STYLE_ID);
+		if (!style) {
+			style = document.createElement("style");
+			style.id = ThemeEngine.STYLE_ID;
+			document.head.appendChild(style);
+		}
+		style.textContent = ThemeEngine.toCss(theme);
+	}
+
+	static remove() {
+		document.getElementById(ThemeEngine.STYLE_ID)?.remove();
+	}
+
+	/**
+	 * Colors for theme pickers, in the shape of SettingsManager.themes entries
+	 * @param {Object} theme
+	 * @returns {{backgroundColor: string, textColor: string, primaryColor: string, backgroundGradient: string}}
+	 */
+	static getPreview(theme) {
+		return {
+			backgroundColor: theme.colors.background,
+			textColor: theme.colors.text,
+			primaryColor: theme.colors.primary,
+			backgroundGradient: ThemeEngine.gradientCss(theme.gradient),
+		};
+	}
+}
+
+ThemeEngine.FORMAT = "tilio-theme";
+ThemeEngine.VERSION = 1;
+ThemeEngine.FILE_EXTENSION = ".tilio-theme.json";
+ThemeEngine.STYLE_ID = "tilio-user-theme";
+ThemeEngine.MAX_NAME_LENGTH = 40;
+ThemeEngine.MAX_STOPS = 5;
+ThemeEngine.MAX_LIBRARY = 30;
+ThemeEngine.BASES = ["dark", "light"];
+
+ThemeEngine.SHADOWS = {
+	none: "none",
+	soft: "0 3px 8px rgba(0, 0, 0, 0.12)",
+	medium: "0 4px 14px rgba(0, 0, 0, 0.28)",
+	strong: "0 10px 28px rgba(0, 0, 0, 0.45)",
+};
+
+ThemeEngine.HOVER_SHADOWS = {
+	none: "none",
+	soft: "0 6px 14px rgba(0, 0, 0, 0.16)",
+	medium: "0 10px 24px rgba(0, 0, 0, 0.35)",
+	strong: "0 16px 36px rgba(0, 0, 0, 0.55)",
+};
+
+ThemeEngine.FONTS = {
+	inter: '"Inter", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif',
+	system: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif',
+	rounded: 'ui-rounded, "SF Pro Rounded", "Nunito", "Varela Round", sans-serif',
+	serif: 'Georgia, "Times New Roman", serif',
+	mono: '"SF Mono", Monaco, Consolas, monospace',
+};
+
+// Token groups of a theme document. label is what the editor shows for each token
+ThemeEngine.SCHEMA = {
+	colors: {
+		primary: { type: "color", label: "Accent" },
+		background: { type: "color", label: "Background" },
+		text: { type: "color", label: "Text" },
+		textSecondary: { type: "color", label: "Secondary text" },
+		tile: { type: "color", label: "Tile" },
+		tileBorder: { type: "color", label: "Tile border" },
+		panel: { type: "color", label: "Panels" },
+	},
+	tile: {
+		radius: { type: "number", min: 0, max: 60, unit: "px", label: "Corner radius" },
+		opacity: { type: "number", min: 0, max: 100, unit: "%", label: "Opacity" },
+		blur: { type: "number", min: 0, max: 30, unit: "px", label: "Background blur" },
+		shadow: { type: "enum", values: Object.keys(ThemeEngine.SHADOWS), label: "Shadow" },
+	},
+	label: {
+		style: { type: "enum", values: ["plain", "shadow", "pill"], label: "Style" },
+		weight: { type: "enum", values: [400, 500, 600, 700], label: "Weight" },
+		uppercase: { type: "boolean", label: "Uppercase" },
+	},
+	popover: {
+		background: { type: "color", label: "Background" },
+		opacity: { type: "number", min: 50, max: 100, unit: "%", label: "Opacity" },
+		radius: { type: "number", min: 0, max: 40, unit: "px", label: "Corner radius" },
+		blur: { type: "number", min: 0, max: 40, unit: "px", label: "Background blur" },
+		shadow: { type: "enum", values: Object.keys(ThemeEngine.SHADOWS), label: "Shadow" },
+	},
+};
+
+// The built-in themes as documents, the starting point for new themes
+ThemeEngine.PRESETS = {
+	dark: {
+		format: "tilio-theme",
+		version: 1,
+		name: "Dark",
+		base: "dark",
+		colors: { primary: "#63b3ed", background: "#1a202c", text: "#ffffff", textSecondary: "#bfc3cc", tile: "#ffffff", tileBorder: "#3a3f4b", panel: "#1c1e28" },
+		gradient: { angle: 135, stops: [{ color: "#2d3748", at: 0 }, { color: "#4a5568", at: 100 }] },
+		tile: { radius: 22, opacity: 10, blur: 10, shadow: "medium" },
+		label: { style: "plain", weight: 400, uppercase: false },
+		font: "inter",
+		popover: { background: "#222530", opacity: 95, radius: 16, blur: 6, shadow: "medium" },
+	},
+	light: {
+		format: "tilio-theme",
+		version: 1,
+		name: "Light",
+		base: "light",
+		colors: { primary: "#2563eb", background: "#f4f7fb", text: "#1f2937", textSecondary: "#4b5563", tile: "#ffffff", tileBorder: "#e5e7eb", panel: "#ffffff" },
+		gradient: { angle: 135, stops: [{ color: "#f4f7fb", at: 0 }, { color: "#dfe7f3", at: 100 }] },
+		tile: { radius: 22, opacity: 82, blur: 10, shadow: "soft" },
+		label: { style: "plain", weight: 400, uppercase: false },
+		font: "inter",
+		popover: { background: "#ffffff", opacity: 96, radius: 16, blur: 6, shadow: "soft" },
+	},
+	ocean: {
+		format: "tilio-theme",
+		version: 1,
+		name: "Ocean",
+		base: "dark",
+		colors: { primary: "#38bdf8", background: "#0d6d85", text: "#f0f9ff", textSecondary: "#b8d4e0", tile: "#ffffff", tileBorder: "#4c8fa6", panel: "#0a2736" },
+		gradient: { angle: 135, stops: [{ color: "#0b7898", at: 0 }, { color: "#045073", at: 100 }] },
+		tile: { radius: 22, opacity: 10, blur: 10, shadow: "medium" },
+		label: { style: "plain", weight: 400, uppercase: false },
+		font: "inter",
+		popover: { background: "#0e3446", opacity: 90, radius: 16, blur: 6, shadow: "medium" },
+	},
+	sunset: {
+		format: "tilio-theme",
+		version: 1,
+		name: "Sunset",
+		base: "dark",
+		colors: { primary: "#ff6b6b", background: "#612525", text: "#ffecec", textSecondary: "#e0b8b8", tile: "#ffffff", tileBorder: "#9a5a5a", panel: "#341414" },
+		gradient: { angle: 135, stops: [{ color: "#7a2e2e", at: 0 }, { color: "#3d1a1a", at: 100 }] },
+		tile: { radius: 22, opacity: 12, blur: 10, shadow: "medium" },
+		label: { style: "plain", weight: 400, uppercase: false },
+		font: "inter",
+		popover: { background: "#3c1818", opacity: 92, radius: 16, blur: 6, shadow: "medium" },
+	},
+	forest: {
+		format: "tilio-theme",
+		version: 1,
+		name: "Forest",
+		base: "dark",
+		colors: { primary: "#68d391", background: "#1f4f3a", text: "#e3fced", textSecondary: "#b4d2c0", tile: "#ffffff", tileBorder: "#4f7d66", panel: "#122a1f" },
+		gradient: { angle: 135, stops: [{ color: "#235b42", at: 0 }, { color: "#133424", at: 100 }] },
+		tile: { radius: 22, opacity: 10, blur: 10, shadow: "medium" },
+		label: { style: "plain", weight: 400, uppercase: false },
+		font: "inter",
+		popover: { background: "#183628", opacity: 92, radius: 16, blur: 6, shadow: "medium" },
+	},
+};
+
+// Export for window (pages)
+if (typeof window !== "undefined") {
+	window.ThemeEngine = ThemeEngine;
+}
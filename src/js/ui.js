@@ -3,32 +3,73 @@
  * Delegates functionality to specialized component managers
  */
 class UIManager {
-  constructor(container, overlay, folderSystem) {
+  /**
+   * @param {HTMLElement} container - Main grid container
+   * @param {HTMLElement} overlay - Folder popover overlay
+   * @param {FolderSystem} folderSystem - Data layer
+   * @param {Object} [app] - { settingsManager, workspaces, changeWorkspaces(task) } from the app;
+   *   changeWorkspaces runs a task on the Workspaces and brings the open pages up to date
+   */
+  constructor(container, overlay, folderSystem, app = {}) {
     this.container = container;
     this.overlay = overlay;
     this.folderSystem = folderSystem;
+    this.settingsManager = app.settingsManager || null;
+    this.workspaces = app.workspaces || null;
+    this.changeWorkspaces = app.changeWorkspaces || null;
     
+    // Undo history wraps FolderSystem mutations, so create it before anything mutates
+    this.undoManager = new UndoManager(folderSystem);
+    this.selectionManager = new SelectionManager(container, folderSystem);
+
     // Initialize component managers
     this.dragDropManager = new DragDropManager(container, folderSystem);
     this.dialogManager = new DialogManager(overlay, folderSystem);
     this.renderManager = new RenderManager(container, folderSystem);
     this.popoverManager = new PopoverManager(container, folderSystem, this.renderManager);
-    this.contextMenuManager = new ContextMenuManager(container, folderSystem, this.dialogManager);
+    this.contextMenuManager = new ContextMenuManager(
+      container,
+      folderSystem,
+      this.dialogManager,
+      this.undoManager,
+      this.selectionManager
+    );
+    this.gridPageManager = new GridPageManager(container, folderSystem);
+    this.gridNavigationManager = new GridNavigationManager(container, folderSystem, {
+      popover: this.popoverManager,
+      contextMenu: this.contextMenuManager,
+      pages: this.gridPageManager
+    });
     this.notificationManager = new NotificationManager(container);
+    this.commandPaletteManager = new CommandPaletteManager(container, folderSystem);
+
+    // Keyboard shortcuts with the user's bindings from settings
+    this.shortcuts = new ShortcutRegistry(() => this.settingsManager?.settings?.shortcuts);
+    this.cheatsheetManager = new CheatsheetManager(container, folderSystem, this.shortcuts);
+    this.workspaceSwitcherManager = new WorkspaceSwitcherManager(container, folderSystem, this.workspaces);
     
     // Initialize EventHandler with delegates after other managers are created
     this.eventHandler = new EventHandler(container, overlay, folderSystem, {
       popover: this.popoverManager,
       contextMenu: this.contextMenuManager,
-      render: this.renderManager
+      render: this.renderManager,
+      shortcuts: this.shortcuts,
+      pages: this.gridPageManager
     });
     
     // Update DragDropManager delegates after render manager is created
     this.dragDropManager.updateDelegates({
       render: this.renderManager,
-      popover: this.popoverManager
+      popover: this.popoverManager,
+      undo: this.undoManager,
+      selection: this.selectionManager,
+      pages: this.gridPageManager
     });
     
+    // Command recorded but not yet announced by a toast (see notify())
+    this.pendingUndoCommand = null;
+    this.undoToastDuration = 6000;
+
     // SettingsUIManager is initialized lazily in showSettingsModal()
     this.settingsUIManager = null;
     
@@ -48,6 +89,8 @@ class UIManager {
         const folders = this.folderSystem.getAllFolders();
         const links = this.folderSystem.getAllLinks?.() || [];
         this.renderGrid(folders, links);
+        // Keep an open popover (possibly showing a subfolder) in sync
+        this.popoverManager.refreshPopover();
       } catch (e) {
         console.error('UIManager refresh after foldersChanged failed:', e);
       }
@@ -68,7 +111,7 @@ class UIManager {
     // Context menu notifications
     this.contextMenuManager.on('notification', (data) => {
       const { message, type, duration } = data;
-      this.notificationManager.show(message, type || 'success', duration);
+      this.notify(message, type || 'success', duration);
     });
 
     // Context menu item moved
@@ -81,9 +124,39 @@ class UIManager {
       this.refreshFolders();
     });
 
+    // Bulk actions may change the popover contents as well as the grid
+    this.contextMenuManager.on('foldersChanged', () => {
+      this.refreshFolders();
+      this.popoverManager.refreshPopover();
+    });
+
     // Popover coordination
     this.popoverManager.on('popoverClosed', () => {
       this.currentPopover = null;
+      this.selectionManager.syncWithDom();
+    });
+
+    // Popover re-rendered or navigated to a subfolder
+    this.popoverManager.on('contentRendered', ({ grid }) => {
+      this.selectionManager.syncWithDom();
+      this.gridNavigationManager.syncWithDom(grid);
+    });
+
+    // Items dropped into subfolders inside the popover
+    this.popoverManager.on('foldersChanged', () => {
+      this.refreshFolders();
+    });
+
+    this.popoverManager.on('notification', ({ message, type }) => {
+      this.notify(message, type || 'success');
+    });
+
+    // "Open All" from the popover or a folder's context menu
+    this.popoverManager.on('openFolder', ({ folderId }) => {
+      this.openFolder(folderId);
+    });
+    this.contextMenuManager.on('openFolder', ({ folderId }) => {
+      this.openFolder(folderId);
     });
 
     // Popover folder renamed - update grid immediately
@@ -103,6 +176,14 @@ class UIManager {
       this.currentDialog = null;
     });
 
+    this.dialogManager.on('notification', ({ message, type }) => {
+      this.notify(message, type || 'success');
+    });
+
+    this.dialogManager.on('linkMoved', () => {
+      this.refreshFolders();
+    });
+
     // Render manager events
     this.renderManager.on('folderCreated', (folder) => {
       // Handle folder creation events if needed
@@ -117,6 +198,25 @@ class UIManager {
       this.refreshFolders();
     });
 
+    // Tiles moved with Alt+Arrow
+    this.gridNavigationManager.on('foldersChanged', () => {
+      this.refreshFolders();
+    });
+
+    this.gridNavigationManager.on('notification', ({ message, type }) => {
+      this.notify(message, type || 'success');
+    });
+
+    // Page dots, wheel, swipe and keys turned the page
+    this.gridPageManager.on('pageChanged', () => {
+      this.refreshFolders();
+    });
+
+    // Key presses matched by the shortcut registry
+    this.eventHandler.on('shortcut', (detail) => {
+      detail.handled = this.runShortcut(detail.id, detail);
+    });
+
     // Drag and drop coordination
     this.dragDropManager.on('dragStarted', (element) => {
       this.draggedElement = element;
@@ -125,6 +225,326 @@ class UIManager {
     this.dragDropManager.on('dragEnded', () => {
       this.draggedElement = null;
     });
+
+    // Selection action bar and Delete key
+    this.selectionManager.on('bulkAction', ({ action }) => {
+      this.contextMenuManager.handleContextAction(action, {
+        items: this.selectionManager.getSelectedItems()
+      });
+    });
+
+    // Command palette actions
+    this.commandPaletteManager.on('command', ({ id }) => {
+      this.runPaletteCommand(id);
+    });
+
+    // Header workspace menu
+    this.workspaceSwitcherManager.on('switch', ({ id }) => {
+      this.switchWorkspace(id);
+    });
+    this.workspaceSwitcherManager.on('manage', () => {
+      if (this.settingsManager) this.showSettingsModal(this.settingsManager, 'workspaces');
+    });
+
+    // Undo history: every recorded change gets a toast with an Undo action
+    this.undoManager.on('recorded', (command) => {
+      this.pendingUndoCommand = command;
+      // Give the caller a moment to announce the change with its own message
+      setTimeout(() => {
+        if (this.pendingUndoCommand !== command) return;
+        this.notify(command.label, 'success');
+      }, 100);
+    });
+
+    this.undoManager.on('undone', (command) => {
+      this.pendingUndoCommand = null;
+      this.refreshAfterHistoryChange();
+      this.notificationManager.show(`Undone: ${command.label}`, 'info', this.undoToastDuration, {
+        label: 'Redo',
+        onClick: () => this.undoManager.redo()
+      });
+    });
+
+    this.undoManager.on('redone', (command) => {
+      this.pendingUndoCommand = null;
+      this.refreshAfterHistoryChange();
+      this.notificationManager.show(`Redone: ${command.label}`, 'info', this.undoToastDuration, {
+        label: 'Undo',
+        onClick: () => this.undoManager.undo()
+      });
+    });
+  }
+
+  /**
+   * Show a notification; a success message right after an undoable change
+   * carries the Undo action for that change
+   * @param {string} message - Message text
+   * @param {string} type - Notification type
+   * @param {number} duration - Optional duration override
+   */
+  notify(message, type = 'success', duration) {
+    const command = type === 'success' ? this.pendingUndoCommand : null;
+    if (!command) {
+      return this.notificationManager.show(message, type, duration);
+    }
+    this.pendingUndoCommand = null;
+    return this.notificationManager.show(message, type, duration ?? this.undoToastDuration, {
+      label: 'Undo',
+      onClick: () => {
+        // Only the latest change can be undone from its toast
+        if (this.undoManager.undoStack[this.undoManager.undoStack.length - 1] === command) {
+          this.undoManager.undo();
+        }
+      }
+    });
+  }
+
+  /**
+   * Re-render the grid and any open popover after undo/redo replaced the layout
+   */
+  refreshAfterHistoryChange() {
+    this.closeContextMenu();
+    this.refreshFolders();
+    this.popoverManager.refreshPopover();
+  }
+
+  /**
+   * Run an action picked in the command palette
+   * @param {string} id - CommandPaletteManager.COMMANDS id
+   */
+  async runPaletteCommand(id) {
+    const settingsManager = this.settingsManager;
+    switch (id) {
+      case 'new-link':
+        this.dialogManager.showAddLinkDialog();
+        break;
+      case 'save-tabs':
+        this.saveWindowTabs();
+        break;
+      case 'show-shortcuts':
+        this.cheatsheetManager.open();
+        break;
+      case 'open-settings':
+        if (settingsManager) this.showSettingsModal(settingsManager);
+        break;
+      case 'toggle-theme': {
+        if (!settingsManager) return;
+        // 'auto' and the colored themes resolve to light or dark; flip whichever is showing
+        const theme = document.body.classList.contains('theme-light') ? 'dark' : 'light';
+        const workspace = this.workspaces?.getActive();
+        if (workspace?.theme) {
+          // The workspace's own theme wins over the global one, so change that instead
+          await this.changeWorkspaces((workspaces) => workspaces.setTheme(workspace.id, theme));
+          this.notify(`Switched the ${workspace.name} workspace to the ${theme} theme`, 'info');
+          break;
+        }
+        const schedule = settingsManager.settings.themeSchedule;
+        if (schedule?.enabled) {
+          // A schedule would switch straight back; picking a theme by hand turns it off
+          await settingsManager.updateSettings({ theme, customTheme: false, themeSchedule: { ...schedule, enabled: false } });
+          this.notify(`Switched to the ${theme} theme and turned off the theme schedule`, 'info');
+          break;
+        }
+        await settingsManager.updateSettings({ theme, customTheme: false });
+        this.notify(`Switched to the ${theme} theme`, 'info');
+        break;
+      }
+      case 'next-workspace': {
+        const workspaces = this.workspaces;
+        if (!workspaces || workspaces.list().length < 2) {
+          this.notify('Add another workspace in Settings → Workspaces', 'info');
+          break;
+        }
+        await this.switchWorkspace(workspaces.getNext().id);
+        break;
+      }
+      default:
+        console.warn('Unknown palette command:', id);
+    }
+  }
+
+  /**
+   * Run a keyboard shortcut
+   * @param {string} id - ShortcutRegistry command id
+   * @param {Object} context
+   * @param {HTMLElement|null} context.tile - Focused tile, if any
+   * @returns {boolean} false when the command doesn't apply, so the key keeps its default action
+   */
+  runShortcut(id, { tile }) {
+    switch (id) {
+      case 'open-palette':
+        this.commandPaletteManager.open();
+        return true;
+      case 'show-shortcuts':
+        this.cheatsheetManager.toggle();
+        return true;
+      case 'undo':
+        this.undoManager.undo();
+        return true;
+      case 'redo':
+        this.undoManager.redo();
+        return true;
+      case 'new-link':
+      case 'save-tabs':
+      case 'open-settings':
+      case 'toggle-theme':
+      case 'next-workspace':
+        this.runPaletteCommand(id);
+        return true;
+      case 'focus-search': {
+        const input = document.getElementById('tilio-search-input');
+        if (!input) return false;
+        input.focus();
+        input.select();
+        return true;
+      }
+      case 'tile-rename':
+      case 'tile-delete':
+        return this.editTile(tile, id === 'tile-delete');
+      case 'folder-open-all': {
+        // A focused folder tile, otherwise the folder shown in the popover
+        const folderId = tile?.classList.contains('folder-item')
+          ? tile.dataset.folderId
+          : this.popoverManager.currentPopover?._folderId;
+        if (!folderId) return false;
+        this.openFolder(folderId);
+        return true;
+      }
+      case 'popover-rename': {
+        const title = this.popoverManager.currentPopover?.querySelector('.popover-title');
+        if (!title) return false;
+        title.click();
+        return true;
+      }
+      case 'popover-parent': {
+        const pop = this.popoverManager.currentPopover;
+        const path = pop ? this.folderSystem.getFolderPath(pop._folderId) : [];
+        if (path.length < 2) return false;
+        this.popoverManager.navigateToFolder(path[path.length - 2].id);
+        return true;
+      }
+      case 'next-page':
+        return this.gridPageManager.next();
+      case 'previous-page':
+        return this.gridPageManager.previous();
+      case 'toggle-clock':
+      case 'toggle-clock-seconds':
+        this.toggleClockSetting(id === 'toggle-clock' ? 'showClock' : 'showSeconds');
+        return true;
+      default:
+        console.warn('Unknown shortcut command:', id);
+        return false;
+    }
+  }
+
+  /**
+   * Open the edit or delete dialog for a focused tile
+   * @param {HTMLElement|null} tile - Folder, link, subfolder or popover site tile
+   * @param {boolean} remove - delete instead of edit
+   * @returns {boolean} whether a dialog opened
+   */
+  editTile(tile, remove) {
+    const { folderId, linkId, siteId } = tile?.dataset || {};
+    if (siteId && folderId) {
+      if (remove) this.dialogManager.showDeleteSiteDialog(folderId, siteId);
+      else this.dialogManager.showEditSiteDialog(folderId, siteId);
+    } else if (folderId) {
+      if (remove) this.dialogManager.showDeleteConfirmation(folderId);
+      else this.dialogManager.showEditFolderDialog(folderId);
+    } else if (linkId) {
+      if (remove) this.dialogManager.showDeleteLinkDialog(linkId);
+      else this.dialogManager.showEditLinkDialog(linkId);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Show another workspace and say which
+   * @param {string} id
+   */
+  async switchWorkspace(id) {
+    if (!this.workspaces) return;
+    try {
+      if (!(await this.changeWorkspaces((workspaces) => workspaces.switchTo(id)))) return;
+      this.notify(`Switched to the ${this.workspaces.getActive().name} workspace`, 'info');
+    } catch (error) {
+      console.error('Failed to switch workspace:', error);
+      this.notify('Failed to switch workspace', 'error');
+    }
+  }
+
+  /**
+   * Flip a clock setting from the keyboard and say what changed
+   * @param {'showClock'|'showSeconds'} key
+   */
+  async toggleClockSetting(key) {
+    const settingsManager = this.settingsManager;
+    if (!settingsManager) return;
+    const value = !settingsManager.settings[key];
+    if (!(await settingsManager.updateSettings({ [key]: value }))) return;
+    const what = key === 'showClock' ? 'Clock' : 'Seconds';
+    this.notify(`${what} ${value ? 'shown' : 'hidden'}`, 'info');
+  }
+
+  /**
+   * Save the tabs of this window as a new folder (header button and command palette)
+   */
+  async saveWindowTabs() {
+    if (typeof chrome === 'undefined' || !chrome.tabs?.query) {
+      this.notify('Saving tabs needs the browser extension', 'info');
+      return;
+    }
+    try {
+      const tabs = await chrome.tabs.query({ currentWindow: true });
+      this.dialogManager.showSaveTabsDialog(tabs);
+    } catch (error) {
+      console.error('Failed to read tabs:', error);
+      this.notify('Failed to read the open tabs', 'error');
+    }
+  }
+
+  /**
+   * Open every site in a folder as a tab group named and colored after the folder,
+   * asking first when it would open more tabs than the openAllConfirmThreshold setting
+   * @param {string} folderId
+   */
+  openFolder(folderId) {
+    const folder = this.folderSystem.getFolderById(folderId);
+    if (!folder) return;
+    const urls = (folder.sites || []).map(site => site.url).filter(Boolean);
+    if (!urls.length) {
+      this.notify('This folder has no sites to open', 'info');
+      return;
+    }
+
+    // Names are stored HTML-escaped
+    const title = this.folderSystem.storage.unescapeHtml(folder.name);
+
+    const launch = async () => {
+      try {
+        const { opened } = await LinkOpener.openAll(urls, {
+          title,
+          color: LinkOpener.groupColorFor(folder)
+        });
+        if (opened < urls.length) {
+          this.notify(`Opened ${opened} of ${urls.length} sites from ${title}`, 'warning');
+        } else {
+          this.notify(`Opened ${opened} site${opened === 1 ? '' : 's'} from ${title}`, 'success');
+        }
+      } catch (error) {
+        console.error('Failed to open folder:', error);
+        this.notify('Failed to open the folder\'s sites', 'error');
+      }
+    };
+
+    const threshold = this.settingsManager?.settings?.openAllConfirmThreshold ?? 10;
+    if (threshold > 0 && urls.length > threshold) {
+      this.dialogManager.showOpenAllDialog(folder, urls.length, launch);
+    } else {
+      launch();
+    }
   }
 
   // ============ Context Menu ============
@@ -164,7 +584,10 @@ class UIManager {
   }
 
   renderGrid(folders, links) {
-    this.renderManager.renderGrid(folders, links);
+    this.renderManager.renderGrid(folders, links, this.gridPageManager.sync());
+    this.gridPageManager.render();
+    this.selectionManager?.syncWithDom();
+    this.gridNavigationManager?.syncWithDom(this.container);
   }
 
   createAddTile() {
@@ -228,12 +651,21 @@ class UIManager {
   // ============ Settings Modal ============
   // Settings UI functionality delegated to SettingsUIManager
 
-  showSettingsModal(settingsManager) {
+  /**
+   * @param {SettingsManager} settingsManager
+   * @param {string} [tab] - settings tab to open on
+   */
+  showSettingsModal(settingsManager, tab) {
     if (!this.settingsUIManager) {
-      this.settingsUIManager = new SettingsUIManager(this.container, settingsManager);
+      this.settingsUIManager = new SettingsUIManager(
+        this.container,
+        settingsManager,
+        this.workspaces,
+        this.changeWorkspaces
+      );
       // Set up event listeners for settings UI
       this.settingsUIManager.on('notification', ({ message, type }) => {
-        this.notificationManager.show(message, type);
+        this.notify(message, type);
       });
       this.settingsUIManager.on('settingsChanged', (settings) => {
         // Emit or handle settings changes if needed
@@ -241,8 +673,11 @@ class UIManager {
       this.settingsUIManager.on('dataImported', () => {
         // Handle data import completion
       });
+      this.settingsUIManager.on('mergeImportRequested', ({ layout, fileName }) => {
+        this.dialogManager.showMergeImportDialog(layout, fileName);
+      });
     }
-    this.settingsUIManager.showSettingsModal();
+    this.settingsUIManager.showSettingsModal(tab);
   }
 
   closeSettingsModal() {
@@ -255,7 +690,7 @@ class UIManager {
   // Notification functionality delegated to NotificationManager
 
   showNotification(message, type = "success", duration) {
-    this.notificationManager.show(message, type, duration);
+    this.notify(message, type, duration);
   }
 
   // ============ Cleanup ============
@@ -287,9 +722,21 @@ class UIManager {
     if (this.settingsUIManager && typeof this.settingsUIManager.cleanup === 'function') {
       this.settingsUIManager.cleanup();
     }
+    if (this.selectionManager && typeof this.selectionManager.destroy === 'function') {
+      this.selectionManager.destroy();
+    }
     if (this.notificationManager && typeof this.notificationManager.cleanup === 'function') {
       this.notificationManager.cleanup();
     }
+    if (this.commandPaletteManager && typeof this.commandPaletteManager.destroy === 'function') {
+      this.commandPaletteManager.destroy();
+    }
+    if (this.workspaceSwitcherManager && typeof this.workspaceSwitcherManager.destroy === 'function') {
+      this.workspaceSwitcherManager.destroy();
+    }
+    if (this.gridPageManager && typeof this.gridPageManager.destroy === 'function') {
+      this.gridPageManager.destroy();
+    }
 
     // Close any open dialogs/popovers
     this.closeContextMenu();
@@ -305,6 +752,12 @@ class UIManager {
     this.renderManager = null;
     this.settingsUIManager = null;
     this.notificationManager = null;
+    this.undoManager = null;
+    this.selectionManager = null;
+    this.commandPaletteManager = null;
+    this.workspaceSwitcherManager = null;
+    this.gridPageManager = null;
+    this.pendingUndoCommand = null;
     this.draggedElement = null;
     this.currentDialog = null;
     this.currentPopover = null;
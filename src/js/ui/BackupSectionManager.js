@@ -0,0 +1,156 @@
+// tilio - Remote Backup Section
+// Encrypted backups to the user's own WebDAV server or HTTP endpoint. The server
+// settings are stored as soon as they are saved here, not with the other settings
+
+class BackupSectionManager extends SettingsSectionManager {
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-label">Remote Backup</label>
+        <div class="setting-description">Upload encrypted backups to your own WebDAV server or any HTTP endpoint that accepts PUT. The passphrase is needed to restore them.</div>
+        <select class="setting-select" id="backup-mode">
+          <option value="webdav">WebDAV folder</option>
+          <option value="http">HTTP PUT endpoint</option>
+        </select>
+        <input type="url" class="setting-input" id="backup-url" placeholder="https://dav.example.com/tilio/">
+        <input type="text" class="setting-input" id="backup-username" placeholder="Username (optional)" autocomplete="off">
+        <input type="password" class="setting-input" id="backup-password" placeholder="Password (optional)" autocomplete="new-password">
+        <input type="password" class="setting-input" id="backup-passphrase" placeholder="Encryption passphrase" autocomplete="new-password">
+        <label class="setting-label" for="backup-interval">Schedule</label>
+        <select class="setting-select" id="backup-interval">
+          <option value="0">Manual only</option>
+          <option value="6">Every 6 hours</option>
+          <option value="24">Daily</option>
+          <option value="168">Weekly</option>
+        </select>
+        <label class="setting-label" for="backup-retention">Backups to keep</label>
+        <input type="number" class="setting-input" id="backup-retention" min="1" max="100">
+        <div class="setting-description" id="backup-status">Not configured</div>
+        <button class="nt-btn nt-btn-primary" id="backup-save">Save</button>
+        <button class="nt-btn" id="backup-now">Back Up Now</button>
+        <select class="setting-select" id="backup-list">
+          <option value="">Load the list of backups to restore one</option>
+        </select>
+        <button class="nt-btn" id="backup-load-list">Load Backups</button>
+        <button class="nt-btn" id="backup-restore">Restore…</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Fill in the backup server settings and bind the backup controls
+   */
+  async bind(modal) {
+    const storage = this.settingsManager.storage;
+    const field = (id) => modal.querySelector(`#backup-${id}`);
+    const config = { ...BackupClient.DEFAULTS, ...(await storage.getStoredValue(BackupClient.CONFIG_KEY)) };
+    field("mode").value = config.mode;
+    field("url").value = config.url;
+    field("username").value = config.username;
+    field("password").value = config.password;
+    field("passphrase").value = config.passphrase;
+    field("interval").value = String(config.intervalHours);
+    field("retention").value = config.retention;
+
+    const readForm = () => ({
+      mode: field("mode").value,
+      url: field("url").value.trim(),
+      username: field("username").value.trim(),
+      password: field("password").value,
+      passphrase: field("passphrase").value,
+      intervalHours: parseInt(field("interval").value, 10) || 0,
+      retention: Math.min(100, Math.max(1, parseInt(field("retention").value, 10) || BackupClient.DEFAULTS.retention)),
+    });
+
+    const saveForm = async () => {
+      const next = readForm();
+      if (!/^https?:\/\//i.test(next.url)) throw new Error("Enter an http:// or https:// URL");
+      if (!next.passphrase) throw new Error("Enter a passphrase to encrypt backups with");
+      await storage.setStoredValue(BackupClient.CONFIG_KEY, next);
+      return next;
+    };
+
+    const run = async (button, action) => {
+      button.disabled = true;
+      try {
+        await action();
+      } catch (error) {
+        console.error("Remote backup action failed:", error);
+        this.emit("notification", { message: "Remote backup: " + error.message, type: "error" });
+      } finally {
+        button.disabled = false;
+        this.updateRemoteBackupStatus(modal);
+      }
+    };
+
+    field("save").addEventListener("click", () =>
+      run(field("save"), async () => {
+        await saveForm();
+        this.emit("notification", { message: "Backup settings saved", type: "success" });
+      }),
+    );
+
+    field("now").addEventListener("click", () =>
+      run(field("now"), async () => {
+        await saveForm();
+        const response = await this.sendBackgroundMessage({ action: "remoteBackupNow" });
+        if (!response?.success) throw new Error(response?.error || "No response");
+        this.emit("notification", { message: `Backup uploaded as ${response.name}`, type: "success" });
+      }),
+    );
+
+    field("load-list").addEventListener("click", () =>
+      run(field("load-list"), async () => {
+        const names = await new BackupClient(readForm()).list();
+        const list = field("list");
+        list.innerHTML = names.length
+          ? names.map((name) => `<option value="${name}">${this.describeBackupFile(name)}</option>`).join("")
+          : '<option value="">No backups found</option>';
+      }),
+    );
+
+    // Restoring goes through the merge import preview, so conflicts can be reviewed first
+    field("restore").addEventListener("click", () =>
+      run(field("restore"), async () => {
+        const name = field("list").value;
+        if (!name) throw new Error("Load the list and choose a backup first");
+        const text = await new BackupClient(readForm()).restore(name);
+        const layout = this.settingsManager.parseLayoutFile(text);
+        this.emit("closeRequested");
+        this.emit("mergeImportRequested", { layout, fileName: this.describeBackupFile(name) });
+      }),
+    );
+
+    this.updateRemoteBackupStatus(modal);
+  }
+
+  /** "tilio-backup-2025-11-02T08-30-00-000Z.tilio" -> "Backup of 11/2/2025, 8:30:00 AM" */
+  describeBackupFile(name) {
+    const match = name.match(/^tilio-backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+    if (!match) return name;
+    const date = new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+    return `Backup of ${date.toLocaleString()}`;
+  }
+
+  async updateRemoteBackupStatus(modal) {
+    const status = modal.querySelector("#backup-status");
+    if (!status) return;
+    const storage = this.settingsManager.storage;
+    const config = await storage.getStoredValue(BackupClient.CONFIG_KEY);
+    const state = (await storage.getStoredValue(BackupClient.STATE_KEY)) || {};
+    if (!config?.url) {
+      status.textContent = "Not configured";
+      return;
+    }
+    const last = state.lastBackup ? new Date(state.lastBackup).toLocaleString() : "never";
+    const schedule = config.intervalHours > 0 ? "scheduled" : "manual only";
+    status.textContent = state.error && (state.lastAttempt || 0) > (state.lastBackup || 0)
+      ? `Last backup failed: ${state.error} — last successful backup ${last}`
+      : `Last backup ${last} (${schedule})`;
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.BackupSectionManager = BackupSectionManager;
+}
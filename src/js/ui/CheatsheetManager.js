@@ -0,0 +1,152 @@
+// tilio - Keyboard Shortcut Cheatsheet
+// Overlay listing every shortcut from ShortcutRegistry with the user's current keys,
+// opened with "?" or from the command palette
+
+class CheatsheetManager extends ComponentManager {
+  /**
+   * @param {HTMLElement} container - Main grid container
+   * @param {FolderSystem} folderSystem - Data layer (unused, kept for the common signature)
+   * @param {ShortcutRegistry} shortcuts - Registry resolving the user's bindings
+   */
+  constructor(container, folderSystem, shortcuts) {
+    super(container, folderSystem);
+    this.shortcuts = shortcuts;
+    this.overlay = null;
+    this.previousFocus = null;
+  }
+
+  isOpen() {
+    return !!this.overlay;
+  }
+
+  toggle() {
+    if (this.isOpen()) this.close();
+    else this.open();
+  }
+
+  open() {
+    if (this.isOpen()) return;
+    this.previousFocus = document.activeElement;
+
+    this.overlay = this.createElement("div", "cheatsheet-overlay");
+    this.overlay.innerHTML = `
+      <div class="cheatsheet" role="dialog" aria-modal="true" aria-labelledby="cheatsheet-title" tabindex="-1">
+        <div class="cheatsheet-header">
+          <h2 id="cheatsheet-title">Keyboard Shortcuts</h2>
+          <button type="button" class="cheatsheet-close" aria-label="Close">×</button>
+        </div>
+        <div class="cheatsheet-body"></div>
+        <p class="cheatsheet-hint">Change them in Settings → Shortcuts</p>
+      </div>
+    `;
+    const dialog = this.overlay.querySelector(".cheatsheet");
+    const body = this.overlay.querySelector(".cheatsheet-body");
+    ShortcutRegistry.getGroups().forEach(({ name, commands }) => {
+      body.appendChild(
+        this.createGroup(
+          name,
+          commands.map((command) => ({ label: command.label, combos: this.shortcuts.getBindings(command.id) }))
+        )
+      );
+    });
+    this.appendBrowserShortcuts(body);
+
+    this.overlay.querySelector(".cheatsheet-close").addEventListener("click", () => this.close());
+    this.overlay.addEventListener("mousedown", (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    dialog.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" || e.key === "?") {
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+    dialog.focus();
+  }
+
+  close() {
+    if (!this.overlay) return;
+    this.overlay.remove();
+    this.overlay = null;
+    if (this.previousFocus?.isConnected) this.previousFocus.focus();
+    this.previousFocus = null;
+  }
+
+  /**
+   * One titled list of shortcuts
+   * @param {string} name - Group title
+   * @param {{label: string, combos: string[]}[]} rows
+   * @returns {HTMLElement}
+   */
+  createGroup(name, rows) {
+    const section = this.createElement("section", "cheatsheet-group");
+    const title = this.createElement("h3");
+    title.textContent = name;
+    const list = this.createElement("dl");
+    rows.forEach(({ label, combos }) => {
+      const term = this.createElement("dt");
+      term.textContent = label;
+      const keys = this.createElement("dd");
+      keys.appendChild(CheatsheetManager.createKeys(combos));
+      list.append(term, keys);
+    });
+    section.append(title, list);
+    return section;
+  }
+
+  /** Manifest commands work on any page; the browser owns their keys */
+  async appendBrowserShortcuts(body) {
+    if (typeof chrome === "undefined" || !chrome.commands?.getAll) return;
+    try {
+      const commands = await chrome.commands.getAll();
+      if (!this.overlay || !commands.length) return;
+      body.appendChild(
+        this.createGroup(
+          "Any Page",
+          commands.map((command) => ({
+            label: command.description || "Open the Tilio popup",
+            combos: command.shortcut ? [command.shortcut] : [],
+          }))
+        )
+      );
+    } catch (error) {
+      console.warn("Failed to read browser shortcuts:", error);
+    }
+  }
+
+  /**
+   * <kbd> keys for a list of combos, "or" between alternatives
+   * @param {string[]} combos - registry combos, or the browser's own text for manifest commands
+   * @returns {DocumentFragment}
+   */
+  static createKeys(combos) {
+    const fragment = document.createDocumentFragment();
+    if (!combos.length) {
+      const none = document.createElement("span");
+      none.className = "shortcut-unset";
+      none.textContent = "Not set";
+      fragment.appendChild(none);
+      return fragment;
+    }
+    combos.forEach((combo, index) => {
+      if (index) fragment.append(" or ");
+      const kbd = document.createElement("kbd");
+      kbd.textContent = ShortcutRegistry.formatCombo(combo);
+      fragment.appendChild(kbd);
+    });
+    return fragment;
+  }
+
+  destroy() {
+    this.close();
+    super.destroy();
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.CheatsheetManager = CheatsheetManager;
+}
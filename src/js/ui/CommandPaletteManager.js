@@ -0,0 +1,246 @@
+// tilio - Command Palette
+// Quick launcher over every tile plus app actions, opened with Ctrl/Cmd+K
+// or by typing ">" in the search bar
+
+class CommandPaletteManager extends ComponentManager {
+  /**
+   * @param {HTMLElement} container - Main grid container
+   * @param {FolderSystem} folderSystem - Data layer searched for tiles
+   */
+  constructor(container, folderSystem) {
+    super(container, folderSystem);
+    this.overlay = null;
+    this.input = null;
+    this.list = null;
+    this.results = [];
+    this.activeIndex = 0;
+    this.previousFocus = null;
+    this.maxResults = 12;
+  }
+
+  isOpen() {
+    return !!this.overlay;
+  }
+
+  /**
+   * Show the palette
+   * @param {string} [query] - initial text
+   */
+  open(query = "") {
+    if (this.isOpen()) {
+      this.input.value = query || this.input.value;
+      this.input.focus();
+      this.update();
+      return;
+    }
+    this.previousFocus = document.activeElement;
+
+    this.overlay = this.createElement("div", "command-palette-overlay");
+    this.overlay.innerHTML = `
+      <div class="command-palette" role="dialog" aria-modal="true" aria-label="Command palette">
+        <input type="text" class="command-palette-input" placeholder="Search tiles and actions…"
+               role="combobox" aria-expanded="true" aria-autocomplete="list"
+               aria-controls="command-palette-list" autocomplete="off" spellcheck="false" />
+        <ul class="command-palette-list" id="command-palette-list" role="listbox" aria-label="Results"></ul>
+      </div>
+    `;
+    this.input = this.overlay.querySelector(".command-palette-input");
+    this.list = this.overlay.querySelector(".command-palette-list");
+
+    this.input.addEventListener("input", () => this.update());
+    this.input.addEventListener("keydown", (e) => this.handleKeydown(e));
+    this.list.addEventListener("mousemove", (e) => {
+      const option = e.target.closest(".command-palette-option");
+      if (option) this.setActive(Number(option.dataset.index));
+    });
+    this.list.addEventListener("click", (e) => {
+      const option = e.target.closest(".command-palette-option");
+      if (option) this.execute(this.results[Number(option.dataset.index)], e);
+    });
+    this.overlay.addEventListener("mousedown", (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+
+    document.body.appendChild(this.overlay);
+    this.input.value = query;
+    this.input.focus();
+    this.update();
+  }
+
+  close() {
+    if (!this.overlay) return;
+    this.overlay.remove();
+    this.overlay = null;
+    this.input = null;
+    this.list = null;
+    this.results = [];
+    if (this.previousFocus?.isConnected) this.previousFocus.focus();
+    this.previousFocus = null;
+  }
+
+  // ============ Results ============
+
+  /**
+   * Tiles and actions matching a query, best first
+   * @param {string} query
+   * @returns {Object[]} results { kind: 'tile'|'command', ... }
+   */
+  search(query) {
+    const q = query.trim().toLowerCase();
+    const commands = CommandPaletteManager.COMMANDS
+      .map((command) => ({
+        kind: "command",
+        command,
+        score: q
+          ? Math.max(
+              this.folderSystem.fuzzyScore(command.label, q),
+              this.folderSystem.fuzzyScore(command.keywords, q) * 0.7
+            )
+          : 0
+      }))
+      .filter((result) => !q || result.score > 0);
+
+    const tiles = this.folderSystem
+      .searchItems(q, this.maxResults)
+      .map((match) => ({ kind: "tile", ...match }));
+
+    // Without a query, popular tiles come first and actions after them
+    if (!q) return [...tiles.slice(0, this.maxResults - commands.length), ...commands];
+    return [...tiles, ...commands]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxResults);
+  }
+
+  update() {
+    this.results = this.search(this.input.value);
+    this.activeIndex = 0;
+    this.render();
+  }
+
+  render() {
+    this.list.innerHTML = "";
+    if (!this.results.length) {
+      const empty = this.createElement("li", "command-palette-empty", { role: "presentation" });
+      empty.textContent = "No matching tiles or actions";
+      this.list.appendChild(empty);
+      this.input.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    this.results.forEach((result, index) => {
+      const option = this.createElement("li", "command-palette-option", {
+        id: `command-palette-option-${index}`,
+        role: "option",
+        "data-index": index
+      });
+
+      const icon = this.createElement("span", "command-palette-icon", { "aria-hidden": "true" });
+      const text = this.createElement("span", "command-palette-text");
+      const title = this.createElement("span", "command-palette-title");
+      const subtitle = this.createElement("span", "command-palette-subtitle");
+
+      if (result.kind === "tile") {
+        const img = document.createElement("img");
+        img.src = this.folderSystem.getIconSrc(result.item);
+        img.alt = "";
+        img.onerror = () => {
+          img.src = this.folderSystem.generateFallbackFaviconUrl(result.item.url);
+        };
+        icon.appendChild(img);
+        title.textContent = this.folderSystem.storage.unescapeHtml(result.item.name) || result.item.url;
+        const where = result.path.length ? result.path.map((n) => this.folderSystem.storage.unescapeHtml(n)).join(" › ") + " — " : "";
+        subtitle.textContent = where + result.item.url;
+      } else {
+        icon.textContent = result.command.icon;
+        title.textContent = result.command.label;
+        subtitle.textContent = "Action";
+      }
+
+      text.append(title, subtitle);
+      option.append(icon, text);
+      this.list.appendChild(option);
+    });
+    this.setActive(this.activeIndex);
+  }
+
+  setActive(index) {
+    if (!this.results.length) return;
+    this.activeIndex = (index + this.results.length) % this.results.length;
+    this.list.querySelectorAll(".command-palette-option").forEach((option, i) => {
+      const active = i === this.activeIndex;
+      option.classList.toggle("active", active);
+      option.setAttribute("aria-selected", active ? "true" : "false");
+      if (active) {
+        this.input.setAttribute("aria-activedescendant", option.id);
+        option.scrollIntoView?.({ block: "nearest" });
+      }
+    });
+  }
+
+  handleKeydown(e) {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        this.setActive(this.activeIndex + 1);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        this.setActive(this.activeIndex - 1);
+        break;
+      case "Enter":
+        e.preventDefault();
+        this.execute(this.results[this.activeIndex], e);
+        break;
+      case "Escape":
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+        break;
+      case "Tab":
+        // Keep focus in the palette
+        e.preventDefault();
+        this.setActive(this.activeIndex + (e.shiftKey ? -1 : 1));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Open a tile or run an action
+   * @param {Object} result
+   * @param {Event} [event] - modifier keys pick a new tab or window for tiles
+   */
+  execute(result, event) {
+    if (!result) return;
+    this.close();
+
+    if (result.kind === "command") {
+      this.emit("command", { id: result.command.id });
+      return;
+    }
+
+    const { item, folderId } = result;
+    this.openTile(item, folderId, LinkOpener.modeForEvent(event, item));
+  }
+
+  destroy() {
+    this.close();
+    super.destroy();
+  }
+}
+
+// Actions offered alongside tiles; UIManager runs them when the 'command' event fires
+CommandPaletteManager.COMMANDS = [
+  { id: "new-link", label: "New link", keywords: "add create tile shortcut", icon: "+" },
+  { id: "save-tabs", label: "Save tabs as folder", keywords: "window session snapshot capture", icon: "⧉" },
+  { id: "show-shortcuts", label: "Keyboard shortcuts", keywords: "keys hotkeys bindings help cheatsheet", icon: "⌨" },
+  { id: "open-settings", label: "Open settings", keywords: "preferences options configure", icon: "⚙" },
+  { id: "toggle-theme", label: "Toggle light / dark theme", keywords: "dark light mode appearance", icon: "◐" },
+  { id: "next-workspace", label: "Next workspace", keywords: "workspace profile switch context work personal", icon: "⇄" }
+];
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.CommandPaletteManager = CommandPaletteManager;
+}
@@ -76,6 +76,21 @@ class ComponentManager {
     return element;
   }
 
+  /**
+   * Download a file with given content
+   */
+  downloadFile(content, filename, type = "application/json") {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Register a custom event listener
    * @param {string} eventName - Event name to listen for
@@ -144,6 +159,39 @@ class ComponentManager {
     this.container.dispatchEvent(event);
   }
 
+  /**
+   * Open a link or site and count the click for popularity
+   * @param {Object} item - Link or site
+   * @param {string|null} folderId - Folder of a site, null for root links
+   * @param {string} mode - LinkOpener mode ('current', 'foreground', 'background', 'window')
+   */
+  openTile(item, folderId, mode) {
+    this.folderSystem.recordClick(item.id, folderId).catch(err => {
+      console.warn('Failed to record click:', err);
+    });
+    return LinkOpener.open(item.url, mode);
+  }
+
+  /**
+   * Open a tile anchor on click or middle-click, honouring modifier keys
+   * and the item's "always open in new tab" option
+   * @param {HTMLAnchorElement} anchor - Tile link element
+   * @param {Object} item - Link or site
+   * @param {string|null} folderId - Folder of a site, null for root links
+   */
+  bindTileOpen(anchor, item, folderId) {
+    anchor.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openTile(item, folderId, LinkOpener.modeForEvent(e, item));
+    });
+    // Middle-click fires auxclick instead of click
+    anchor.addEventListener('auxclick', (e) => {
+      if (e.button !== 1) return;
+      e.preventDefault();
+      this.openTile(item, folderId, LinkOpener.modeForEvent(e, item));
+    });
+  }
+
   /**
    * Check if component is destroyed
    * @returns {boolean} True if destroyed
@@ -6,10 +6,14 @@ class ContextMenuManager extends ComponentManager {
    * @param {HTMLElement} container - The main container element
    * @param {FolderSystem} folderSystem - The folder system instance
    * @param {DialogManager} dialogManager - Dialog manager for action delegation
+   * @param {UndoManager} undoManager - Records direct root order edits for undo (optional)
+   * @param {SelectionManager} selectionManager - Multi-selection for bulk actions (optional)
    */
-  constructor(container, folderSystem, dialogManager) {
+  constructor(container, folderSystem, dialogManager, undoManager = null, selectionManager = null) {
     super(container, folderSystem);
     this.dialogManager = dialogManager;
+    this.undoManager = undoManager;
+    this.selectionManager = selectionManager;
     this.currentContextMenu = null;
     this.documentClickHandler = null;
     this.documentKeyHandler = null;
@@ -26,6 +30,22 @@ class ContextMenuManager extends ComponentManager {
 
     const menu = document.createElement("div");
     menu.className = "context-menu";
+
+    // Right-click on a multi-selection acts on all selected items
+    const selection = this.selectionManager?.getContextSelection(event.target);
+    if (selection) {
+      menu._items = selection;
+      menu.innerHTML = this.getBulkMenuMarkup(selection);
+      this.positionMenu(menu, event);
+      this.attachMenuEvents(menu, event, null, null);
+      document.body.appendChild(menu);
+      this.currentContextMenu = menu;
+      requestAnimationFrame(() => {
+        this.adjustMenuPosition(menu, event);
+      });
+      return;
+    }
+    this.selectionManager?.clear();
     
     // Store context for handlers
     if (folderItem) menu.dataset.folderId = folderItem.dataset.folderId;
@@ -36,11 +56,38 @@ class ContextMenuManager extends ComponentManager {
     }
 
     // Build menu based on target
-    if (folderItem) {
+    if (folderItem && folderItem.classList.contains("popover-folder")) {
+      // Subfolder tile inside a folder popover (no root ordering)
+      menu.innerHTML = `
+        ${this.getOpenAllMenuMarkup(folderItem.dataset.folderId)}
+        <div class="context-item" data-action="edit">
+          ${this.getIcon('edit')}
+          <span>Edit Folder</span>
+        </div>
+        <div class="context-item" data-action="move-folder">
+          ${this.getIcon('folder-input')}
+          <span>Move to Folder…</span>
+        </div>
+        <div class="context-item" data-action="delete">
+          ${this.getIcon('trash')}
+          <span>Delete Folder</span>
+        </div>
+        <div class="context-divider"></div>
+        <div class="context-item" data-action="add-site">
+          ${this.getIcon('plus')}
+          <span>Add Site</span>
+        </div>
+        <div class="context-item" data-action="add-subfolder">
+          ${this.getIcon('folder-plus')}
+          <span>New Subfolder</span>
+        </div>
+      `;
+    } else if (folderItem) {
       // Get position info for folder
       const posInfo = this.getItemPositionInfo(folderItem, true);
       
       menu.innerHTML = `
+        ${this.getOpenAllMenuMarkup(folderItem.dataset.folderId)}
         <div class="context-item" data-action="move-to-top" ${posInfo.isFirst ? 'style="opacity: 0.5; pointer-events: none;"' : ''}>
           ${this.getIcon('chevrons-up')}
           <span>Move to Top</span>
@@ -62,6 +109,10 @@ class ContextMenuManager extends ComponentManager {
           ${this.getIcon('edit')}
           <span>Edit Folder</span>
         </div>
+        <div class="context-item" data-action="move-folder">
+          ${this.getIcon('folder-input')}
+          <span>Move into Folder…</span>
+        </div>
         <div class="context-item" data-action="delete">
           ${this.getIcon('trash')}
           <span>Delete Folder</span>
@@ -71,13 +122,16 @@ class ContextMenuManager extends ComponentManager {
           ${this.getIcon('plus')}
           <span>Add Site</span>
         </div>
+        <div class="context-item" data-action="add-subfolder">
+          ${this.getIcon('folder-plus')}
+          <span>New Subfolder</span>
+        </div>
       `;
     } else if (siteContext) {
+      const { site } = this.folderSystem.getSiteById(siteContext.folderId, siteContext.siteId);
       menu.innerHTML = `
-        <div class="context-item" data-action="open-site">
-          ${this.getIcon('external-link')}
-          <span>Open</span>
-        </div>
+        ${this.getOpenMenuMarkup(site)}
+        <div class="context-divider"></div>
         <div class="context-item" data-action="edit-site">
           ${this.getIcon('edit')}
           <span>Edit Site</span>
@@ -90,8 +144,11 @@ class ContextMenuManager extends ComponentManager {
     } else if (linkItem) {
       // Get position info for link
       const posInfo = this.getItemPositionInfo(linkItem, false);
+      const link = this.folderSystem.links.find(l => l.id === linkItem.dataset.linkId);
       
       menu.innerHTML = `
+        ${this.getOpenMenuMarkup(link)}
+        <div class="context-divider"></div>
         <div class="context-item" data-action="move-to-top" ${posInfo.isFirst ? 'style="opacity: 0.5; pointer-events: none;"' : ''}>
           ${this.getIcon('chevrons-up')}
           <span>Move to Top</span>
@@ -150,6 +207,78 @@ class ContextMenuManager extends ComponentManager {
     });
   }
 
+  /**
+   * Open entries for a link or site: each open mode plus the "always open in new tab" option
+   * @param {Object} item - Link or site
+   * @returns {string}
+   */
+  getOpenMenuMarkup(item) {
+    const alwaysNewTab = !!item?.openInNewTab;
+    return `
+      <div class="context-item" data-action="open">
+        ${this.getIcon('external-link')}
+        <span>Open</span>
+      </div>
+      <div class="context-item" data-action="open-tab">
+        ${this.getIcon('tab')}
+        <span>Open in New Tab</span>
+      </div>
+      <div class="context-item" data-action="open-background">
+        ${this.getIcon('tab')}
+        <span>Open in Background Tab</span>
+      </div>
+      <div class="context-item" data-action="open-window">
+        ${this.getIcon('window')}
+        <span>Open in New Window</span>
+      </div>
+      <div class="context-item" data-action="toggle-new-tab">
+        ${this.getIcon(alwaysNewTab ? 'check-square' : 'square')}
+        <span>Always Open in New Tab</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Menu markup for a multi-selection
+   * @param {Object[]} items - Selected items
+   * @returns {string}
+   */
+  getBulkMenuMarkup(items) {
+    const count = items.length;
+    return `
+      <div class="context-item" data-action="bulk-move">
+        ${this.getIcon('folder-input')}
+        <span>Move ${count} Items to Folder…</span>
+      </div>
+      <div class="context-item" data-action="bulk-folderize">
+        ${this.getIcon('folder-plus')}
+        <span>Create Folder from Selection</span>
+      </div>
+      <div class="context-divider"></div>
+      <div class="context-item" data-action="bulk-delete">
+        ${this.getIcon('trash')}
+        <span>Delete ${count} Items</span>
+      </div>
+    `;
+  }
+
+  /**
+   * "Open All in Tab Group" entry for folder menus; empty when the folder has no sites
+   * @param {string} folderId
+   * @returns {string}
+   */
+  getOpenAllMenuMarkup(folderId) {
+    const count = this.folderSystem.getFolderById(folderId)?.sites?.length || 0;
+    if (!count) return '';
+    return `
+      <div class="context-item" data-action="open-all">
+        ${this.getIcon('tab')}
+        <span>Open All (${count}) in Tab Group</span>
+      </div>
+      <div class="context-divider"></div>
+    `;
+  }
+
   /**
    * Position the context menu at the event coordinates
    * @param {HTMLElement} menu - The menu element
@@ -191,6 +320,7 @@ class ContextMenuManager extends ComponentManager {
           linkId: linkItem?.dataset.linkId || menu.dataset.linkId || null,
           siteFolderId: menu.dataset.siteFolderId || null,
           siteId: menu.dataset.siteId || null,
+          items: menu._items || null,
           event,
         };
         this.handleContextAction(action, ctx);
@@ -250,6 +380,7 @@ class ContextMenuManager extends ComponentManager {
   const linkId = ctx?.linkId || null;
   const siteFolderId = ctx?.siteFolderId || null;
   const siteId = ctx?.siteId || null;
+  const items = ctx?.items || this.selectionManager?.getSelectedItems() || [];
 
     try {
       switch (action) {
@@ -265,6 +396,12 @@ class ContextMenuManager extends ComponentManager {
         case "add-site":
           if (folderId) this.dialogManager.showAddSiteDialog(folderId);
           break;
+        case "add-subfolder":
+          if (folderId) this.dialogManager.showNewSubfolderDialog(folderId);
+          break;
+        case "move-folder":
+          if (folderId) this.dialogManager.showMoveFolderDialog(folderId);
+          break;
         case "edit-link":
           if (linkId) this.dialogManager.showEditLinkDialog(linkId);
           break;
@@ -279,22 +416,38 @@ class ContextMenuManager extends ComponentManager {
             this.dialogManager.showDeleteLinkDialog(linkId);
           }
           break;
+        // Open a link or site; "open-site" is the older name of "open"
+        case "open":
         case "open-site":
-          if (siteFolderId && siteId) {
-            try {
-              const { site } = this.folderSystem.getSiteById(siteFolderId, siteId);
-              if (site?.url) {
-                // Track click for popularity
-                this.folderSystem.recordClick(siteId, siteFolderId).catch(err => {
-                  console.warn('Failed to record click:', err);
-                });
-                window.location.href = site.url;
-              }
-            } catch (err) {
-              console.error('Failed to open site from context menu', err);
-            }
+        case "open-tab":
+        case "open-background":
+        case "open-window": {
+          const target = this.getOpenTarget(linkId, siteFolderId, siteId);
+          if (!target?.item.url) break;
+          const modes = { "open-tab": 'foreground', "open-background": 'background', "open-window": 'window' };
+          const mode = modes[action] || (target.item.openInNewTab ? 'foreground' : 'current');
+          await this.openTile(target.item, target.folderId, mode);
+          break;
+        }
+        case "open-all":
+          if (folderId) this.emit('openFolder', { folderId });
+          break;
+        case "toggle-new-tab": {
+          const target = this.getOpenTarget(linkId, siteFolderId, siteId);
+          if (!target) break;
+          const openInNewTab = !target.item.openInNewTab;
+          if (target.folderId) {
+            await this.folderSystem.updateSite(target.folderId, target.item.id, { openInNewTab });
+          } else {
+            await this.folderSystem.updateRootLink(target.item.id, { openInNewTab });
           }
+          this.emit('foldersChanged');
+          this.emit('notification', {
+            message: openInNewTab ? 'Opens in a new tab from now on' : 'Opens in this tab from now on',
+            type: 'success'
+          });
           break;
+        }
         case "edit-site":
           if (siteFolderId && siteId && this.dialogManager?.showEditSiteDialog) {
             this.dialogManager.showEditSiteDialog(siteFolderId, siteId);
@@ -305,6 +458,16 @@ class ContextMenuManager extends ComponentManager {
             this.dialogManager.showDeleteSiteDialog(siteFolderId, siteId);
           }
           break;
+        // Bulk actions on the current selection
+        case "bulk-move":
+          if (items.length) this.dialogManager.showMoveItemsDialog(items);
+          break;
+        case "bulk-folderize":
+          if (items.length) await this.createFolderFromSelection(items);
+          break;
+        case "bulk-delete":
+          if (items.length) this.dialogManager.showDeleteItemsDialog(items);
+          break;
         // Reordering actions
         case "move-to-top":
           if (folderId) await this.moveItem(folderId, 'folder', 'top');
@@ -361,6 +524,30 @@ class ContextMenuManager extends ComponentManager {
     }
   }
 
+  /**
+   * Group the selected items into a new folder placed where the first of them was
+   * @param {Object[]} items - Selected items ({ type, id, folderId? })
+   */
+  async createFolderFromSelection(items) {
+    try {
+      const first = items[0];
+      const insertIdx = this.folderSystem.rootOrder.findIndex(
+        entry => entry.type === first.type && entry.id === first.id
+      );
+      await this.folderSystem.createFolderFromItems(
+        items,
+        undefined,
+        insertIdx === -1 ? undefined : insertIdx
+      );
+      this.selectionManager?.clear();
+      this.emit('foldersChanged');
+      this.emit('notification', { message: `Folder created from ${items.length} items.`, type: 'success' });
+    } catch (err) {
+      console.error("Failed to create folder from selection:", err);
+      this.emit('notification', { message: "Failed to create folder.", type: 'error' });
+    }
+  }
+
   /**
    * Get position information for an item in the grid
    * @param {HTMLElement} element - The folder or link element
@@ -400,12 +587,29 @@ class ContextMenuManager extends ComponentManager {
       'plus': '<svg class="context-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>',
       'folder-plus': '<svg class="context-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path><line x1="12" y1="11" x2="12" y2="17"></line><line x1="9" y1="14" x2="15" y2="14"></line></svg>',
       'folder-input': '<svg class="context-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path><polyline points="9 14 12 11 15 14"></polyline></svg>',
+      'tab': '<svg class="context-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="7" width="18" height="14" rx="2"></rect><path d="M3 11h18"></path><path d="M7 7V4h7v3"></path></svg>',
+      'window': '<svg class="context-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="4" width="20" height="16" rx="2"></rect><line x1="2" y1="9" x2="22" y2="9"></line><line x1="6" y1="6.5" x2="6.01" y2="6.5"></line><line x1="9" y1="6.5" x2="9.01" y2="6.5"></line></svg>',
+      'square': '<svg class="context-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2"></rect></svg>',
+      'check-square': '<svg class="context-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 11 12 14 22 4"></polyline><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path></svg>',
       'external-link': '<svg class="context-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path><polyline points="15 3 21 3 21 9"></polyline><line x1="10" y1="14" x2="21" y2="3"></line></svg>'
     };
     
     return icons[name] || icons['plus'];
   }
 
+  /**
+   * The link or site a context menu was opened on
+   * @returns {{item: Object, folderId: string|null}|null}
+   */
+  getOpenTarget(linkId, siteFolderId, siteId) {
+    if (siteFolderId && siteId) {
+      const { site } = this.folderSystem.getSiteById(siteFolderId, siteId);
+      return site ? { item: site, folderId: siteFolderId } : null;
+    }
+    const link = linkId ? this.folderSystem.links.find(l => l.id === linkId) : null;
+    return link ? { item: link, folderId: null } : null;
+  }
+
   /**
    * Move an item in the root grid
    * @param {string} itemId - The ID of the folder or link
@@ -417,6 +621,8 @@ class ContextMenuManager extends ComponentManager {
       // Disable auto-sort on manual reorder
       await this.disableAutoSort();
       
+      // rootOrder is edited in place, so record the undo step by hand
+      const checkpoint = this.undoManager?.captureLayout();
       const rootOrder = this.folderSystem.rootOrder;
       const currentIndex = rootOrder.findIndex(
         entry => entry.type === itemType && entry.id === itemId
@@ -492,9 +698,11 @@ class ContextMenuManager extends ComponentManager {
       
       // Save and refresh
       await this.folderSystem.save();
+      const label = `${itemType === 'folder' ? 'Folder' : 'Link'} moved ${direction}`;
+      if (checkpoint) this.undoManager.commit(label, checkpoint);
       this.emit('itemMoved', { itemId, itemType, direction });
       this.emit('notification', { 
-        message: `${itemType === 'folder' ? 'Folder' : 'Link'} moved ${direction}.`, 
+        message: `${label}.`, 
         type: 'success' 
       });
       
@@ -64,10 +64,10 @@ class DialogManager extends ComponentManager {
 			],
 		);
 
-		dialog.addEventListener("action", (e) => {
+		dialog.addEventListener("action", async (e) => {
 			if (e.detail.action === "delete") {
 				try {
-					this.folderSystem.deleteFolder(folderId);
+					await this.folderSystem.deleteFolder(folderId);
 					this.emit("foldersChanged");
 					console.log(`Folder "${folder.name}" deleted successfully`);
 				} catch (error) {
@@ -209,8 +209,115 @@ class DialogManager extends ComponentManager {
 		});
 	}
 
+	showNewSubfolderDialog(parentId) {
+		const parent = this.folderSystem.getFolderById(parentId);
+		if (!parent) return;
+
+		const dialog = this.createDialog(
+			"New Subfolder",
+			`
+      <div class="dialog-field">
+        <label for="subfolder-name">Folder Name:</label>
+        <input type="text" id="subfolder-name" placeholder="New Folder" />
+        <small class="hint">Created inside "${parent.name}".</small>
+      </div>
+    `,
+			[
+				{ text: "Cancel", action: "cancel" },
+				{ text: "Create", action: "create", primary: true },
+			],
+		);
+
+		dialog.addEventListener("action", async (e) => {
+			if (e.detail.action === "create") {
+				const name = dialog.querySelector("#subfolder-name").value.trim();
+				try {
+					await this.folderSystem.createSubfolder(parentId, name);
+					this.emit("foldersChanged");
+				} catch (err) {
+					console.error("Failed to create subfolder:", err);
+					alert("Failed to create subfolder.");
+					return; // keep dialog open
+				}
+			}
+			this.closeDialog();
+		});
+	}
+
+	showMoveFolderDialog(folderId) {
+		const folder = this.folderSystem.getFolderById(folderId);
+		if (!folder) return;
+		const parent = this.folderSystem.getParentFolder(folderId);
+
+		// A folder can't move into itself or any of its own subfolders
+		const targets = this.folderSystem
+			.getFolderTree()
+			.filter(({ folder: f }) => !this.folderSystem.isFolderWithin(f.id, folderId));
+		if (!targets.length && !parent) {
+			this.emit("notification", {
+				message: "No other folders available. Create a folder first.",
+				type: "error",
+			});
+			return;
+		}
+
+		const dialog = this.createDialog(
+			"Move Folder",
+			`
+      <div class="dialog-field">
+        <label for="move-folder-target">Move "${folder.name}" into</label>
+        <select id="move-folder-target">
+          ${parent ? `<option value="">Top level (grid)</option>` : ""}
+          ${this.renderFolderOptions(targets, parent?.id)}
+        </select>
+      </div>
+    `,
+			[
+				{ text: "Cancel", action: "cancel" },
+				{ text: "Move", action: "move", primary: true },
+			],
+		);
+
+		dialog.addEventListener("action", async (e) => {
+			if (e.detail.action === "move") {
+				const targetId = dialog.querySelector("#move-folder-target").value;
+				try {
+					if (targetId) {
+						await this.folderSystem.moveFolderToFolder(folderId, targetId);
+					} else {
+						await this.folderSystem.moveFolderToRoot(folderId);
+					}
+					this.emit("foldersChanged");
+					this.emit("notification", {
+						message: "Folder moved.",
+						type: "success",
+					});
+				} catch (err) {
+					console.error("Failed to move folder:", err);
+					alert(err.message || "Failed to move folder.");
+					return; // keep dialog open
+				}
+			}
+			this.closeDialog();
+		});
+	}
+
+	/**
+	 * Build indented <option> markup for a flattened folder tree
+	 * @param {Array<{folder: Object, depth: number}>} entries
+	 * @param {string} [selectedId]
+	 */
+	renderFolderOptions(entries, selectedId) {
+		return entries
+			.map(
+				({ folder, depth }) =>
+					`<option value="${folder.id}"${folder.id === selectedId ? " selected" : ""}>${"&nbsp;&nbsp;".repeat(depth)}${depth ? "↳ " : ""}${folder.name}</option>`,
+			)
+			.join("");
+	}
+
 	showMoveLinkDialog(linkId) {
-		const folders = this.folderSystem.getAllFolders();
+		const folders = this.folderSystem.getFolderTree();
 		if (!folders.length) {
 			this.emit("notification", {
 				message: "No folders available. Create a folder first.",
@@ -225,9 +332,7 @@ class DialogManager extends ComponentManager {
       <div class="dialog-field">
         <label for="move-target-folder">Select folder</label>
         <select id="move-target-folder">
-          ${folders
-						.map((f) => `<option value="${f.id}">${f.name}</option>`)
-						.join("")}
+          ${this.renderFolderOptions(folders)}
         </select>
       </div>
     `,
@@ -458,6 +563,298 @@ class DialogManager extends ComponentManager {
 		}
 	}
 
+	// ============ Bulk Actions ============
+
+	/**
+	 * Move a multi-selection into a folder
+	 * @param {Object[]} items - Selected items ({ type, id, folderId? })
+	 */
+	showMoveItemsDialog(items) {
+		// Selected folders can't receive themselves or be moved into their own subfolders
+		const folderIds = items.filter((i) => i.type === "folder").map((i) => i.id);
+		const targets = this.folderSystem
+			.getFolderTree()
+			.filter(({ folder }) => !folderIds.some((id) => this.folderSystem.isFolderWithin(folder.id, id)));
+		if (!targets.length) {
+			this.emit("notification", {
+				message: "No folders available. Create a folder first.",
+				type: "error",
+			});
+			return;
+		}
+
+		const dialog = this.createDialog(
+			"Move Items",
+			`
+      <div class="dialog-field">
+        <label for="move-items-target">Move ${items.length} items into</label>
+        <select id="move-items-target">
+          ${this.renderFolderOptions(targets)}
+        </select>
+      </div>
+    `,
+			[
+				{ text: "Cancel", action: "cancel" },
+				{ text: "Move", action: "move", primary: true },
+			],
+		);
+
+		dialog.addEventListener("action", async (e) => {
+			if (e.detail.action === "move") {
+				const targetId = dialog.querySelector("#move-items-target").value;
+				try {
+					const moved = await this.folderSystem.moveItemsToFolder(items, targetId);
+					this.emit("foldersChanged");
+					this.emit("notification", {
+						message: `Moved ${moved} item${moved === 1 ? "" : "s"}.`,
+						type: "success",
+					});
+				} catch (err) {
+					console.error("Failed to move items:", err);
+					alert(err.message || "Failed to move items.");
+					return; // keep dialog open
+				}
+			}
+			this.closeDialog();
+		});
+	}
+
+	/**
+	 * Confirm and delete a multi-selection
+	 * @param {Object[]} items - Selected items ({ type, id, folderId? })
+	 */
+	showDeleteItemsDialog(items) {
+		const folderCount = items.filter((i) => i.type === "folder").length;
+		const dialog = this.createDialog(
+			"Delete Items",
+			`
+      <p>Are you sure you want to delete ${items.length} items?</p>
+      ${folderCount ? `<p class="warning">${folderCount === 1 ? "1 folder" : `${folderCount} folders`} will be deleted with everything inside.</p>` : ""}
+    `,
+			[
+				{ text: "Cancel", action: "cancel" },
+				{ text: "Delete", action: "delete", primary: true, destructive: true },
+			],
+		);
+
+		dialog.addEventListener("action", async (e) => {
+			if (e.detail.action === "delete") {
+				try {
+					const deleted = await this.folderSystem.deleteItems(items);
+					this.emit("foldersChanged");
+					this.emit("notification", {
+						message: `Deleted ${deleted} item${deleted === 1 ? "" : "s"}.`,
+						type: "success",
+					});
+				} catch (err) {
+					console.error("Failed to delete items:", err);
+					alert("Failed to delete items.");
+				}
+			}
+			this.closeDialog();
+		});
+	}
+
+	/**
+	 * Confirm before opening a large folder as tabs
+	 * @param {Object} folder
+	 * @param {number} count - tabs that would open
+	 * @param {Function} onConfirm - opens the tabs
+	 */
+	showOpenAllDialog(folder, count, onConfirm) {
+		const dialog = this.createDialog(
+			"Open All",
+			`
+      <p>Open ${count} tabs from "${folder.name}"?</p>
+      <p>They are grouped under the folder's name.</p>
+    `,
+			[
+				{ text: "Cancel", action: "cancel" },
+				{ text: `Open ${count} Tabs`, action: "open", primary: true },
+			],
+		);
+
+		dialog.addEventListener("action", (e) => {
+			this.closeDialog();
+			if (e.detail.action === "open") onConfirm();
+		});
+	}
+
+	/**
+	 * Name a folder for the window's tabs and save them; offers just the highlighted
+	 * tabs when more than one is highlighted
+	 * @param {Object[]} tabs - chrome.tabs.Tab objects of the current window
+	 */
+	showSaveTabsDialog(tabs) {
+		const selected = tabs.filter((tab) => tab.highlighted);
+		const defaultName = `Tabs ${new Date().toLocaleDateString()}`;
+		const dialog = this.createDialog(
+			"Save Tabs as Folder",
+			`
+      <div class="dialog-field">
+        <label for="save-tabs-name">Folder Name:</label>
+        <input type="text" id="save-tabs-name" value="${this.folderSystem.sanitizeInput(defaultName)}" />
+      </div>
+      ${
+				selected.length > 1
+					? `
+      <div style="margin-top: 12px;">
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer; margin-bottom: 6px;">
+          <input type="radio" name="save-tabs-scope" value="all" checked>
+          <span>All ${tabs.length} tabs in this window</span>
+        </label>
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+          <input type="radio" name="save-tabs-scope" value="selected">
+          <span>Only the ${selected.length} selected tabs</span>
+        </label>
+      </div>`
+					: `<p>Saves the ${tabs.length} tabs in this window.</p>`
+			}
+      <p>Pages open in more than one tab are saved once. Pages that already have a tile are saved again.</p>
+    `,
+			[
+				{ text: "Cancel", action: "cancel" },
+				{ text: "Save", action: "save", primary: true },
+			],
+		);
+
+		dialog.addEventListener("action", async (e) => {
+			if (e.detail.action === "save") {
+				const name = dialog.querySelector("#save-tabs-name").value.trim();
+				const scope = dialog.querySelector('input[name="save-tabs-scope"]:checked')?.value;
+				try {
+					const { added, duplicates } = await this.folderSystem.createFolderFromTabs(
+						scope === "selected" ? selected : tabs,
+						name,
+					);
+					this.emit("foldersChanged");
+					this.emit("notification", {
+						message: `Saved ${added} tab${added === 1 ? "" : "s"}${
+							duplicates ? ` (${duplicates} duplicate tab${duplicates === 1 ? "" : "s"} skipped)` : ""
+						}.`,
+						type: "success",
+					});
+				} catch (err) {
+					console.error("Failed to save tabs:", err);
+					this.emit("notification", { message: err.message || "Failed to save tabs.", type: "error" });
+				}
+			}
+			this.closeDialog();
+		});
+	}
+
+	// ============ Merge Import ============
+
+	/**
+	 * Preview a merge import and apply it on confirmation
+	 * @param {{folders: Object[], links: Object[], rootOrder: Array}} layout
+	 * @param {string} [sourceName] - file name shown in the dialog
+	 */
+	showMergeImportDialog(layout, sourceName) {
+		const plan = this.folderSystem.planMerge(layout);
+		const { added, skipped, conflicts } = plan;
+		if (!added.length && !skipped.length && !conflicts.length) {
+			this.emit("notification", {
+				message: "Nothing to import in this file.",
+				type: "error",
+			});
+			return;
+		}
+
+		const section = (name, title, count, hint) =>
+			count
+				? `
+      <div class="merge-section" data-section="${name}">
+        <h4>${title} (${count})</h4>
+        ${hint ? `<p class="merge-hint">${hint}</p>` : ""}
+        <ul class="merge-list"></ul>
+      </div>`
+				: "";
+
+		const dialog = this.createDialog(
+			"Merge Import",
+			`
+      <p class="merge-summary"></p>
+      ${section("conflicts", "Conflicts", conflicts.length, "Same site as one you already have, but a different address. Tick the ones to add anyway.")}
+      ${section("added", "Will be added", added.length)}
+      ${section("skipped", "Skipped", skipped.length, "Already in your layout.")}
+    `,
+			[
+				{ text: "Cancel", action: "cancel" },
+				{ text: "Merge", action: "merge", primary: true },
+			],
+		);
+		dialog.classList.add("merge-dialog");
+		dialog.querySelector(".merge-summary").textContent =
+			`${sourceName ? `${sourceName}: ` : ""}${added.length} to add, ${skipped.length} skipped, ${conflicts.length} conflicting. Nothing is saved until you merge.`;
+
+		this.renderMergeEntries(dialog, "conflicts", conflicts, true);
+		this.renderMergeEntries(dialog, "added", added, false);
+		this.renderMergeEntries(dialog, "skipped", skipped, false);
+
+		dialog.addEventListener("action", async (e) => {
+			if (e.detail.action === "merge") {
+				const accepted = Array.from(
+					dialog.querySelectorAll(".merge-list input[type=checkbox]:checked"),
+				).map((input) => input.value);
+				try {
+					const count = await this.folderSystem.applyMerge(plan, accepted);
+					this.emit("foldersChanged");
+					this.emit("notification", {
+						message: `Merged ${count} item${count === 1 ? "" : "s"} into your layout.`,
+						type: "success",
+					});
+				} catch (err) {
+					console.error("Failed to merge import:", err);
+					alert(err.message || "Failed to merge import.");
+					return; // keep dialog open
+				}
+			}
+			this.closeDialog();
+		});
+	}
+
+	/**
+	 * Fill one list of the merge preview (built with textContent; names come from an untrusted file)
+	 */
+	renderMergeEntries(dialog, sectionName, entries, selectable) {
+		const list = dialog.querySelector(`[data-section="${sectionName}"] .merge-list`);
+		if (!list) return;
+		for (const entry of entries) {
+			const li = document.createElement("li");
+			li.className = `merge-entry merge-${entry.kind}`;
+
+			const label = document.createElement("label");
+			if (selectable) {
+				const checkbox = document.createElement("input");
+				checkbox.type = "checkbox";
+				checkbox.value = entry.key;
+				label.appendChild(checkbox);
+			}
+			const name = document.createElement("span");
+			name.className = "merge-name";
+			name.textContent = entry.kind === "folder" ? `📁 ${entry.name}` : entry.name;
+			label.appendChild(name);
+			li.appendChild(label);
+
+			const details = document.createElement("div");
+			details.className = "merge-details";
+			const where = entry.path ? `in ${entry.path}` : "on the grid";
+			details.textContent = entry.url ? `${entry.url} — ${where}` : where;
+			li.appendChild(details);
+
+			if (entry.existing && sectionName === "conflicts") {
+				const existing = document.createElement("div");
+				existing.className = "merge-details merge-existing";
+				existing.textContent = `You have: ${entry.existing.url} — ${
+					entry.existing.path ? `in ${entry.existing.path}` : "on the grid"
+				}`;
+				li.appendChild(existing);
+			}
+			list.appendChild(li);
+		}
+	}
+
 	// ============ Dialog Infrastructure ============
 
 	createDialog(title, content, buttons) {
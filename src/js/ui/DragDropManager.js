@@ -14,6 +14,10 @@ class DragDropManager extends ComponentManager {
     // Drag and drop state
     this.draggedElement = null;
     this.lastHoverEl = null;
+    // Turning pages while a root tile is dragged
+    this.dragPage = null; // page the drag started on
+    this.parkedTile = null;
+    this.edge = { step: 0, timer: null, lastOver: 0 };
 
     this.initialize();
   }
@@ -51,6 +55,10 @@ class DragDropManager extends ComponentManager {
       this.onDrop(e);
     };
 
+    // Runs after the tile's own dragstart handler (grid or popover) and widens
+    // the payload to the whole selection
+    this.addEventListener(document, "dragstart", this.onSelectionDragStart.bind(this));
+
     this.addEventListener(document, "dragover", handleGlobalDragOver);
     this.addEventListener(document, "drop", handleGlobalDrop);
     this.addEventListener(document, "dragend", this.onDragEnd.bind(this));
@@ -69,11 +77,27 @@ class DragDropManager extends ComponentManager {
     this.draggedElement = folderTile || linkTile;
     (folderTile || linkTile).classList.add("dragging");
     this.container.classList.add("drag-active");
+    this.dragPage = this.delegates.pages ? this.delegates.pages.page : null;
+  }
+
+  /**
+   * Dragging a tile that is part of a multi-selection drags every selected item
+   * @param {DragEvent} event
+   */
+  onSelectionDragStart(event) {
+    const items = this.delegates.selection?.getContextSelection(event.target);
+    if (!items || !event.dataTransfer) return;
+    const scope = this.delegates.selection.scope;
+    const payload = { type: "selection", scope, items };
+    event.dataTransfer.setData("application/json", JSON.stringify(payload));
+    event.dataTransfer.effectAllowed = "move";
+    document.querySelectorAll(".tile-selected").forEach((el) => el.classList.add("dragging"));
   }
 
   onDragOver(event) {
     event.preventDefault();
     event.dataTransfer.dropEffect = "move";
+    this.checkPageEdge(event);
 
     // Find target element for hover highlighting
     let targetFolder = null;
@@ -156,7 +180,11 @@ class DragDropManager extends ComponentManager {
     const dropLink = baseTarget?.closest?.(".link-item");
 
     try {
-      if (payload.type === "site") {
+      if (!dropFolder && !dropLink && this.isPageDrop(payload)) {
+        await this.dropOnPage(payload);
+      } else if (payload.type === "selection") {
+        await this.dropSelection(payload, dropFolder, dropLink);
+      } else if (payload.type === "site") {
         // Handle dragging from popover to main grid
         if (dropFolder) {
           await this.folderSystem.moveSiteBetweenFolders(
@@ -170,16 +198,22 @@ class DragDropManager extends ComponentManager {
         } else if (dropLink) {
           // Create new folder from site and target link
           const targetId = dropLink.dataset.linkId;
-          const tempLink = await this.folderSystem.moveSiteToRoot(
-            payload.folderId,
-            payload.id,
-            0 // Insert at beginning for simplicity
-          );
-          const newFolder = await this.folderSystem.createFolderFromRootLinks(
-            [tempLink.id, targetId],
-            undefined,
-            0
-          );
+          const createFolder = async () => {
+            const tempLink = await this.folderSystem.moveSiteToRoot(
+              payload.folderId,
+              payload.id,
+              0 // Insert at beginning for simplicity
+            );
+            return this.folderSystem.createFolderFromRootLinks(
+              [tempLink.id, targetId],
+              undefined,
+              0
+            );
+          };
+          // Both steps undo together
+          const newFolder = this.delegates.undo
+            ? await this.delegates.undo.record("Folder created", createFolder)
+            : await createFolder();
           // Clear draggedElement reference if it's the dropLink being removed
           if (this.draggedElement === dropLink) {
             this.draggedElement = null;
@@ -216,6 +250,29 @@ class DragDropManager extends ComponentManager {
         if (this.delegates.popover?.closeFolderPopover) {
           this.delegates.popover.closeFolderPopover();
         }
+      } else if (payload.type === "subfolder") {
+        // Subfolder dragged out of a popover onto the main grid
+        const sourceRootId = this.folderSystem.getFolderPath(payload.id)[0]?.id;
+        if (dropFolder) {
+          await this.folderSystem.moveFolderToFolder(
+            payload.id,
+            dropFolder.dataset.folderId
+          );
+          this.updateFolderTilePreview(dropFolder.dataset.folderId);
+        } else {
+          // Promote to a root folder
+          const folder = await this.folderSystem.moveFolderToRoot(payload.id, 0);
+          const folderEl = this.delegates.render?.createFolderElement(folder);
+          if (folderEl) {
+            this.container.insertBefore(folderEl, this.container.firstChild);
+          } else {
+            this.triggerFullRerender();
+          }
+        }
+        if (sourceRootId) this.updateFolderTilePreview(sourceRootId);
+        if (this.delegates.popover?.closeFolderPopover) {
+          this.delegates.popover.closeFolderPopover();
+        }
       } else if (dropFolder) {
         // Dropping onto a folder tile
         if (payload.type === "link") {
@@ -235,10 +292,18 @@ class DragDropManager extends ComponentManager {
             this.cleanupDnD();
             return;
           }
-          await this.folderSystem.mergeFolders(
-            payload.id,
-            dropFolder.dataset.folderId
-          );
+          if (dragEvt.shiftKey) {
+            // Shift+drop nests the dragged folder instead of merging it
+            await this.folderSystem.moveFolderToFolder(
+              payload.id,
+              dropFolder.dataset.folderId
+            );
+          } else {
+            await this.folderSystem.mergeFolders(
+              payload.id,
+              dropFolder.dataset.folderId
+            );
+          }
           // Clear draggedElement reference before removing from DOM
           if (this.draggedElement && this.draggedElement.dataset.folderId === payload.id) {
             this.draggedElement = null;
@@ -286,14 +351,141 @@ class DragDropManager extends ComponentManager {
     // No full re-render; DOM updated in place
   }
 
+  /**
+   * Drop a multi-selection onto the main grid: into a folder tile, onto a link
+   * (new folder holding the selection and the link), or onto empty space
+   * (popover items move to the root grid)
+   * @param {{scope: string, items: Object[]}} payload
+   * @param {HTMLElement|null} dropFolder
+   * @param {HTMLElement|null} dropLink
+   */
+  async dropSelection(payload, dropFolder, dropLink) {
+    const { items, scope } = payload;
+    const isSelected = (type, id) => items.some((i) => i.type === type && i.id === id);
+    const fromPopover = scope !== "root";
+
+    if (dropFolder) {
+      const targetId = dropFolder.dataset.folderId;
+      if (isSelected("folder", targetId)) return;
+      await this.folderSystem.moveItemsToFolder(items, targetId);
+    } else if (dropLink) {
+      const linkId = dropLink.dataset.linkId;
+      if (isSelected("link", linkId)) return;
+      const target = { type: "link", id: linkId };
+      const group = async () => {
+        const rootItems = fromPopover
+          ? await this.folderSystem.moveItemsToRoot(items, 0)
+          : items;
+        const indexes = [...rootItems, target].map((item) =>
+          this.folderSystem.rootOrder.findIndex((e) => e.type === item.type && e.id === item.id)
+        );
+        return this.folderSystem.createFolderFromItems(
+          [...rootItems, target],
+          undefined,
+          Math.max(0, Math.min(...indexes.filter((i) => i !== -1)))
+        );
+      };
+      // Moving out of the popover and grouping undo together
+      if (this.delegates.undo) await this.delegates.undo.record("Folder created", group);
+      else await group();
+    } else if (fromPopover) {
+      await this.folderSystem.moveItemsToRoot(items, 0);
+    } else {
+      return;
+    }
+
+    if (fromPopover && this.delegates.popover?.closeFolderPopover) {
+      this.delegates.popover.closeFolderPopover();
+    }
+    this.delegates.selection?.clear();
+    this.triggerFullRerender("selection-drop");
+  }
+
+  // ---- Pages ----
+
+  /**
+   * Holding a root tile near the left or right edge of the grid turns the page. Past the
+   * last page an empty one opens to drop it on.
+   * @param {DragEvent} event
+   */
+  checkPageEdge(event) {
+    if (this.dragPage === null) return;
+    this.edge.lastOver = Date.now();
+    const rect = this.container.getBoundingClientRect();
+    const zone = DragDropManager.PAGE_EDGE;
+    const step = event.clientX < rect.left + zone ? -1 : event.clientX > rect.right - zone ? 1 : 0;
+    if (step === this.edge.step) return;
+    clearTimeout(this.edge.timer);
+    this.edge.step = step;
+    this.edge.timer = step ? setTimeout(() => this.turnPage(step), DragDropManager.PAGE_TURN_DELAY) : null;
+  }
+
+  /**
+   * Turn one page while the pointer stays at the edge, then keep turning
+   * @param {number} step - -1 or 1
+   */
+  turnPage(step) {
+    const pages = this.delegates.pages;
+    // dragover stops when the pointer leaves the window or the drag ends elsewhere
+    if (!pages || Date.now() - this.edge.lastOver > DragDropManager.PAGE_TURN_DELAY) {
+      this.edge.step = 0;
+      return;
+    }
+    const last = pages.getPageCount() - 1;
+    if (step > 0 && pages.page === last && !pages.dropPage) pages.setDropPage(true);
+
+    // Re-rendering the page would take the dragged tile out of the document
+    this.parkDraggedTile();
+    if (pages.goTo(pages.page + step)) {
+      this.edge.timer = setTimeout(() => this.turnPage(step), DragDropManager.PAGE_TURN_DELAY);
+    }
+  }
+
+  /**
+   * Keep the dragged tile in the document, hidden, so the browser still fires dragend on it
+   */
+  parkDraggedTile() {
+    const tile = this.draggedElement;
+    if (!tile || !this.container.contains(tile)) return;
+    tile.hidden = true;
+    document.body.appendChild(tile);
+    this.parkedTile = tile;
+  }
+
+  /**
+   * A root tile (or root selection) dropped on an empty spot of another page
+   * @param {Object} payload
+   */
+  isPageDrop(payload) {
+    const pages = this.delegates.pages;
+    if (!pages || this.dragPage === null || pages.page === this.dragPage) return false;
+    return payload.type === "link" || payload.type === "folder" || (payload.type === "selection" && payload.scope === "root");
+  }
+
+  /**
+   * Move the dropped tiles to the end of the page on screen
+   * @param {Object} payload
+   */
+  async dropOnPage(payload) {
+    const pages = this.delegates.pages;
+    const items = payload.type === "selection" ? payload.items : [{ type: payload.type, id: payload.id }];
+    const page = await this.folderSystem.moveToPage(items, pages.page);
+    // The drop page is a real one now
+    pages.dropPage = false;
+    pages.goTo(page);
+    this.delegates.selection?.clear();
+    this.triggerFullRerender("page-drop");
+  }
+
   /**
    * Trigger a full re-render of the grid as fallback
+   * @param {string} reason - Logged by the listener
    */
-  triggerFullRerender() {
+  triggerFullRerender(reason = 'drag-drop-error') {
     // Emit a custom event that the app can listen to for re-rendering
     const event = new CustomEvent('tilio:refresh-needed', { 
       bubbles: true,
-      detail: { reason: 'drag-drop-error' }
+      detail: { reason }
     });
     this.container.dispatchEvent(event);
   }
@@ -307,6 +499,17 @@ class DragDropManager extends ComponentManager {
       this.draggedElement.classList.remove("dragging");
       this.draggedElement = null;
     }
+    clearTimeout(this.edge.timer);
+    this.edge.step = 0;
+    this.dragPage = null;
+    if (this.parkedTile) {
+      this.parkedTile.remove();
+      this.parkedTile = null;
+    }
+    this.delegates.pages?.setDropPage(false);
+    document
+      .querySelectorAll(".tile-selected.dragging")
+      .forEach((el) => el.classList.remove("dragging"));
     this.clearHoverStates();
     this.container.classList.remove("drag-active");
     this.lastHoverEl = null;
@@ -332,19 +535,23 @@ class DragDropManager extends ComponentManager {
   }
 
   updateFolderTilePreview(folderId) {
+    // Nested folders have no grid tile; refresh their top-level ancestor instead
+    const rootId = this.folderSystem.getFolderPath(folderId)[0]?.id || folderId;
     const folderEl = this.container.querySelector(
-      `.folder-item[data-folder-id="${folderId}"]`
+      `.folder-item[data-folder-id="${rootId}"]`
     );
     if (!folderEl) return;
     const button = folderEl.querySelector(".folder-button");
     if (!button) return;
     // Clear existing preview slots
     while (button.firstChild) button.removeChild(button.firstChild);
-    const folder = this.folderSystem.getFolderById(folderId);
+    const folder = this.folderSystem.getFolderById(rootId);
     
     // Delegate to render manager if available
     if (this.delegates.render?.createFolderPreview) {
-      const preview = this.delegates.render.createFolderPreview(folder?.sites || []);
+      const preview = this.delegates.render.createFolderPreview(
+        this.folderSystem.getPreviewSites(folder)
+      );
       while (preview.firstChild) button.appendChild(preview.firstChild);
     }
   }
@@ -375,6 +582,11 @@ class DragDropManager extends ComponentManager {
   }
 }
 
+// Width (px) of the zone at each side of the grid that turns pages, and how long (ms) a
+// dragged tile has to stay there
+DragDropManager.PAGE_EDGE = 48;
+DragDropManager.PAGE_TURN_DELAY = 700;
+
 // Export to window for use by other modules
 if (typeof window !== "undefined") {
   window.DragDropManager = DragDropManager;
@@ -22,10 +22,16 @@ class EventHandler extends ComponentManager {
     this.addEventListener(this.container, "contextmenu", this.handleContextMenu.bind(this));
     this.addEventListener(this.container, "keydown", this.handleKeyboard.bind(this));
 
-    // Document-level context menu for popover sites (popover appended to body, not container)
+    // Document-level context menu for popover sites and subfolders (popover appended to body, not container)
     this.addEventListener(document, "contextmenu", (e) => {
       // Ignore if already handled via container (inside container)
       if (this.container.contains(e.target)) return; 
+      const subfolderItem = e.target.closest('.popover-folder');
+      if (subfolderItem) {
+        e.preventDefault();
+        this.delegates.contextMenu?.showContextMenu?.(e, subfolderItem, null, null);
+        return;
+      }
       const siteWrapper = e.target.closest('.popover-site');
       if (!siteWrapper) return;
       e.preventDefault();
@@ -108,28 +114,9 @@ class EventHandler extends ComponentManager {
   }
 
   handleKeyboard(e) {
-    const items = Array.from(this.container.querySelectorAll(".folder-item"));
-    if (items.length === 0) return;
-    
-    const currentIndex = items.indexOf(document.activeElement);
-
+    // Arrow keys and Space (grab mode) are handled by GridNavigationManager
     switch (e.key) {
-      case "ArrowRight":
-      case "ArrowDown": {
-        const next = items[(currentIndex + 1 + items.length) % items.length];
-        next?.focus();
-        e.preventDefault();
-        break;
-      }
-      case "ArrowLeft":
-      case "ArrowUp": {
-        const prev = items[(currentIndex - 1 + items.length) % items.length];
-        prev?.focus();
-        e.preventDefault();
-        break;
-      }
-      case "Enter":
-      case " ": {
+      case "Enter": {
         const item = document.activeElement?.closest?.(".folder-item");
         const id = item?.dataset?.folderId;
         if (id) {
@@ -137,37 +124,13 @@ class EventHandler extends ComponentManager {
           // Keyboard opens accessible popover (centered)
           if (folder && this.delegates.popover?.showFolderPopover) {
             this.delegates.popover.showFolderPopover(folder, item, null);
+            this.delegates.popover.focusFirstTile?.();
           }
         }
         e.preventDefault();
         break;
       }
-      case "Delete":
-      case "Backspace": {
-        if (e.ctrlKey || e.metaKey) {
-          const item = document.activeElement?.closest?.(".folder-item");
-          const id = item?.dataset?.folderId;
-          if (id && this.delegates.dialog?.showDeleteConfirmation) {
-            this.delegates.dialog.showDeleteConfirmation(id);
-          }
-          e.preventDefault();
-        }
-        break;
-      }
-      case "F2": {
-        const item = document.activeElement?.closest?.(".folder-item");
-        const id = item?.dataset?.folderId;
-        if (id && this.delegates.dialog?.showEditFolderDialog) {
-          this.delegates.dialog.showEditFolderDialog(id);
-        }
-        e.preventDefault();
-        break;
-      }
-      case "Insert": {
-        // Folder creation through DnD only - keyboard shortcut removed
-        e.preventDefault();
-        break;
-      }
+      // Editing and deleting tiles are rebindable shortcuts (see handleGlobalKeydown)
       default:
         break;
     }
@@ -192,7 +155,39 @@ class EventHandler extends ComponentManager {
       if (this.delegates.contextMenu?.closeContextMenu) {
         this.delegates.contextMenu.closeContextMenu();
       }
+      return;
     }
+
+    // Everything else goes through the shortcut registry (src/js/shortcuts.js)
+    const shortcuts = this.delegates.shortcuts;
+    if (!shortcuts || e.defaultPrevented || e.isComposing) return;
+    // Dialogs and the settings modal handle their own keys
+    if (document.querySelector(".dialog-overlay, .settings-modal")) return;
+
+    const tile = this.getShortcutTile(e.target);
+    const popover = this.delegates.popover?.currentPopover;
+    const scope = [];
+    if (tile) scope.push("tile");
+    if (popover && (!tile || popover.contains(tile))) scope.push("popover");
+    const command = shortcuts.match(e, {
+      scope: scope.length ? scope : "page",
+      editable: !!e.target?.closest?.("input, textarea, select, [contenteditable='true']")
+    });
+    if (!command) return;
+
+    // UIManager runs the command and marks it handled when it applies here
+    const detail = { id: command.id, tile, event: e, handled: false };
+    this.emit("shortcut", detail);
+    if (detail.handled) e.preventDefault();
+  }
+
+  /**
+   * Tile a shortcut acts on: the focused folder, link, site or subfolder tile
+   * @param {EventTarget} target - Key event target
+   * @returns {HTMLElement|null}
+   */
+  getShortcutTile(target) {
+    return target?.closest?.(".folder-item, .link-item, .popover-site, .popover-folder") || null;
   }
 
   initializeTouchGestures() {
@@ -200,6 +195,7 @@ class EventHandler extends ComponentManager {
     let touchStartPos = { x: 0, y: 0 };
     let longPressTimer = null;
     let isDragging = false;
+    let isSwiping = null; // decided by the first move: sideways turns pages
 
     this.addEventListener(
       this.container,
@@ -209,6 +205,7 @@ class EventHandler extends ComponentManager {
         touchStartTime = Date.now();
         touchStartPos = { x: touch.clientX, y: touch.clientY };
         isDragging = false;
+        isSwiping = null;
 
         // Long press for context menu (supports folders and links)
         longPressTimer = setTimeout(() => {
@@ -254,6 +251,14 @@ class EventHandler extends ComponentManager {
             longPressTimer = null;
           }
         }
+
+        // A mostly sideways drag turns pages when the grid has more than one
+        const dx = touch.clientX - touchStartPos.x;
+        const pages = this.delegates.pages;
+        if (isSwiping === null && isDragging) {
+          isSwiping = pages?.getPageCount() > 1 && Math.abs(dx) > Math.abs(touch.clientY - touchStartPos.y);
+        }
+        if (isSwiping) pages.follow(dx);
       },
       { passive: true }
     );
@@ -269,6 +274,12 @@ class EventHandler extends ComponentManager {
 
         const touchDuration = Date.now() - touchStartTime;
 
+        if (isSwiping) {
+          const endX = e.changedTouches?.[0]?.clientX ?? touchStartPos.x;
+          this.delegates.pages?.release(endX - touchStartPos.x, touchDuration);
+        }
+        isSwiping = null;
+
         // If it was a quick tap and not dragging, treat as click
         if (touchDuration < 200 && !isDragging) {
           const item = e.target.closest(".folder-item");
@@ -285,6 +296,17 @@ class EventHandler extends ComponentManager {
       },
       { passive: true }
     );
+
+    this.addEventListener(this.container, "touchcancel", () => {
+      if (longPressTimer) {
+        clearTimeout(longPressTimer);
+        longPressTimer = null;
+      }
+      // Slide back to the page on screen
+      if (isSwiping) this.delegates.pages?.release(0, 0);
+      isSwiping = null;
+      isDragging = false;
+    });
   }
 
   initializeOverlayTouchGestures() {
@@ -0,0 +1,585 @@
+// tilio - Grid Navigation
+// Keyboard movement over the root grid and the folder popover's site grid: one roving
+// tab stop per grid, arrow keys by row and column, Home / End, Alt+Arrow to move the
+// focused tile, and grab mode - the keyboard alternative to drag and drop: Space picks
+// a tile up, arrows choose a target, Enter drops it into a folder or at that position.
+// Left and Right continue onto the neighbouring page of the root grid.
+
+class GridNavigationManager extends ComponentManager {
+  /**
+   * @param {HTMLElement} container - Main grid container
+   * @param {FolderSystem} folderSystem - Data layer reordered by Alt+Arrow and grab mode
+   * @param {Object} delegates - { popover, contextMenu, pages }
+   */
+  constructor(container, folderSystem, delegates) {
+    super(container, folderSystem);
+    this.delegates = delegates || {};
+    this.moving = false; // a reorder is being saved; ignore repeats until it lands
+    this.grab = null; // { grid, tile, key, target } while a tile is picked up
+
+    this.addEventListener(document, "keydown", this.handleKeydown.bind(this));
+    // Capture phase, so Enter and Escape drop or cancel before tiles and popovers see them
+    this.addEventListener(document, "keydown", this.handleGrabKeydown.bind(this), true);
+    this.addEventListener(document, "focusin", this.handleFocusIn.bind(this));
+    this.addEventListener(document, "mousedown", () => this.cancelGrab());
+  }
+
+  // ============ Tiles ============
+
+  /**
+   * The grid a tile or key event belongs to
+   * @param {Element} el
+   * @returns {HTMLElement|null} the root grid or the popover's site grid
+   */
+  getGrid(el) {
+    if (!el?.closest) return null;
+    if (this.container.contains(el)) return this.container;
+    return el.closest(".folder-popover .site-grid");
+  }
+
+  /** Tiles of a grid in display order, including the add tile */
+  getTiles(grid) {
+    return Array.from(grid.children).filter((el) => el.matches(GridNavigationManager.TILE_SELECTOR));
+  }
+
+  getTile(el) {
+    return el?.closest?.(GridNavigationManager.TILE_SELECTOR) || null;
+  }
+
+  /** Element that takes focus for a tile: the link itself for links and sites */
+  getFocusTarget(tile) {
+    return tile.querySelector(":scope > .link-button") || tile;
+  }
+
+  /**
+   * Stable key for a tile, so focus survives re-rendering
+   * @param {HTMLElement} tile
+   * @returns {string}
+   */
+  getTileKey(tile) {
+    const { folderId, linkId, siteId } = tile.dataset;
+    if (siteId) return `site:${siteId}`;
+    if (linkId) return `link:${linkId}`;
+    if (folderId) return `folder:${folderId}`;
+    return "add";
+  }
+
+  /** Name of a tile as shown under it, for announcements */
+  getTileName(tile) {
+    if (tile.classList.contains("add-tile")) return "Add";
+    return tile.querySelector(".folder-title, .link-title")?.textContent || "Tile";
+  }
+
+  isFolderTile(tile) {
+    return tile.classList.contains("folder-item");
+  }
+
+  // ============ Roving Tab Stop ============
+
+  /**
+   * Leave one tab stop in a grid after it rendered: the tile focused last time, if it is
+   * still there, otherwise the first
+   * @param {HTMLElement} grid
+   */
+  syncWithDom(grid) {
+    if (!grid) return;
+    // Re-rendering replaced the picked up tile; its move can't finish
+    if (this.grab && !this.grab.tile.isConnected) this.endGrab();
+    const tiles = this.getTiles(grid);
+    const active = tiles.find((tile) => this.getTileKey(tile) === grid._activeKey) || tiles[0];
+    tiles.forEach((tile) => {
+      this.getFocusTarget(tile).setAttribute("tabindex", tile === active ? "0" : "-1");
+    });
+  }
+
+  /**
+   * Make a tile its grid's tab stop
+   * @param {HTMLElement} grid
+   * @param {HTMLElement} tile
+   */
+  setActive(grid, tile) {
+    grid._activeKey = this.getTileKey(tile);
+    this.getTiles(grid).forEach((other) => {
+      this.getFocusTarget(other).setAttribute("tabindex", other === tile ? "0" : "-1");
+    });
+  }
+
+  /** Clicking or tabbing to a tile moves the tab stop there too */
+  handleFocusIn(e) {
+    if (this.grab && e.target !== this.getFocusTarget(this.grab.tile)) this.cancelGrab();
+    const tile = this.getTile(e.target);
+    const grid = tile && this.getGrid(tile);
+    if (grid && tile.parentElement === grid) this.setActive(grid, tile);
+  }
+
+  focusTile(grid, tile) {
+    if (!tile) return;
+    this.setActive(grid, tile);
+    this.getFocusTarget(tile).focus();
+  }
+
+  // ============ Keyboard ============
+
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    const move = GridNavigationManager.KEYS[e.key];
+    const grab = e.key === " " && !e.altKey;
+    if (!move && !grab) return;
+    if (e.altKey && (move === "home" || move === "end")) return;
+
+    const tile = this.getTile(e.target);
+    const grid = tile && this.getGrid(tile);
+    if (!grid || tile.parentElement !== grid) return;
+    // Dialogs and the settings modal sit above the grid and keep their own keys
+    if (document.querySelector(".dialog-overlay, .settings-modal")) return;
+
+    if (grab) {
+      e.preventDefault();
+      this.startGrab(grid, tile);
+      return;
+    }
+
+    const tiles = this.getTiles(grid);
+    if (grid === this.container && this.handlePageEdge(e, move, tile, tiles)) return;
+    const index = tiles.indexOf(tile);
+    const target = this.getTargetIndex(move, index, tiles.length, this.getColumnCount(grid, tiles));
+    e.preventDefault();
+
+    if (e.altKey) {
+      this.moveTile(grid, tile, tiles, target);
+    } else {
+      this.focusTile(grid, tiles[target]);
+    }
+  }
+
+  /**
+   * Index reached from a tile with one key press. Left / Right continue onto the next row;
+   * Down from the row above a shorter last row lands on its last tile
+   * @param {string} move - 'left', 'right', 'up', 'down', 'home' or 'end'
+   * @param {number} index
+   * @param {number} count - Tiles in the grid
+   * @param {number} columns
+   * @returns {number}
+   */
+  getTargetIndex(move, index, count, columns) {
+    const lastRow = Math.floor((count - 1) / columns);
+    switch (move) {
+      case "left":
+        return Math.max(0, index - 1);
+      case "right":
+        return Math.min(count - 1, index + 1);
+      case "up":
+        return index >= columns ? index - columns : index;
+      case "down":
+        return Math.floor(index / columns) < lastRow ? Math.min(count - 1, index + columns) : index;
+      case "home":
+        return 0;
+      case "end":
+        return count - 1;
+      default:
+        return index;
+    }
+  }
+
+  /**
+   * Tiles per row as rendered: the mainGridColumns setting when the root grid uses a fixed
+   * column count, otherwise the tiles that fit on the first row of the wrapping layout
+   * @param {HTMLElement} grid
+   * @param {HTMLElement[]} tiles
+   * @returns {number}
+   */
+  getColumnCount(grid, tiles) {
+    if (grid.classList.contains("grid-columns-fixed")) {
+      const columns = parseInt(
+        getComputedStyle(document.documentElement).getPropertyValue("--main-grid-columns"),
+        10
+      );
+      if (columns > 0) return columns;
+    }
+    const top = tiles[0]?.offsetTop;
+    const firstWrapped = tiles.findIndex((tile) => tile.offsetTop !== top);
+    return firstWrapped > 0 ? firstWrapped : Math.max(1, tiles.length);
+  }
+
+  // ============ Pages ============
+
+  /**
+   * Left from the first tile of a page or Right from its last tile go on to the next page;
+   * with Alt the tile moves there. Alt+Right from the last tile of the last page starts a
+   * new page, unless the tile is already alone on it.
+   * @returns {boolean} whether the key was handled
+   */
+  handlePageEdge(e, move, tile, tiles) {
+    const pages = this.delegates.pages;
+    if (!pages || (move !== "left" && move !== "right")) return false;
+    const step = move === "left" ? -1 : 1;
+
+    if (e.altKey) {
+      const items = tiles.filter((el) => !el.classList.contains("add-tile"));
+      if (tile !== (step < 0 ? items[0] : items[items.length - 1])) return false;
+      const last = pages.getPageCount() - 1;
+      if (step < 0 ? pages.page === 0 : pages.page === last && items.length === 1) return false;
+      e.preventDefault();
+      this.moveTileToPage(tile, pages.page + step, step < 0 ? undefined : 0);
+      return true;
+    }
+
+    if (tile !== (step < 0 ? tiles[0] : tiles[tiles.length - 1]) || !pages.goTo(pages.page + step)) return false;
+    e.preventDefault();
+    const shown = this.getTiles(this.container);
+    this.focusTile(this.container, step < 0 ? shown[shown.length - 1] : shown[0]);
+    return true;
+  }
+
+  /**
+   * Move a root tile to another page (Alt+Arrow at a page edge), show that page and keep
+   * focus on the tile
+   * @param {HTMLElement} tile
+   * @param {number} page
+   * @param {number} [position] - index on that page, after its last tile by default
+   */
+  async moveTileToPage(tile, page, position) {
+    if (this.moving) return;
+    const key = this.getTileKey(tile);
+    const name = this.getTileName(tile);
+    const [type, id] = key.split(":");
+    const pages = this.delegates.pages;
+
+    this.moving = true;
+    try {
+      await this.delegates.contextMenu?.disableAutoSort?.();
+      const landed = await this.folderSystem.moveToPage([{ type, id }], page, position);
+      if (!pages.goTo(landed)) this.emit("foldersChanged");
+      const moved = this.getTiles(this.container).find((el) => this.getTileKey(el) === key);
+      this.focusTile(this.container, moved);
+      this.emit("notification", { message: `${name} moved to page ${landed + 1} of ${pages.getPageCount()}.` });
+    } catch (error) {
+      console.error("Failed to move tile:", error);
+      this.emit("notification", { message: "Failed to move the tile.", type: "error" });
+    } finally {
+      this.moving = false;
+    }
+  }
+
+  // ============ Reordering ============
+
+  /**
+   * Move a tile to the position of another tile (Alt+Arrow), then keep focus on it
+   * @param {HTMLElement} grid
+   * @param {HTMLElement} tile
+   * @param {HTMLElement[]} tiles - Tiles of the grid in display order
+   * @param {number} targetIndex
+   */
+  async moveTile(grid, tile, tiles, targetIndex) {
+    if (this.moving || targetIndex === tiles.indexOf(tile)) return;
+    const key = this.getTileKey(tile);
+    if (key === "add") return;
+
+    this.moving = true;
+    try {
+      let moved;
+      let rendered = grid;
+      if (grid === this.container) {
+        moved = await this.moveRootTile(tile, tiles, targetIndex);
+        if (moved) this.emit("foldersChanged");
+      } else {
+        moved = await this.movePopoverTile(tile, tiles, targetIndex);
+        if (moved) {
+          // The popover re-renders its whole content, grid included
+          this.delegates.popover?.refreshPopover();
+          rendered = this.delegates.popover?.currentPopover?.querySelector(".site-grid");
+        }
+      }
+      if (!moved || !rendered) return;
+
+      const next = this.getTiles(rendered).find((el) => this.getTileKey(el) === key);
+      this.focusTile(rendered, next);
+      // Replaces the undo toast's generic label, and is read out like every toast
+      if (next) this.emit("notification", { message: `${this.getTileName(next)} moved to ${this.describePosition(rendered, next)}.` });
+    } catch (error) {
+      console.error("Failed to move tile:", error);
+      this.emit("notification", { message: "Failed to move the tile.", type: "error" });
+    } finally {
+      this.moving = false;
+    }
+  }
+
+  /**
+   * Where a tile would land when dropped at another tile's position: its index among the
+   * tiles it can move between, and how many there are
+   * @param {HTMLElement} grid
+   * @param {HTMLElement} tile - Tile being moved
+   * @param {HTMLElement} target - Tile whose position it takes
+   * @returns {{index: number, count: number}}
+   */
+  getPlacement(grid, tile, target) {
+    const tiles = this.getTiles(grid);
+    if (grid === this.container) {
+      const items = tiles.filter((el) => !el.classList.contains("add-tile"));
+      return { index: Math.min(tiles.indexOf(target), items.length - 1), count: items.length };
+    }
+    const isFolder = tile.classList.contains("popover-folder");
+    const group = tiles.filter((el) => el.classList.contains("popover-folder") === isFolder);
+    const index = tiles.indexOf(target) - tiles.indexOf(group[0]);
+    return { index: Math.max(0, Math.min(index, group.length - 1)), count: group.length };
+  }
+
+  /** "position 3 of 8" for a tile where it is now */
+  describePosition(grid, tile) {
+    const { index, count } = this.getPlacement(grid, tile, tile);
+    return `position ${index + 1} of ${count}`;
+  }
+
+  /**
+   * Reorder the root grid; the add tile always stays last
+   * @returns {Promise<boolean>} whether anything moved
+   */
+  async moveRootTile(tile, tiles, targetIndex) {
+    const items = tiles.filter((el) => !el.classList.contains("add-tile"));
+    const other = items[Math.min(targetIndex, items.length - 1)];
+    if (other === tile) return false;
+
+    // Same as moving from the context menu: a manual order turns popularity sorting off
+    await this.delegates.contextMenu?.disableAutoSort?.();
+    const entry = (el) => (el.dataset.folderId ? { type: "folder", id: el.dataset.folderId } : { type: "link", id: el.dataset.linkId });
+    const { type, id } = entry(tile);
+    const target = entry(other);
+    const index = this.folderSystem.rootOrder.findIndex((e) => e.type === target.type && e.id === target.id);
+    await this.folderSystem.moveRootItem(type, id, index);
+    return true;
+  }
+
+  /**
+   * Reorder a popover's subfolders or sites; subfolders are always listed before sites,
+   * so a tile only moves among its own kind
+   * @returns {Promise<boolean>} whether anything moved
+   */
+  async movePopoverTile(tile, tiles, targetIndex) {
+    const isFolder = tile.classList.contains("popover-folder");
+    const group = tiles.filter((el) => el.classList.contains("popover-folder") === isFolder);
+    const offset = tiles.indexOf(group[0]);
+    const index = group.indexOf(tile);
+    const target = Math.max(0, Math.min(targetIndex - offset, group.length - 1));
+    if (target === index) return false;
+
+    if (isFolder) {
+      await this.folderSystem.reorderSubfolder(tile.dataset.folderId, target);
+    } else {
+      await this.folderSystem.reorderSite(tile.dataset.folderId, tile.dataset.siteId, target);
+    }
+    return true;
+  }
+
+  // ============ Grab Mode ============
+
+  /**
+   * Pick a tile up (Space). It stays focused while the arrow keys move a drop target over
+   * the other tiles of its grid
+   * @param {HTMLElement} grid
+   * @param {HTMLElement} tile
+   */
+  startGrab(grid, tile) {
+    if (this.moving || this.getTileKey(tile) === "add") return;
+    this.grab = { grid, tile, key: this.getTileKey(tile), target: tile };
+    tile.classList.add("tile-grabbed");
+    LiveAnnouncer.announce(
+      `${this.getTileName(tile)} picked up, ${this.describePosition(grid, tile)}. ` +
+        "Arrow keys choose where to drop it, Enter drops, Escape cancels."
+    );
+  }
+
+  /** Leave grab mode without moving anything */
+  endGrab() {
+    if (!this.grab) return;
+    this.grab.tile.classList.remove("tile-grabbed");
+    this.grab.target.classList.remove("grab-target");
+    this.grab = null;
+  }
+
+  /**
+   * @param {boolean} [announce] - tell screen readers; clicks and focus moving elsewhere cancel quietly
+   */
+  cancelGrab(announce = false) {
+    if (!this.grab) return;
+    const { grid, tile } = this.grab;
+    this.endGrab();
+    if (announce && tile.isConnected) {
+      LiveAnnouncer.announce(`Move cancelled. ${this.getTileName(tile)} stays at ${this.describePosition(grid, tile)}.`);
+    }
+  }
+
+  handleGrabKeydown(e) {
+    if (!this.grab) return;
+    const plain = !e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey;
+    const move = GridNavigationManager.KEYS[e.key];
+    const stop = () => {
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    if (move && plain) {
+      stop();
+      this.moveGrabTarget(move);
+    } else if (e.key === "Enter" || (e.key === " " && plain)) {
+      stop();
+      this.dropGrabbed({ place: e.ctrlKey || e.metaKey, nest: e.shiftKey });
+    } else if (e.key === "Escape") {
+      stop();
+      this.cancelGrab(true);
+    } else if (e.key === "Tab") {
+      this.cancelGrab(true);
+    }
+  }
+
+  /** Move the drop target one step, then say what dropping there would do */
+  moveGrabTarget(move) {
+    const { grid, target } = this.grab;
+    const tiles = this.getTiles(grid);
+    const index = this.getTargetIndex(move, tiles.indexOf(target), tiles.length, this.getColumnCount(grid, tiles));
+    const next = tiles[index];
+    if (!next) return;
+
+    target.classList.remove("grab-target");
+    if (next !== this.grab.tile) next.classList.add("grab-target");
+    next.scrollIntoView?.({ block: "nearest" });
+    this.grab.target = next;
+    LiveAnnouncer.announce(this.describeDrop(this.grab));
+  }
+
+  /**
+   * What dropping the grabbed tile on a target does, mirroring pointer drag and drop:
+   * into a folder (a folder held over a root folder merges, or nests with Shift), two root
+   * links make a new folder, anything else takes the target's position
+   * @param {{grid: HTMLElement, tile: HTMLElement, target: HTMLElement}} grab
+   * @param {{place?: boolean, nest?: boolean}} [modifiers] - place: Ctrl / Cmd+Enter, never drop into
+   * @returns {string} 'stay', 'into', 'merge', 'nest', 'group' or 'place'
+   */
+  getDropAction({ grid, tile, target }, modifiers = {}) {
+    if (target === tile) return "stay";
+    const root = grid === this.container;
+    if (!modifiers.place && this.isFolderTile(target)) {
+      if (!this.isFolderTile(tile)) return "into";
+      return root && !modifiers.nest ? "merge" : "nest";
+    }
+    if (!modifiers.place && root && tile.dataset.linkId && target.dataset.linkId) return "group";
+    return "place";
+  }
+
+  /** Announcement for the current drop target */
+  describeDrop(grab) {
+    const held = this.getTileName(grab.tile);
+    const name = this.getTileName(grab.target);
+    const place = `${ShortcutRegistry.formatCombo("Mod+Enter")} places it here`;
+    switch (this.getDropAction(grab)) {
+      case "stay":
+        return `${held}, back at ${this.describePosition(grab.grid, grab.tile)}.`;
+      case "into":
+        return `${name} folder. Enter moves ${held} into it, ${place}.`;
+      case "merge":
+        return `${name} folder. Enter merges ${held} into it, Shift+Enter puts it inside, ${place}.`;
+      case "nest":
+        return `${name} folder. Enter puts ${held} inside it, ${place}.`;
+      case "group":
+        return `${name}. Enter makes a folder of ${held} and ${name}, ${place}.`;
+      default: {
+        const { index, count } = this.getPlacement(grab.grid, grab.tile, grab.target);
+        return `${name}. Enter moves ${held} to position ${index + 1} of ${count}.`;
+      }
+    }
+  }
+
+  /**
+   * Drop the grabbed tile on the current target
+   * @param {{place: boolean, nest: boolean}} modifiers
+   */
+  async dropGrabbed(modifiers) {
+    const grab = this.grab;
+    const { grid, tile, target } = grab;
+    const action = this.getDropAction(grab, modifiers);
+    this.endGrab();
+
+    if (action === "stay") {
+      LiveAnnouncer.announce(`${this.getTileName(tile)} dropped, still at ${this.describePosition(grid, tile)}.`);
+    } else if (action === "place") {
+      const tiles = this.getTiles(grid);
+      await this.moveTile(grid, tile, tiles, tiles.indexOf(target));
+    } else {
+      await this.dropOnto(grid, tile, target, action);
+    }
+  }
+
+  /**
+   * Move the grabbed tile into a folder, merge it with one, or make a folder of two links,
+   * then focus the folder it ended up in
+   * @param {HTMLElement} grid
+   * @param {HTMLElement} tile
+   * @param {HTMLElement} target
+   * @param {string} action - 'into', 'merge', 'nest' or 'group' (see getDropAction)
+   */
+  async dropOnto(grid, tile, target, action) {
+    if (this.moving) return;
+    const held = this.getTileName(tile);
+    const name = this.getTileName(target);
+    const fs = this.folderSystem;
+
+    this.moving = true;
+    try {
+      let focusKey = this.getTileKey(target);
+      let message = `${held} moved into ${name}.`;
+      if (action === "group") {
+        const linkId = tile.dataset.linkId;
+        const index = fs.rootOrder
+          .filter((e) => !(e.type === "link" && e.id === linkId))
+          .findIndex((e) => e.type === "link" && e.id === target.dataset.linkId);
+        const folder = await fs.createFolderFromRootLinks([linkId, target.dataset.linkId], undefined, index);
+        focusKey = `folder:${folder.id}`;
+        message = `Made a folder of ${held} and ${name}.`;
+      } else if (action === "merge") {
+        await fs.mergeFolders(tile.dataset.folderId, target.dataset.folderId);
+        message = `${held} merged into ${name}.`;
+      } else if (tile.dataset.siteId) {
+        await fs.moveSiteBetweenFolders(tile.dataset.folderId, tile.dataset.siteId, target.dataset.folderId);
+      } else if (tile.dataset.linkId) {
+        await fs.moveLinkToFolder(tile.dataset.linkId, target.dataset.folderId);
+      } else {
+        await fs.moveFolderToFolder(tile.dataset.folderId, target.dataset.folderId);
+      }
+
+      // Root tiles show previews of their folders, so they re-render for popover moves too
+      this.emit("foldersChanged");
+      let rendered = grid;
+      if (grid !== this.container) {
+        this.delegates.popover?.refreshPopover();
+        rendered = this.delegates.popover?.currentPopover?.querySelector(".site-grid");
+      }
+      if (rendered) this.focusTile(rendered, this.getTiles(rendered).find((el) => this.getTileKey(el) === focusKey));
+      this.emit("notification", { message });
+    } catch (error) {
+      console.error("Failed to drop tile:", error);
+      this.emit("notification", { message: "Failed to move the tile.", type: "error" });
+    } finally {
+      this.moving = false;
+    }
+  }
+
+  destroy() {
+    this.endGrab();
+    super.destroy();
+  }
+}
+
+GridNavigationManager.TILE_SELECTOR = ".folder-item, .link-item, .add-tile";
+
+GridNavigationManager.KEYS = {
+  ArrowLeft: "left",
+  ArrowRight: "right",
+  ArrowUp: "up",
+  ArrowDown: "down",
+  Home: "home",
+  End: "end",
+};
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.GridNavigationManager = GridNavigationManager;
+}
@@ -0,0 +1,186 @@
+// tilio - Grid Pages
+// Splits the root grid into home screen pages, like a launcher: keeps the page on screen,
+// draws the page dots under the grid and turns pages by wheel, swipe (EventHandler) and
+// keys. Which tiles are on which page is stored in rootOrder (FolderSystem.moveToPage).
+
+class GridPageManager extends ComponentManager {
+  /**
+   * @param {HTMLElement} container - Main grid container
+   * @param {FolderSystem} folderSystem - Data layer holding the pages
+   */
+  constructor(container, folderSystem) {
+    super(container, folderSystem);
+    this.page = 0;
+    this.dropPage = false; // an empty page after the last one, open while a tile is dragged
+    this.dots = document.getElementById("grid-pages");
+    this.wheel = { delta: 0, at: 0, lockedUntil: 0 };
+
+    if (this.dots) {
+      this.addEventListener(this.dots, "click", (e) => {
+        const dot = e.target.closest(".grid-page-dot");
+        if (dot) this.goTo(Number(dot.dataset.page));
+      });
+    }
+    // Not passive: a wheel turn that changes the page shouldn't also scroll
+    this.addEventListener(document, "wheel", this.handleWheel.bind(this), { passive: false });
+  }
+
+  getPageCount() {
+    return this.folderSystem.getPageCount() + (this.dropPage ? 1 : 0);
+  }
+
+  /**
+   * Keep the page on screen within range, e.g. after its last tile moved away
+   * @returns {number} the page to render
+   */
+  sync() {
+    this.page = Math.max(0, Math.min(this.page, this.getPageCount() - 1));
+    this.folderSystem.currentPage = this.page;
+    return this.page;
+  }
+
+  /** Back to the first page without rendering, for a layout replaced as a whole */
+  reset() {
+    this.page = 0;
+    this.dropPage = false;
+    this.sync();
+  }
+
+  /**
+   * Show another page
+   * @param {number} page
+   * @returns {boolean} false when there is no such page or it is already shown
+   */
+  goTo(page) {
+    if (!Number.isInteger(page) || page < 0 || page >= this.getPageCount() || page === this.page) return false;
+    const direction = page > this.page ? "next" : "prev";
+    this.page = page;
+    this.sync();
+    this.emit("pageChanged", { page });
+
+    this.container.classList.remove("page-turn-next", "page-turn-prev");
+    // Restart the animation when pages turn quickly
+    void this.container.offsetWidth;
+    this.container.classList.add(`page-turn-${direction}`);
+    LiveAnnouncer.announce(`Page ${page + 1} of ${this.getPageCount()}`);
+    return true;
+  }
+
+  next() {
+    return this.goTo(this.page + 1);
+  }
+
+  previous() {
+    return this.goTo(this.page - 1);
+  }
+
+  /**
+   * Open or close the empty page after the last one that a dragged tile can be dropped on
+   * @param {boolean} open
+   */
+  setDropPage(open) {
+    if (this.dropPage === open) return;
+    this.dropPage = open;
+    if (!open && this.page >= this.getPageCount()) {
+      this.page = this.getPageCount() - 1;
+      this.sync();
+      this.emit("pageChanged", { page: this.page });
+      return;
+    }
+    this.render();
+  }
+
+  /** Draw the page dots; a single page has none */
+  render() {
+    const count = this.getPageCount();
+    this.container.classList.toggle("grid-paged", count > 1);
+    if (!this.dots) return;
+    this.dots.hidden = count < 2;
+    this.dots.innerHTML = "";
+    for (let page = 0; page < count; page++) {
+      const dot = this.createElement("button", "grid-page-dot", {
+        type: "button",
+        "data-page": String(page),
+        "aria-label": `Page ${page + 1}`
+      });
+      if (page === this.page) dot.setAttribute("aria-current", "page");
+      if (this.dropPage && page === count - 1) dot.classList.add("grid-page-new");
+      this.dots.appendChild(dot);
+    }
+  }
+
+  // ============ Wheel ============
+
+  /**
+   * Sideways scrolling turns pages over the grid; so does scrolling down or up when the
+   * page has nothing to scroll
+   * @param {WheelEvent} e
+   */
+  handleWheel(e) {
+    if (e.ctrlKey || this.getPageCount() < 2) return;
+    const target = e.target;
+    if (!target?.closest?.(".main-content") || target.closest(".search-bar, .folder-popover, input, textarea, select")) return;
+    if (document.querySelector(".dialog-overlay, .settings-modal")) return;
+
+    const sideways = Math.abs(e.deltaX) > Math.abs(e.deltaY);
+    const scroller = document.scrollingElement;
+    if (!sideways && scroller && scroller.scrollHeight > scroller.clientHeight) return;
+    e.preventDefault();
+
+    const now = Date.now();
+    // One page per gesture: trackpads keep sending events as they coast to a stop
+    if (now < this.wheel.lockedUntil) return;
+    if (now - this.wheel.at > GridPageManager.WHEEL_RESET) this.wheel.delta = 0;
+    this.wheel.at = now;
+    this.wheel.delta += sideways ? e.deltaX : e.deltaY;
+    if (Math.abs(this.wheel.delta) < GridPageManager.WHEEL_THRESHOLD) return;
+
+    this.goTo(this.page + Math.sign(this.wheel.delta));
+    this.wheel.delta = 0;
+    this.wheel.lockedUntil = now + GridPageManager.WHEEL_COOLDOWN;
+  }
+
+  // ============ Swipe ============
+
+  /**
+   * Move the grid with a finger swiping sideways; the first and last page resist
+   * @param {number} dx - pixels from where the touch started
+   */
+  follow(dx) {
+    const edge = (dx > 0 && this.page === 0) || (dx < 0 && this.page === this.getPageCount() - 1);
+    this.container.classList.add("page-swiping");
+    this.container.style.transform = `translateX(${edge ? dx / 3 : dx}px)`;
+  }
+
+  /**
+   * Turn the page when the swipe went far or fast enough, otherwise slide back
+   * @param {number} dx - pixels from where the touch started
+   * @param {number} duration - ms the touch lasted
+   */
+  release(dx, duration) {
+    this.container.classList.remove("page-swiping");
+    this.container.style.transform = "";
+    const far = Math.abs(dx) > Math.min(GridPageManager.SWIPE_DISTANCE, this.container.clientWidth / 4);
+    const flick = Math.abs(dx) > 30 && Math.abs(dx) / Math.max(duration, 1) > GridPageManager.SWIPE_VELOCITY;
+    if (far || flick) this.goTo(this.page - Math.sign(dx));
+  }
+
+  destroy() {
+    this.container.classList.remove("grid-paged", "page-swiping", "page-turn-next", "page-turn-prev");
+    super.destroy();
+  }
+}
+
+// Wheel delta (px) that turns a page, quiet time (ms) that starts a new gesture, and the
+// wait (ms) before the next page can turn
+GridPageManager.WHEEL_THRESHOLD = 60;
+GridPageManager.WHEEL_RESET = 200;
+GridPageManager.WHEEL_COOLDOWN = 450;
+// Swipe distance (px) or speed (px/ms) that turns a page
+GridPageManager.SWIPE_DISTANCE = 80;
+GridPageManager.SWIPE_VELOCITY = 0.5;
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.GridPageManager = GridPageManager;
+}
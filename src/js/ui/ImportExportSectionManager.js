@@ -0,0 +1,232 @@
+// tilio - Import and Export Section
+// Backup files and bookmarks.html in the Data tab: export, optionally encrypted with a
+// passphrase, replace everything with an import, or merge one in after a preview
+
+class ImportExportSectionManager extends SettingsSectionManager {
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-label">Export Data</label>
+        <div class="setting-description">Download all your folders and settings as a backup file, or your links and folders as a bookmarks.html file other browsers can import. Enter a passphrase to encrypt the backup file.</div>
+        <input type="password" class="setting-input" id="export-passphrase" placeholder="Passphrase (optional)" autocomplete="new-password">
+        <input type="password" class="setting-input" id="export-passphrase-confirm" placeholder="Repeat passphrase" autocomplete="new-password" style="display: none;">
+        <button class="nt-btn" id="export-data">Export Data</button>
+        <button class="nt-btn" id="export-bookmarks-html">Export as HTML</button>
+      </div>
+      <div class="setting-group">
+        <label class="setting-label">Import Data</label>
+        <div class="setting-description">Restore from a backup file or a browser bookmarks.html export (this will replace all current links and folders)</div>
+        <input type="file" class="setting-file" id="import-file" accept=".json,.tilio,.html,.htm" style="display: none;">
+        <button class="nt-btn" id="import-data">Import Data</button>
+      </div>
+      <div class="setting-group" id="import-passphrase-group" style="display: none;">
+        <label class="setting-label" for="import-passphrase">Encrypted Backup</label>
+        <div class="setting-description" id="import-passphrase-description">This file is encrypted. Enter its passphrase to continue.</div>
+        <input type="password" class="setting-input" id="import-passphrase" placeholder="Passphrase" autocomplete="off">
+        <button class="nt-btn nt-btn-primary" id="import-decrypt">Decrypt</button>
+        <button class="nt-btn" id="import-decrypt-cancel">Cancel</button>
+      </div>
+      <div class="setting-group">
+        <label class="setting-label">Merge Import</label>
+        <div class="setting-description">Add a shared folder pack or bookmarks file to your current layout. You can review added, skipped and conflicting items before anything is saved.</div>
+        <input type="file" class="setting-file" id="merge-import-file" accept=".json,.tilio,.html,.htm" style="display: none;">
+        <button class="nt-btn" id="merge-import-data">Merge Import</button>
+      </div>
+    `;
+  }
+
+  bind(modal) {
+    // Export data
+    modal.querySelector("#export-data").addEventListener("click", () => {
+      this.exportData(modal);
+    });
+    modal.querySelector("#export-passphrase").addEventListener("input", (e) => {
+      modal.querySelector("#export-passphrase-confirm").style.display = e.target.value ? "" : "none";
+    });
+
+    // Export bookmarks.html
+    modal.querySelector("#export-bookmarks-html").addEventListener("click", () => {
+      this.exportBookmarksHtml();
+    });
+
+    // Import data
+    modal.querySelector("#import-data").addEventListener("click", () => {
+      modal.querySelector("#import-file").click();
+    });
+    modal.querySelector("#import-file").addEventListener("change", (e) => {
+      if (e.target.files[0]) {
+        this.importData(e.target.files[0]);
+      }
+    });
+
+    // Merge import
+    modal.querySelector("#merge-import-data").addEventListener("click", () => {
+      modal.querySelector("#merge-import-file").click();
+    });
+    modal.querySelector("#merge-import-file").addEventListener("change", (e) => {
+      if (e.target.files[0]) {
+        this.previewMergeImport(e.target.files[0]);
+      }
+      e.target.value = "";
+    });
+  }
+
+  /**
+   * Export data using SettingsManager, encrypted when a passphrase was entered
+   */
+  async exportData(modal) {
+    const passphrase = modal?.querySelector("#export-passphrase")?.value || "";
+    if (passphrase && passphrase !== modal.querySelector("#export-passphrase-confirm").value) {
+      this.emit('notification', { message: 'The passphrases do not match', type: 'error' });
+      return;
+    }
+
+    try {
+      const data = await this.settingsManager.exportData();
+      if (passphrase) {
+        this.downloadFile(await BackupCrypto.encrypt(data, passphrase), "tilio-backup.tilio", "application/octet-stream");
+        this.emit('notification', { message: 'Encrypted backup exported. Keep the passphrase safe; it cannot be recovered.', type: 'success' });
+        return;
+      }
+      this.downloadFile(data, "tilio-backup.json");
+      this.emit('notification', { message: 'Data exported successfully!', type: 'success' });
+    } catch (error) {
+      console.error("Export failed:", error);
+      this.emit('notification', { message: 'Failed to export data', type: 'error' });
+    }
+  }
+
+  /**
+   * Export links and folders as bookmarks.html
+   */
+  async exportBookmarksHtml() {
+    try {
+      const html = await this.settingsManager.exportBookmarksHtml();
+      this.downloadFile(html, "tilio-bookmarks.html", "text/html");
+      this.emit('notification', { message: 'Bookmarks exported successfully!', type: 'success' });
+    } catch (error) {
+      console.error("Bookmark export failed:", error);
+      this.emit('notification', { message: 'Failed to export bookmarks', type: 'error' });
+    }
+  }
+
+  /**
+   * Import data using SettingsManager (Tilio JSON or bookmarks.html)
+   */
+  async importData(file) {
+    try {
+      const text = await file.text();
+      if (BackupCrypto.isEncrypted(text)) {
+        this.requestImportPassphrase(file.name, text, (plain) => this.importText(plain));
+        return;
+      }
+      await this.importText(text);
+    } catch (error) {
+      console.error("Import failed:", error);
+      this.emit('notification', { message: 'Failed to import data: ' + error.message, type: 'error' });
+    }
+  }
+
+  /**
+   * Replace all data with the contents of a Tilio JSON backup or bookmarks.html file
+   */
+  async importText(text) {
+    try {
+      let message = 'Data imported successfully! Page will reload.';
+      if (BookmarkHtml.isBookmarkHtml(text)) {
+        const count = await this.settingsManager.importBookmarksHtml(text);
+        message = `Imported ${count} bookmarks! Page will reload.`;
+      } else {
+        await this.settingsManager.importData(text);
+      }
+      
+      this.emit('closeRequested');
+      this.emit('notification', { message, type: 'success' });
+      this.emit('dataImported');
+      
+      // Reload page after brief delay
+      setTimeout(() => {
+        window.location.reload();
+      }, 1500);
+    } catch (error) {
+      console.error("Import failed:", error);
+      this.emit('notification', { message: 'Failed to import data: ' + error.message, type: 'error' });
+    }
+  }
+
+  /**
+   * Read a file to merge and hand it over for the preview dialog
+   */
+  async previewMergeImport(file) {
+    try {
+      const text = await file.text();
+      if (BackupCrypto.isEncrypted(text)) {
+        this.requestImportPassphrase(file.name, text, (plain) => this.previewMergeText(plain, file.name));
+        return;
+      }
+      this.previewMergeText(text, file.name);
+    } catch (error) {
+      console.error("Merge import failed:", error);
+      this.emit('notification', { message: 'Failed to read import file: ' + error.message, type: 'error' });
+    }
+  }
+
+  previewMergeText(text, fileName) {
+    try {
+      const layout = this.settingsManager.parseLayoutFile(text);
+      this.emit('closeRequested');
+      this.emit('mergeImportRequested', { layout, fileName });
+    } catch (error) {
+      console.error("Merge import failed:", error);
+      this.emit('notification', { message: 'Failed to read import file: ' + error.message, type: 'error' });
+    }
+  }
+
+  /**
+   * Ask for the passphrase of an encrypted backup file, then hand the decrypted text on
+   * @param {string} fileName
+   * @param {string} encrypted - file contents
+   * @param {(text: string) => void} onDecrypted
+   */
+  requestImportPassphrase(fileName, encrypted, onDecrypted) {
+    const modal = this.modal;
+    const group = modal?.querySelector("#import-passphrase-group");
+    if (!group) return;
+    const input = group.querySelector("#import-passphrase");
+    const decrypt = group.querySelector("#import-decrypt");
+    group.querySelector("#import-passphrase-description").textContent =
+      `"${fileName}" is encrypted. Enter its passphrase to continue.`;
+    group.style.display = "";
+    input.value = "";
+    input.focus();
+
+    const hide = () => {
+      group.style.display = "none";
+      input.value = "";
+      decrypt.onclick = null;
+      input.onkeydown = null;
+    };
+    decrypt.onclick = async () => {
+      decrypt.disabled = true;
+      try {
+        const text = await BackupCrypto.decrypt(encrypted, input.value);
+        hide();
+        onDecrypted(text);
+      } catch (error) {
+        this.emit('notification', { message: error.message, type: 'error' });
+        input.select();
+      } finally {
+        decrypt.disabled = false;
+      }
+    };
+    input.onkeydown = (e) => {
+      if (e.key === "Enter") decrypt.click();
+    };
+    group.querySelector("#import-decrypt-cancel").onclick = hide;
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.ImportExportSectionManager = ImportExportSectionManager;
+}
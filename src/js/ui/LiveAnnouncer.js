@@ -0,0 +1,60 @@
+// tilio - Live Announcer
+// Shared aria-live regions so screen readers hear toasts, tile moves and merges.
+// Polite messages wait for the reader to finish; assertive ones (errors) interrupt.
+
+class LiveAnnouncer {
+  /**
+   * Read a message out through the live region for its priority
+   * @param {string} message
+   * @param {string} priority - 'polite' or 'assertive'
+   */
+  static announce(message, priority = "polite") {
+    if (typeof document === "undefined" || !message) return;
+    const region = LiveAnnouncer.getRegion(priority === "assertive" ? "assertive" : "polite");
+    // Clear first so the same text twice in a row is still announced
+    region.textContent = "";
+    clearTimeout(region._announceTimer);
+    region._announceTimer = setTimeout(() => {
+      region.textContent = message;
+    }, LiveAnnouncer.DELAY);
+  }
+
+  /**
+   * The page's live region for a priority, created on first use
+   * @param {string} priority
+   * @returns {HTMLElement}
+   */
+  static getRegion(priority) {
+    const id = `live-announcer-${priority}`;
+    let region = document.getElementById(id);
+    if (!region) {
+      region = document.createElement("div");
+      region.id = id;
+      region.className = "visually-hidden";
+      region.setAttribute("role", priority === "assertive" ? "alert" : "status");
+      region.setAttribute("aria-live", priority);
+      region.setAttribute("aria-atomic", "true");
+      document.body.appendChild(region);
+    }
+    return region;
+  }
+
+  static clear() {
+    ["polite", "assertive"].forEach((priority) => {
+      const region = document.getElementById(`live-announcer-${priority}`);
+      if (!region) return;
+      clearTimeout(region._announceTimer);
+      region.textContent = "";
+    });
+  }
+}
+
+// Screen readers skip a region whose text changes in the same frame it was emptied
+LiveAnnouncer.DELAY = 100;
+
+// Export for both ES6 modules and browser globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LiveAnnouncer;
+} else if (typeof window !== "undefined") {
+  window.LiveAnnouncer = LiveAnnouncer;
+}
@@ -17,8 +17,9 @@ class NotificationManager extends ComponentManager {
    * @param {string} message - The message to display
    * @param {string} type - The notification type ('success', 'error', 'warning', 'info')
    * @param {number} duration - How long to show the notification in ms
+   * @param {Object} action - Optional action button { label, onClick }, e.g. "Undo"
    */
-  show(message, type = 'success', duration = null) {
+  show(message, type = 'success', duration = null, action = null) {
     duration = duration ?? this.defaultDuration;
     
     // Limit concurrent notifications
@@ -26,12 +27,15 @@ class NotificationManager extends ComponentManager {
       this.hideOldest();
     }
 
-    const notification = this.createNotification(message, type);
+    const notification = this.createNotification(message, type, action);
     document.body.appendChild(notification);
     this.notifications.push(notification);
     
     // Position notification based on existing ones
     this.updatePositions();
+
+    // Toasts are not live regions themselves; screen readers hear them through the shared one
+    LiveAnnouncer.announce(message, type === 'error' ? 'assertive' : 'polite');
     
     // Auto-hide after duration
     setTimeout(() => {
@@ -45,15 +49,20 @@ class NotificationManager extends ComponentManager {
    * Create a notification element
    * @param {string} message - The message text
    * @param {string} type - The notification type
+   * @param {Object} action - Optional action button { label, onClick }
    * @returns {HTMLElement} The notification element
    */
-  createNotification(message, type) {
+  createNotification(message, type, action = null) {
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
     notification.textContent = message;
     
     // Apply base styles
     notification.style.cssText = this.getNotificationStyles(type);
+
+    if (action?.label && typeof action.onClick === 'function') {
+      notification.appendChild(this.createActionButton(notification, action));
+    }
     
     // Add close button for longer notifications
     if (message.length > 50) {
@@ -81,6 +90,36 @@ class NotificationManager extends ComponentManager {
     return notification;
   }
 
+  /**
+   * Create the action button of a notification; clicking it runs the action and
+   * dismisses the notification
+   * @param {HTMLElement} notification - The notification element
+   * @param {Object} action - { label, onClick }
+   * @returns {HTMLElement} The button element
+   */
+  createActionButton(notification, action) {
+    const actionBtn = document.createElement('button');
+    actionBtn.className = 'notification-action';
+    actionBtn.textContent = action.label;
+    actionBtn.style.cssText = `
+      margin-left: 16px;
+      background: rgba(255, 255, 255, 0.2);
+      border: 1px solid rgba(255, 255, 255, 0.6);
+      border-radius: 4px;
+      color: white;
+      font: inherit;
+      font-weight: 600;
+      padding: 2px 10px;
+      cursor: pointer;
+    `;
+    actionBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.hide(notification);
+      action.onClick();
+    });
+    return actionBtn;
+  }
+
   /**
    * Get CSS styles for notification based on type
    * @param {string} type - The notification type
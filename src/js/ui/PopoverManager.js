@@ -1,4 +1,5 @@
-// PopoverManager - Handles complex folder popover functionality with positioning, backdrop, and inline editing
+// PopoverManager - Handles complex folder popover functionality with positioning, backdrop, inline editing
+// and breadcrumb navigation into nested subfolders
 class PopoverManager extends ComponentManager {
   constructor(container, folderSystem, renderManager) {
     super(container, folderSystem);
@@ -28,7 +29,7 @@ class PopoverManager extends ComponentManager {
     // Track resources for cleanup
     pop._backdrop = backdrop;
     pop._anchor = anchorEl;
-    pop._folderId = folder.id;
+    pop._folderId = folder.id; // folder currently shown (changes while navigating subfolders)
 
     this.currentPopover = pop;
   }
@@ -60,28 +61,154 @@ class PopoverManager extends ComponentManager {
     pop.setAttribute("role", "dialog");
     pop.setAttribute("aria-labelledby", "folder-popover-title");
 
+    this.renderPopoverContent(pop, folder);
+    document.body.appendChild(pop);
+
+    return pop;
+  }
+
+  /**
+   * Fill the popover with breadcrumb (for nested folders), tile grid and editable title
+   * @param {HTMLElement} pop - Popover element
+   * @param {Object} folder - Folder to display
+   */
+  renderPopoverContent(pop, folder) {
+    pop.innerHTML = "";
+    pop._folderId = folder.id;
+
+    const path = this.folderSystem.getFolderPath(folder.id);
+    if (path.length > 1) {
+      pop.appendChild(this.createBreadcrumb(path));
+    }
+
     const grid = this.createSiteGrid(folder);
     const titleEl = this.createEditableTitle(folder, pop);
 
     pop.appendChild(grid);
+    if (folder.sites?.length) {
+      pop.appendChild(this.createOpenAllButton(folder));
+    }
     pop.appendChild(titleEl);
-    document.body.appendChild(pop);
+    this.emit('contentRendered', { folderId: folder.id, grid });
+  }
 
-    return pop;
+  createBreadcrumb(path) {
+    const nav = document.createElement("nav");
+    nav.className = "popover-breadcrumb";
+    nav.setAttribute("aria-label", "Folder path");
+
+    path.forEach((folder, index) => {
+      const isCurrent = index === path.length - 1;
+      if (index > 0) {
+        const sep = document.createElement("span");
+        sep.className = "breadcrumb-separator";
+        sep.setAttribute("aria-hidden", "true");
+        sep.textContent = "›";
+        nav.appendChild(sep);
+      }
+
+      if (isCurrent) {
+        const current = document.createElement("span");
+        current.className = "breadcrumb-item current";
+        current.setAttribute("aria-current", "location");
+        current.textContent = folder.name || "Folder";
+        nav.appendChild(current);
+        return;
+      }
+
+      const crumb = document.createElement("button");
+      crumb.type = "button";
+      crumb.className = "breadcrumb-item";
+      crumb.dataset.folderId = folder.id;
+      crumb.textContent = folder.name || "Folder";
+      crumb.addEventListener("click", () => this.navigateToFolder(folder.id));
+      // Ancestors accept drops so items can be moved back up the tree
+      this.attachFolderDropTarget(crumb, folder.id);
+      nav.appendChild(crumb);
+    });
+
+    return nav;
   }
 
   createSiteGrid(folder) {
     const grid = document.createElement("div");
     grid.className = "site-grid";
-    
+    grid.setAttribute("role", "group");
+    grid.setAttribute("aria-label", `Sites in ${folder.name || "Folder"}`);
+
+    // Subfolders first, then sites
+    (folder.folders || []).forEach((subfolder) => {
+      grid.appendChild(this.createSubfolderTile(subfolder, folder.id));
+    });
+
     (folder.sites || []).forEach((site) => {
       const wrapper = this.createSiteWrapper(site, folder.id);
       grid.appendChild(wrapper);
     });
 
+    if (!grid.children.length) {
+      const empty = document.createElement("div");
+      empty.className = "popover-empty";
+      empty.textContent = "No sites";
+      grid.appendChild(empty);
+    }
+
     return grid;
   }
 
+  createSubfolderTile(subfolder, parentId) {
+    // Same visual structure as root grid folder tiles
+    const item = document.createElement("div");
+    item.className = "folder-item popover-folder";
+    item.setAttribute("draggable", "true");
+    item.setAttribute("tabindex", "0");
+    item.setAttribute("role", "button");
+    item.setAttribute("aria-label", `Open ${subfolder.name || "Folder"} subfolder`);
+    item.setAttribute("aria-describedby", RenderManager.KEYBOARD_HINT_ID);
+    item.dataset.folderId = subfolder.id;
+    item.dataset.parentId = parentId;
+
+    const button = document.createElement("div");
+    button.className = "folder-button";
+    button.appendChild(
+      this.renderManager.createFolderPreview(
+        this.folderSystem.getPreviewSites(subfolder),
+      ),
+    );
+
+    const title = document.createElement("div");
+    title.className = "folder-title";
+    title.textContent = subfolder.name || "Folder";
+
+    item.appendChild(button);
+    item.appendChild(title);
+
+    item.addEventListener("click", () => this.navigateToFolder(subfolder.id));
+    // Space picks the tile up instead (GridNavigationManager)
+    item.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.navigateToFolder(subfolder.id);
+      }
+    });
+
+    item.addEventListener("dragstart", (e) => {
+      const payload = { type: "subfolder", parentId, id: subfolder.id };
+      e.dataTransfer.setData("application/json", JSON.stringify(payload));
+      e.dataTransfer.effectAllowed = "move";
+      item.classList.add("dragging");
+      this.emit('dragStart', { element: item, payload });
+    });
+    item.addEventListener("dragend", () => {
+      item.classList.remove("dragging");
+      this.emit('dragEnd', { element: item });
+    });
+
+    this.attachFolderDropTarget(item, subfolder.id);
+
+    return item;
+  }
+
   createSiteWrapper(site, folderId) {
     // Use same visual structure as root grid link tiles
     const wrapper = document.createElement("div");
@@ -93,22 +220,17 @@ class PopoverManager extends ComponentManager {
     const button = document.createElement("a");
     button.className = "link-button";
     button.href = site.url;
-    // same-tab navigation from popover tiles
-    button.addEventListener('click', (e) => {
-      e.preventDefault();
-      // Track click for popularity
-      this.folderSystem.recordClick(site.id, folderId).catch(err => {
-        console.warn('Failed to record click:', err);
-      });
-      this.navigateToSite(site.url);
-    });
+    // Same-tab navigation unless a modifier key or the site's own option says otherwise
+    this.bindTileOpen(button, site, folderId);
     button.setAttribute("title", site.name || site.url);
+    this.renderManager.labelTileLink(button, site);
+    if (site.openInNewTab) wrapper.classList.add("opens-new-tab");
 
     const img = document.createElement("img");
     const favicon = this.folderSystem.getIconSrc(site);
     img.src = favicon;
     img.loading = "lazy";
-    img.alt = site.name || "Site";
+    img.alt = "";
     
     // Add error handler for favicon fallback
     img.onerror = () => {
@@ -119,6 +241,7 @@ class PopoverManager extends ComponentManager {
 
     const label = document.createElement("div");
     label.className = "link-title";
+    label.setAttribute("aria-hidden", "true");
     label.textContent = site.name || site.url;
 
     // Apply adaptive background to tile
@@ -146,6 +269,104 @@ class PopoverManager extends ComponentManager {
     return titleEl;
   }
 
+  /**
+   * Button that launches the folder's sites as a tab group (UIManager handles 'openFolder')
+   * @param {Object} folder
+   */
+  createOpenAllButton(folder) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "popover-open-all";
+    const count = folder.sites.length;
+    button.textContent = `Open all ${count} in a tab group`;
+    button.addEventListener("click", () => {
+      this.emit('openFolder', { folderId: folder.id });
+    });
+    return button;
+  }
+
+  // ============ Subfolder Navigation ============
+
+  /**
+   * Show another folder inside the open popover (used by subfolder tiles and breadcrumbs)
+   * @param {string} folderId
+   */
+  navigateToFolder(folderId) {
+    const pop = this.currentPopover;
+    const folder = this.folderSystem.getFolderById(folderId);
+    if (!pop || !folder) return;
+    this.renderPopoverContent(pop, folder);
+    // Content size changed; keep the popover inside the viewport
+    this.positionPopover(pop, pop._anchor, null);
+    this.focusFirstTile();
+  }
+
+  /** Move keyboard focus to the first subfolder or site of the open popover */
+  focusFirstTile() {
+    this.currentPopover?.querySelector(".site-grid .popover-folder, .site-grid .link-button")?.focus();
+  }
+
+  /**
+   * Re-render the open popover after data changes; closes it if its folder is gone
+   */
+  refreshPopover() {
+    const pop = this.currentPopover;
+    if (!pop) return;
+    const folder = this.folderSystem.getFolderById(pop._folderId);
+    if (!folder) {
+      this.closeFolderPopover();
+      return;
+    }
+    this.renderPopoverContent(pop, folder);
+  }
+
+  /**
+   * Let a subfolder tile or breadcrumb accept dropped sites, subfolders and selections
+   * @param {HTMLElement} el - Drop target element
+   * @param {string} folderId - Folder that receives the dropped item
+   */
+  attachFolderDropTarget(el, folderId) {
+    el.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+      el.classList.add("dnd-over-folder");
+    });
+    el.addEventListener("dragleave", () => {
+      el.classList.remove("dnd-over-folder");
+    });
+    el.addEventListener("drop", async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      el.classList.remove("dnd-over-folder");
+
+      let payload;
+      try {
+        payload = JSON.parse(e.dataTransfer.getData("application/json") || "null");
+      } catch {
+        return;
+      }
+      if (!payload) return;
+
+      try {
+        if (payload.type === "selection") {
+          // Items already in this folder, or the folder itself, are skipped
+          if (!(await this.folderSystem.moveItemsToFolder(payload.items, folderId))) return;
+        } else if (payload.type === "site" && payload.folderId !== folderId) {
+          await this.folderSystem.moveSiteBetweenFolders(payload.folderId, payload.id, folderId);
+        } else if (payload.type === "subfolder" && payload.id !== folderId) {
+          await this.folderSystem.moveFolderToFolder(payload.id, folderId);
+        } else {
+          return;
+        }
+        this.refreshPopover();
+        this.emit('foldersChanged');
+      } catch (err) {
+        console.error("Failed to move item into folder:", err);
+        this.emit('notification', { message: err.message || "Failed to move item.", type: "error" });
+      }
+    });
+  }
+
   // ============ Inline Editing ============
 
   async startInlineEdit(titleEl, folder, pop) {
@@ -352,12 +573,8 @@ class PopoverManager extends ComponentManager {
 
   // ============ Utility Methods ============
 
-  navigateToSite(url) {
-    try { 
-      window.location.href = url; 
-    } catch { 
-      window.location.assign(url); 
-    }
+  navigateToSite(url, mode = 'current') {
+    return LinkOpener.open(url, mode);
   }
 
   applyAdaptiveTileBackground(imgEl, siteUrl) {
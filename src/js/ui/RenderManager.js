@@ -22,14 +22,18 @@ class RenderManager extends ComponentManager {
   }
 
   /**
-   * Render the complete grid with folders and links
+   * Render one page of the grid with its folders and links
    * @param {Array} folders - Array of folder objects
    * @param {Array} links - Array of link objects
+   * @param {number} [page] - Page of the root grid to show
    */
-  renderGrid(folders, links) {
+  renderGrid(folders, links, page = 0) {
     this.clearContainer();
-    const items = this.folderSystem.getRootItems?.();
-    if (Array.isArray(items) && items.length) {
+    const items = this.folderSystem.getPageItems
+      ? this.folderSystem.getPageItems(page)
+      : this.folderSystem.getRootItems?.();
+    // Pages after the first can be empty (a new page to drop a tile on)
+    if (Array.isArray(items) && (items.length || page > 0)) {
       items.forEach(({ type, item }) => {
         const el = type === "link" 
           ? this.createLinkTile(item) 
@@ -97,16 +101,18 @@ class RenderManager extends ComponentManager {
     item.setAttribute("tabindex", "0");
     item.setAttribute("draggable", "true");
     item.setAttribute("role", "button");
+    item.setAttribute("aria-haspopup", "dialog");
     item.setAttribute(
       "aria-label",
-      `${folder.name} folder with ${folder.sites?.length || 0} sites`
+      `${folder.name} folder with ${folder.sites?.length || 0} sites` +
+        (folder.folders?.length ? ` and ${folder.folders.length} subfolders` : "")
     );
-    item.setAttribute("aria-describedby", `folder-title-${folder.id}`);
+    item.setAttribute("aria-describedby", RenderManager.KEYBOARD_HINT_ID);
 
     const button = document.createElement("div");
     button.className = "folder-button";
 
-    const preview = this.createFolderPreview(folder.sites || []);
+    const preview = this.createFolderPreview(this.folderSystem.getPreviewSites(folder));
     // Append the preview container directly
     button.appendChild(preview);
 
@@ -126,6 +132,8 @@ class RenderManager extends ComponentManager {
   createFolderPreview(sites) {
     const container = document.createElement("div");
     container.className = "folder-preview-container";
+    // The tile's label already names the folder and counts its sites
+    container.setAttribute("aria-hidden", "true");
     
     // Generate up to 4 preview icons (only create as many as we have)
     const previews = (sites || []).slice(0, 4);
@@ -215,26 +223,17 @@ class RenderManager extends ComponentManager {
     const button = document.createElement("a");
     button.className = "link-button";
     button.href = link.url;
-    // same-tab navigation
-    button.addEventListener('click', (e) => {
-      e.preventDefault();
-      // Track click for popularity
-      this.folderSystem.recordClick(link.id, null).catch(err => {
-        console.warn('Failed to record click:', err);
-      });
-      try { 
-        window.location.href = link.url; 
-      } catch { 
-        window.location.assign(link.url); 
-      }
-    });
+    // Same-tab navigation unless a modifier key or the link's own option says otherwise
+    this.bindTileOpen(button, link, null);
     button.setAttribute("title", link.name || link.url);
+    this.labelTileLink(button, link);
+    if (link.openInNewTab) wrapper.classList.add("opens-new-tab");
 
     const img = document.createElement("img");
     const favicon = this.folderSystem.getIconSrc(link);
     img.src = favicon;
     img.loading = "lazy";
-    img.alt = link.name || "Link";
+    img.alt = "";
     
     // Add error handler for favicon fallback
     img.onerror = () => {
@@ -246,6 +245,7 @@ class RenderManager extends ComponentManager {
 
     const label = document.createElement("div");
     label.className = "link-title";
+    label.setAttribute("aria-hidden", "true");
     label.textContent = link.name || link.url;
 
     wrapper.appendChild(button);
@@ -257,6 +257,18 @@ class RenderManager extends ComponentManager {
     return wrapper;
   }
 
+  /**
+   * Accessible name of a link or site tile: the visible title (hidden from screen readers
+   * to avoid reading it twice) plus where it opens, and the keyboard hint as description
+   * @param {HTMLAnchorElement} button - The tile's link
+   * @param {Object} item - The link or site object
+   */
+  labelTileLink(button, item) {
+    const name = item.name || item.url;
+    button.setAttribute("aria-label", item.openInNewTab ? `${name}, opens in a new tab` : name);
+    button.setAttribute("aria-describedby", RenderManager.KEYBOARD_HINT_ID);
+  }
+
   /**
    * Compute folder background from color
    * @param {string} color - The folder color
@@ -379,6 +391,9 @@ class RenderManager extends ComponentManager {
   }
 }
 
+// Hidden element in index.html explaining keyboard navigation and grab mode
+RenderManager.KEYBOARD_HINT_ID = "tile-keyboard-hint";
+
 // Export for both ES6 modules and browser globals
 if (typeof module !== "undefined" && module.exports) {
   module.exports = RenderManager;
@@ -0,0 +1,242 @@
+// tilio - Search Section
+// Search engines with their keywords, suggestions and search history. Engines are
+// edited in a draft until Save
+
+class SearchSectionManager extends SettingsSectionManager {
+  /**
+   * @param {SettingsManager} settingsManager - The settings manager instance
+   */
+  constructor(settingsManager) {
+    super(settingsManager);
+    this.searchEngineDraft = null;
+  }
+
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-label">Search Engines</label>
+        <div class="setting-description">The selected engine is the default. Type a keyword before your search to use another engine, e.g. "gh react hooks" or "!w tokyo".</div>
+        <ul class="search-engine-list" id="search-engine-list"></ul>
+      </div>
+      <div class="setting-group" id="search-engine-form">
+        <label class="setting-label" id="search-engine-form-title">Add Search Engine</label>
+        <input type="text" class="setting-input" id="search-engine-name" placeholder="Name, e.g. Code Search">
+        <input type="text" class="setting-input" id="search-engine-keyword" placeholder="Keyword, e.g. cs">
+        <div class="setting-description">Use {query} placeholder for the search term.</div>
+        <input type="text" class="setting-input" id="search-engine-template" placeholder="https://example.com/search?q={query}">
+        <div class="setting-description">Optional suggestion endpoint returning OpenSearch JSON, e.g. ["query", ["suggestion", ...]].</div>
+        <input type="text" class="setting-input" id="search-engine-suggest" placeholder="https://example.com/suggest?q={query}">
+        <button class="nt-btn nt-btn-primary" id="search-engine-save">Add Engine</button>
+        <button class="nt-btn" id="search-engine-cancel" style="display: none;">Cancel</button>
+      </div>
+      <div class="setting-group">
+        <label class="setting-label">Preview</label>
+        <div class="setting-description" id="search-preview">https://duckduckgo.com/?q={query}</div>
+      </div>
+      <div class="setting-group">
+        <label class="setting-checkbox">
+          <input type="checkbox" id="search-suggestions">
+          <span>Show search engine suggestions</span>
+        </label>
+        <div class="setting-description">Sends what you type in the search bar to the search engine</div>
+      </div>
+      <div class="setting-group">
+        <label class="setting-label">Search History</label>
+        <div class="setting-description">Recent searches shown in the search bar dropdown. They stay on this device.</div>
+        <select class="setting-select" id="search-history-limit">
+          <option value="0">Off</option>
+          <option value="25">Last 25 searches</option>
+          <option value="50">Last 50 searches</option>
+          <option value="100">Last 100 searches</option>
+          <option value="200">Last 200 searches</option>
+        </select>
+        <button class="nt-btn" id="clear-search-history">Clear History</button>
+      </div>
+    `;
+  }
+
+  populate(modal, settings) {
+    const engines = SettingsManager.resolveSearchEngines(settings).map((engine, index) => ({
+      ...engine,
+      id: engine.id || `engine-${index}`
+    }));
+    const current = settings.searchEngine;
+    this.searchEngineDraft = {
+      engines,
+      defaultId: (engines.find((engine) => engine.template === current?.template) || engines[0]).id,
+      editingId: null
+    };
+    this.renderSearchEngines(modal);
+    modal.querySelector('#search-suggestions').checked = settings.searchSuggestions || false;
+    modal.querySelector('#search-history-limit').value = String(settings.searchHistoryLimit ?? 50);
+  }
+
+  /**
+   * List the draft engines with default / edit / remove controls
+   */
+  renderSearchEngines(modal) {
+    const list = modal.querySelector('#search-engine-list');
+    const { engines, defaultId } = this.searchEngineDraft;
+    list.innerHTML = '';
+
+    engines.forEach((engine) => {
+      const row = document.createElement('li');
+      row.className = 'search-engine-item';
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'default-search-engine';
+      radio.checked = engine.id === defaultId;
+      radio.setAttribute('aria-label', `Use ${engine.name} by default`);
+      radio.addEventListener('change', () => {
+        this.searchEngineDraft.defaultId = engine.id;
+        this.updateSearchPreview(modal);
+      });
+
+      const info = document.createElement('div');
+      info.className = 'search-engine-info';
+      const name = document.createElement('div');
+      name.className = 'search-engine-name';
+      name.textContent = engine.name;
+      const keyword = SettingsManager.normalizeKeyword(engine.keyword);
+      if (keyword) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = keyword;
+        name.appendChild(kbd);
+      }
+      const template = document.createElement('div');
+      template.className = 'search-engine-template';
+      template.textContent = engine.template;
+      info.append(name, template);
+
+      const actions = document.createElement('div');
+      actions.className = 'search-engine-actions';
+      const edit = document.createElement('button');
+      edit.className = 'nt-btn';
+      edit.textContent = 'Edit';
+      edit.setAttribute('aria-label', `Edit ${engine.name}`);
+      edit.addEventListener('click', () => this.editSearchEngine(modal, engine));
+      const remove = document.createElement('button');
+      remove.className = 'nt-btn';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove ${engine.name}`);
+      remove.disabled = engines.length === 1;
+      remove.addEventListener('click', () => this.removeSearchEngine(modal, engine));
+      actions.append(edit, remove);
+
+      row.append(radio, info, actions);
+      list.appendChild(row);
+    });
+    this.updateSearchPreview(modal);
+  }
+
+  updateSearchPreview(modal) {
+    const { engines, defaultId } = this.searchEngineDraft;
+    const engine = engines.find((e) => e.id === defaultId) || engines[0];
+    modal.querySelector('#search-preview').textContent = engine ? engine.template : '';
+  }
+
+  bind(modal) {
+    modal.querySelector('#search-engine-save').addEventListener('click', () => {
+      try {
+        this.saveSearchEngine(modal);
+      } catch (error) {
+        this.emit('notification', { message: error.message, type: 'error' });
+      }
+    });
+    modal.querySelector('#search-engine-cancel').addEventListener('click', () => {
+      this.resetSearchEngineForm(modal);
+    });
+    modal.querySelector('#clear-search-history').addEventListener('click', async ()=>{
+      try {
+        await this.settingsManager.storage.clearSearchHistory();
+        this.emit('notification', { message: 'Search history cleared', type: 'success' });
+      } catch (error) {
+        console.error('Failed to clear search history:', error);
+        this.emit('notification', { message: 'Failed to clear search history', type: 'error' });
+      }
+    });
+  }
+
+  editSearchEngine(modal, engine) {
+    this.searchEngineDraft.editingId = engine.id;
+    modal.querySelector('#search-engine-name').value = engine.name;
+    modal.querySelector('#search-engine-keyword').value = SettingsManager.normalizeKeyword(engine.keyword);
+    modal.querySelector('#search-engine-template').value = engine.template;
+    modal.querySelector('#search-engine-suggest').value = engine.suggest || '';
+    modal.querySelector('#search-engine-form-title').textContent = `Edit ${engine.name}`;
+    modal.querySelector('#search-engine-save').textContent = 'Update Engine';
+    modal.querySelector('#search-engine-cancel').style.display = '';
+    modal.querySelector('#search-engine-name').focus();
+  }
+
+  resetSearchEngineForm(modal) {
+    this.searchEngineDraft.editingId = null;
+    ['name', 'keyword', 'template', 'suggest'].forEach((field) => {
+      modal.querySelector(`#search-engine-${field}`).value = '';
+    });
+    modal.querySelector('#search-engine-form-title').textContent = 'Add Search Engine';
+    modal.querySelector('#search-engine-save').textContent = 'Add Engine';
+    modal.querySelector('#search-engine-cancel').style.display = 'none';
+  }
+
+  /**
+   * Validate the engine form and add or update the draft engine
+   * @throws {Error} with a message for the user when a field is invalid
+   */
+  saveSearchEngine(modal) {
+    const draft = this.searchEngineDraft;
+    const name = modal.querySelector('#search-engine-name').value.trim();
+    const keyword = SettingsManager.normalizeKeyword(modal.querySelector('#search-engine-keyword').value);
+    const template = modal.querySelector('#search-engine-template').value.trim();
+    const suggest = modal.querySelector('#search-engine-suggest').value.trim();
+
+    if (!name) throw new Error('Enter a name for the search engine');
+    if (keyword && !/^[\w.-]+$/.test(keyword)) {
+      throw new Error('Keywords can only contain letters, digits, ".", "-" and "_"');
+    }
+    const taken = draft.engines.find(
+      (engine) => engine.id !== draft.editingId && keyword && SettingsManager.normalizeKeyword(engine.keyword) === keyword
+    );
+    if (taken) throw new Error(`The keyword "${keyword}" is already used by ${taken.name}`);
+    const templateError = SettingsManager.validateSearchTemplate(template);
+    if (templateError) throw new Error(`Search URL: ${templateError}`);
+    const suggestError = SettingsManager.validateSearchTemplate(suggest, true);
+    if (suggestError) throw new Error(`Suggestion URL: ${suggestError}`);
+
+    const engine = { name, keyword, template };
+    if (suggest) engine.suggest = suggest;
+    const index = draft.engines.findIndex((e) => e.id === draft.editingId);
+    if (index !== -1) {
+      draft.engines[index] = { id: draft.editingId, ...engine };
+    } else {
+      draft.engines.push({ id: `engine-${Date.now().toString(36)}`, ...engine });
+    }
+    this.resetSearchEngineForm(modal);
+    this.renderSearchEngines(modal);
+  }
+
+  removeSearchEngine(modal, engine) {
+    const draft = this.searchEngineDraft;
+    if (draft.engines.length === 1) return;
+    draft.engines = draft.engines.filter((e) => e.id !== engine.id);
+    if (draft.defaultId === engine.id) draft.defaultId = draft.engines[0].id;
+    if (draft.editingId === engine.id) this.resetSearchEngineForm(modal);
+    this.renderSearchEngines(modal);
+  }
+
+  readSettings(modal) {
+    const { engines, defaultId } = this.searchEngineDraft;
+    return {
+      searchEngines: engines.map((engine) => ({ ...engine })),
+      searchEngine: { ...(engines.find((engine) => engine.id === defaultId) || engines[0]) },
+      searchSuggestions: modal.querySelector('#search-suggestions').checked,
+      searchHistoryLimit: parseInt(modal.querySelector('#search-history-limit').value, 10)
+    };
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.SearchSectionManager = SearchSectionManager;
+}
@@ -0,0 +1,396 @@
+// tilio - Selection Manager
+// Multi-selection of tiles on the root grid or inside the open folder popover:
+// Alt-click, Ctrl/Cmd-click and Shift-click ranges while a selection exists,
+// rubber-band drag and keyboard, plus the bulk action bar
+
+class SelectionManager extends ComponentManager {
+  /**
+   * @param {HTMLElement} container - Main grid container
+   * @param {FolderSystem} folderSystem - Data layer
+   */
+  constructor(container, folderSystem) {
+    super(container, folderSystem);
+    this.selected = new Map(); // key -> { type, id, folderId? }
+    this.scope = null; // 'root' or the id of the folder shown in the popover
+    this.anchorKey = null; // start of Shift-click ranges
+    this.band = null; // rubber-band state while dragging
+    this.suppressClick = false;
+    this.bar = null;
+
+    this.initialize();
+  }
+
+  initialize() {
+    // Capture phase so modifier clicks never reach the tile's open handler
+    this.addEventListener(document, "click", this.handleClick.bind(this), true);
+    this.addEventListener(document, "keydown", this.handleKeydown.bind(this), true);
+    this.addEventListener(document, "mousedown", this.startBand.bind(this));
+  }
+
+  // ============ Tiles ============
+
+  /**
+   * Describe the tile an element belongs to
+   * @param {Element} el
+   * @returns {{key: string, scope: string, item: Object, element: HTMLElement}|null}
+   */
+  getTile(el) {
+    const tile = el?.closest?.(".folder-item, .link-item");
+    if (!tile) return null;
+
+    if (tile.classList.contains("popover-site")) {
+      const { siteId, folderId } = tile.dataset;
+      return this.describe(tile, folderId, { type: "site", id: siteId, folderId });
+    }
+    if (tile.classList.contains("popover-folder")) {
+      return this.describe(tile, tile.dataset.parentId, { type: "folder", id: tile.dataset.folderId });
+    }
+    if (!this.container.contains(tile)) return null;
+    return tile.classList.contains("folder-item")
+      ? this.describe(tile, "root", { type: "folder", id: tile.dataset.folderId })
+      : this.describe(tile, "root", { type: "link", id: tile.dataset.linkId });
+  }
+
+  describe(element, scope, item) {
+    return { key: `${item.type}:${item.id}`, scope, item, element };
+  }
+
+  /**
+   * All tiles of a scope in display order
+   * @param {string} scope
+   * @returns {Array} tile descriptions
+   */
+  getTiles(scope) {
+    let elements = [];
+    if (scope === "root") {
+      elements = this.container.querySelectorAll(".folder-item, .link-item");
+    } else {
+      const pop = document.querySelector(".folder-popover");
+      if (pop && pop._folderId === scope) {
+        elements = pop.querySelectorAll(".site-grid .popover-folder, .site-grid .popover-site");
+      }
+    }
+    return Array.from(elements)
+      .map((el) => this.getTile(el))
+      .filter((tile) => tile && tile.scope === scope);
+  }
+
+  /** Scope keyboard selection works in: the open popover, else the root grid */
+  getActiveScope() {
+    return document.querySelector(".folder-popover")?._folderId || "root";
+  }
+
+  // ============ Selection State ============
+
+  /**
+   * Selected items in display order
+   * @returns {Object[]} items { type, id, folderId? }
+   */
+  getSelectedItems() {
+    if (!this.scope) return [];
+    return this.getTiles(this.scope)
+      .filter((tile) => this.selected.has(tile.key))
+      .map((tile) => ({ ...tile.item }));
+  }
+
+  isSelected(el) {
+    const tile = this.getTile(el);
+    return !!tile && this.selected.has(tile.key);
+  }
+
+  /**
+   * Items a context menu on this element should act on: the whole selection
+   * when the element is part of a multi-selection
+   * @param {Element} el
+   * @returns {Object[]|null}
+   */
+  getContextSelection(el) {
+    if (this.selected.size < 2 || !this.isSelected(el)) return null;
+    return this.getSelectedItems();
+  }
+
+  toggle(tile) {
+    this.enterScope(tile.scope);
+    if (this.selected.has(tile.key)) {
+      this.selected.delete(tile.key);
+    } else {
+      this.selected.set(tile.key, tile.item);
+    }
+    this.anchorKey = tile.key;
+    this.update();
+  }
+
+  /**
+   * Select every tile between the range anchor and this tile
+   * @param {Object} tile
+   * @param {boolean} additive - keep the existing selection
+   */
+  selectRange(tile, additive) {
+    const tiles = this.getTiles(tile.scope);
+    const from = tiles.findIndex((t) => t.key === this.anchorKey);
+    if (tile.scope !== this.scope || from === -1) {
+      this.toggle(tile);
+      return;
+    }
+    const to = tiles.findIndex((t) => t.key === tile.key);
+    if (!additive) this.selected.clear();
+    tiles
+      .slice(Math.min(from, to), Math.max(from, to) + 1)
+      .forEach((t) => this.selected.set(t.key, t.item));
+    this.update();
+  }
+
+  selectAll(scope) {
+    const tiles = this.getTiles(scope);
+    if (!tiles.length) return;
+    this.enterScope(scope);
+    tiles.forEach((t) => this.selected.set(t.key, t.item));
+    this.update();
+  }
+
+  clear() {
+    if (!this.selected.size && !this.scope) return;
+    this.selected.clear();
+    this.scope = null;
+    this.anchorKey = null;
+    this.update();
+  }
+
+  /** Start selecting in another grid; a selection never spans two grids */
+  enterScope(scope) {
+    if (this.scope === scope) return;
+    this.selected.clear();
+    this.anchorKey = null;
+    this.scope = scope;
+  }
+
+  /**
+   * Drop items whose tiles are gone and re-apply highlighting after a re-render
+   */
+  syncWithDom() {
+    if (!this.scope) return;
+    const present = new Set(this.getTiles(this.scope).map((t) => t.key));
+    for (const key of [...this.selected.keys()]) {
+      if (!present.has(key)) this.selected.delete(key);
+    }
+    if (!this.selected.size) {
+      this.clear();
+      return;
+    }
+    this.update();
+  }
+
+  /** Reflect selection state on tiles and in the action bar */
+  update() {
+    document.querySelectorAll(".tile-selected").forEach((el) => {
+      el.classList.remove("tile-selected");
+      el.removeAttribute("aria-selected");
+    });
+    if (this.scope) {
+      this.getTiles(this.scope)
+        .filter((tile) => this.selected.has(tile.key))
+        .forEach((tile) => {
+          tile.element.classList.add("tile-selected");
+          tile.element.setAttribute("aria-selected", "true");
+        });
+    }
+    this.renderBar();
+    this.emit("selectionChanged", { count: this.selected.size, scope: this.scope });
+  }
+
+  // ============ Pointer & Keyboard ============
+
+  handleClick(e) {
+    if (e.button !== 0) return;
+    if (this.suppressClick) {
+      // Click that ends a rubber-band drag
+      this.suppressClick = false;
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+
+    // Alt-click always selects. Ctrl/Cmd/Shift-click only extend an existing selection;
+    // with nothing selected they open the tile in a new tab or window (see LinkOpener)
+    const modifier = e.altKey || ((e.ctrlKey || e.metaKey || e.shiftKey) && this.selected.size > 0);
+    const tile = this.getTile(e.target);
+    if (!tile || !modifier) {
+      // Plain clicks clear the selection, except inside menus, dialogs and the action bar
+      if (
+        this.selected.size &&
+        !e.target.closest?.(".selection-bar, .context-menu, .dialog-overlay, .settings-modal")
+      ) {
+        this.clear();
+      }
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.shiftKey && this.anchorKey) {
+      this.selectRange(tile, e.ctrlKey || e.metaKey);
+    } else {
+      this.toggle(tile);
+    }
+  }
+
+  handleKeydown(e) {
+    const target = e.target;
+    if (target?.closest?.("input, textarea, select, [contenteditable='true']")) return;
+    if (document.querySelector(".dialog-overlay, .settings-modal")) return;
+
+    // Ctrl/Cmd+A selects every tile of the open popover or the root grid
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "a") {
+      e.preventDefault();
+      this.selectAll(this.getActiveScope());
+      return;
+    }
+
+    // Shift+Space or Ctrl+Space toggles the focused tile
+    if (e.key === " " && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+      const tile = this.getTile(document.activeElement);
+      if (!tile) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.toggle(tile);
+      return;
+    }
+
+    if (!this.selected.size) return;
+
+    if (e.key === "Escape") {
+      // Leave the popover open; the next Escape closes it
+      e.stopPropagation();
+      this.clear();
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      e.stopPropagation();
+      this.emit("bulkAction", { action: "bulk-delete" });
+    }
+  }
+
+  /**
+   * Rubber-band selection: drag over empty space in the grid or popover
+   * @param {MouseEvent} e
+   */
+  startBand(e) {
+    if (e.button !== 0) return;
+    const target = e.target;
+    if (this.getTile(target)) return;
+    if (target.closest?.("input, textarea, select, button, a, .add-tile, .search-bar")) return;
+
+    const pop = target.closest?.(".folder-popover");
+    let scope = null;
+    if (pop) {
+      if (target.closest(".site-grid")) scope = pop._folderId;
+    } else if (target.closest?.(".main-content")) {
+      scope = "root";
+    }
+    if (!scope) return;
+
+    const additive = e.ctrlKey || e.metaKey || e.shiftKey;
+    const base = additive && this.scope === scope ? new Map(this.selected) : new Map();
+    this.band = { scope, base, startX: e.clientX, startY: e.clientY, element: null };
+
+    const onMove = (ev) => this.moveBand(ev);
+    const onUp = () => {
+      document.removeEventListener("mousemove", onMove);
+      document.removeEventListener("mouseup", onUp);
+      this.endBand();
+    };
+    document.addEventListener("mousemove", onMove);
+    document.addEventListener("mouseup", onUp);
+  }
+
+  moveBand(e) {
+    const band = this.band;
+    if (!band) return;
+    const left = Math.min(band.startX, e.clientX);
+    const top = Math.min(band.startY, e.clientY);
+    const width = Math.abs(e.clientX - band.startX);
+    const height = Math.abs(e.clientY - band.startY);
+
+    if (!band.element) {
+      // Small movements are plain clicks
+      if (width < 5 && height < 5) return;
+      band.element = this.createElement("div", "selection-band");
+      document.body.appendChild(band.element);
+      document.body.classList.add("band-selecting");
+      this.enterScope(band.scope);
+    }
+    e.preventDefault();
+
+    Object.assign(band.element.style, {
+      left: `${left}px`,
+      top: `${top}px`,
+      width: `${width}px`,
+      height: `${height}px`
+    });
+
+    this.selected = new Map(band.base);
+    this.getTiles(band.scope).forEach((tile) => {
+      const r = tile.element.getBoundingClientRect();
+      const hit = r.left < left + width && r.right > left && r.top < top + height && r.bottom > top;
+      if (hit) this.selected.set(tile.key, tile.item);
+    });
+    this.update();
+  }
+
+  endBand() {
+    const band = this.band;
+    this.band = null;
+    if (!band?.element) return;
+    band.element.remove();
+    document.body.classList.remove("band-selecting");
+    this.suppressClick = true;
+    // mouseup outside the page produces no click
+    setTimeout(() => {
+      this.suppressClick = false;
+    }, 0);
+    if (!this.selected.size) this.clear();
+  }
+
+  // ============ Action Bar ============
+
+  renderBar() {
+    const count = this.selected.size;
+    if (!count) {
+      this.bar?.remove();
+      this.bar = null;
+      return;
+    }
+
+    if (!this.bar) {
+      this.bar = this.createElement("div", "selection-bar", {
+        role: "toolbar",
+        "aria-label": "Selected items"
+      });
+      this.bar.innerHTML = `
+        <span class="selection-count" aria-live="polite"></span>
+        <button type="button" class="selection-action" data-action="bulk-move">Move to Folder…</button>
+        <button type="button" class="selection-action" data-action="bulk-folderize">Create Folder</button>
+        <button type="button" class="selection-action destructive" data-action="bulk-delete">Delete</button>
+        <button type="button" class="selection-action selection-clear" data-action="clear" aria-label="Clear selection">×</button>
+      `;
+      this.bar.addEventListener("click", (e) => {
+        const action = e.target.closest(".selection-action")?.dataset.action;
+        if (!action) return;
+        if (action === "clear") this.clear();
+        else this.emit("bulkAction", { action });
+      });
+      document.body.appendChild(this.bar);
+    }
+    this.bar.querySelector(".selection-count").textContent = `${count} selected`;
+  }
+
+  destroy() {
+    this.bar?.remove();
+    this.bar = null;
+    super.destroy();
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.SelectionManager = SelectionManager;
+}
@@ -0,0 +1,74 @@
+// tilio - Settings Section Manager
+// Base for the parts of the settings modal that keep their own drafts and controls.
+// SettingsUIManager places each section's markup in the modal, opens the sections with
+// it, collects their settings on Save and closes them with it
+
+class SettingsSectionManager extends ComponentManager {
+  /**
+   * Sections only talk to SettingsUIManager through on/emit, so they have no container
+   * @param {SettingsManager} settingsManager - The settings manager instance
+   */
+  constructor(settingsManager) {
+    super(null, null);
+    this.settingsManager = settingsManager;
+    this.modal = null;
+  }
+
+  /**
+   * Markup of the section's setting groups
+   * @returns {string}
+   */
+  getMarkup() {
+    return "";
+  }
+
+  /**
+   * Fill in the controls and bind them; called each time the modal opens
+   * @param {HTMLElement} modal - Settings modal
+   * @param {Object} settings - Current settings
+   */
+  open(modal, settings) {
+    this.modal = modal;
+    this.populate(modal, settings);
+    this.bind(modal);
+  }
+
+  populate(modal, settings) {}
+
+  bind(modal) {}
+
+  /**
+   * Settings to save from the section's draft
+   * @returns {Object|null} null when the draft can't be saved yet; the section says why
+   */
+  readSettings(modal) {
+    return {};
+  }
+
+  /**
+   * Called when the modal closes, saved or not
+   */
+  close() {
+    this.modal = null;
+  }
+
+  /**
+   * Send a message to the background service worker
+   */
+  sendBackgroundMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.SettingsSectionManager = SettingsSectionManager;
+}
@@ -5,17 +5,51 @@ class SettingsUIManager extends ComponentManager {
   /**
    * @param {HTMLElement} container - The main container element
    * @param {SettingsManager} settingsManager - The settings manager instance
+   * @param {Workspaces} [workspaces] - The app's workspaces; without them the Workspaces tab is hidden
+   * @param {function(function(Workspaces): Promise<*>): Promise<*>} [changeWorkspaces] - Runs a change
+   *   on the workspaces and brings the open pages up to date
    */
-  constructor(container, settingsManager) {
+  constructor(container, settingsManager, workspaces = null, changeWorkspaces = null) {
     super(container, null);
     this.settingsManager = settingsManager;
     this.currentModal = null;
+    this.appearancePreviewActive = false;
+
+    // Parts of the modal with their own drafts and controls, opened and saved in this order
+    const themes = new ThemeSectionManager(settingsManager);
+    this.sections = {
+      themes,
+      themeSchedule: new ThemeScheduleSectionManager(settingsManager, themes),
+      wallpaper: new WallpaperSectionManager(settingsManager),
+      workspaces: new WorkspaceSectionManager(settingsManager, themes, workspaces, changeWorkspaces),
+      search: new SearchSectionManager(settingsManager),
+      shortcuts: new ShortcutSectionManager(settingsManager),
+      importExport: new ImportExportSectionManager(settingsManager),
+      sync: new SyncSectionManager(settingsManager),
+      backup: new BackupSectionManager(settingsManager),
+      snapshots: new SnapshotSectionManager(settingsManager)
+    };
+    this.sectionList = Object.values(this.sections);
+    this.sectionList.forEach((section) => {
+      ['notification', 'mergeImportRequested', 'dataImported'].forEach((eventName) => {
+        section.on(eventName, (detail) => this.emit(eventName, detail));
+      });
+      section.on('appearancePreviewed', () => {
+        this.appearancePreviewActive = true;
+      });
+      section.on('appearancePreviewCancelled', () => this.restoreAppearancePreview());
+      section.on('closeRequested', () => this.closeSettingsModal());
+    });
   }
 
   /**
    * Show the settings modal
    */
-  showSettingsModal() {
+  /**
+   * @param {string} [tab] - tab to open on, e.g. "workspaces"
+   */
+  showSettingsModal(tab) {
+    const sections = this.sections;
     // Create modal HTML
     const modalHtml = `
       <div class="settings-modal">
@@ -25,42 +59,18 @@ class SettingsUIManager extends ComponentManager {
             <div class="settings-tabs">
               <button class="settings-tab active" data-tab="appearance">Appearance</button>
               <button class="settings-tab" data-tab="layout">Layout</button>
+              <button class="settings-tab" data-tab="workspaces">Workspaces</button>
               <button class="settings-tab" data-tab="clock">Clock</button>
               <button class="settings-tab" data-tab="accessibility">Accessibility</button>
               <button class="settings-tab" data-tab="search">Search</button>
+              <button class="settings-tab" data-tab="shortcuts">Shortcuts</button>
               <button class="settings-tab" data-tab="data">Data</button>
+              <button class="settings-tab" data-tab="history">History</button>
             </div>
           </div>
           <div class="settings-body">
             <div class="settings-section active" data-section="appearance">
-              <div class="setting-group">
-                <label class="setting-label">Theme</label>
-                <div class="setting-description">Choose a pre-built theme or create your own</div>
-                <div class="theme-live-preview" id="theme-live-preview">
-                  <div class="tlp-bg">
-                    <div class="tlp-tile" aria-hidden="true"></div>
-                    <div class="tlp-tile" aria-hidden="true"></div>
-                    <div class="tlp-tile" aria-hidden="true"></div>
-                  </div>
-                </div>
-                <div class="theme-preview" id="theme-preview"></div>
-              </div>
-              <div class="setting-group">
-                <label class="setting-checkbox">
-                  <input type="checkbox" id="custom-theme">
-                  <span>Use custom theme</span>
-                </label>
-              </div>
-              <div class="setting-group" id="custom-colors" style="display: none;">
-                <label class="setting-label">Background Color</label>
-                <input type="color" class="setting-input" id="background-color">
-                
-                <label class="setting-label">Text Color</label>
-                <input type="color" class="setting-input" id="text-color">
-                
-                <label class="setting-label">Primary Color</label>
-                <input type="color" class="setting-input" id="primary-color">
-              </div>
+              ${sections.themes.getMarkup()}${sections.themeSchedule.getMarkup()}${sections.wallpaper.getMarkup()}
             </div>
             
             <div class="settings-section" data-section="layout">
@@ -111,8 +121,24 @@ class SettingsUIManager extends ComponentManager {
                 </label>
                 <div class="setting-description">Automatically reorder tiles based on how often you click them</div>
               </div>
+              <div class="setting-group">
+                <label class="setting-label" for="open-all-confirm-threshold">Confirm Open All</label>
+                <div class="setting-description">Ask before opening a folder's sites when it would open more tabs than this</div>
+                <select class="setting-select" id="open-all-confirm-threshold">
+                  <option value="0">Never ask</option>
+                  <option value="5">5 tabs</option>
+                  <option value="10">10 tabs</option>
+                  <option value="15">15 tabs</option>
+                  <option value="20">20 tabs</option>
+                  <option value="30">30 tabs</option>
+                </select>
+              </div>
             </div>
             
+            <div class="settings-section" data-section="workspaces">
+              ${sections.workspaces.getMarkup()}
+            </div>
+
             <div class="settings-section" data-section="clock">
               <div class="setting-group">
                 <label class="setting-checkbox">
@@ -167,48 +193,26 @@ class SettingsUIManager extends ComponentManager {
               </div>
             </div>
             <div class="settings-section" data-section="search">
-              <div class="setting-group">
-                <label class="setting-label">Search Engine</label>
-                <div class="setting-description">Choose or define the search engine used by the search bar</div>
-                <select class="setting-select" id="search-engine-select">
-                  <option value="duckduckgo">DuckDuckGo</option>
-                  <option value="google">Google</option>
-                  <option value="bing">Bing</option>
-                  <option value="brave">Brave</option>
-                  <option value="custom">Custom...</option>
-                </select>
-              </div>
-              <div class="setting-group" id="custom-search-group" style="display:none;">
-                <label class="setting-label">Custom Name</label>
-                <input type="text" class="setting-input" id="custom-search-name" placeholder="MyEngine">
-                <label class="setting-label">Custom URL Template</label>
-                <div class="setting-description">Use {query} placeholder for the search term.</div>
-                <input type="text" class="setting-input" id="custom-search-template" placeholder="https://example.com/search?q={query}">
-              </div>
-              <div class="setting-group">
-                <label class="setting-label">Preview</label>
-                <div class="setting-description" id="search-preview">https://duckduckgo.com/?q={query}</div>
-              </div>
+              ${sections.search.getMarkup()}
+            </div>
+
+            <div class="settings-section" data-section="shortcuts">
+              ${sections.shortcuts.getMarkup()}
             </div>
             
             <div class="settings-section" data-section="data">
-              <div class="setting-group">
-                <label class="setting-label">Export Data</label>
-                <div class="setting-description">Download all your folders and settings as a backup file</div>
-                <button class="nt-btn" id="export-data">Export Data</button>
-              </div>
-              <div class="setting-group">
-                <label class="setting-label">Import Data</label>
-                <div class="setting-description">Restore from a backup file (this will replace all current data)</div>
-                <input type="file" class="setting-file" id="import-file" accept=".json" style="display: none;">
-                <button class="nt-btn" id="import-data">Import Data</button>
-              </div>
+              ${sections.importExport.getMarkup()}
+              ${sections.sync.getMarkup()}${sections.backup.getMarkup()}
               <div class="setting-group">
                 <label class="setting-label">Reset Settings</label>
                 <div class="setting-description">Reset all settings to default values (folders will be preserved)</div>
                 <button class="nt-btn nt-btn-danger" id="reset-settings">Reset to Defaults</button>
               </div>
             </div>
+
+            <div class="settings-section" data-section="history">
+              ${sections.snapshots.getMarkup()}
+            </div>
           </div>
           <div class="settings-footer">
             <button class="nt-btn" id="cancel-settings">Cancel</button>
@@ -223,6 +227,7 @@ class SettingsUIManager extends ComponentManager {
 
     // Initialize modal
     this.initSettingsModal();
+    if (tab) this.currentModal.querySelector(`.settings-tab[data-tab="${tab}"]`)?.click();
   }
 
   /**
@@ -254,15 +259,15 @@ class SettingsUIManager extends ComponentManager {
       }
     });
 
-    // Populate theme preview
-    this.populateThemePreview(modal, settings);
-
     // Populate current values
     this.populateSettingsValues(modal, settings);
 
     // Event handlers
     this.bindSettingsEvents(modal);
 
+    // Sections fill in and bind their own controls
+    this.sectionList.forEach((section) => section.open(modal, settings));
+
     // Close on backdrop click
     modal.addEventListener("click", (e) => {
       if (e.target === modal) {
@@ -278,96 +283,10 @@ class SettingsUIManager extends ComponentManager {
     });
   }
 
-  /**
-   * Populate theme preview options
-   */
-  populateThemePreview(modal, settings) {
-    const themePreview = modal.querySelector("#theme-preview");
-    const livePreview = modal.querySelector('#theme-live-preview');
-    const themes = this.settingsManager.themes;
-
-    const applyLive = (themeData) => {
-      if(!livePreview) return;
-      livePreview.style.background = themeData.backgroundGradient || themeData.backgroundColor;
-      livePreview.querySelectorAll('.tlp-tile').forEach((el,i)=>{
-        el.style.background = i===0 ? themeData.primaryColor : 'rgba(255,255,255,0.15)';
-        el.style.borderColor = themeData.primaryColor;
-      });
-    };
-
-    // Initialize with current theme
-    const currentKey = settings.theme === 'auto' ? (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark':'light') : settings.theme;
-    if(themes[currentKey]) applyLive(themes[currentKey]);
-
-    Object.entries(themes).forEach(([themeName, themeData]) => {
-      const themeOption = document.createElement('button');
-      themeOption.type = 'button';
-      themeOption.className = 'theme-option';
-      themeOption.dataset.theme = themeName;
-      themeOption.setAttribute('aria-label', `Activate ${themeName} theme`);
-
-      if (settings.theme === themeName && !settings.customTheme) {
-        themeOption.classList.add('active');
-      }
-
-      // Use CSS classes that rely on body.theme-* tokens for styling; fallback preview chips inside
-      themeOption.innerHTML = `
-        <div class="theme-preview-box">
-          <div class="theme-preview-chip primary"></div>
-          <div class="theme-preview-chip surface"></div>
-          <div class="theme-preview-chip accent"></div>
-        </div>
-        <span class="theme-name">${themeName.charAt(0).toUpperCase() + themeName.slice(1)}</span>
-      `;
-
-      themeOption.addEventListener('mouseenter', () => applyLive(themeData));
-      themeOption.addEventListener('focus', () => applyLive(themeData));
-      themeOption.addEventListener('click', () => {
-        modal.querySelectorAll('.theme-option').forEach(opt => opt.classList.remove('active'));
-        themeOption.classList.add('active');
-        const customToggle = modal.querySelector('#custom-theme');
-        if (customToggle) customToggle.checked = false;
-        const customSection = modal.querySelector('#custom-colors');
-        if (customSection) customSection.style.display = 'none';
-        applyLive(themeData);
-      });
-
-      themePreview.appendChild(themeOption);
-    });
-  }
-
   /**
    * Populate form with current settings values
    */
   populateSettingsValues(modal, settings) {
-    // Custom theme toggle
-    const customThemeCheckbox = modal.querySelector("#custom-theme");
-    const customColorsGroup = modal.querySelector("#custom-colors");
-    
-    customThemeCheckbox.checked = settings.customTheme || false;
-    customColorsGroup.style.display = settings.customTheme ? "block" : "none";
-
-    // Custom colors
-    if (settings.customTheme && settings.customColors) {
-      modal.querySelector("#background-color").value = settings.customColors.backgroundColor || "#f9fafb";
-      modal.querySelector("#text-color").value = settings.customColors.textColor || "#1f2937";
-      modal.querySelector("#primary-color").value = settings.customColors.primaryColor || "#2563eb";
-    }
-
-    // Bind live custom theme preview (no persistence until Save)
-    const customInputs = modal.querySelectorAll('#custom-colors input[type="color"]');
-    customInputs.forEach(input => {
-      input.addEventListener('input', () => {
-        if (!modal.querySelector('#custom-theme').checked) return;
-        const custom = {
-          backgroundColor: modal.querySelector('#background-color').value,
-          textColor: modal.querySelector('#text-color').value,
-          primaryColor: modal.querySelector('#primary-color').value
-        };
-        this.applyCustomThemePreview(custom);
-      });
-    });
-
     // Layout settings
     modal.querySelector("#show-tile-labels").checked = settings.showTileLabels !== false;
   const mainGridValue = settings.mainGridColumns === 'auto' ? 'auto' : String(settings.mainGridColumns || 'auto');
@@ -377,6 +296,7 @@ class SettingsUIManager extends ComponentManager {
     modal.querySelector("#tile-size").value = settings.tileSize || 120;
     modal.querySelector("#tile-size-value").textContent = `${settings.tileSize || 120}px`;
     modal.querySelector("#auto-sort-by-popularity").checked = settings.autoSortByPopularity || false;
+    modal.querySelector("#open-all-confirm-threshold").value = String(settings.openAllConfirmThreshold ?? 10);
 
     // Clock settings
   modal.querySelector("#show-clock").checked = settings.showClock !== false;
@@ -390,119 +310,12 @@ class SettingsUIManager extends ComponentManager {
     modal.querySelector("#high-contrast").checked = settings.highContrast || false;
     modal.querySelector("#font-scale").value = settings.fontScale || 1.0;
     modal.querySelector("#font-scale-value").textContent = `${Math.round((settings.fontScale || 1.0) * 100)}%`;
-
-    // Search engine
-    const engine = settings.searchEngine || { name: 'DuckDuckGo', template: 'https://duckduckgo.com/?q={query}' };
-    const select = modal.querySelector('#search-engine-select');
-    const customGroup = modal.querySelector('#custom-search-group');
-    const customName = modal.querySelector('#custom-search-name');
-    const customTemplate = modal.querySelector('#custom-search-template');
-    const preview = modal.querySelector('#search-preview');
-    const known = {
-      'https://duckduckgo.com/?q={query}': 'duckduckgo',
-      'https://www.google.com/search?q={query}': 'google',
-      'https://www.bing.com/search?q={query}': 'bing',
-      'https://search.brave.com/search?q={query}': 'brave'
-    };
-    const key = known[engine.template];
-    if(key){
-      select.value = key;
-      customGroup.style.display = 'none';
-    } else {
-      select.value = 'custom';
-      customGroup.style.display = 'block';
-      customName.value = engine.name || '';
-      customTemplate.value = engine.template || '';
-    }
-    preview.textContent = engine.template;
   }
 
   /**
    * Bind all settings form events
    */
   bindSettingsEvents(modal) {
-    // Custom theme toggle
-    const customThemeCheckbox = modal.querySelector("#custom-theme");
-    const customColorsGroup = modal.querySelector("#custom-colors");
-    
-    customThemeCheckbox.addEventListener("change", (e) => {
-      customColorsGroup.style.display = e.target.checked ? "block" : "none";
-      if (e.target.checked) {
-        // When switching to custom theme, seed the color pickers with the CURRENT effective theme
-        // rather than leaving previous / default values (which felt random to users).
-        modal.querySelectorAll(".theme-option").forEach(opt => opt.classList.remove("active"));
-
-  const settings = this.settingsManager.getCurrentSettings();
-  // IMPORTANT: Theme classes (theme-light, theme-ocean, etc.) attach custom property overrides on <body>,
-  // so reading computed styles from document.documentElement returns ONLY base (dark) defaults.
-  // Use body computed styles to capture the active theme's resolved palette.
-  const styleTarget = document.body || document.documentElement;
-  const rootStyles = getComputedStyle(styleTarget);
-
-        // Helper: normalize rgb()/hex value to #RRGGBB for <input type="color">
-        const toHex = (val) => {
-          if (!val) return '#000000';
-            val = val.trim();
-            if (val.startsWith('#')) {
-              // Ensure 7-char form
-              if (val.length === 4) {
-                return '#' + [...val.slice(1)].map(c=>c+c).join('');
-              }
-              return val.slice(0,7);
-            }
-            const rgbMatch = val.match(/rgba?\(([^)]+)\)/);
-            if (rgbMatch) {
-              const parts = rgbMatch[1].split(',').map(p=>parseInt(p.trim(),10)).slice(0,3);
-              const hex = parts.map(n=> (isNaN(n)?0:n).toString(16).padStart(2,'0')).join('');
-              return '#' + hex;
-            }
-            // Fallback: if it's something like 'white'
-            const ctx = document.createElement('canvas').getContext('2d');
-            try {
-              ctx.fillStyle = val; // browser will parse or throw
-              const computed = ctx.fillStyle; // may end up rgb(...)
-              if (computed.startsWith('#')) return computed;
-              const m2 = computed.match(/rgba?\(([^)]+)\)/);
-              if (m2) {
-                const parts = m2[1].split(',').map(p=>parseInt(p.trim(),10)).slice(0,3);
-                return '#' + parts.map(n=> (isNaN(n)?0:n).toString(16).padStart(2,'0')).join('');
-              }
-            } catch(_) { /* ignore */ }
-            return '#000000';
-        };
-
-        // Prefer live CSS variables so 'auto' / dynamic themes reflect real palette.
-  let bg = rootStyles.getPropertyValue('--bg-color') || settings.backgroundColor;
-  let text = rootStyles.getPropertyValue('--color-text-primary') || settings.textColor;
-  let primary = rootStyles.getPropertyValue('--primary-color') || settings.primaryColor;
-
-  // Trim to avoid leading whitespace from getPropertyValue
-  bg = bg && bg.trim();
-  text = text && text.trim();
-  primary = primary && primary.trim();
-
-        bg = toHex(bg);
-        text = toHex(text);
-        primary = toHex(primary);
-
-        // Populate inputs so user sees their current palette as starting point.
-        const bgInput = modal.querySelector('#background-color');
-        const textInput = modal.querySelector('#text-color');
-        const primaryInput = modal.querySelector('#primary-color');
-        if (bgInput) bgInput.value = bg;
-        if (textInput) textInput.value = text;
-        if (primaryInput) primaryInput.value = primary;
-
-        this.applyCustomThemePreview({
-          backgroundColor: bg,
-          textColor: text,
-          primaryColor: primary
-        });
-      } else {
-        this.removeCustomThemePreview();
-      }
-    });
-
     // Range inputs
     modal.querySelectorAll(".setting-slider").forEach(slider => {
       slider.addEventListener("input", (e) => {
@@ -529,50 +342,10 @@ class SettingsUIManager extends ComponentManager {
       this.closeSettingsModal();
     });
 
-    // Export data
-    modal.querySelector("#export-data").addEventListener("click", () => {
-      this.exportData();
-    });
-
-    // Import data
-    modal.querySelector("#import-data").addEventListener("click", () => {
-      modal.querySelector("#import-file").click();
-    });
-    modal.querySelector("#import-file").addEventListener("change", (e) => {
-      if (e.target.files[0]) {
-        this.importData(e.target.files[0]);
-      }
-    });
-
     // Reset settings
     modal.querySelector("#reset-settings").addEventListener("click", () => {
       this.resetSettings(modal);
     });
-
-    // Search engine events
-    const select = modal.querySelector('#search-engine-select');
-    const customGroup = modal.querySelector('#custom-search-group');
-    const customName = modal.querySelector('#custom-search-name');
-    const customTemplate = modal.querySelector('#custom-search-template');
-    const preview = modal.querySelector('#search-preview');
-    const templates = {
-      duckduckgo: 'https://duckduckgo.com/?q={query}',
-      google: 'https://www.google.com/search?q={query}',
-      bing: 'https://www.bing.com/search?q={query}',
-      brave: 'https://search.brave.com/search?q={query}'
-    };
-    select.addEventListener('change', ()=>{
-      if(select.value === 'custom'){
-        customGroup.style.display = 'block';
-        preview.textContent = customTemplate.value || 'https://example.com/search?q={query}';
-      } else {
-        customGroup.style.display = 'none';
-        preview.textContent = templates[select.value];
-      }
-    });
-    customTemplate.addEventListener('input', ()=>{
-      if(select.value === 'custom') preview.textContent = customTemplate.value;
-    });
   }
 
   /**
@@ -582,26 +355,11 @@ class SettingsUIManager extends ComponentManager {
     try {
       const newSettings = {};
 
-      // Get selected theme
-      const selectedTheme = modal.querySelector(".theme-option.active");
-      if (selectedTheme && !modal.querySelector("#custom-theme").checked) {
-        newSettings.theme = selectedTheme.dataset.theme;
-        newSettings.customTheme = false;
-      } else if (modal.querySelector("#custom-theme").checked) {
-        newSettings.customTheme = true;
-        const bg = modal.querySelector("#background-color").value;
-        const text = modal.querySelector("#text-color").value;
-        const primary = modal.querySelector("#primary-color").value;
-        newSettings.customColors = {
-          backgroundColor: bg,
-          textColor: text,
-          primaryColor: primary
-        };
-        // Also persist legacy individual keys so existing code paths (and older exports) remain compatible.
-        newSettings.backgroundColor = bg;
-        newSettings.textColor = text;
-        newSettings.primaryColor = primary;
-        newSettings.backgroundGradient = bg; // simple fallback; user could customize later if UI adds gradient control
+      // Sections add their own drafts; one that can't be saved yet says why
+      for (const section of this.sectionList) {
+        const values = section.readSettings(modal);
+        if (!values) return;
+        Object.assign(newSettings, values);
       }
 
       // Layout settings
@@ -611,6 +369,7 @@ class SettingsUIManager extends ComponentManager {
   newSettings.gridSize = parseInt(modal.querySelector("#grid-columns").value);
       newSettings.tileSize = parseInt(modal.querySelector("#tile-size").value);
       newSettings.autoSortByPopularity = modal.querySelector("#auto-sort-by-popularity").checked;
+      newSettings.openAllConfirmThreshold = parseInt(modal.querySelector("#open-all-confirm-threshold").value, 10);
 
       // Clock settings
       newSettings.showClock = modal.querySelector("#show-clock").checked;
@@ -625,32 +384,17 @@ class SettingsUIManager extends ComponentManager {
       newSettings.highContrast = modal.querySelector("#high-contrast").checked;
       newSettings.fontScale = parseFloat(modal.querySelector("#font-scale").value);
 
-      // Search engine settings
-      const engineSelect = modal.querySelector('#search-engine-select').value;
-      if(engineSelect === 'custom'){
-        const name = (modal.querySelector('#custom-search-name').value || 'Custom').trim();
-        const template = modal.querySelector('#custom-search-template').value.trim();
-        if(template.includes('{query}')){
-          newSettings.searchEngine = { name, template };
-        }
-      } else {
-        const map = {
-          duckduckgo: { name: 'DuckDuckGo', template: 'https://duckduckgo.com/?q={query}' },
-          google: { name: 'Google', template: 'https://www.google.com/search?q={query}' },
-          bing: { name: 'Bing', template: 'https://www.bing.com/search?q={query}' },
-          brave: { name: 'Brave', template: 'https://search.brave.com/search?q={query}' }
-        };
-        newSettings.searchEngine = map[engineSelect];
-      }
-
       // Delegate actual settings save to SettingsManager
       await this.settingsManager.updateSettings(newSettings);
+      this.appearancePreviewActive = false;
+      // A lower history limit applies right away
+      await this.settingsManager.storage.addSearchHistory('', newSettings.searchHistoryLimit);
       
       this.closeSettingsModal();
       this.emit('notification', { message: 'Settings saved successfully!', type: 'success' });
       this.emit('settingsChanged', newSettings);
       // Refresh search bar if component hook available
-      if(typeof window.__newtabSearchRefresh === 'function' && newSettings.searchEngine){
+      if(typeof window.__newtabSearchRefresh === 'function'){
         window.__newtabSearchRefresh();
       }
     } catch (error) {
@@ -659,42 +403,6 @@ class SettingsUIManager extends ComponentManager {
     }
   }
 
-  /**
-   * Export data using SettingsManager
-   */
-  async exportData() {
-    try {
-      const data = await this.settingsManager.exportData();
-      this.downloadFile(data, "tilio-backup.json");
-      this.emit('notification', { message: 'Data exported successfully!', type: 'success' });
-    } catch (error) {
-      console.error("Export failed:", error);
-      this.emit('notification', { message: 'Failed to export data', type: 'error' });
-    }
-  }
-
-  /**
-   * Import data using SettingsManager
-   */
-  async importData(file) {
-    try {
-      const text = await file.text();
-      await this.settingsManager.importData(text);
-      
-      this.closeSettingsModal();
-      this.emit('notification', { message: 'Data imported successfully! Page will reload.', type: 'success' });
-      this.emit('dataImported');
-      
-      // Reload page after brief delay
-      setTimeout(() => {
-        window.location.reload();
-      }, 1500);
-    } catch (error) {
-      console.error("Import failed:", error);
-      this.emit('notification', { message: 'Failed to import data: ' + error.message, type: 'error' });
-    }
-  }
-
   /**
    * Reset settings to defaults
    */
@@ -728,18 +436,12 @@ class SettingsUIManager extends ComponentManager {
   }
 
   /**
-   * Download a file with given content
+   * Put the saved theme and background back on the page after an unsaved preview
    */
-  downloadFile(content, filename) {
-    const blob = new Blob([content], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  restoreAppearancePreview() {
+    if (!this.appearancePreviewActive) return;
+    this.appearancePreviewActive = false;
+    this.settingsManager.applySettings();
   }
 
   /**
@@ -751,6 +453,8 @@ class SettingsUIManager extends ComponentManager {
       modal.remove();
       this.currentModal = null;
     }
+    this.restoreAppearancePreview();
+    this.sectionList.forEach((section) => section.close());
   }
 
   /**
@@ -758,30 +462,9 @@ class SettingsUIManager extends ComponentManager {
    */
   cleanup() {
     this.closeSettingsModal();
+    this.sectionList.forEach((section) => section.destroy());
     super.cleanup();
   }
-
-  /**
-   * Inject or update an ephemeral <style> block for live custom theme preview only.
-   */
-  applyCustomThemePreview(custom) {
-    const id = 'tilio-custom-theme-preview';
-    let styleEl = document.getElementById(id);
-    if (!styleEl) {
-      styleEl = document.createElement('style');
-      styleEl.id = id;
-      document.head.appendChild(styleEl);
-    }
-    // Map chosen colors onto core tokens; allow gradient fallback to flat color
-    styleEl.textContent = `body.theme-custom { --primary-color: ${custom.primaryColor}; --bg-color: ${custom.backgroundColor}; --background-gradient: ${custom.backgroundColor}; --color-text-primary: ${custom.textColor}; --color-text-secondary: ${custom.textColor}; --surface-panel-bg: ${custom.backgroundColor}; --surface-panel-border: color-mix(in srgb, ${custom.textColor} 15%, ${custom.backgroundColor}); --surface-popover-bg: color-mix(in srgb, ${custom.backgroundColor} 94%, #ffffff); }`;
-    document.body.classList.add('theme-custom');
-  }
-
-  removeCustomThemePreview() {
-    const styleEl = document.getElementById('tilio-custom-theme-preview');
-    if (styleEl) styleEl.remove();
-    document.body.classList.remove('theme-custom');
-  }
 }
 
 // Export for both ES6 modules and browser globals
@@ -0,0 +1,178 @@
+// tilio - Shortcuts Section
+// Rebinds the page's keyboard shortcuts in a draft saved with the other settings, and
+// lists the browser-wide ones the browser manages
+
+class ShortcutSectionManager extends SettingsSectionManager {
+  /**
+   * @param {SettingsManager} settingsManager - The settings manager instance
+   */
+  constructor(settingsManager) {
+    super(settingsManager);
+    this.shortcutDraft = null;
+  }
+
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-label">Keyboard Shortcuts</label>
+        <div class="setting-description">Click a shortcut and press the new keys. Backspace clears it, Esc cancels. Press ? on the new tab page to see them all.</div>
+        <ul class="shortcut-list" id="shortcut-list"></ul>
+        <button class="nt-btn" id="reset-shortcuts">Reset All Shortcuts</button>
+      </div>
+      <div class="setting-group">
+        <label class="setting-label">Browser-wide Shortcuts</label>
+        <div class="setting-description">These work on any page. The browser manages their keys.</div>
+        <ul class="shortcut-list" id="global-shortcut-list"></ul>
+        <button class="nt-btn" id="open-browser-shortcuts">Change in Browser Settings</button>
+      </div>
+    `;
+  }
+
+  populate(modal, settings) {
+    this.shortcutDraft = { ...(settings.shortcuts || {}) };
+    this.renderShortcuts(modal);
+    this.renderBrowserShortcuts(modal);
+  }
+
+  bind(modal) {
+    modal.querySelector('#reset-shortcuts').addEventListener('click', () => {
+      this.shortcutDraft = {};
+      this.renderShortcuts(modal);
+    });
+    modal.querySelector('#open-browser-shortcuts').addEventListener('click', () => {
+      // Extension pages can open chrome:// URLs through the tabs API only
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+  }
+
+  /**
+   * List the rebindable shortcuts with their draft keys
+   */
+  renderShortcuts(modal) {
+    const list = modal.querySelector('#shortcut-list');
+    const registry = new ShortcutRegistry(() => this.shortcutDraft);
+    list.innerHTML = '';
+
+    ShortcutRegistry.COMMANDS.filter((command) => !command.fixed).forEach((command) => {
+      const row = document.createElement('li');
+      row.className = 'shortcut-row';
+
+      const label = document.createElement('span');
+      label.className = 'shortcut-label';
+      label.textContent = command.label;
+
+      const keys = document.createElement('button');
+      keys.type = 'button';
+      keys.className = 'shortcut-keys';
+      keys.dataset.command = command.id;
+      keys.setAttribute('aria-label', `Change shortcut for ${command.label}`);
+      keys.appendChild(CheatsheetManager.createKeys(registry.getBindings(command.id)));
+      keys.addEventListener('click', () => this.recordShortcut(modal, command, keys));
+
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.className = 'nt-btn';
+      reset.textContent = 'Reset';
+      reset.setAttribute('aria-label', `Reset shortcut for ${command.label}`);
+      reset.disabled = !(command.id in this.shortcutDraft);
+      reset.addEventListener('click', () => {
+        delete this.shortcutDraft[command.id];
+        this.renderShortcuts(modal);
+      });
+
+      row.append(label, keys, reset);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Capture the next key combo for a command and store it in the draft
+   * @param {HTMLElement} modal
+   * @param {Object} command - ShortcutRegistry command
+   * @param {HTMLButtonElement} button - Keys button that receives the key presses
+   */
+  recordShortcut(modal, command, button) {
+    button.classList.add('recording');
+    button.textContent = 'Press keys…';
+
+    const finish = (refocus = true) => {
+      button.removeEventListener('keydown', onKeydown);
+      button.removeEventListener('blur', onBlur);
+      this.renderShortcuts(modal);
+      if (refocus) modal.querySelector(`.shortcut-keys[data-command="${command.id}"]`)?.focus();
+    };
+    const onBlur = () => finish(false);
+    const onKeydown = (e) => {
+      // Tab moves on and cancels through blur
+      if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) return;
+      // Keep Esc from closing the settings modal and keys from reaching the page
+      e.preventDefault();
+      e.stopPropagation();
+      const plain = !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey;
+      if (e.key === 'Escape' && plain) return finish();
+      if ((e.key === 'Backspace' || e.key === 'Delete') && plain) {
+        this.shortcutDraft[command.id] = [];
+        return finish();
+      }
+
+      const combo = ShortcutRegistry.comboFromEvent(e);
+      if (!combo) return; // waiting for the key after the modifiers
+      const keys = ShortcutRegistry.formatCombo(combo);
+      if (ShortcutRegistry.isReserved(combo)) {
+        this.emit('notification', { message: `${keys} is reserved by the browser`, type: 'error' });
+        return finish();
+      }
+      const clash = new ShortcutRegistry(() => this.shortcutDraft).findConflicts(command.id, combo)[0];
+      if (clash) {
+        this.emit('notification', { message: `${keys} is already used by "${clash.label}"`, type: 'error' });
+        return finish();
+      }
+      this.shortcutDraft[command.id] = [combo];
+      finish();
+    };
+
+    button.addEventListener('keydown', onKeydown);
+    button.addEventListener('blur', onBlur);
+    button.focus();
+  }
+
+  /**
+   * List the manifest commands with the keys the browser assigned
+   */
+  async renderBrowserShortcuts(modal) {
+    const group = modal.querySelector('#global-shortcut-list').closest('.setting-group');
+    if (typeof chrome === 'undefined' || !chrome.commands?.getAll) {
+      group.style.display = 'none';
+      return;
+    }
+    try {
+      const commands = await chrome.commands.getAll();
+      const list = modal.querySelector('#global-shortcut-list');
+      list.innerHTML = '';
+      commands.forEach((command) => {
+        const row = document.createElement('li');
+        row.className = 'shortcut-row';
+        const label = document.createElement('span');
+        label.className = 'shortcut-label';
+        label.textContent = command.description || 'Open the Tilio popup';
+        const keys = document.createElement('span');
+        keys.className = 'shortcut-keys';
+        keys.appendChild(CheatsheetManager.createKeys(command.shortcut ? [command.shortcut] : []));
+        row.append(label, keys);
+        list.appendChild(row);
+      });
+    } catch (error) {
+      console.warn('Failed to read browser shortcuts:', error);
+      group.style.display = 'none';
+    }
+  }
+
+  readSettings() {
+    return { shortcuts: { ...this.shortcutDraft } };
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.ShortcutSectionManager = ShortcutSectionManager;
+}
@@ -0,0 +1,171 @@
+// tilio - Snapshot History Section
+// Lists the layout snapshots in the History tab, compares them with the current layout
+// and restores one
+
+class SnapshotSectionManager extends SettingsSectionManager {
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-label">Snapshot History</label>
+        <div class="setting-description">Snapshots are taken daily and before deleting or merging folders, imports and restores. The oldest are removed when storage runs low.</div>
+        <div class="snapshot-list" id="snapshot-list">
+          <div class="setting-description">Loading snapshots...</div>
+        </div>
+        <button class="nt-btn" id="create-snapshot">Take Snapshot Now</button>
+      </div>
+    `;
+  }
+
+  bind(modal) {
+    modal.querySelector("#create-snapshot").addEventListener("click", async () => {
+      const snapshot = await this.settingsManager.storage.createSnapshot("Manual snapshot");
+      this.emit('notification', {
+        message: snapshot ? 'Snapshot saved' : 'No changes since the last snapshot',
+        type: 'success',
+      });
+      this.renderSnapshotHistory(modal);
+    });
+    this.renderSnapshotHistory(modal);
+  }
+
+  /**
+   * Render the snapshot list in the History panel
+   */
+  async renderSnapshotHistory(modal) {
+    const list = modal.querySelector("#snapshot-list");
+    if (!list) return;
+    const storage = this.settingsManager.storage;
+    const snapshots = await storage.getSnapshots();
+    list.innerHTML = "";
+
+    if (!snapshots.length) {
+      const empty = document.createElement("div");
+      empty.className = "setting-description";
+      empty.textContent = "No snapshots yet.";
+      list.appendChild(empty);
+      return;
+    }
+
+    const countSites = (folders) =>
+      (folders || []).reduce((n, f) => n + (f.sites || []).length + countSites(f.folders), 0);
+
+    for (const snapshot of snapshots) {
+      const item = document.createElement("div");
+      item.className = "snapshot-item";
+
+      const info = document.createElement("div");
+      info.className = "snapshot-info";
+      const reason = document.createElement("div");
+      reason.className = "snapshot-reason";
+      reason.textContent = snapshot.reason;
+      const meta = document.createElement("div");
+      meta.className = "snapshot-meta";
+      const data = snapshot.data || {};
+      meta.textContent = `${new Date(snapshot.createdAt).toLocaleString()} · ${
+        (data.folders || []).length
+      } folders, ${(data.links || []).length + countSites(data.folders)} links`;
+      info.append(reason, meta);
+
+      const actions = document.createElement("div");
+      actions.className = "snapshot-actions";
+      const compare = document.createElement("button");
+      compare.className = "nt-btn";
+      compare.textContent = "Compare";
+      const restore = document.createElement("button");
+      restore.className = "nt-btn nt-btn-primary";
+      restore.textContent = "Restore";
+      actions.append(compare, restore);
+
+      const diff = document.createElement("div");
+      diff.className = "snapshot-diff";
+      diff.hidden = true;
+
+      compare.addEventListener("click", async () => {
+        if (!diff.hidden) {
+          diff.hidden = true;
+          return;
+        }
+        const current = await storage.loadData();
+        this.renderSnapshotDiff(diff, storage.diffLayouts(current, snapshot.data));
+        diff.hidden = false;
+      });
+
+      restore.addEventListener("click", () => this.restoreSnapshot(snapshot));
+
+      item.append(info, actions, diff);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Show what restoring a snapshot would change compared with the current layout
+   */
+  renderSnapshotDiff(container, diff) {
+    container.innerHTML = "";
+    const describe = (entry) => {
+      const kind = entry.kind === "folder" ? "Folder" : entry.kind === "site" ? "Site" : "Link";
+      const where = entry.path ? ` (in ${entry.path})` : "";
+      if (entry.from) {
+        const before = entry.from.name !== entry.name ? `"${entry.from.name}" → ` : "";
+        const moved = entry.from.path !== entry.path ? ` moved from ${entry.from.path || "the grid"}` : "";
+        return `${kind} ${before}"${entry.name}"${where}${moved}`;
+      }
+      return `${kind} "${entry.name}"${where}`;
+    };
+    const groups = [
+      ["Brings back", diff.added],
+      ["Removes", diff.removed],
+      ["Reverts", diff.changed],
+    ];
+
+    let any = false;
+    for (const [title, entries] of groups) {
+      if (!entries.length) continue;
+      any = true;
+      const heading = document.createElement("div");
+      heading.className = "snapshot-diff-title";
+      heading.textContent = `${title} (${entries.length})`;
+      const ul = document.createElement("ul");
+      entries.slice(0, 20).forEach((entry) => {
+        const li = document.createElement("li");
+        li.textContent = describe(entry);
+        ul.appendChild(li);
+      });
+      if (entries.length > 20) {
+        const more = document.createElement("li");
+        more.textContent = `…and ${entries.length - 20} more`;
+        ul.appendChild(more);
+      }
+      container.append(heading, ul);
+    }
+    if (!any) {
+      container.textContent = "Same links and folders as your current layout.";
+    }
+  }
+
+  /**
+   * Restore a snapshot after confirmation and reload
+   */
+  async restoreSnapshot(snapshot) {
+    const when = new Date(snapshot.createdAt).toLocaleString();
+    if (!confirm(`Restore the snapshot from ${when}? Your current layout is saved as a snapshot first.`)) {
+      return;
+    }
+    try {
+      await this.settingsManager.storage.restoreSnapshot(snapshot.id);
+      this.emit('closeRequested');
+      this.emit('notification', { message: 'Snapshot restored! Page will reload.', type: 'success' });
+      setTimeout(() => {
+        window.location.reload();
+      }, 1500);
+    } catch (error) {
+      console.error("Restore failed:", error);
+      this.emit('notification', { message: 'Failed to restore snapshot: ' + error.message, type: 'error' });
+    }
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.SnapshotSectionManager = SnapshotSectionManager;
+}
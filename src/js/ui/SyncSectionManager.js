@@ -0,0 +1,249 @@
+// tilio - Sync Section
+// Bookmark sync and cross-device sync controls in the Data tab. Both are run by the
+// background service worker and take effect right away
+
+class SyncSectionManager extends SettingsSectionManager {
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-label">Bookmark Sync</label>
+        <div class="setting-description">Keep a Chrome bookmarks folder and your grid in sync. Subfolders become folders; the most recent change wins.</div>
+        <select class="setting-select" id="bookmark-folder-select">
+          <option value="">Loading bookmark folders...</option>
+        </select>
+        <div class="setting-description" id="bookmark-sync-status">Not connected</div>
+        <button class="nt-btn nt-btn-primary" id="bookmark-sync-toggle">Connect</button>
+        <button class="nt-btn" id="bookmark-sync-now" style="display: none;">Sync Now</button>
+        <button class="nt-btn" id="bookmark-import">Import Once</button>
+      </div>
+      <div class="setting-group">
+        <label class="setting-label">Cross-device Sync</label>
+        <div class="setting-description">Share your folders, links and settings with other computers signed in to Chrome. Changes made on several devices are merged item by item. With several workspaces, the first one is shared.</div>
+        <div class="setting-description" id="cloud-sync-status">Off</div>
+        <button class="nt-btn nt-btn-primary" id="cloud-sync-toggle">Turn On</button>
+        <button class="nt-btn" id="cloud-sync-now" style="display: none;">Sync Now</button>
+      </div>
+    `;
+  }
+
+  bind(modal) {
+    this.initBookmarkSync(modal);
+    this.initCloudSync(modal);
+  }
+
+  // ============ Bookmark Sync ============
+
+  /**
+   * Populate bookmark folders and bind the bookmark sync controls
+   */
+  async initBookmarkSync(modal) {
+    const select = modal.querySelector("#bookmark-folder-select");
+    const toggle = modal.querySelector("#bookmark-sync-toggle");
+    const syncNow = modal.querySelector("#bookmark-sync-now");
+    const importOnce = modal.querySelector("#bookmark-import");
+
+    if (typeof chrome === "undefined" || !chrome.bookmarks) {
+      select.innerHTML = '<option value="">Bookmarks are not available</option>';
+      [select, toggle, importOnce].forEach((el) => (el.disabled = true));
+      return;
+    }
+
+    const run = async (button, message, onSuccess) => {
+      button.disabled = true;
+      try {
+        const response = await this.sendBackgroundMessage(message);
+        if (!response?.success) throw new Error(response?.error || "No response");
+        onSuccess(response);
+      } catch (error) {
+        console.error("Bookmark sync action failed:", error);
+        this.emit("notification", { message: "Bookmark sync failed: " + error.message, type: "error" });
+      } finally {
+        button.disabled = false;
+        this.updateBookmarkSyncStatus(modal);
+      }
+    };
+
+    toggle.addEventListener("click", async () => {
+      const state = await this.getBookmarkSyncState();
+      if (state.enabled) {
+        run(toggle, { action: "bookmarkSyncDisconnect" }, () => {
+          this.emit("notification", { message: "Bookmark sync disconnected", type: "success" });
+        });
+        return;
+      }
+      if (!select.value) {
+        this.emit("notification", { message: "Choose a bookmark folder first", type: "error" });
+        return;
+      }
+      run(toggle, { action: "bookmarkSyncConnect", rootId: select.value }, () => {
+        this.emit("notification", { message: "Bookmark sync connected", type: "success" });
+      });
+    });
+
+    syncNow.addEventListener("click", () => {
+      run(syncNow, { action: "bookmarkSyncNow" }, () => {
+        this.emit("notification", { message: "Bookmarks synced", type: "success" });
+      });
+    });
+
+    importOnce.addEventListener("click", () => {
+      if (!select.value) {
+        this.emit("notification", { message: "Choose a bookmark folder first", type: "error" });
+        return;
+      }
+      run(importOnce, { action: "bookmarkImport", folderId: select.value }, ({ imported }) => {
+        this.emit("notification", { message: `Imported ${imported} bookmark${imported === 1 ? "" : "s"}`, type: "success" });
+      });
+    });
+
+    try {
+      const state = await this.getBookmarkSyncState();
+      await this.populateBookmarkFolders(select, state.rootId);
+    } catch (error) {
+      console.error("Failed to load bookmark folders:", error);
+      select.innerHTML = '<option value="">Bookmarks could not be loaded</option>';
+    }
+    this.updateBookmarkSyncStatus(modal);
+  }
+
+  /**
+   * Fill the folder picker with every bookmark folder, indented by depth
+   */
+  async populateBookmarkFolders(select, selectedId) {
+    const tree = await chrome.bookmarks.getTree();
+    const options = ['<option value="">Choose a bookmark folder...</option>'];
+    const walk = (nodes, depth) => {
+      for (const node of nodes) {
+        if (node.url) continue;
+        // The invisible root node has no title
+        if (node.title) {
+          const indent = "&nbsp;&nbsp;".repeat(depth - 1);
+          const label = node.title.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+          const selected = node.id === selectedId ? " selected" : "";
+          options.push(`<option value="${node.id}"${selected}>${indent}${label}</option>`);
+        }
+        if (node.children) walk(node.children, depth + 1);
+      }
+    };
+    walk(tree, 0);
+    select.innerHTML = options.join("");
+  }
+
+  async getBookmarkSyncState() {
+    const data = await this.settingsManager.storage.loadData();
+    return data?.meta?.bookmarkSync || { enabled: false, rootId: null, lastSync: 0 };
+  }
+
+  /**
+   * Reflect the current connection in the bookmark sync controls
+   */
+  async updateBookmarkSyncStatus(modal) {
+    const status = modal.querySelector("#bookmark-sync-status");
+    const toggle = modal.querySelector("#bookmark-sync-toggle");
+    const syncNow = modal.querySelector("#bookmark-sync-now");
+    const select = modal.querySelector("#bookmark-folder-select");
+    if (!status || !toggle) return;
+
+    const state = await this.getBookmarkSyncState();
+    if (state.enabled) {
+      const last = state.lastSync ? new Date(state.lastSync).toLocaleString() : "never";
+      status.textContent = `Connected to "${state.rootTitle || "bookmark folder"}" — last synced ${last}`;
+      toggle.textContent = "Disconnect";
+      toggle.classList.remove("nt-btn-primary");
+      syncNow.style.display = "";
+      select.disabled = true;
+    } else {
+      status.textContent = "Not connected";
+      toggle.textContent = "Connect";
+      toggle.classList.add("nt-btn-primary");
+      syncNow.style.display = "none";
+      select.disabled = false;
+    }
+  }
+
+  // ============ Cross-device Sync ============
+
+  /**
+   * Bind the cross-device sync controls
+   */
+  initCloudSync(modal) {
+    const toggle = modal.querySelector("#cloud-sync-toggle");
+    const syncNow = modal.querySelector("#cloud-sync-now");
+
+    if (typeof chrome === "undefined" || !chrome.storage?.sync) {
+      modal.querySelector("#cloud-sync-status").textContent = "Sync storage is not available";
+      toggle.disabled = true;
+      return;
+    }
+
+    const run = async (button, message, successMessage) => {
+      button.disabled = true;
+      try {
+        const response = await this.sendBackgroundMessage(message);
+        if (!response?.success) throw new Error(response?.error || "No response");
+        this.emit("notification", { message: successMessage, type: "success" });
+      } catch (error) {
+        console.error("Cloud sync action failed:", error);
+        this.emit("notification", { message: "Sync failed: " + error.message, type: "error" });
+      } finally {
+        button.disabled = false;
+        this.updateCloudSyncStatus(modal);
+      }
+    };
+
+    toggle.addEventListener("click", async () => {
+      const state = await this.settingsManager.storage.getSyncState();
+      if (state.enabled) {
+        run(toggle, { action: "cloudSyncDisable" }, "Cross-device sync turned off");
+      } else {
+        run(toggle, { action: "cloudSyncEnable" }, "Cross-device sync turned on");
+      }
+    });
+
+    syncNow.addEventListener("click", () => {
+      run(syncNow, { action: "cloudSyncNow" }, "Synced with your other devices");
+    });
+
+    this.updateCloudSyncStatus(modal);
+  }
+
+  /**
+   * Reflect the sync state of this device in the cross-device sync controls
+   */
+  async updateCloudSyncStatus(modal) {
+    const status = modal.querySelector("#cloud-sync-status");
+    const toggle = modal.querySelector("#cloud-sync-toggle");
+    const syncNow = modal.querySelector("#cloud-sync-now");
+    if (!status || !toggle) return;
+
+    const state = await this.settingsManager.storage.getSyncState();
+    if (!state.enabled) {
+      status.textContent = "Off";
+      toggle.textContent = "Turn On";
+      toggle.classList.add("nt-btn-primary");
+      syncNow.style.display = "none";
+      return;
+    }
+
+    const quota = this.settingsManager.storage.getSyncQuotas(chrome.storage.sync).bytes;
+    const usage = `${Math.ceil((state.bytes || 0) / 1024)} KB of ${Math.floor(quota / 1024)} KB used`;
+    const last = state.lastSync ? new Date(state.lastSync).toLocaleString() : "never";
+    if (state.status === "error") {
+      status.textContent = `Sync failed: ${state.error || "unknown error"} — last synced ${last}`;
+    } else if (state.status === "pending") {
+      status.textContent = `Waiting for other devices — last synced ${last}`;
+    } else if (state.status === "paused") {
+      status.textContent = `Paused while another workspace is open; only the first one is shared — last synced ${last}`;
+    } else {
+      status.textContent = `On — last synced ${last}, ${usage}`;
+    }
+    toggle.textContent = "Turn Off";
+    toggle.classList.remove("nt-btn-primary");
+    syncNow.style.display = "";
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.SyncSectionManager = SyncSectionManager;
+}
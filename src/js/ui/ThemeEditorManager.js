@@ -0,0 +1,293 @@
+// tilio - Theme Editor
+// Form for one library theme, built from ThemeEngine.SCHEMA. The page previews every
+// valid edit; ThemeSectionManager decides where a saved theme goes in the library draft
+
+class ThemeEditorManager extends ComponentManager {
+  /**
+   * @param {SettingsManager} settingsManager - The settings manager instance
+   */
+  constructor(settingsManager) {
+    super(null, null);
+    this.settingsManager = settingsManager;
+    // { id, theme } of the theme being edited; id is null for a new theme
+    this.editing = null;
+    this.onSave = null;
+  }
+
+  /**
+   * Show the editor in the modal's #theme-editor group
+   * @param {Object} theme - document to edit (a copy)
+   * @param {boolean} isNew - added to the library on save rather than replacing a theme
+   * @param {function(Object, string|null): boolean} onSave - stores the edited theme, false to keep editing
+   */
+  open(modal, theme, isNew, onSave) {
+    const editor = modal.querySelector('#theme-editor');
+    this.editing = { id: isNew ? null : theme.id, theme };
+    this.onSave = onSave;
+    editor.innerHTML = `
+      <label class="setting-label">${isNew ? 'New Theme' : 'Edit Theme'}</label>
+      <div class="theme-editor-fields">
+        <label class="theme-field">
+          <span>Name</span>
+          <input type="text" class="setting-input" data-token="name" maxlength="${ThemeEngine.MAX_NAME_LENGTH}">
+        </label>
+        <label class="theme-field">
+          <span>Based on</span>
+          <select class="setting-select" data-token="base"></select>
+        </label>
+        <label class="theme-field">
+          <span>Font</span>
+          <select class="setting-select" data-token="font"></select>
+        </label>
+      </div>
+    `;
+    editor.querySelector('[data-token="name"]').value = theme.name;
+    this.fillSelect(editor.querySelector('[data-token="base"]'), ThemeEngine.BASES, theme.base);
+    this.fillSelect(editor.querySelector('[data-token="font"]'), Object.keys(ThemeEngine.FONTS), theme.font);
+
+    const groupNames = { colors: 'Colors', tile: 'Tiles', label: 'Labels', popover: 'Popovers' };
+    Object.entries(ThemeEngine.SCHEMA).forEach(([group, tokens]) => {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'theme-editor-group';
+      const legend = document.createElement('legend');
+      legend.textContent = groupNames[group] || group;
+      const fields = document.createElement('div');
+      fields.className = 'theme-editor-fields';
+      Object.entries(tokens).forEach(([key, spec]) => {
+        fields.appendChild(this.createField(`${group}.${key}`, spec, theme[group][key]));
+      });
+      fieldset.append(legend, fields);
+      editor.appendChild(fieldset);
+    });
+
+    const gradient = document.createElement('fieldset');
+    gradient.className = 'theme-editor-group';
+    gradient.innerHTML = `
+      <legend>Background gradient</legend>
+      <div class="theme-editor-fields"></div>
+      <div class="theme-stops"></div>
+      <button type="button" class="nt-btn" data-action="add-stop">Add color stop</button>
+    `;
+    gradient.querySelector('.theme-editor-fields').appendChild(
+      this.createField('gradient.angle', { type: 'number', min: 0, max: 360, unit: '°', label: 'Angle' }, theme.gradient.angle)
+    );
+    editor.appendChild(gradient);
+    this.renderGradientStops(editor, theme.gradient.stops);
+
+    const footer = document.createElement('div');
+    footer.className = 'theme-editor-footer';
+    footer.innerHTML = `
+      <div class="theme-editor-error" role="alert"></div>
+      <button type="button" class="nt-btn" data-action="cancel">Cancel</button>
+      <button type="button" class="nt-btn nt-btn-primary" data-action="save">Save Theme</button>
+    `;
+    editor.appendChild(footer);
+
+    if (!editor.dataset.bound) {
+      editor.dataset.bound = 'true';
+      editor.addEventListener('input', () => this.preview(modal));
+      editor.addEventListener('change', () => this.preview(modal));
+      editor.addEventListener('click', (e) => this.handleClick(modal, e));
+    }
+
+    editor.hidden = false;
+    this.preview(modal);
+    editor.querySelector('[data-token="name"]').focus();
+  }
+
+  fillSelect(select, values, current) {
+    values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = String(value);
+      option.textContent = typeof value === 'string' ? value.charAt(0).toUpperCase() + value.slice(1) : String(value);
+      select.appendChild(option);
+    });
+    select.value = String(current);
+  }
+
+  /**
+   * Input for one schema token, tagged with its path so read() can find it
+   * @param {string} path - e.g. "tile.radius"
+   * @param {Object} spec - ThemeEngine.SCHEMA entry
+   * @param {*} value
+   * @returns {HTMLElement}
+   */
+  createField(path, spec, value) {
+    const field = document.createElement('label');
+    field.className = `theme-field theme-field-${spec.type}`;
+    const label = document.createElement('span');
+    label.textContent = spec.label;
+
+    let input;
+    if (spec.type === 'enum') {
+      input = document.createElement('select');
+      input.className = 'setting-select';
+      this.fillSelect(input, spec.values, value);
+    } else {
+      input = document.createElement('input');
+      if (spec.type === 'color') {
+        input.type = 'color';
+        input.value = value;
+      } else if (spec.type === 'boolean') {
+        input.type = 'checkbox';
+        input.checked = value;
+      } else {
+        input.type = 'range';
+        input.className = 'setting-slider';
+        input.min = spec.min;
+        input.max = spec.max;
+        input.value = value;
+      }
+    }
+    input.dataset.token = path;
+    input.dataset.type = spec.type;
+    if (spec.type === 'enum' && typeof spec.values[0] === 'number') input.dataset.type = 'number';
+
+    if (spec.type === 'boolean') {
+      field.append(input, label);
+    } else {
+      field.append(label, input);
+    }
+    if (spec.type === 'number') {
+      const output = document.createElement('span');
+      output.className = 'setting-value';
+      output.dataset.unit = spec.unit || '';
+      output.textContent = `${value}${spec.unit || ''}`;
+      input.addEventListener('input', () => {
+        output.textContent = `${input.value}${output.dataset.unit}`;
+      });
+      field.appendChild(output);
+    }
+    return field;
+  }
+
+  renderGradientStops(editor, stops) {
+    const list = editor.querySelector('.theme-stops');
+    list.innerHTML = '';
+    stops.forEach((stop, index) => {
+      const row = document.createElement('div');
+      row.className = 'theme-stop';
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.value = stop.color;
+      color.dataset.stop = 'color';
+      color.setAttribute('aria-label', `Color stop ${index + 1} color`);
+      const at = document.createElement('input');
+      at.type = 'range';
+      at.className = 'setting-slider';
+      at.min = 0;
+      at.max = 100;
+      at.value = stop.at;
+      at.dataset.stop = 'at';
+      at.setAttribute('aria-label', `Color stop ${index + 1} position`);
+      const output = document.createElement('span');
+      output.className = 'setting-value';
+      output.textContent = `${stop.at}%`;
+      at.addEventListener('input', () => {
+        output.textContent = `${at.value}%`;
+      });
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'nt-btn';
+      remove.dataset.action = 'remove-stop';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove color stop ${index + 1}`);
+      remove.disabled = stops.length <= 2;
+      row.append(color, at, output, remove);
+      list.appendChild(row);
+    });
+    editor.querySelector('[data-action="add-stop"]').disabled = stops.length >= ThemeEngine.MAX_STOPS;
+  }
+
+  /**
+   * The theme document described by the editor's inputs
+   */
+  read(modal) {
+    const editor = modal.querySelector('#theme-editor');
+    const theme = JSON.parse(JSON.stringify(this.editing.theme));
+    editor.querySelectorAll('[data-token]').forEach((input) => {
+      let value = input.value;
+      if (input.dataset.type === 'number') value = Number(value);
+      if (input.dataset.type === 'boolean') value = input.checked;
+      const [group, key] = input.dataset.token.split('.');
+      if (key) {
+        theme[group][key] = value;
+      } else {
+        theme[group] = group === 'name' ? value.trim() : value;
+      }
+    });
+    // Stops are kept in order of position so dragging one past another stays valid
+    theme.gradient.stops = Array.from(editor.querySelectorAll('.theme-stop'))
+      .map((row) => ({
+        color: row.querySelector('[data-stop="color"]').value,
+        at: Number(row.querySelector('[data-stop="at"]').value)
+      }))
+      .sort((a, b) => a.at - b.at);
+    return theme;
+  }
+
+  /**
+   * Validate the editor and show the theme on the page while it is valid
+   * @returns {Object|null} the valid theme
+   */
+  preview(modal) {
+    const theme = this.read(modal);
+    const problem = ThemeEngine.validate(theme);
+    modal.querySelector('.theme-editor-error').textContent = problem || '';
+    if (problem) return null;
+    this.settingsManager.applyUserTheme(theme);
+    this.emit('appearancePreviewed');
+    return theme;
+  }
+
+  handleClick(modal, e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    const editor = modal.querySelector('#theme-editor');
+    const action = button.dataset.action;
+    if (action === 'add-stop' || action === 'remove-stop') {
+      const { stops } = this.read(modal).gradient;
+      if (action === 'add-stop') {
+        const last = stops[stops.length - 1];
+        stops.push({ color: last.color, at: 100 });
+      } else {
+        const rows = Array.from(editor.querySelectorAll('.theme-stop'));
+        const at = Number(rows[rows.indexOf(button.closest('.theme-stop'))].querySelector('[data-stop="at"]').value);
+        stops.splice(stops.findIndex((stop) => stop.at === at), 1);
+      }
+      this.renderGradientStops(editor, stops);
+      this.preview(modal);
+    } else if (action === 'save') {
+      this.save(modal);
+    } else if (action === 'cancel') {
+      this.close(modal);
+      this.emit('appearancePreviewCancelled');
+    }
+  }
+
+  /**
+   * Hand a valid theme to the library; the editor stays open if it can't be stored
+   */
+  save(modal) {
+    const theme = this.read(modal);
+    const problem = ThemeEngine.validate(theme);
+    if (problem) {
+      this.emit('notification', { message: problem, type: 'error' });
+      return;
+    }
+    if (this.onSave(theme, this.editing.id)) this.close(modal);
+  }
+
+  close(modal) {
+    const editor = modal.querySelector('#theme-editor');
+    editor.hidden = true;
+    editor.innerHTML = '';
+    this.editing = null;
+    this.onSave = null;
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.ThemeEditorManager = ThemeEditorManager;
+}
@@ -0,0 +1,226 @@
+// tilio - Theme Schedule Section
+// Switches themes at set times or at sunrise and sunset. The schedule is a draft until
+// Save, like the theme library it picks its themes from
+
+class ThemeScheduleSectionManager extends SettingsSectionManager {
+  /**
+   * @param {SettingsManager} settingsManager - The settings manager instance
+   * @param {ThemeSectionManager} themes - Library draft the rules pick from
+   */
+  constructor(settingsManager, themes) {
+    super(settingsManager);
+    this.themes = themes;
+    this.scheduleDraft = null;
+    themes.on('libraryChanged', () => {
+      if (this.modal) this.renderThemeSchedule(this.modal);
+    });
+    themes.on('themeDeleted', (key) => this.forgetScheduledTheme(key));
+  }
+
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-checkbox">
+          <input type="checkbox" id="theme-schedule-enabled">
+          <span>Switch themes on a schedule</span>
+        </label>
+        <div class="setting-description">While on, the schedule picks the theme. The theme selected above is used until a location is set</div>
+        <div class="theme-schedule-options" id="theme-schedule-options">
+          <select class="setting-select" id="theme-schedule-mode">
+            <option value="times">At set times</option>
+            <option value="sun">At sunrise and sunset</option>
+          </select>
+          <div id="theme-schedule-times">
+            <ul class="theme-schedule-rules" id="theme-schedule-rules"></ul>
+            <button type="button" class="nt-btn" id="add-schedule-rule">Add Rule</button>
+          </div>
+          <div id="theme-schedule-sun">
+            <div class="theme-editor-fields">
+              <label class="theme-field">
+                <span>Day theme</span>
+                <select class="setting-select" id="schedule-day-theme"></select>
+              </label>
+              <label class="theme-field">
+                <span>Night theme</span>
+                <select class="setting-select" id="schedule-night-theme"></select>
+              </label>
+            </div>
+            <div class="theme-schedule-location">
+              <input type="text" class="setting-input" id="schedule-city" placeholder="City, e.g. Lisbon" aria-label="City">
+              <button type="button" class="nt-btn" id="find-schedule-city">Find</button>
+              <button type="button" class="nt-btn" id="use-my-location">Use My Location</button>
+            </div>
+            <div class="setting-description" id="schedule-location-status" aria-live="polite"></div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  populate(modal, settings) {
+    this.scheduleDraft = JSON.parse(JSON.stringify(settings.themeSchedule || ThemeSchedule.defaults()));
+    modal.querySelector('#theme-schedule-enabled').checked = this.scheduleDraft.enabled;
+    modal.querySelector('#theme-schedule-mode').value = this.scheduleDraft.mode;
+    this.renderThemeSchedule(modal);
+  }
+
+  renderThemeSchedule(modal) {
+    const draft = this.scheduleDraft;
+    if (!draft) return;
+    modal.querySelector('#theme-schedule-options').hidden = !draft.enabled;
+    modal.querySelector('#theme-schedule-times').hidden = draft.mode !== 'times';
+    modal.querySelector('#theme-schedule-sun').hidden = draft.mode !== 'sun';
+
+    const list = modal.querySelector('#theme-schedule-rules');
+    list.innerHTML = '';
+    draft.rules.forEach((rule, index) => {
+      const row = document.createElement('li');
+      row.className = 'theme-schedule-rule';
+      const from = document.createElement('span');
+      from.textContent = 'From';
+      const time = document.createElement('input');
+      time.type = 'time';
+      time.className = 'setting-input';
+      time.value = rule.start;
+      time.setAttribute('aria-label', `Rule ${index + 1} start time`);
+      time.addEventListener('change', () => {
+        rule.start = time.value;
+      });
+      const theme = document.createElement('select');
+      theme.className = 'setting-select';
+      theme.setAttribute('aria-label', `Rule ${index + 1} theme`);
+      this.themes.fillThemeSelect(theme, rule.theme);
+      rule.theme = theme.value;
+      theme.addEventListener('change', () => {
+        rule.theme = theme.value;
+      });
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'nt-btn';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove rule ${index + 1}`);
+      remove.disabled = draft.rules.length === 1;
+      remove.addEventListener('click', () => {
+        draft.rules.splice(index, 1);
+        this.renderThemeSchedule(modal);
+      });
+      row.append(from, time, theme, remove);
+      list.appendChild(row);
+    });
+    modal.querySelector('#add-schedule-rule').disabled = draft.rules.length >= ThemeSchedule.MAX_RULES;
+
+    const day = modal.querySelector('#schedule-day-theme');
+    const night = modal.querySelector('#schedule-night-theme');
+    this.themes.fillThemeSelect(day, draft.sun.day);
+    this.themes.fillThemeSelect(night, draft.sun.night);
+    draft.sun.day = day.value;
+    draft.sun.night = night.value;
+    this.renderScheduleLocation(modal);
+  }
+
+  renderScheduleLocation(modal) {
+    const status = modal.querySelector('#schedule-location-status');
+    const { location } = this.scheduleDraft;
+    if (!location) {
+      status.textContent = 'No location set. Enter a city or use your current location.';
+      return;
+    }
+    const times = ThemeSchedule.sunTimes(new Date(), location.latitude, location.longitude);
+    const format = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const today = times.polar
+      ? `The sun ${times.polar === 'day' ? "doesn't set" : "doesn't rise"} there today`
+      : `Today: sunrise ${format(times.sunrise)}, sunset ${format(times.sunset)}`;
+    status.textContent = `${location.label}. ${today}`;
+  }
+
+  /**
+   * Keep the location coarse (about a kilometre); it is saved with the other settings
+   */
+  setScheduleLocation(modal, { latitude, longitude, label }) {
+    const round = (value) => Math.round(value * 100) / 100;
+    this.scheduleDraft.location = { latitude: round(latitude), longitude: round(longitude), label: label.slice(0, 80) };
+    this.renderScheduleLocation(modal);
+  }
+
+  /**
+   * Point schedule rules that used a deleted library theme at auto
+   * @param {string} key - theme key that no longer exists
+   */
+  forgetScheduledTheme(key) {
+    const draft = this.scheduleDraft;
+    if (!draft) return;
+    draft.rules.forEach((rule) => {
+      if (rule.theme === key) rule.theme = 'auto';
+    });
+    if (draft.sun.day === key) draft.sun.day = 'auto';
+    if (draft.sun.night === key) draft.sun.night = 'auto';
+  }
+
+  bind(modal) {
+    const draft = () => this.scheduleDraft;
+    const weather = () => window.__newtabApp?.weatherManager || new WeatherManager();
+
+    modal.querySelector('#theme-schedule-enabled').addEventListener('change', (e) => {
+      draft().enabled = e.target.checked;
+      this.renderThemeSchedule(modal);
+    });
+    modal.querySelector('#theme-schedule-mode').addEventListener('change', (e) => {
+      draft().mode = e.target.value;
+      this.renderThemeSchedule(modal);
+    });
+    modal.querySelector('#add-schedule-rule').addEventListener('click', () => {
+      const taken = new Set(draft().rules.map((rule) => rule.start));
+      const hour = [12, 0, 6, 18, 9, 15, 21, 3].find((h) => !taken.has(`${String(h).padStart(2, '0')}:00`));
+      draft().rules.push({ start: `${String(hour ?? 0).padStart(2, '0')}:00`, theme: 'auto' });
+      this.renderThemeSchedule(modal);
+    });
+    modal.querySelector('#schedule-day-theme').addEventListener('change', (e) => {
+      draft().sun.day = e.target.value;
+    });
+    modal.querySelector('#schedule-night-theme').addEventListener('change', (e) => {
+      draft().sun.night = e.target.value;
+    });
+
+    const city = modal.querySelector('#schedule-city');
+    const findCity = async () => {
+      try {
+        this.setScheduleLocation(modal, await weather().findCity(city.value));
+        city.value = '';
+      } catch (error) {
+        this.emit('notification', { message: error.message, type: 'error' });
+      }
+    };
+    modal.querySelector('#find-schedule-city').addEventListener('click', findCity);
+    city.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        findCity();
+      }
+    });
+    modal.querySelector('#use-my-location').addEventListener('click', async () => {
+      try {
+        const manager = weather();
+        const { latitude, longitude } = await manager.getLocation();
+        const name = await manager.getCityName(latitude, longitude);
+        this.setScheduleLocation(modal, { latitude, longitude, label: name === 'Unknown' ? 'Current location' : name });
+      } catch (error) {
+        console.error('Failed to get location:', error);
+        this.emit('notification', { message: "Couldn't get your location. Enter a city instead.", type: 'error' });
+      }
+    });
+  }
+
+  readSettings() {
+    const problem = ThemeSchedule.validate(this.scheduleDraft, (key) => this.themes.isDraftThemeKey(key));
+    if (problem) {
+      this.emit('notification', { message: `Theme schedule: ${problem}`, type: 'error' });
+      return null;
+    }
+    return { themeSchedule: JSON.parse(JSON.stringify(this.scheduleDraft)) };
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.ThemeScheduleSectionManager = ThemeScheduleSectionManager;
+}
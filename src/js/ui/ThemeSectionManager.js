@@ -0,0 +1,310 @@
+// tilio - Theme Section
+// Theme picker and the My Themes library in the Appearance tab. Library themes are
+// edited in a draft until Save, like search engines; the schedule and workspaces pick
+// their themes from the same draft
+
+class ThemeSectionManager extends SettingsSectionManager {
+  /**
+   * @param {SettingsManager} settingsManager - The settings manager instance
+   */
+  constructor(settingsManager) {
+    super(settingsManager);
+    this.themeDraft = null;
+    this.editor = new ThemeEditorManager(settingsManager);
+    ['notification', 'appearancePreviewed', 'appearancePreviewCancelled'].forEach((eventName) => {
+      this.editor.on(eventName, (detail) => this.emit(eventName, detail));
+    });
+  }
+
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-label">Theme</label>
+        <div class="setting-description">Choose a pre-built theme or create your own</div>
+        <div class="theme-live-preview" id="theme-live-preview">
+          <div class="tlp-bg">
+            <div class="tlp-tile" aria-hidden="true"></div>
+            <div class="tlp-tile" aria-hidden="true"></div>
+            <div class="tlp-tile" aria-hidden="true"></div>
+          </div>
+        </div>
+        <div class="theme-preview" id="theme-preview"></div>
+        <div class="setting-description" id="workspace-theme-note" hidden></div>
+      </div>
+      <div class="setting-group">
+        <label class="setting-label">My Themes</label>
+        <div class="setting-description">Start a theme from the selected one, or share themes as .tilio-theme.json files</div>
+        <div class="theme-library-actions">
+          <button type="button" class="nt-btn" id="new-theme">New Theme</button>
+          <button type="button" class="nt-btn" id="edit-theme" disabled>Edit</button>
+          <button type="button" class="nt-btn" id="export-theme" disabled>Export</button>
+          <button type="button" class="nt-btn" id="delete-theme" disabled>Delete</button>
+          <button type="button" class="nt-btn" id="import-theme">Import…</button>
+          <input type="file" id="import-theme-file" accept=".json,application/json" style="display: none;">
+        </div>
+      </div>
+      <div class="setting-group theme-editor" id="theme-editor" hidden></div>
+    `;
+  }
+
+  populate(modal, settings) {
+    this.themeDraft = {
+      themes: (settings.userThemes || []).map((theme) => JSON.parse(JSON.stringify(theme))),
+      selected: settings.customTheme ? null : settings.theme
+    };
+    this.renderThemeOptions(modal);
+  }
+
+  /**
+   * List the built-in and library themes; the selected one is marked active
+   */
+  renderThemeOptions(modal) {
+    const themePreview = modal.querySelector("#theme-preview");
+    const livePreview = modal.querySelector('#theme-live-preview');
+    const draft = this.themeDraft;
+    themePreview.innerHTML = '';
+
+    const applyLive = (themeData) => {
+      if(!livePreview) return;
+      livePreview.style.background = themeData.backgroundGradient || themeData.backgroundColor;
+      livePreview.querySelectorAll('.tlp-tile').forEach((el,i)=>{
+        el.style.background = i===0 ? themeData.primaryColor : 'rgba(255,255,255,0.15)';
+        el.style.borderColor = themeData.primaryColor;
+      });
+    };
+
+    const options = Object.entries(this.settingsManager.themes).map(([themeName, themeData]) => ({
+      key: themeName,
+      name: themeName.charAt(0).toUpperCase() + themeName.slice(1),
+      data: themeData
+    }));
+    draft.themes.forEach((theme) => {
+      options.push({ key: ThemeEngine.userKey(theme.id), name: theme.name, data: ThemeEngine.getPreview(theme), user: true });
+    });
+
+    // Initialize with current theme
+    const currentKey = draft.selected === 'auto' ? (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark':'light') : draft.selected;
+    const current = options.find((option) => option.key === currentKey);
+    if(current) applyLive(current.data);
+
+    options.forEach(({ key, name, data, user }) => {
+      const themeOption = document.createElement('button');
+      themeOption.type = 'button';
+      themeOption.className = 'theme-option';
+      themeOption.dataset.theme = key;
+      themeOption.setAttribute('aria-label', `Activate ${name} theme`);
+
+      if (draft.selected === key) {
+        themeOption.classList.add('active');
+      }
+
+      // Use CSS classes that rely on body.theme-* tokens for styling; fallback preview chips inside
+      themeOption.innerHTML = `
+        <div class="theme-preview-box">
+          <div class="theme-preview-chip primary"></div>
+          <div class="theme-preview-chip surface"></div>
+          <div class="theme-preview-chip accent"></div>
+        </div>
+        <span class="theme-name"></span>
+      `;
+      themeOption.querySelector('.theme-name').textContent = name;
+      if (user) {
+        // Library themes have no body.theme-* class to style their swatch
+        themeOption.classList.add('user-theme');
+        themeOption.querySelector('.theme-preview-box').style.background = data.backgroundGradient;
+        themeOption.querySelector('.theme-preview-chip.primary').style.background = data.primaryColor;
+        themeOption.querySelector('.theme-preview-chip.surface').style.background = data.backgroundColor;
+        themeOption.querySelector('.theme-preview-chip.accent').style.background = data.textColor;
+      }
+
+      themeOption.addEventListener('mouseenter', () => applyLive(data));
+      themeOption.addEventListener('focus', () => applyLive(data));
+      themeOption.addEventListener('click', () => {
+        modal.querySelectorAll('.theme-option').forEach(opt => opt.classList.remove('active'));
+        themeOption.classList.add('active');
+        draft.selected = key;
+        applyLive(data);
+        this.updateThemeActions(modal);
+      });
+
+      themePreview.appendChild(themeOption);
+    });
+    this.updateThemeActions(modal);
+    // Library changes add or remove the schedule's and workspaces' choices
+    this.emit('libraryChanged');
+  }
+
+  /**
+   * Library theme in the draft for a theme key
+   * @param {string} key - e.g. "user:abc123"
+   * @returns {Object|null}
+   */
+  getDraftTheme(key) {
+    const id = ThemeEngine.parseUserKey(key);
+    return (id && this.themeDraft.themes.find((theme) => theme.id === id)) || null;
+  }
+
+  /**
+   * Themes the schedule and workspaces can pick: the built-ins and the library draft
+   * @returns {Array<{key: string, name: string}>}
+   */
+  getThemeChoices() {
+    const choices = Object.keys(this.settingsManager.themes).map((key) => ({
+      key,
+      name: key.charAt(0).toUpperCase() + key.slice(1)
+    }));
+    (this.themeDraft?.themes || []).forEach((theme) => {
+      choices.push({ key: ThemeEngine.userKey(theme.id), name: theme.name });
+    });
+    return choices;
+  }
+
+  isDraftThemeKey(key) {
+    if (ThemeEngine.parseUserKey(key)) return !!this.getDraftTheme(key);
+    return key !== 'custom' && !!this.settingsManager.themes[key];
+  }
+
+  fillThemeSelect(select, current) {
+    select.innerHTML = '';
+    this.getThemeChoices().forEach(({ key, name }) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = this.isDraftThemeKey(current) ? current : 'auto';
+  }
+
+  /**
+   * Edit, Export and Delete only apply to library themes
+   */
+  updateThemeActions(modal) {
+    const isUserTheme = !!this.getDraftTheme(this.themeDraft.selected);
+    ['#edit-theme', '#export-theme', '#delete-theme'].forEach((selector) => {
+      modal.querySelector(selector).disabled = !isUserTheme;
+    });
+  }
+
+  bind(modal) {
+    const store = (theme, id) => this.storeTheme(modal, theme, id);
+    modal.querySelector('#new-theme').addEventListener('click', () => {
+      this.editor.open(modal, this.createThemeFromSelection(), true, store);
+    });
+    modal.querySelector('#edit-theme').addEventListener('click', () => {
+      const theme = this.getDraftTheme(this.themeDraft.selected);
+      if (theme) this.editor.open(modal, JSON.parse(JSON.stringify(theme)), false, store);
+    });
+    modal.querySelector('#export-theme').addEventListener('click', () => {
+      const theme = this.getDraftTheme(this.themeDraft.selected);
+      if (theme) this.downloadFile(ThemeEngine.serialize(theme), ThemeEngine.fileName(theme));
+    });
+    modal.querySelector('#delete-theme').addEventListener('click', () => {
+      const theme = this.getDraftTheme(this.themeDraft.selected);
+      if (!theme || !confirm(`Delete the theme "${theme.name}"?`)) return;
+      this.themeDraft.themes = this.themeDraft.themes.filter((t) => t.id !== theme.id);
+      this.themeDraft.selected = 'auto';
+      if (this.editor.editing?.id === theme.id) this.editor.close(modal);
+      this.emit('themeDeleted', ThemeEngine.userKey(theme.id));
+      this.renderThemeOptions(modal);
+    });
+
+    const fileInput = modal.querySelector('#import-theme-file');
+    modal.querySelector('#import-theme').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      try {
+        this.importTheme(modal, await file.text());
+      } catch (error) {
+        this.emit('notification', { message: `Invalid theme file: ${error.message}`, type: 'error' });
+      }
+    });
+  }
+
+  /**
+   * Add a .tilio-theme.json file to the library draft and select it
+   * @param {string} text - file contents
+   * @throws {Error} when the file is not a valid theme or the library is full
+   */
+  importTheme(modal, text) {
+    const theme = ThemeEngine.parse(text);
+    if (this.themeDraft.themes.length >= ThemeEngine.MAX_LIBRARY) {
+      throw new Error(`the library already has ${ThemeEngine.MAX_LIBRARY} themes`);
+    }
+    theme.id = this.generateThemeId();
+    this.themeDraft.themes.push(theme);
+    this.themeDraft.selected = ThemeEngine.userKey(theme.id);
+    this.renderThemeOptions(modal);
+    this.emit('notification', { message: `Imported "${theme.name}". Save to keep it.`, type: 'success' });
+  }
+
+  generateThemeId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * A new theme document starting from the selected theme
+   */
+  createThemeFromSelection() {
+    const selected = this.themeDraft.selected;
+    const userTheme = this.getDraftTheme(selected);
+    if (userTheme) {
+      const { id, ...copy } = JSON.parse(JSON.stringify(userTheme));
+      copy.name = `${copy.name} copy`.slice(0, ThemeEngine.MAX_NAME_LENGTH);
+      return copy;
+    }
+    let preset = selected;
+    if (!ThemeEngine.PRESETS[preset]) {
+      preset = document.body.classList.contains('theme-light') ? 'light' : 'dark';
+    }
+    return ThemeEngine.create(preset, 'My Theme');
+  }
+
+  /**
+   * Add or update a theme from the editor in the library draft and select it
+   * @param {Object} theme - valid theme document
+   * @param {string|null} id - library id of the edited theme, null for a new one
+   * @returns {boolean} false when the library is full
+   */
+  storeTheme(modal, theme, id) {
+    const draft = this.themeDraft;
+    const index = draft.themes.findIndex((t) => t.id === id);
+    if (index !== -1) {
+      draft.themes[index] = { ...theme, id };
+    } else {
+      if (draft.themes.length >= ThemeEngine.MAX_LIBRARY) {
+        this.emit('notification', { message: `You can keep up to ${ThemeEngine.MAX_LIBRARY} themes`, type: 'error' });
+        return false;
+      }
+      id = this.generateThemeId();
+      draft.themes.push({ ...theme, id });
+    }
+    draft.selected = ThemeEngine.userKey(id);
+    this.renderThemeOptions(modal);
+    return true;
+  }
+
+  readSettings(modal) {
+    const settings = {
+      userThemes: this.themeDraft.themes.map((theme) => JSON.parse(JSON.stringify(theme)))
+    };
+    const selectedTheme = modal.querySelector(".theme-option.active");
+    if (selectedTheme) {
+      settings.theme = selectedTheme.dataset.theme;
+      settings.customTheme = false;
+    }
+    return settings;
+  }
+
+  close() {
+    super.close();
+    this.editor.editing = null;
+    this.editor.onSave = null;
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.ThemeSectionManager = ThemeSectionManager;
+}
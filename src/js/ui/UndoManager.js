@@ -0,0 +1,435 @@
+// tilio - Undo Manager
+// Command history for grid changes: wraps FolderSystem mutation methods so every
+// change is recorded as the before/after state of the items and orders it touched.
+// Undo and redo put back only those, so changes made since by anything else stay.
+
+class UndoManager extends ComponentManager {
+  /**
+   * @param {FolderSystem} folderSystem - Data layer whose mutations are recorded
+   * @param {number} maxHistory - Number of commands kept on the undo stack
+   */
+  constructor(folderSystem, maxHistory = 50) {
+    super(null, folderSystem);
+    this.maxHistory = maxHistory;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.queue = Promise.resolve(); // changes run one at a time so each records only its own edits
+    this.pending = 0; // changes queued or running
+
+    this.wrapMutations();
+  }
+
+  /**
+   * Replace the FolderSystem mutation methods with recording wrappers
+   */
+  wrapMutations() {
+    const fs = this.folderSystem;
+    const originals = new Map();
+    // FolderSystem calls made from inside a change skip the wrappers: they are part of
+    // the change that made them
+    const inner = new Proxy(fs, {
+      get: (target, key) => originals.get(key) || Reflect.get(target, key)
+    });
+
+    Object.entries(UndoManager.COMMANDS).forEach(([method, label]) => {
+      const original = fs[method];
+      if (typeof original !== 'function') return;
+      originals.set(method, original);
+      fs[method] = (...args) => this.record(label, () => original.apply(inner, args));
+    });
+
+    // Automatic changes (top sites refresh, sorting, click counts) are not undoable
+    UndoManager.UNTRACKED.forEach((method) => {
+      const original = fs[method];
+      if (typeof original !== 'function') return;
+      originals.set(method, original);
+      fs[method] = (...args) => this.untracked(() => original.apply(inner, args));
+    });
+  }
+
+  // ============ Recording ============
+
+  /**
+   * Run a change as one undoable command, after the changes already running
+   * @param {string} label - Human-readable description ("Folders merged")
+   * @param {Function} fn - Function performing the change
+   * @returns {Promise<*>} Result of fn
+   */
+  record(label, fn) {
+    return this.enqueue(async () => {
+      const before = this.captureLayout();
+      try {
+        return await fn();
+      } finally {
+        this.commit(label, before);
+      }
+    });
+  }
+
+  /**
+   * Run a change without recording it, after the changes already running
+   * @param {Function} fn - Function performing the change
+   */
+  untracked(fn) {
+    return this.enqueue(fn);
+  }
+
+  /**
+   * Run a task once the tasks before it have settled; with none waiting it starts right away
+   * @param {Function} task - Async function
+   * @returns {Promise<*>} Result of task
+   */
+  enqueue(task) {
+    const run = this.pending++ ? this.queue.then(() => task()) : task();
+    this.queue = run.catch(() => {}).finally(() => this.pending--);
+    return run;
+  }
+
+  /**
+   * Push a command if the layout actually changed
+   * @param {string} label - Command label
+   * @param {string} before - Layout captured before the change
+   */
+  commit(label, before) {
+    const changes = this.diff(this.flatten(before), this.flatten(this.captureLayout()));
+    if (!changes) return;
+
+    const command = { label, changes, timestamp: Date.now() };
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.maxHistory) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.emit('recorded', command);
+  }
+
+  /**
+   * Serialize the current layout (folders, root links and their order)
+   * @returns {string}
+   */
+  captureLayout() {
+    const fs = this.folderSystem;
+    return JSON.stringify({
+      folders: fs.folders,
+      links: fs.links,
+      rootOrder: fs.rootOrder
+    });
+  }
+
+  /**
+   * The items and container orders that differ between two flattened layouts
+   * @returns {{items: Object, orders: Object}|null} id/key -> { before, after }; null when nothing changed
+   */
+  diff(before, after) {
+    const changes = { items: {}, orders: {} };
+    let changed = false;
+
+    new Set([...before.items.keys(), ...after.items.keys()]).forEach((id) => {
+      const from = before.items.get(id) || null;
+      const to = after.items.get(id) || null;
+      if (this.stateKey(from) === this.stateKey(to)) return;
+      changes.items[id] = { before: from, after: to };
+      changed = true;
+    });
+
+    new Set([...before.orders.keys(), ...after.orders.keys()]).forEach((key) => {
+      const from = before.orders.get(key) || [];
+      const to = after.orders.get(key) || [];
+      if (JSON.stringify(from) === JSON.stringify(to)) return;
+      changes.orders[key] = { before: from, after: to };
+      changed = true;
+    });
+    return changed ? changes : null;
+  }
+
+  /**
+   * Comparable form of an item state. Click counts, modification times and bookmark
+   * links change on their own and are not part of a command.
+   * @param {Object|null} state - From flatten()
+   * @returns {string}
+   */
+  stateKey(state) {
+    if (!state) return 'null';
+    const { popularity, modifiedAt, bookmarkId, ...fields } = state.fields;
+    return JSON.stringify({ ...state, fields });
+  }
+
+  // ============ Undo / Redo ============
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Revert the most recent command
+   * @returns {Promise<Object|null>} The undone command, or null if there was nothing to undo
+   */
+  undo() {
+    return this.enqueue(async () => {
+      if (!this.canUndo()) return null;
+      const command = this.undoStack.pop();
+      await this.applyChanges(command.changes, 'before');
+      this.redoStack.push(command);
+      this.emit('undone', command);
+      return command;
+    });
+  }
+
+  /**
+   * Re-apply the most recently undone command
+   * @returns {Promise<Object|null>} The redone command, or null if there was nothing to redo
+   */
+  redo() {
+    return this.enqueue(async () => {
+      if (!this.canRedo()) return null;
+      const command = this.redoStack.pop();
+      await this.applyChanges(command.changes, 'after');
+      this.undoStack.push(command);
+      this.emit('redone', command);
+      return command;
+    });
+  }
+
+  /**
+   * Forget all history, e.g. after another workspace was swapped in
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Forget the commands whose items were changed from outside this page (another tab or
+   * the background sync) since they ran; commands beyond them in the history go as well
+   */
+  dropConflicts() {
+    const { items } = this.flatten(this.captureLayout());
+    this.undoStack = this.keepMatching(this.undoStack, items, 'after', 'before');
+    this.redoStack = this.keepMatching(this.redoStack, items, 'before', 'after');
+  }
+
+  /**
+   * Walk a stack from its top, keeping commands while their items are in the state the
+   * command would start from
+   * @param {Object[]} stack - Undo or redo stack
+   * @param {Map} items - Current item states from flatten()
+   * @param {string} from - Side the live items must match ('after' for undo)
+   * @param {string} to - Side they are in once the command is applied
+   * @returns {Object[]} The matching top of the stack
+   */
+  keepMatching(stack, items, from, to) {
+    const states = new Map();
+    items.forEach((state, id) => states.set(id, this.stateKey(state)));
+
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const changes = Object.entries(stack[i].changes.items);
+      if (changes.some(([id, change]) => this.stateKey(change[from]) !== (states.get(id) || 'null'))) {
+        return stack.slice(i + 1);
+      }
+      changes.forEach(([id, change]) => states.set(id, this.stateKey(change[to])));
+    }
+    return stack;
+  }
+
+  /**
+   * Put the items and orders a command touched into one of its recorded states and
+   * persist the layout. Everything else stays as it is now.
+   * @param {{items: Object, orders: Object}} changes - From diff()
+   * @param {string} side - 'before' to undo, 'after' to redo
+   */
+  async applyChanges(changes, side) {
+    const fs = this.folderSystem;
+    const other = side === 'before' ? 'after' : 'before';
+    const live = this.flatten(this.captureLayout());
+    const removed = fs.data.meta?.bookmarkSync?.removed;
+
+    Object.entries(changes.items).forEach(([id, change]) => {
+      const current = live.items.get(id);
+      const target = change[side];
+      if (!target) {
+        // Items that disappear again must also leave the bookmarks folder
+        if (current) fs.recordBookmarkRemoval(current.fields);
+        live.items.delete(id);
+        return;
+      }
+
+      const state = { ...target, fields: { ...target.fields } };
+      // Keep click counts gathered and bookmarks linked since the command ran
+      if (current?.fields.popularity) state.fields.popularity = current.fields.popularity;
+      if (current?.fields.bookmarkId) state.fields.bookmarkId = current.fields.bookmarkId;
+      // Newer than the bookmark side, and no longer pending deletion
+      fs.touch(state.fields);
+      if (state.fields.bookmarkId && removed) delete removed[state.fields.bookmarkId];
+      live.items.set(id, state);
+    });
+
+    Object.entries(changes.orders).forEach(([key, change]) => {
+      live.orders.set(key, this.mergeOrder(live.orders.get(key) || [], change[other], change[side]));
+    });
+
+    const layout = this.build(live);
+    fs.data.folders = fs.folders = layout.folders;
+    fs.data.links = fs.links = layout.links;
+    fs.data.rootOrder = fs.rootOrder = layout.rootOrder;
+    await fs.save();
+  }
+
+  /**
+   * Replay a container's recorded order edit on its current order. Ids the edit added or
+   * removed are added or removed; a pure reorder takes the recorded order. Ids added
+   * since the command ran keep their place.
+   * @param {string[]} current - Ids in the container now
+   * @param {string[]} from - Recorded order the edit started from
+   * @param {string[]} to - Recorded order it led to
+   * @returns {string[]}
+   */
+  mergeOrder(current, from, to) {
+    const target = new Set(to);
+    const dropped = new Set(from.filter((id) => !target.has(id)));
+    if (!dropped.size && from.length === to.length) {
+      return [...to, ...current.filter((id) => !target.has(id))];
+    }
+
+    const order = current.filter((id) => !dropped.has(id));
+    to.forEach((id, i) => {
+      if (order.includes(id)) return;
+      const previous = to.slice(0, i).reverse().find((other) => order.includes(other));
+      order.splice(previous === undefined ? 0 : order.indexOf(previous) + 1, 0, id);
+    });
+    return order;
+  }
+
+  /**
+   * Flatten a serialized layout into item states and container orders
+   * @param {string} serialized - Layout from captureLayout()
+   * @returns {{items: Map<string, Object>, orders: Map<string, string[]>}} items: id ->
+   *   { kind, parentId, page, fields }; orders: 'root', '<folderId>/sites' or '<folderId>/folders' -> ids
+   */
+  flatten(serialized) {
+    const layout = JSON.parse(serialized);
+    const items = new Map();
+    const orders = new Map([['root', (layout.rootOrder || []).map((entry) => entry.id)]]);
+    const pages = new Map((layout.rootOrder || []).map((entry) => [entry.id, entry.page]));
+
+    const add = (kind, node, parentId) => {
+      const { sites, folders, ...fields } = node;
+      const page = parentId ? undefined : pages.get(node.id);
+      items.set(node.id, { kind, parentId, page, fields });
+    };
+    const walk = (folders, parentId) => {
+      (folders || []).forEach((folder) => {
+        add('folder', folder, parentId);
+        orders.set(`${folder.id}/sites`, (folder.sites || []).map((site) => site.id));
+        orders.set(`${folder.id}/folders`, (folder.folders || []).map((sub) => sub.id));
+        (folder.sites || []).forEach((site) => add('site', site, folder.id));
+        walk(folder.folders, folder.id);
+      });
+    };
+    (layout.links || []).forEach((link) => add('link', link, null));
+    walk(layout.folders, null);
+    return { items, orders };
+  }
+
+  /**
+   * Nest flattened items back into a layout
+   * @param {{items: Map, orders: Map}} flat - From flatten()
+   * @returns {{folders: Object[], links: Object[], rootOrder: Object[]}}
+   */
+  build({ items, orders }) {
+    const folders = new Map();
+    items.forEach(({ kind, fields }, id) => {
+      if (kind === 'folder') folders.set(id, { ...fields, sites: [], folders: [] });
+    });
+
+    // Items whose folder is gone, or folders moved into their own subfolder, land on the root
+    const parentOf = (id) => {
+      const visited = new Set([id]);
+      for (let p = items.get(id).parentId; p; p = items.get(p).parentId) {
+        if (!folders.has(p) || visited.has(p)) return null;
+        visited.add(p);
+      }
+      return items.get(id).parentId;
+    };
+
+    const containers = new Map();
+    items.forEach(({ kind }, id) => {
+      const parentId = kind === 'link' ? null : parentOf(id);
+      const key = parentId ? `${parentId}/${kind === 'site' ? 'sites' : 'folders'}` : 'root';
+      if (!containers.has(key)) containers.set(key, []);
+      containers.get(key).push(id);
+    });
+    const sorted = (key) => {
+      const rank = new Map((orders.get(key) || []).map((id, i) => [id, i]));
+      return (containers.get(key) || []).sort(
+        (a, b) => (rank.get(a) ?? Infinity) - (rank.get(b) ?? Infinity)
+      );
+    };
+
+    folders.forEach((folder, id) => {
+      folder.sites = sorted(`${id}/sites`).map((siteId) => items.get(siteId).fields);
+      folder.folders = sorted(`${id}/folders`).map((subId) => folders.get(subId));
+    });
+
+    const layout = { folders: [], links: [], rootOrder: [] };
+    sorted('root').forEach((id) => {
+      const type = folders.has(id) ? 'folder' : 'link';
+      if (type === 'folder') layout.folders.push(folders.get(id));
+      else layout.links.push(items.get(id).fields);
+      const { page } = items.get(id);
+      layout.rootOrder.push(page === undefined ? { type, id } : { type, id, page });
+    });
+    return layout;
+  }
+}
+
+// FolderSystem methods recorded as commands, with the label shown in toasts
+UndoManager.COMMANDS = {
+  createFolder: 'Folder created',
+  updateFolder: 'Folder renamed',
+  deleteFolder: 'Folder deleted',
+  createSubfolder: 'Subfolder created',
+  moveFolderToFolder: 'Folder moved',
+  moveFolderToRoot: 'Folder moved',
+  mergeFolders: 'Folders merged',
+  addRootLink: 'Link added',
+  updateRootLink: 'Link updated',
+  deleteRootLink: 'Link deleted',
+  reorderRootLink: 'Link moved',
+  moveRootItem: 'Item moved',
+  moveToPage: 'Moved to another page',
+  moveLinkToFolder: 'Link moved to folder',
+  createFolderFromRootLinks: 'Folder created',
+  addSite: 'Site added',
+  addSiteToFolder: 'Site added',
+  updateSite: 'Site updated',
+  deleteSite: 'Site deleted',
+  moveSiteBetweenFolders: 'Site moved',
+  reorderSite: 'Site moved',
+  reorderSubfolder: 'Folder moved',
+  moveSiteToRoot: 'Site moved',
+  moveItemsToFolder: 'Items moved',
+  moveItemsToRoot: 'Items moved',
+  deleteItems: 'Items deleted',
+  createFolderFromItems: 'Folder created',
+  createFolderFromTabs: 'Tabs saved',
+  applyMerge: 'Merge import'
+};
+
+// FolderSystem methods that change data on their own and are never undone
+UndoManager.UNTRACKED = [
+  'maybeSeedFromTopSites',
+  'periodicTopSitesRefresh',
+  'sortByPopularity',
+  'recordClick'
+];
+
+// Export for both ES6 modules and browser globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = UndoManager;
+} else if (typeof window !== "undefined") {
+  window.UndoManager = UndoManager;
+}
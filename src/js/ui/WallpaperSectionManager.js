@@ -0,0 +1,301 @@
+// tilio - Background Section
+// Background image, slideshow and focal point controls in the Appearance tab. The
+// choices are a draft until Save; the images themselves are stored as soon as they are
+// uploaded, removed or refocused
+
+class WallpaperSectionManager extends SettingsSectionManager {
+  /**
+   * @param {SettingsManager} settingsManager - The settings manager instance
+   */
+  constructor(settingsManager) {
+    super(settingsManager);
+    this.wallpaperDraft = null;
+    this.wallpaperImages = [];
+    this.wallpaperThumbUrls = [];
+  }
+
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-label">Background</label>
+        <div class="setting-description">Show your own images over the theme. Images stay on this device and aren't included in backups, and the background isn't synced to other devices</div>
+        <select class="setting-select" id="wallpaper-source">
+          <option value="none">Theme background</option>
+          <option value="image">Image</option>
+          <option value="slideshow">Slideshow of all images</option>
+        </select>
+      </div>
+      <div class="setting-group" id="wallpaper-options">
+        <div class="wallpaper-library" id="wallpaper-library" role="listbox" aria-label="Background images"></div>
+        <div class="theme-library-actions">
+          <button type="button" class="nt-btn" id="upload-wallpaper">Upload Images…</button>
+          <button type="button" class="nt-btn" id="upload-wallpaper-folder">Add Folder…</button>
+          <button type="button" class="nt-btn" id="remove-wallpaper" disabled>Remove Image</button>
+          <input type="file" id="wallpaper-file" accept="image/*" multiple style="display: none;">
+          <input type="file" id="wallpaper-folder" webkitdirectory multiple style="display: none;">
+        </div>
+        <div class="wallpaper-focus" id="wallpaper-focus" hidden>
+          <div class="setting-description">Click the image to set its focal point, the part kept in view on any screen</div>
+          <div class="wallpaper-focus-frame" id="wallpaper-focus-frame">
+            <img id="wallpaper-focus-image" alt="">
+            <span class="wallpaper-focus-marker" aria-hidden="true"></span>
+          </div>
+        </div>
+        <div class="wallpaper-option" id="wallpaper-interval-group">
+          <label class="setting-label">Change Image</label>
+          <select class="setting-select" id="wallpaper-interval">
+            <option value="0">Every new tab</option>
+            <option value="15">Every 15 minutes</option>
+            <option value="60">Every hour</option>
+            <option value="1440">Every day</option>
+          </select>
+        </div>
+        <div class="wallpaper-option">
+          <label class="setting-label">Blur</label>
+          <div class="setting-range">
+            <input type="range" class="setting-slider" id="wallpaper-blur" min="0" max="20" value="0">
+            <span class="range-value" id="wallpaper-blur-value">0px</span>
+          </div>
+        </div>
+        <div class="wallpaper-option">
+          <label class="setting-label">Dim</label>
+          <div class="setting-range">
+            <input type="range" class="setting-slider" id="wallpaper-dim" min="0" max="80" value="20">
+            <span class="range-value" id="wallpaper-dim-value">20%</span>
+          </div>
+        </div>
+        <label class="setting-checkbox wallpaper-option">
+          <input type="checkbox" id="wallpaper-adaptive">
+          <span>Adapt text and tile colors to the image</span>
+        </label>
+      </div>
+    `;
+  }
+
+  populate(modal, settings) {
+    const draft = { ...WallpaperManager.defaults(), ...(settings.wallpaper || {}) };
+    this.wallpaperDraft = draft;
+    modal.querySelector('#wallpaper-source').value = draft.source;
+    modal.querySelector('#wallpaper-interval').value = String(draft.interval);
+    modal.querySelector('#wallpaper-blur').value = draft.blur;
+    modal.querySelector('#wallpaper-blur-value').textContent = `${draft.blur}px`;
+    modal.querySelector('#wallpaper-dim').value = draft.dim;
+    modal.querySelector('#wallpaper-dim-value').textContent = `${draft.dim}%`;
+    modal.querySelector('#wallpaper-adaptive').checked = draft.adaptive;
+    this.updateWallpaperControls(modal);
+    this.renderWallpaperLibrary(modal);
+  }
+
+  /**
+   * settings.wallpaper as described by the form
+   */
+  readWallpaper(modal) {
+    return {
+      source: modal.querySelector('#wallpaper-source').value,
+      imageId: this.wallpaperDraft.imageId,
+      interval: parseInt(modal.querySelector('#wallpaper-interval').value, 10),
+      blur: parseInt(modal.querySelector('#wallpaper-blur').value, 10),
+      dim: parseInt(modal.querySelector('#wallpaper-dim').value, 10),
+      adaptive: modal.querySelector('#wallpaper-adaptive').checked
+    };
+  }
+
+  readSettings(modal) {
+    return { wallpaper: this.readWallpaper(modal) };
+  }
+
+  updateWallpaperControls(modal) {
+    const source = modal.querySelector('#wallpaper-source').value;
+    modal.querySelector('#wallpaper-interval-group').hidden = source !== 'slideshow';
+    modal.querySelector('#remove-wallpaper').disabled = !this.getSelectedWallpaper();
+  }
+
+  getSelectedWallpaper() {
+    return this.wallpaperImages.find((image) => image.id === this.wallpaperDraft.imageId) || null;
+  }
+
+  /**
+   * Show the form's background on the page until the modal closes
+   */
+  previewWallpaper(modal) {
+    this.wallpaperDraft = this.readWallpaper(modal);
+    this.emit('appearancePreviewed');
+    this.settingsManager.wallpaper.apply(this.wallpaperDraft).catch((error) => {
+      console.error('Failed to preview background:', error);
+    });
+  }
+
+  /**
+   * List the stored images as thumbnails; the selected one is shown with its focal point
+   */
+  async renderWallpaperLibrary(modal) {
+    const list = modal.querySelector('#wallpaper-library');
+    let images = [];
+    try {
+      images = await this.settingsManager.wallpaper.media.list();
+    } catch (error) {
+      console.error('Failed to load background images:', error);
+    }
+    this.revokeWallpaperThumbnails();
+    delete modal.querySelector('#wallpaper-focus-image').dataset.imageId;
+    this.wallpaperImages = images;
+    list.innerHTML = '';
+
+    if (!images.length) {
+      const empty = document.createElement('div');
+      empty.className = 'setting-description';
+      empty.textContent = 'No images yet. Upload a few, or a whole folder for a slideshow.';
+      list.appendChild(empty);
+    }
+    images.forEach((image) => {
+      const thumb = document.createElement('button');
+      thumb.type = 'button';
+      thumb.className = 'wallpaper-thumb';
+      thumb.setAttribute('role', 'option');
+      thumb.setAttribute('aria-label', image.name);
+      thumb.setAttribute('aria-selected', String(image.id === this.wallpaperDraft.imageId));
+      const img = document.createElement('img');
+      img.alt = '';
+      img.src = this.getWallpaperThumbnail(image);
+      thumb.appendChild(img);
+      thumb.addEventListener('click', () => this.selectWallpaper(modal, image.id));
+      list.appendChild(thumb);
+    });
+    this.updateWallpaperFocus(modal);
+    this.updateWallpaperControls(modal);
+  }
+
+  getWallpaperThumbnail(image) {
+    const url = URL.createObjectURL(image.thumbnail || image.blob);
+    this.wallpaperThumbUrls.push(url);
+    return url;
+  }
+
+  revokeWallpaperThumbnails() {
+    this.wallpaperThumbUrls.forEach((url) => URL.revokeObjectURL(url));
+    this.wallpaperThumbUrls = [];
+  }
+
+  selectWallpaper(modal, id) {
+    this.wallpaperDraft.imageId = id;
+    const source = modal.querySelector('#wallpaper-source');
+    if (source.value === 'none') source.value = 'image';
+    modal.querySelectorAll('.wallpaper-thumb').forEach((thumb, index) => {
+      thumb.setAttribute('aria-selected', String(this.wallpaperImages[index].id === id));
+    });
+    this.updateWallpaperFocus(modal);
+    this.updateWallpaperControls(modal);
+    this.previewWallpaper(modal);
+  }
+
+  updateWallpaperFocus(modal) {
+    const focus = modal.querySelector('#wallpaper-focus');
+    const image = this.getSelectedWallpaper();
+    focus.hidden = !image;
+    if (!image) return;
+    const img = modal.querySelector('#wallpaper-focus-image');
+    if (img.dataset.imageId !== image.id) {
+      img.src = this.getWallpaperThumbnail(image);
+      img.dataset.imageId = image.id;
+    }
+    const marker = focus.querySelector('.wallpaper-focus-marker');
+    marker.style.left = `${image.focalX}%`;
+    marker.style.top = `${image.focalY}%`;
+  }
+
+  bind(modal) {
+    const wallpaper = this.settingsManager.wallpaper;
+    ['#wallpaper-source', '#wallpaper-interval', '#wallpaper-adaptive'].forEach((selector) => {
+      modal.querySelector(selector).addEventListener('change', () => {
+        this.updateWallpaperControls(modal);
+        this.previewWallpaper(modal);
+      });
+    });
+    [['#wallpaper-blur', 'px'], ['#wallpaper-dim', '%']].forEach(([selector, unit]) => {
+      const slider = modal.querySelector(selector);
+      slider.addEventListener('input', () => {
+        modal.querySelector(`${selector}-value`).textContent = `${slider.value}${unit}`;
+        this.previewWallpaper(modal);
+      });
+    });
+
+    const fileInput = modal.querySelector('#wallpaper-file');
+    const folderInput = modal.querySelector('#wallpaper-folder');
+    modal.querySelector('#upload-wallpaper').addEventListener('click', () => fileInput.click());
+    modal.querySelector('#upload-wallpaper-folder').addEventListener('click', () => folderInput.click());
+    [fileInput, folderInput].forEach((input) => {
+      input.addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (files.length) await this.uploadWallpapers(modal, files);
+      });
+    });
+
+    modal.querySelector('#remove-wallpaper').addEventListener('click', async () => {
+      const image = this.getSelectedWallpaper();
+      if (!image || !confirm(`Remove "${image.name}" from your background images?`)) return;
+      try {
+        await wallpaper.removeImage(image.id);
+        this.wallpaperDraft.imageId = null;
+        await this.renderWallpaperLibrary(modal);
+        this.previewWallpaper(modal);
+      } catch (error) {
+        console.error('Failed to remove background image:', error);
+        this.emit('notification', { message: 'Failed to remove the image', type: 'error' });
+      }
+    });
+
+    modal.querySelector('#wallpaper-focus-frame').addEventListener('click', async (e) => {
+      const image = this.getSelectedWallpaper();
+      if (!image) return;
+      const rect = modal.querySelector('#wallpaper-focus-image').getBoundingClientRect();
+      if (!rect.width || !rect.height) return;
+      const x = ((e.clientX - rect.left) / rect.width) * 100;
+      const y = ((e.clientY - rect.top) / rect.height) * 100;
+      const updated = await wallpaper.setFocalPoint(image.id, x, y);
+      if (!updated) return;
+      Object.assign(image, { focalX: updated.focalX, focalY: updated.focalY });
+      this.updateWallpaperFocus(modal);
+    });
+  }
+
+  /**
+   * Store uploaded images and select the first one if nothing is showing yet
+   * @param {Array<File>} files
+   */
+  async uploadWallpapers(modal, files) {
+    try {
+      const { added, skipped } = await this.settingsManager.wallpaper.importFiles(files);
+      if (!added.length) {
+        this.emit('notification', {
+          message: `No images were added. Use image files up to ${WallpaperManager.MAX_FILE_SIZE / 1024 / 1024} MB, ${WallpaperManager.MAX_IMAGES} at most`,
+          type: 'error'
+        });
+        return;
+      }
+      if (!this.wallpaperDraft.imageId) this.wallpaperDraft.imageId = added[0].id;
+      const source = modal.querySelector('#wallpaper-source');
+      if (source.value === 'none') source.value = added.length > 1 ? 'slideshow' : 'image';
+      await this.renderWallpaperLibrary(modal);
+      this.previewWallpaper(modal);
+      const count = `${added.length} image${added.length === 1 ? '' : 's'}`;
+      this.emit('notification', {
+        message: skipped ? `Added ${count}, skipped ${skipped} file${skipped === 1 ? '' : 's'}` : `Added ${count}`,
+        type: 'success'
+      });
+    } catch (error) {
+      console.error('Failed to add background images:', error);
+      this.emit('notification', { message: 'Failed to add the images', type: 'error' });
+    }
+  }
+
+  close() {
+    super.close();
+    this.revokeWallpaperThumbnails();
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.WallpaperSectionManager = WallpaperSectionManager;
+}
@@ -0,0 +1,350 @@
+// tilio - Workspaces Section
+// Lists, imports and exports workspaces and edits the rules that switch between them.
+// Saved as they change, like the Data tab: switching workspaces can't wait for Save
+
+class WorkspaceSectionManager extends SettingsSectionManager {
+  /**
+   * @param {SettingsManager} settingsManager - The settings manager instance
+   * @param {ThemeSectionManager} themes - Library draft a workspace's theme is picked from
+   * @param {Workspaces|null} workspaces - The app's workspaces
+   * @param {function(function(Workspaces): Promise<*>): Promise<*>|null} runChange - Runs a change
+   *   through the app, which re-renders the page and the other new tabs
+   */
+  constructor(settingsManager, themes, workspaces, runChange) {
+    super(settingsManager);
+    this.themes = themes;
+    this.workspaces = workspaces;
+    this.runChange = runChange;
+    this.workspaceAutoDraft = null;
+  }
+
+  getMarkup() {
+    return `
+      <div class="setting-group">
+        <label class="setting-label">Workspaces</label>
+        <div class="setting-description">Each workspace has its own folders and links, and can have its own theme. Switch from the header or with Alt+W. Changes here are saved right away</div>
+        <ul class="workspace-list" id="workspace-list"></ul>
+        <div class="workspace-add">
+          <input type="text" class="setting-input" id="new-workspace-name" placeholder="New workspace name" maxlength="40" aria-label="New workspace name">
+          <button type="button" class="nt-btn nt-btn-primary" id="add-workspace">Add Workspace</button>
+        </div>
+      </div>
+      <div class="setting-group">
+        <label class="setting-label">Import a Workspace</label>
+        <div class="setting-description">Add a workspace from an exported workspace, a backup or a bookmarks.html file. Your other workspaces stay as they are</div>
+        <input type="file" class="setting-file" id="import-workspace-file" accept=".json,.html,.htm" style="display: none;">
+        <button type="button" class="nt-btn" id="import-workspace">Import Workspace</button>
+      </div>
+      <div class="setting-group">
+        <label class="setting-checkbox">
+          <input type="checkbox" id="workspace-auto-enabled">
+          <span>Switch workspaces automatically</span>
+        </label>
+        <div class="setting-description">The first rule covering the day and time picks the workspace. One you pick yourself stays until a rule starts or ends</div>
+        <div class="workspace-auto-options" id="workspace-auto-options">
+          <ul class="workspace-rules" id="workspace-rules"></ul>
+          <button type="button" class="nt-btn" id="add-workspace-rule">Add Rule</button>
+          <label class="theme-field">
+            <span>At other times</span>
+            <select class="setting-select" id="workspace-fallback"></select>
+          </label>
+        </div>
+        <div class="setting-description workspace-auto-error" id="workspace-auto-error" role="alert"></div>
+      </div>
+    `;
+  }
+
+  populate(modal) {
+    const workspaces = this.workspaces;
+    if (!workspaces) {
+      modal.querySelector('.settings-tab[data-tab="workspaces"]').hidden = true;
+      return;
+    }
+    this.workspaceAutoDraft = JSON.parse(JSON.stringify(workspaces.getState().auto));
+    this.renderWorkspaces(modal);
+  }
+
+  /**
+   * Run a change through the app, which re-renders the page and the other new tabs,
+   * then redraw the tab
+   * @param {function(Workspaces): Promise<*>} task
+   * @param {string} [message] - notification on success
+   * @returns {Promise<*>} what the task returned, or undefined when it failed
+   */
+  async changeWorkspaces(modal, task, message) {
+    try {
+      const result = await this.runChange(task);
+      if (message) this.emit('notification', { message, type: 'success' });
+      return result;
+    } catch (error) {
+      console.error('Workspace change failed:', error);
+      this.emit('notification', { message: error.message, type: 'error' });
+      return undefined;
+    } finally {
+      if (this.modal === modal) this.renderWorkspaces(modal);
+    }
+  }
+
+  renderWorkspaces(modal) {
+    const workspaces = this.workspaces;
+    const list = modal.querySelector('#workspace-list');
+    const active = workspaces.getActive();
+    list.innerHTML = '';
+    workspaces.list().forEach((workspace, index) => {
+      const row = document.createElement('li');
+      row.className = 'workspace-row';
+      row.classList.toggle('active', workspace === active);
+
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.className = 'setting-input';
+      name.value = workspace.name;
+      name.maxLength = Workspaces.MAX_NAME;
+      name.setAttribute('aria-label', `Name of workspace ${index + 1}`);
+      name.addEventListener('change', () => {
+        this.changeWorkspaces(modal, (w) => w.rename(workspace.id, name.value));
+      });
+
+      const theme = document.createElement('select');
+      theme.className = 'setting-select';
+      theme.setAttribute('aria-label', `Theme of the ${workspace.name} workspace`);
+      this.themes.fillThemeSelect(theme, workspace.theme);
+      theme.prepend(new Option('Global theme', ''));
+      theme.value = workspace.theme && this.themes.isDraftThemeKey(workspace.theme) ? workspace.theme : '';
+      theme.addEventListener('change', () => {
+        this.changeWorkspaces(modal, (w) => w.setTheme(workspace.id, theme.value || null));
+      });
+
+      const open = this.createButton(workspace === active ? 'Open' : 'Switch', `Switch to ${workspace.name}`);
+      open.disabled = workspace === active;
+      open.addEventListener('click', () => {
+        this.changeWorkspaces(modal, (w) => w.switchTo(workspace.id), `Switched to the ${workspace.name} workspace`);
+      });
+
+      const exportButton = this.createButton('Export', `Export ${workspace.name}`);
+      exportButton.addEventListener('click', () => this.exportWorkspace(workspace));
+
+      const remove = this.createButton('Delete', `Delete ${workspace.name}`);
+      if (index === 0) {
+        remove.disabled = true;
+        remove.title = 'The first workspace is the one shared with your other devices';
+      }
+      remove.addEventListener('click', () => {
+        if (!confirm(`Delete the ${workspace.name} workspace with its folders and links? A snapshot is kept in History.`)) return;
+        this.changeWorkspaces(modal, (w) => w.remove(workspace.id), `Deleted the ${workspace.name} workspace`).then(() => {
+          this.populate(modal);
+        });
+      });
+
+      row.append(name, theme, open, exportButton, remove);
+      list.appendChild(row);
+    });
+    modal.querySelector('#add-workspace').disabled = workspaces.list().length >= Workspaces.MAX_WORKSPACES;
+
+    const note = modal.querySelector('#workspace-theme-note');
+    note.hidden = !active.theme;
+    note.textContent = active.theme
+      ? `The ${active.name} workspace has its own theme, which shows instead. Change it in the Workspaces tab.`
+      : '';
+    this.renderWorkspaceRules(modal);
+  }
+
+  createButton(text, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'nt-btn';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    return button;
+  }
+
+  renderWorkspaceRules(modal) {
+    const draft = this.workspaceAutoDraft;
+    const list = this.workspaces.list();
+    modal.querySelector('#workspace-auto-enabled').checked = draft.enabled;
+    modal.querySelector('#workspace-auto-options').hidden = !draft.enabled;
+
+    const fillWorkspaces = (select, current) => {
+      list.forEach((workspace) => select.appendChild(new Option(workspace.name, workspace.id)));
+      select.value = current;
+    };
+    // Monday first; 7 January 2024 was a Sunday
+    const days = [1, 2, 3, 4, 5, 6, 0].map((day) => ({
+      day,
+      name: new Date(2024, 0, 7 + day).toLocaleDateString([], { weekday: 'short' })
+    }));
+
+    const rules = modal.querySelector('#workspace-rules');
+    rules.innerHTML = '';
+    draft.rules.forEach((rule, index) => {
+      const row = document.createElement('li');
+      row.className = 'workspace-rule';
+      const workspace = document.createElement('select');
+      workspace.className = 'setting-select';
+      workspace.setAttribute('aria-label', `Rule ${index + 1} workspace`);
+      fillWorkspaces(workspace, rule.workspaceId);
+      workspace.addEventListener('change', () => {
+        rule.workspaceId = workspace.value;
+        this.commitWorkspaceAuto(modal);
+      });
+
+      const times = ['start', 'end'].map((key) => {
+        const time = document.createElement('input');
+        time.type = 'time';
+        time.className = 'setting-input';
+        time.value = rule[key];
+        time.setAttribute('aria-label', `Rule ${index + 1} ${key} time`);
+        time.addEventListener('change', () => {
+          rule[key] = time.value;
+          this.commitWorkspaceAuto(modal);
+        });
+        return time;
+      });
+      const to = document.createElement('span');
+      to.textContent = 'to';
+
+      const remove = this.createButton('Remove', `Remove rule ${index + 1}`);
+      remove.addEventListener('click', () => {
+        draft.rules.splice(index, 1);
+        if (!draft.rules.length) draft.enabled = false;
+        this.commitWorkspaceAuto(modal);
+        this.renderWorkspaceRules(modal);
+      });
+
+      const dayList = document.createElement('div');
+      dayList.className = 'workspace-rule-days';
+      dayList.setAttribute('role', 'group');
+      dayList.setAttribute('aria-label', `Rule ${index + 1} days`);
+      days.forEach(({ day, name }) => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = rule.days.includes(day);
+        box.addEventListener('change', () => {
+          rule.days = box.checked ? [...rule.days, day].sort() : rule.days.filter((d) => d !== day);
+          this.commitWorkspaceAuto(modal);
+        });
+        const text = document.createElement('span');
+        text.textContent = name;
+        label.append(box, text);
+        dayList.appendChild(label);
+      });
+
+      row.append(workspace, times[0], to, times[1], remove, dayList);
+      rules.appendChild(row);
+    });
+    modal.querySelector('#add-workspace-rule').disabled = draft.rules.length >= Workspaces.MAX_RULES;
+
+    const fallback = modal.querySelector('#workspace-fallback');
+    fallback.innerHTML = '';
+    fallback.appendChild(new Option('Stay on the current workspace', ''));
+    fillWorkspaces(fallback, draft.fallbackId || '');
+  }
+
+  /**
+   * Save the rules when they are complete; until then say what is missing
+   */
+  async commitWorkspaceAuto(modal) {
+    const workspaces = this.workspaces;
+    const error = modal.querySelector('#workspace-auto-error');
+    const problem = Workspaces.validateAuto(this.workspaceAutoDraft, workspaces.list().map((w) => w.id));
+    error.textContent = problem || '';
+    if (problem) return;
+    await this.changeWorkspaces(modal, (w) => w.setAuto(this.workspaceAutoDraft));
+  }
+
+  exportWorkspace(workspace) {
+    try {
+      const data = this.workspaces.exportWorkspace(workspace.id);
+      const slug = workspace.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'workspace';
+      this.downloadFile(JSON.stringify(data, null, 2), `tilio-workspace-${slug}.json`);
+      this.emit('notification', { message: `Exported the ${workspace.name} workspace`, type: 'success' });
+    } catch (error) {
+      console.error('Workspace export failed:', error);
+      this.emit('notification', { message: 'Failed to export the workspace', type: 'error' });
+    }
+  }
+
+  /**
+   * Add a workspace from an exported workspace, a backup or a bookmarks.html file
+   */
+  async importWorkspace(modal, file) {
+    try {
+      const text = await file.text();
+      if (BackupCrypto.isEncrypted(text)) {
+        throw new Error('encrypted backups can be restored from the Data tab');
+      }
+      const layout = this.settingsManager.parseLayoutFile(text);
+      const meta = BookmarkHtml.isBookmarkHtml(text) ? null : JSON.parse(text).workspace;
+      const name = meta?.name || file.name.replace(/\.[^.]+$/, '').replace(/^tilio-(workspace-)?/, '') || 'Imported';
+      const theme = meta?.theme && this.themes.isDraftThemeKey(meta.theme) ? meta.theme : null;
+      const workspace = await this.changeWorkspaces(modal, (w) => w.importWorkspace(layout, name, theme));
+      if (!workspace) return;
+      this.populate(modal);
+      this.emit('notification', { message: `Added the ${workspace.name} workspace`, type: 'success' });
+    } catch (error) {
+      console.error('Workspace import failed:', error);
+      this.emit('notification', { message: 'Failed to import workspace: ' + error.message, type: 'error' });
+    }
+  }
+
+  bind(modal) {
+    if (!this.workspaces) return;
+    const nameInput = modal.querySelector('#new-workspace-name');
+    const add = async () => {
+      const name = nameInput.value;
+      const workspace = await this.changeWorkspaces(modal, (w) => w.create(name));
+      if (!workspace) return;
+      nameInput.value = '';
+      this.populate(modal);
+      this.emit('notification', { message: `Added the ${workspace.name} workspace`, type: 'success' });
+    };
+    modal.querySelector('#add-workspace').addEventListener('click', add);
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        add();
+      }
+    });
+
+    const fileInput = modal.querySelector('#import-workspace-file');
+    modal.querySelector('#import-workspace').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.importWorkspace(modal, file);
+    });
+
+    const draft = () => this.workspaceAutoDraft;
+    modal.querySelector('#workspace-auto-enabled').addEventListener('change', (e) => {
+      draft().enabled = e.target.checked;
+      if (draft().enabled && !draft().rules.length) this.addWorkspaceRule();
+      this.renderWorkspaceRules(modal);
+      this.commitWorkspaceAuto(modal);
+    });
+    modal.querySelector('#add-workspace-rule').addEventListener('click', () => {
+      this.addWorkspaceRule();
+      this.renderWorkspaceRules(modal);
+      this.commitWorkspaceAuto(modal);
+    });
+    modal.querySelector('#workspace-fallback').addEventListener('change', (e) => {
+      draft().fallbackId = e.target.value || null;
+      this.commitWorkspaceAuto(modal);
+    });
+  }
+
+  /**
+   * A weekday working-hours rule for the first workspace that has none yet
+   */
+  addWorkspaceRule() {
+    const list = this.workspaces.list();
+    const used = new Set(this.workspaceAutoDraft.rules.map((rule) => rule.workspaceId));
+    const workspace = list.find((w, index) => index > 0 && !used.has(w.id)) || list[0];
+    this.workspaceAutoDraft.rules.push({ workspaceId: workspace.id, days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' });
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.WorkspaceSectionManager = WorkspaceSectionManager;
+}
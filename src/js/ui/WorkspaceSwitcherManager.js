@@ -0,0 +1,153 @@
+// tilio - Workspace Switcher
+// Header button naming the active workspace, with a menu to switch to another one or
+// manage them in Settings. Reads the list from the app's Workspaces
+
+class WorkspaceSwitcherManager extends ComponentManager {
+  /**
+   * @param {HTMLElement} container - Main grid container
+   * @param {FolderSystem} folderSystem - Data layer (unused, kept for the common signature)
+   * @param {Workspaces|null} workspaces - The app's workspaces; without them the button stays empty
+   */
+  constructor(container, folderSystem, workspaces) {
+    super(container, folderSystem);
+    this.workspaces = workspaces;
+    this.button = document.getElementById("workspace-button");
+    this.menu = null;
+
+    if (this.button) {
+      this.addEventListener(this.button, "click", () => this.toggle());
+      this.addEventListener(this.button, "keydown", (e) => {
+        if (e.key === "ArrowDown" && !this.menu) {
+          e.preventDefault();
+          this.open();
+        }
+      });
+    }
+    this.addEventListener(document, "mousedown", (e) => {
+      if (this.menu && !this.menu.contains(e.target) && !this.button.contains(e.target)) this.close(false);
+    });
+    this.render();
+  }
+
+  /**
+   * Show the active workspace's name on the button
+   */
+  render() {
+    const workspaces = this.workspaces;
+    if (!this.button || !workspaces?.fs.data) return;
+    const { name } = workspaces.getActive();
+    this.button.querySelector(".workspace-btn-name").textContent = name;
+    this.button.setAttribute("aria-label", `Workspace: ${name}. Switch workspace`);
+    if (this.menu) this.renderItems();
+  }
+
+  isOpen() {
+    return !!this.menu;
+  }
+
+  toggle() {
+    if (this.isOpen()) this.close();
+    else this.open();
+  }
+
+  open() {
+    if (this.menu || !this.button || !this.workspaces) return;
+    this.menu = this.createElement("div", "context-menu workspace-menu", {
+      role: "menu",
+      "aria-label": "Workspaces"
+    });
+    this.renderItems();
+
+    this.menu.addEventListener("click", (e) => {
+      const item = e.target.closest(".context-item");
+      if (item) this.activate(item);
+    });
+    this.menu.addEventListener("keydown", (e) => this.handleKeydown(e));
+
+    document.body.appendChild(this.menu);
+    const rect = this.button.getBoundingClientRect();
+    this.menu.style.top = `${rect.bottom + 6}px`;
+    this.menu.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+    this.button.setAttribute("aria-expanded", "true");
+    (this.menu.querySelector('[aria-checked="true"]') || this.getItems()[0])?.focus();
+  }
+
+  /**
+   * @param {boolean} [restoreFocus] - put focus back on the header button
+   */
+  close(restoreFocus = true) {
+    if (!this.menu) return;
+    this.menu.remove();
+    this.menu = null;
+    this.button.setAttribute("aria-expanded", "false");
+    if (restoreFocus) this.button.focus();
+  }
+
+  renderItems() {
+    const workspaces = this.workspaces;
+    const active = workspaces.getActive();
+    this.menu.innerHTML = "";
+    workspaces.list().forEach((workspace) => {
+      const item = this.createElement("div", "context-item workspace-menu-item", {
+        role: "menuitemradio",
+        tabindex: "-1",
+        "aria-checked": String(workspace === active),
+        "data-workspace-id": workspace.id
+      });
+      item.textContent = workspace.name;
+      this.menu.appendChild(item);
+    });
+    this.menu.appendChild(this.createElement("div", "context-divider", { role: "separator" }));
+    const manage = this.createElement("div", "context-item", {
+      role: "menuitem",
+      tabindex: "-1",
+      "data-action": "manage"
+    });
+    manage.textContent = "Manage workspaces…";
+    this.menu.appendChild(manage);
+  }
+
+  getItems() {
+    return this.menu ? Array.from(this.menu.querySelectorAll(".context-item")) : [];
+  }
+
+  activate(item) {
+    const id = item.dataset.workspaceId;
+    this.close();
+    if (id) this.emit("switch", { id });
+    else this.emit("manage");
+  }
+
+  handleKeydown(e) {
+    const items = this.getItems();
+    const index = items.indexOf(document.activeElement);
+    let next = null;
+    if (e.key === "ArrowDown") next = items[(index + 1) % items.length];
+    else if (e.key === "ArrowUp") next = items[(index - 1 + items.length) % items.length];
+    else if (e.key === "Home") next = items[0];
+    else if (e.key === "End") next = items[items.length - 1];
+    else if (e.key === "Enter" || e.key === " ") {
+      if (index !== -1) this.activate(items[index]);
+    } else if (e.key === "Escape") {
+      this.close();
+    } else if (e.key === "Tab") {
+      this.close(false);
+      return;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    next?.focus();
+  }
+
+  destroy() {
+    this.close(false);
+    super.destroy();
+  }
+}
+
+// Export to window for use by other modules
+if (typeof window !== "undefined") {
+  window.WorkspaceSwitcherManager = WorkspaceSwitcherManager;
+}
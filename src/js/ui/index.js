@@ -11,8 +11,28 @@ if (typeof window !== 'undefined') {
     PopoverManager,
     ContextMenuManager,
     RenderManager,
+    SettingsSectionManager,
+    ThemeEditorManager,
+    ThemeSectionManager,
+    ThemeScheduleSectionManager,
+    WallpaperSectionManager,
+    WorkspaceSectionManager,
+    SearchSectionManager,
+    ShortcutSectionManager,
+    ImportExportSectionManager,
+    SyncSectionManager,
+    BackupSectionManager,
+    SnapshotSectionManager,
     SettingsUIManager,
     NotificationManager,
+    LiveAnnouncer,
+    UndoManager,
+    SelectionManager,
+    CommandPaletteManager,
+    CheatsheetManager,
+    GridNavigationManager,
+    WorkspaceSwitcherManager,
+    GridPageManager,
     UIManager
   };
 
@@ -25,8 +45,28 @@ if (typeof window !== 'undefined') {
     PopoverManager,
     ContextMenuManager,
     RenderManager,
+    SettingsSectionManager,
+    ThemeEditorManager,
+    ThemeSectionManager,
+    ThemeScheduleSectionManager,
+    WallpaperSectionManager,
+    WorkspaceSectionManager,
+    SearchSectionManager,
+    ShortcutSectionManager,
+    ImportExportSectionManager,
+    SyncSectionManager,
+    BackupSectionManager,
+    SnapshotSectionManager,
     SettingsUIManager,
-    NotificationManager
+    NotificationManager,
+    LiveAnnouncer,
+    UndoManager,
+    SelectionManager,
+    CommandPaletteManager,
+    CheatsheetManager,
+    GridNavigationManager,
+    WorkspaceSwitcherManager,
+    GridPageManager
   };
 
   console.log('UI module exported with', Object.keys(window.UI).length - 1, 'components');
@@ -42,8 +82,28 @@ if (typeof module !== 'undefined' && module.exports) {
     PopoverManager,
     ContextMenuManager,
     RenderManager,
+    SettingsSectionManager,
+    ThemeEditorManager,
+    ThemeSectionManager,
+    ThemeScheduleSectionManager,
+    WallpaperSectionManager,
+    WorkspaceSectionManager,
+    SearchSectionManager,
+    ShortcutSectionManager,
+    ImportExportSectionManager,
+    SyncSectionManager,
+    BackupSectionManager,
+    SnapshotSectionManager,
     SettingsUIManager,
     NotificationManager,
+    LiveAnnouncer,
+    UndoManager,
+    SelectionManager,
+    CommandPaletteManager,
+    CheatsheetManager,
+    GridNavigationManager,
+    WorkspaceSwitcherManager,
+    GridPageManager,
     UIManager
   };
 }
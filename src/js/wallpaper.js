@@ -0,0 +1,327 @@
+// tilio - Wallpaper
+// Shows an uploaded image (or a rotating slideshow of them) behind the grid, with blur, dim
+// and a per-image focal point. Images come from MediaStore; settings.wallpaper only holds
+// the choices, so a synced or restored profile without the images falls back to the theme.
+//
+// Each image is sampled once on upload for its average color and luminance. Like
+// RenderManager.applyAdaptiveTileBackground does per site, that color tints the tiles, and
+// the luminance (after dimming) picks light or dark text: body.wallpaper-light / wallpaper-dark.
+
+class WallpaperManager {
+	/**
+	 * @param {StorageManager} storageManager - keeps the slideshow position between tabs
+	 * @param {MediaStore} [mediaStore]
+	 */
+	constructor(storageManager, mediaStore = new MediaStore()) {
+		this.storage = storageManager;
+		this.media = mediaStore;
+		this.settings = null;
+		this.objectUrl = null;
+		this.currentId = null;
+		this.rotation = null;
+		this.rotationTimer = null;
+		// "Every new tab" advances once per page load, not on every settings change
+		this.rotatedThisPage = false;
+	}
+
+	static defaults() {
+		return {
+			source: "none", // "none" (theme background), "image" or "slideshow"
+			imageId: null, // MediaStore id shown when source is "image"
+			interval: 60, // slideshow minutes per image; 0 = a new image on every new tab
+			blur: 0, // px
+			dim: 20, // % black over the image
+			adaptive: true, // pick text and tile colors from the image
+		};
+	}
+
+	/**
+	 * @param {Object} wallpaper - settings.wallpaper
+	 * @returns {boolean}
+	 */
+	static validate(wallpaper) {
+		const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+		return (
+			!!wallpaper &&
+			typeof wallpaper === "object" &&
+			WallpaperManager.SOURCES.includes(wallpaper.source) &&
+			(wallpaper.imageId === null || typeof wallpaper.imageId === "string") &&
+			WallpaperManager.INTERVALS.includes(wallpaper.interval) &&
+			isInt(wallpaper.blur, 0, WallpaperManager.MAX_BLUR) &&
+			isInt(wallpaper.dim, 0, WallpaperManager.MAX_DIM) &&
+			typeof wallpaper.adaptive === "boolean"
+		);
+	}
+
+	// ============ Library ============
+
+	/**
+	 * Store image files (an upload or a whole folder) in the library
+	 * @param {FileList|Array<File>} files
+	 * @returns {Promise<{added: Array<Object>, skipped: number}>} skipped counts files that
+	 *   are not images, too large, unreadable or over the library limit
+	 */
+	async importFiles(files) {
+		const list = Array.from(files || []);
+		const images = list.filter((file) => /^image\//.test(file.type));
+		let room = WallpaperManager.MAX_IMAGES - (await this.media.list()).length;
+		const added = [];
+
+		for (const file of images) {
+			if (room <= 0) break;
+			if (file.size > WallpaperManager.MAX_FILE_SIZE) continue;
+			try {
+				const analysis = await this.analyze(file);
+				const record = await this.media.put({
+					id: `img-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+					name: file.name,
+					type: file.type,
+					blob: file,
+					focalX: 50,
+					focalY: 50,
+					addedAt: Date.now(),
+					...analysis,
+				});
+				added.push(record);
+				room--;
+			} catch (error) {
+				console.warn("Skipping background image", file.name, error);
+			}
+		}
+		return { added, skipped: list.length - added.length };
+	}
+
+	/**
+	 * Sample an image: its size, average color, luminance and a small thumbnail
+	 * @param {Blob} blob
+	 * @returns {Promise<{width: number, height: number, tint: {r: number, g: number, b: number}, luminance: number, thumbnail: Blob}>}
+	 */
+	async analyze(blob) {
+		const bitmap = await createImageBitmap(blob);
+		try {
+			const size = WallpaperManager.SAMPLE_SIZE;
+			const sample = document.createElement("canvas");
+			sample.width = size;
+			sample.height = size;
+			const ctx = sample.getContext("2d");
+			ctx.drawImage(bitmap, 0, 0, size, size);
+			const pixels = ctx.getImageData(0, 0, size, size).data;
+			const total = { r: 0, g: 0, b: 0 };
+			for (let i = 0; i < pixels.length; i += 4) {
+				total.r += pixels[i];
+				total.g += pixels[i + 1];
+				total.b += pixels[i + 2];
+			}
+			const count = pixels.length / 4;
+			const tint = {
+				r: Math.round(total.r / count),
+				g: Math.round(total.g / count),
+				b: Math.round(total.b / count),
+			};
+
+			const scale = Math.min(1, WallpaperManager.THUMB_SIZE / bitmap.width);
+			const thumb = document.createElement("canvas");
+			thumb.width = Math.max(1, Math.round(bitmap.width * scale));
+			thumb.height = Math.max(1, Math.round(bitmap.height * scale));
+			thumb.getContext("2d").drawImage(bitmap, 0, 0, thumb.width, thumb.height);
+			const thumbnail = await new Promise((resolve) => thumb.toBlob(resolve, "image/jpeg", 0.8));
+
+			return {
+				width: bitmap.width,
+				height: bitmap.height,
+				tint,
+				luminance: WallpaperManager.luminance(tint),
+				thumbnail: thumbnail || blob,
+			};
+		} finally {
+			bitmap.close?.();
+		}
+	}
+
+	/**
+	 * Relative luminance of an sRGB color, 0 (black) to 1 (white)
+	 * @param {{r: number, g: number, b: number}} color
+	 * @returns {number}
+	 */
+	static luminance({ r, g, b }) {
+		const channel = (value) => {
+			const c = value / 255;
+			return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+		};
+		return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+	}
+
+	/**
+	 * Whether an image needs dark text once the dim overlay is applied
+	 * @param {Object} record - MediaStore image
+	 * @param {number} dim - percent
+	 */
+	static isLight(record, dim) {
+		return record.luminance * (1 - dim / 100) > WallpaperManager.LIGHT_THRESHOLD;
+	}
+
+	/**
+	 * Remove an image; the background updates if it was showing
+	 * @param {string} id
+	 */
+	async removeImage(id) {
+		await this.media.delete(id);
+		if (this.currentId === id) await this.apply(this.settings);
+	}
+
+	/**
+	 * Move an image's focal point: the spot kept in view when the screen crops it
+	 * @param {string} id
+	 * @param {number} x - percent from the left
+	 * @param {number} y - percent from the top
+	 */
+	async setFocalPoint(id, x, y) {
+		const clamp = (v) => Math.min(100, Math.max(0, Math.round(v)));
+		const record = await this.media.update(id, { focalX: clamp(x), focalY: clamp(y) });
+		if (record && this.currentId === id) {
+			const image = this.getLayer().querySelector(".wallpaper-image");
+			image.style.backgroundPosition = `${record.focalX}% ${record.focalY}%`;
+		}
+		return record;
+	}
+
+	// ============ Display ============
+
+	/**
+	 * Show the wallpaper described by settings.wallpaper, or the theme background
+	 * @param {Object} wallpaper - settings.wallpaper
+	 */
+	async apply(wallpaper) {
+		this.settings = wallpaper;
+		clearTimeout(this.rotationTimer);
+		if (!wallpaper || wallpaper.source === "none" || !MediaStore.isAvailable()) {
+			this.clear();
+			return;
+		}
+		const record = await this.pickImage(wallpaper);
+		if (this.settings !== wallpaper) return; // settings changed while loading
+		if (!record) {
+			this.clear();
+			return;
+		}
+		this.show(record, wallpaper);
+		this.scheduleRotation(wallpaper);
+	}
+
+	/**
+	 * The image to show now; advances the slideshow when its interval has passed
+	 * @param {Object} wallpaper
+	 * @returns {Promise<Object|null>}
+	 */
+	async pickImage(wallpaper) {
+		if (wallpaper.source === "image") return this.media.get(wallpaper.imageId);
+
+		const images = await this.media.list();
+		if (!images.length) return null;
+		const state = (await this.storage.getStoredValue(WallpaperManager.ROTATION_KEY)) || {};
+		let index = images.findIndex((image) => image.id === state.imageId);
+		const elapsed = Date.now() - (state.changedAt || 0);
+		const due =
+			index === -1 ||
+			(wallpaper.interval === 0 ? !this.rotatedThisPage : elapsed >= wallpaper.interval * 60000);
+
+		if (due) {
+			index = (index + 1) % images.length;
+			this.rotation = { imageId: images[index].id, changedAt: Date.now() };
+			this.rotatedThisPage = true;
+			await this.storage.setStoredValue(WallpaperManager.ROTATION_KEY, this.rotation);
+		} else {
+			this.rotation = state;
+		}
+		return images[index];
+	}
+
+	/**
+	 * Rotate while the tab stays open
+	 */
+	scheduleRotation(wallpaper) {
+		if (wallpaper.source !== "slideshow" || !wallpaper.interval || !this.rotation) return;
+		const remaining = wallpaper.interval * 60000 - (Date.now() - this.rotation.changedAt);
+		this.rotationTimer = setTimeout(() => {
+			this.apply(this.settings).catch((error) => console.error("Error rotating background:", error));
+		}, Math.max(remaining, 1000));
+	}
+
+	/**
+	 * @param {Object} record - MediaStore image
+	 * @param {Object} wallpaper - settings.wallpaper
+	 */
+	show(record, wallpaper) {
+		const layer = this.getLayer();
+		const [image, dim] = layer.children;
+		if (this.currentId !== record.id) {
+			if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+			this.objectUrl = URL.createObjectURL(record.blob);
+			this.currentId = record.id;
+			image.style.backgroundImage = `url("${this.objectUrl}")`;
+		}
+		image.style.backgroundPosition = `${record.focalX}% ${record.focalY}%`;
+		image.style.filter = wallpaper.blur ? `blur(${wallpaper.blur}px)` : "";
+		// Blur fades the edges to transparent; scaling up a little keeps them off screen
+		image.style.transform = wallpaper.blur ? "scale(1.06)" : "";
+		dim.style.opacity = String(wallpaper.dim / 100);
+
+		const body = document.body;
+		body.classList.add("has-wallpaper");
+		body.classList.remove("wallpaper-light", "wallpaper-dark");
+		if (wallpaper.adaptive && record.tint) {
+			body.classList.add(WallpaperManager.isLight(record, wallpaper.dim) ? "wallpaper-light" : "wallpaper-dark");
+			body.style.setProperty("--wallpaper-tint", `${record.tint.r} ${record.tint.g} ${record.tint.b}`);
+		} else {
+			body.style.removeProperty("--wallpaper-tint");
+		}
+	}
+
+	/**
+	 * Back to the theme background
+	 */
+	clear() {
+		clearTimeout(this.rotationTimer);
+		document.getElementById(WallpaperManager.LAYER_ID)?.remove();
+		if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+		this.objectUrl = null;
+		this.currentId = null;
+		document.body.classList.remove("has-wallpaper", "wallpaper-light", "wallpaper-dark");
+		document.body.style.removeProperty("--wallpaper-tint");
+	}
+
+	/**
+	 * The fixed layer behind the page, created on first use
+	 * @returns {HTMLElement}
+	 */
+	getLayer() {
+		let layer = document.getElementById(WallpaperManager.LAYER_ID);
+		if (!layer) {
+			layer = document.createElement("div");
+			layer.id = WallpaperManager.LAYER_ID;
+			layer.className = "wallpaper";
+			layer.setAttribute("aria-hidden", "true");
+			layer.innerHTML = '<div class="wallpaper-image"></div><div class="wallpaper-dim"></div>';
+			document.body.prepend(layer);
+		}
+		return layer;
+	}
+}
+
+WallpaperManager.SOURCES = ["none", "image", "slideshow"];
+WallpaperManager.INTERVALS = [0, 15, 60, 1440];
+WallpaperManager.MAX_BLUR = 20;
+WallpaperManager.MAX_DIM = 80;
+WallpaperManager.MAX_IMAGES = 50;
+WallpaperManager.MAX_FILE_SIZE = 25 * 1024 * 1024;
+WallpaperManager.SAMPLE_SIZE = 32;
+WallpaperManager.THUMB_SIZE = 240;
+// Above this (dimmed) luminance white text loses contrast on a typical photo
+WallpaperManager.LIGHT_THRESHOLD = 0.4;
+WallpaperManager.LAYER_ID = "wallpaper";
+WallpaperManager.ROTATION_KEY = "tilio_wallpaper_rotation";
+
+// Export for window (pages)
+if (typeof window !== "undefined") {
+	window.WallpaperManager = WallpaperManager;
+}
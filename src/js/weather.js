@@ -133,6 +133,28 @@ class WeatherManager {
     }
   }
 
+  /**
+   * Look up a city's coordinates (Open-Meteo geocoding, free, no key required)
+   * @param {string} name - e.g. "Lisbon" or "Portland, Maine"
+   * @returns {Promise<{latitude: number, longitude: number, label: string}>}
+   * @throws {Error} when the city can't be found
+   */
+  async findCity(name) {
+    const query = name.split(',')[0].trim();
+    if (!query) throw new Error('Enter a city name');
+    const url = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(query)}&count=1&format=json`;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error('The city search is unavailable right now');
+    const data = await response.json();
+    const place = data.results && data.results[0];
+    if (!place) throw new Error(`Couldn't find "${query}"`);
+    return {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      label: [...new Set([place.name, place.admin1, place.country].filter(Boolean))].join(', ')
+    };
+  }
+
   /**
    * Fetch weather data from Open-Meteo API (free, no key required)
    */
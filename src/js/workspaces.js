@@ -0,0 +1,386 @@
+// tilio - Workspaces (no UI dependencies)
+// Named sets of folders, links and root order ("Work", "Side project", "Personal"), each with
+// an optional theme of its own. The active workspace's layout stays at the top level of
+// newtab_data, where FolderSystem, the syncs and snapshots already read it; the others are
+// parked in data.workspaces.list[].layout, and switching swaps them in a single save.
+//
+// Bookmark sync state is parked with each layout, so a connected bookmarks folder only ever
+// mirrors its own workspace. Cross-device sync runs while the first workspace is active.
+
+class Workspaces {
+	/**
+	 * @param {FolderSystem} folderSystem - initialized folder system holding the active layout
+	 */
+	constructor(folderSystem) {
+		if (!folderSystem) throw new Error("Workspaces requires a FolderSystem");
+		this.fs = folderSystem;
+	}
+
+	static defaults() {
+		return {
+			activeId: "ws-home",
+			list: [{ id: "ws-home", name: "Home", theme: null, layout: null }], // layout: null while active
+			auto: {
+				enabled: false,
+				rules: [], // { workspaceId, days: [0-6, Sunday first], start: "HH:MM", end: "HH:MM" }
+				fallbackId: null, // workspace outside every rule; null stays where it is
+			},
+			autoId: null, // workspace the rules picked last; a manual switch holds until this changes
+		};
+	}
+
+	static emptyLayout() {
+		return { folders: [], links: [], rootOrder: [], bookmarkSync: null };
+	}
+
+	/**
+	 * Whether the first workspace is the active one. Only its layout is shared through
+	 * cross-device sync; other devices may have another workspace open.
+	 * @param {Object} data - newtab_data
+	 */
+	static isPrimary(data) {
+		const state = data?.workspaces;
+		return !state || state.activeId === state.list[0]?.id;
+	}
+
+	// =============== State ==================
+
+	/** Workspaces of the loaded data, created on first use */
+	getState() {
+		if (!this.fs.data.workspaces) this.fs.data.workspaces = Workspaces.defaults();
+		return this.fs.data.workspaces;
+	}
+
+	list() {
+		return this.getState().list;
+	}
+
+	getActive() {
+		const state = this.getState();
+		return state.list.find((workspace) => workspace.id === state.activeId) || state.list[0];
+	}
+
+	getById(id) {
+		return this.list().find((workspace) => workspace.id === id) || null;
+	}
+
+	async save() {
+		if (!(await this.fs.save())) throw new Error("Failed to save workspaces");
+	}
+
+	// =============== Switching ==================
+
+	/**
+	 * Show another workspace's layout
+	 * @param {string} id
+	 * @returns {Promise<boolean>} false when it was already active
+	 */
+	async switchTo(id) {
+		const state = this.getState();
+		const target = this.getById(id);
+		if (!target) throw new Error("Workspace not found");
+		const current = this.getActive();
+		if (target === current) return false;
+
+		current.layout = this.takeLayout();
+		this.putLayout(target.layout || Workspaces.emptyLayout());
+		target.layout = null;
+		state.activeId = id;
+		if (!(await this.fs.save())) {
+			target.layout = this.takeLayout();
+			this.putLayout(current.layout);
+			current.layout = null;
+			state.activeId = current.id;
+			throw new Error("Failed to switch workspace");
+		}
+		return true;
+	}
+
+	/**
+	 * The workspace after the active one, wrapping around
+	 * @returns {Object}
+	 */
+	getNext() {
+		const list = this.list();
+		return list[(list.indexOf(this.getActive()) + 1) % list.length];
+	}
+
+	/** The active layout, detached so it can be parked */
+	takeLayout() {
+		const { data } = this.fs;
+		return {
+			folders: this.fs.folders,
+			links: this.fs.links,
+			rootOrder: this.fs.rootOrder,
+			bookmarkSync: data.meta?.bookmarkSync || null,
+		};
+	}
+
+	/** Make a parked layout the active one */
+	putLayout(layout) {
+		const { data } = this.fs;
+		data.folders = this.fs.folders = layout.folders;
+		data.links = this.fs.links = layout.links;
+		data.rootOrder = this.fs.rootOrder = layout.rootOrder;
+		if (layout.bookmarkSync) data.meta.bookmarkSync = layout.bookmarkSync;
+		else delete data.meta.bookmarkSync;
+	}
+
+	// =============== Managing ==================
+
+	/**
+	 * @param {string} name
+	 * @param {Object} [layout] - { folders, links, rootOrder }; empty by default
+	 * @returns {Promise<Object>} the new workspace
+	 */
+	async create(name, layout) {
+		const state = this.getState();
+		if (state.list.length >= Workspaces.MAX_WORKSPACES) {
+			throw new Error(`You can have up to ${Workspaces.MAX_WORKSPACES} workspaces`);
+		}
+		const workspace = {
+			id: `ws-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+			name: Workspaces.cleanName(name),
+			theme: null,
+			layout: layout ? this.copyLayout(layout) : Workspaces.emptyLayout(),
+		};
+		state.list.push(workspace);
+		await this.save();
+		return workspace;
+	}
+
+	async rename(id, name) {
+		const workspace = this.getById(id);
+		if (!workspace) throw new Error("Workspace not found");
+		workspace.name = Workspaces.cleanName(name);
+		await this.save();
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {string|null} theme - settings.theme value, or null for the global theme
+	 */
+	async setTheme(id, theme) {
+		const workspace = this.getById(id);
+		if (!workspace) throw new Error("Workspace not found");
+		workspace.theme = theme || null;
+		await this.save();
+	}
+
+	/**
+	 * Delete a workspace and its layout, snapshotting first so it can be restored from History
+	 * @param {string} id
+	 */
+	async remove(id) {
+		const state = this.getState();
+		const index = state.list.findIndex((workspace) => workspace.id === id);
+		if (index === -1) throw new Error("Workspace not found");
+		// Its layout is the one other devices sync with
+		if (index === 0) throw new Error("The first workspace can't be deleted");
+
+		await this.fs.storage.createSnapshot(`Before deleting the ${state.list[index].name} workspace`, this.fs.data);
+		if (id === state.activeId) await this.switchTo(state.list[0].id);
+		state.list.splice(index, 1);
+		state.auto.rules = state.auto.rules.filter((rule) => rule.workspaceId !== id);
+		if (!state.auto.rules.length) state.auto.enabled = false;
+		if (state.auto.fallbackId === id) state.auto.fallbackId = null;
+		if (state.autoId === id) state.autoId = null;
+		await this.save();
+	}
+
+	static cleanName(name) {
+		const clean = String(name ?? "").trim().slice(0, Workspaces.MAX_NAME);
+		if (!clean) throw new Error("Give the workspace a name");
+		return clean;
+	}
+
+	// =============== Export / Import ==================
+
+	/**
+	 * A file holding one workspace. It has the shape of a backup without settings, so it can
+	 * also be merge-imported into another workspace.
+	 * @param {string} id
+	 * @returns {Object}
+	 */
+	exportWorkspace(id) {
+		const workspace = this.getById(id);
+		if (!workspace) throw new Error("Workspace not found");
+		const layout = workspace === this.getActive() ? this.takeLayout() : workspace.layout;
+		// Bookmark ids only mean something to this profile's bookmark sync
+		const strip = (key, value) => (key === "bookmarkId" ? undefined : value);
+		const copy = JSON.parse(JSON.stringify({ folders: layout.folders, links: layout.links, rootOrder: layout.rootOrder }, strip));
+		return {
+			workspace: { name: workspace.name, theme: workspace.theme },
+			...copy,
+			version: this.fs.data.version,
+			exportDate: new Date().toISOString(),
+			appVersion: "1.0",
+		};
+	}
+
+	/**
+	 * Add a workspace holding an imported layout
+	 * @param {{folders: Object[], links: Object[], rootOrder: Array}} layout
+	 * @param {string} name
+	 * @param {string|null} [theme]
+	 * @returns {Promise<Object>} the new workspace
+	 */
+	async importWorkspace(layout, name, theme = null) {
+		const workspace = await this.create(name, layout);
+		if (theme) await this.setTheme(workspace.id, theme);
+		return workspace;
+	}
+
+	/**
+	 * Copy a layout with new ids, so importing a workspace next to its original can't mix them up
+	 * @param {Object} layout
+	 * @returns {Object} parked layout
+	 */
+	copyLayout(layout) {
+		const ids = new Map();
+		const copy = (item) => {
+			const next = { ...item, id: this.fs.generateId() };
+			delete next.bookmarkId;
+			ids.set(item.id, next.id);
+			return next;
+		};
+		const copyFolder = (folder) => ({
+			...copy(folder),
+			sites: (folder.sites || []).map(copy),
+			folders: (folder.folders || []).map(copyFolder),
+		});
+		const folders = JSON.parse(JSON.stringify(layout.folders || [])).map(copyFolder);
+		const links = JSON.parse(JSON.stringify(layout.links || [])).map(copy);
+
+		const rootOrder = (layout.rootOrder || [])
+			.filter((entry) => ids.has(entry?.id))
+			.map((entry) => ({ type: entry.type, id: ids.get(entry.id), ...(Number.isInteger(entry.page) && { page: entry.page }) }));
+		// Tiles missing from the order go last, as migrateData does
+		const listed = new Set(rootOrder.map((entry) => entry.id));
+		links.forEach((link) => listed.has(link.id) || rootOrder.push({ type: "link", id: link.id }));
+		folders.forEach((folder) => listed.has(folder.id) || rootOrder.push({ type: "folder", id: folder.id }));
+		return { folders, links, rootOrder, bookmarkSync: null };
+	}
+
+	// =============== Automatic Switching ==================
+
+	/**
+	 * First problem with auto-switch settings
+	 * @param {Object} auto - workspaces.auto
+	 * @param {string[]} ids - existing workspace ids
+	 * @returns {string|null} description of the problem, or null when valid
+	 */
+	static validateAuto(auto, ids) {
+		if (!auto || typeof auto !== "object") return "Automatic switching must be an object";
+		if (typeof auto.enabled !== "boolean") return "enabled must be true or false";
+		if (!Array.isArray(auto.rules) || auto.rules.length > Workspaces.MAX_RULES) {
+			return `Add up to ${Workspaces.MAX_RULES} rules`;
+		}
+		for (const rule of auto.rules) {
+			if (!rule || !ids.includes(rule.workspaceId)) return "Each rule needs a workspace";
+			if (
+				!Array.isArray(rule.days) ||
+				!rule.days.length ||
+				!rule.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+			) {
+				return "Pick at least one day for each rule";
+			}
+			if (ThemeSchedule.parseTime(rule.start) === null || ThemeSchedule.parseTime(rule.end) === null) {
+				return "Each rule needs a start and an end time (HH:MM)";
+			}
+		}
+		if (auto.fallbackId !== null && !ids.includes(auto.fallbackId)) return "Unknown workspace for other times";
+		if (auto.enabled && !auto.rules.length) return "Add a rule to switch automatically";
+		return null;
+	}
+
+	/**
+	 * Workspace the rules pick for a moment: the first matching rule's, else the fallback
+	 * @param {Object} auto - workspaces.auto
+	 * @param {Date} [now]
+	 * @returns {string|null} workspace id, or null when the rules leave it alone
+	 */
+	static resolve(auto, now = new Date()) {
+		if (!auto?.enabled) return null;
+		const rule = auto.rules.find((r) => Workspaces.ruleMatches(r, now));
+		return rule ? rule.workspaceId : auto.fallbackId || null;
+	}
+
+	/**
+	 * A rule runs from start to end on each of its days. An end before the start runs
+	 * overnight into the next morning; an end equal to the start covers the whole day.
+	 * @param {Object} rule
+	 * @param {Date} now
+	 * @returns {boolean}
+	 */
+	static ruleMatches(rule, now) {
+		const start = ThemeSchedule.parseTime(rule.start);
+		const end = ThemeSchedule.parseTime(rule.end);
+		if (start === null || end === null) return false;
+		const day = now.getDay();
+		const minutes = now.getHours() * 60 + now.getMinutes();
+		if (start === end) return rule.days.includes(day);
+		if (start < end) return rule.days.includes(day) && minutes >= start && minutes < end;
+		return (rule.days.includes(day) && minutes >= start) || (rule.days.includes((day + 6) % 7) && minutes < end);
+	}
+
+	/**
+	 * When a rule can next start or end: its next start or end time, or midnight for the day
+	 * @param {Object} auto - workspaces.auto
+	 * @param {Date} [now]
+	 * @returns {Date}
+	 */
+	static nextCheck(auto, now = new Date()) {
+		const times = [0];
+		(auto?.rules || []).forEach((rule) => {
+			times.push(ThemeSchedule.parseTime(rule.start), ThemeSchedule.parseTime(rule.end));
+		});
+		const next = times
+			.filter((minutes) => minutes !== null)
+			.map((minutes) => {
+				const today = ThemeSchedule.atMinutes(now, minutes);
+				return today > now ? today : ThemeSchedule.atMinutes(now, minutes, 1);
+			});
+		return new Date(Math.min(...next));
+	}
+
+	/**
+	 * Save auto-switch settings; they take effect at the next check
+	 * @param {Object} auto - workspaces.auto
+	 */
+	async setAuto(auto) {
+		const state = this.getState();
+		const problem = Workspaces.validateAuto(auto, state.list.map((workspace) => workspace.id));
+		if (problem) throw new Error(problem);
+		state.auto = JSON.parse(JSON.stringify(auto));
+		// Apply the rules right away rather than at their next change
+		state.autoId = null;
+		await this.save();
+	}
+
+	/**
+	 * Switch when the rules pick a different workspace than they did last time. A workspace
+	 * chosen by hand stays until then.
+	 * @param {Date} [now]
+	 * @returns {Promise<boolean>} whether the active workspace changed
+	 */
+	async applyAuto(now = new Date()) {
+		const state = this.getState();
+		if (!state.auto.enabled) return false;
+		const id = Workspaces.resolve(state.auto, now);
+		if (id === state.autoId) return false;
+		state.autoId = id;
+		if (id && id !== state.activeId) return await this.switchTo(id);
+		await this.save();
+		return false;
+	}
+}
+
+Workspaces.MAX_WORKSPACES = 12;
+Workspaces.MAX_NAME = 40;
+Workspaces.MAX_RULES = 8;
+
+// Export for window (pages) and the service worker global scope
+if (typeof window !== "undefined") {
+	window.Workspaces = Workspaces;
+}
@@ -0,0 +1,128 @@
+// tilio - Remote backup test: BackupClient against a local server in WebDAV and plain HTTP mode.
+// Run with: node tests/backup-client.test.js
+
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { loadScripts } = require("./load-scripts");
+
+const { BackupClient, BackupCrypto } = loadScripts(["src/js/backup-crypto.js", "src/js/backup-client.js"]);
+
+const AUTHORIZATION = "Basic " + Buffer.from("test:secret").toString("base64");
+
+/**
+ * Backup folder at /backups/ holding files in memory. Answers PROPFIND like a WebDAV
+ * server when webdav is set; otherwise it only knows PUT, GET and DELETE.
+ */
+function startServer({ webdav }) {
+	const files = new Map();
+	const methods = [];
+	const server = http.createServer((req, res) => {
+		let body = "";
+		req.on("data", (chunk) => (body += chunk));
+		req.on("end", () => {
+			methods.push(req.method);
+			if (req.headers.authorization !== AUTHORIZATION) return res.writeHead(401).end();
+			const name = decodeURIComponent(req.url.replace(/^\/backups\//, ""));
+
+			if (req.method === "PUT") {
+				files.set(name, body);
+				return res.writeHead(201).end();
+			}
+			if (req.method === "GET" || req.method === "DELETE") {
+				if (!files.has(name)) return res.writeHead(404).end();
+				if (req.method === "GET") return res.writeHead(200).end(files.get(name));
+				files.delete(name);
+				return res.writeHead(204).end();
+			}
+			if (req.method === "PROPFIND" && webdav) {
+				const hrefs = ["/backups/", ...[...files.keys()].map((file) => "/backups/" + encodeURIComponent(file))];
+				const responses = hrefs.map((href) => `<d:response><d:href>${href}</d:href></d:response>`);
+				res.writeHead(207, { "Content-Type": "application/xml" });
+				return res.end(`<?xml version="1.0"?><d:multistatus xmlns:d="DAV:">${responses.join("")}</d:multistatus>`);
+			}
+			res.writeHead(405).end();
+		});
+	});
+	return new Promise((resolve) => {
+		server.listen(0, "127.0.0.1", () => {
+			const url = `http://127.0.0.1:${server.address().port}/backups/`;
+			resolve({ url, files, methods, close: () => new Promise((done) => server.close(done)) });
+		});
+	});
+}
+
+// Backup names carry the time down to the millisecond
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+async function runCycle(mode) {
+	const server = await startServer({ webdav: mode === "webdav" });
+	try {
+		const config = { url: server.url, mode, username: "test", password: "secret", passphrase: "correct horse", retention: 2 };
+		const client = new BackupClient(config, fetch);
+
+		const names = [];
+		for (let i = 1; i <= 3; i++) {
+			names.push(await client.backup({ version: "1.1", folders: [], links: [], generation: i }));
+			await tick();
+		}
+
+		// The oldest backup was pruned on the third run
+		assert.deepEqual(Array.from(await client.list()), [names[2], names[1]]);
+		assert.equal(server.files.has(names[0]), false);
+		assert.match(server.files.get(names[2]), /^TILIO-ENCRYPTED-BACKUP v1\n/);
+		assert.equal(server.files.has(BackupClient.INDEX_FILE), mode === "http");
+		assert.equal(server.methods.includes("PROPFIND"), mode === "webdav");
+
+		// Lowering the retention prunes right away
+		client.config.retention = 1;
+		assert.deepEqual(Array.from(await client.prune()), [names[1]]);
+		assert.deepEqual(Array.from(await client.list()), [names[2]]);
+
+		const restored = JSON.parse(await client.restore(names[2]));
+		assert.equal(restored.generation, 3);
+
+		const wrongPassphrase = new BackupClient({ ...config, passphrase: "wrong" }, fetch);
+		await assert.rejects(wrongPassphrase.restore(names[2]), /Wrong passphrase or damaged backup/);
+		const wrongPassword = new BackupClient({ ...config, password: "wrong" }, fetch);
+		await assert.rejects(wrongPassword.list(), /rejected the credentials/);
+	} finally {
+		await server.close();
+	}
+}
+
+const tests = {
+	"webdav: backup, list, prune and restore": () => runCycle("webdav"),
+	"http: backup, list, prune and restore": () => runCycle("http"),
+
+	async "damaged envelopes are refused before deriving a key"() {
+		const text = await BackupCrypto.encrypt("{}", "correct horse");
+		const envelope = JSON.parse(text.slice(BackupCrypto.HEADER.length));
+		const damaged = [
+			{ ...envelope, kdf: { ...envelope.kdf, iterations: 1e9 } },
+			{ ...envelope, kdf: { ...envelope.kdf, iterations: 1000 } },
+			{ ...envelope, kdf: { ...envelope.kdf, iterations: "310000" } },
+			{ ...envelope, kdf: { ...envelope.kdf, salt: "not base64!" } },
+			{ ...envelope, cipher: { ...envelope.cipher, iv: "%%" } },
+		];
+		for (const copy of damaged) {
+			const tampered = `${BackupCrypto.HEADER}\n${JSON.stringify(copy)}`;
+			await assert.rejects(BackupCrypto.decrypt(tampered, "correct horse"), /Encrypted backup is damaged/);
+		}
+		assert.equal(await BackupCrypto.decrypt(text, "correct horse"), "{}");
+	},
+};
+
+(async () => {
+	let failed = 0;
+	for (const [name, test] of Object.entries(tests)) {
+		try {
+			await test();
+			console.log(`ok - ${name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${name}`);
+			console.error(error);
+		}
+	}
+	process.exitCode = failed ? 1 : 0;
+})();
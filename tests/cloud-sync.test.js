@@ -0,0 +1,143 @@
+// tilio - Cross-device sync test: two devices syncing through one MemoryStorageArea.
+// Run with: node tests/cloud-sync.test.js
+
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts");
+
+const SCRIPTS = ["src/js/storage.js", "src/js/workspaces.js", "src/js/folders.js", "src/js/cloud-sync.js"];
+
+/** A device with its own local storage, syncing through the shared area */
+async function createDevice(area) {
+	const scope = loadScripts(SCRIPTS);
+	const fs = new scope.FolderSystem(new scope.StorageManager());
+	await fs.initialize();
+	const sync = new scope.CloudSync(fs, area);
+	await sync.enable();
+	return { fs, sync };
+}
+
+function createArea(quotas) {
+	return new (loadScripts(SCRIPTS).MemoryStorageArea)(quotas);
+}
+
+// Edits made one after the other get distinct modification times
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+const linkNames = (device) => Array.from(device.fs.links, (link) => link.name).sort();
+
+const tests = {
+	async "a layout over the quota is refused and the synced copy stays intact"() {
+		const area = createArea();
+		const a = await createDevice(area);
+		await a.fs.addRootLink({ name: "Docs", url: "https://docs.example.com" });
+		await a.sync.sync();
+		const b = await createDevice(area);
+		assert.deepEqual(linkNames(b), ["Docs"]);
+
+		const padding = "x".repeat(2000);
+		for (let i = 0; i < 60; i++) {
+			await a.fs.addRootLink({ name: `Big ${i}`, url: `https://example.com/${i}?q=${padding}` });
+		}
+		await assert.rejects(a.sync.sync(), /Layout is too large to sync/);
+		const state = await a.fs.storage.getSyncState();
+		assert.equal(state.status, "error");
+		assert.match(state.error, /too large/);
+		assert.equal(a.fs.links.length, 61, "local data is kept");
+
+		// The area enforces the quota itself as well
+		await assert.rejects(area.set({ big: "x".repeat(200000) }), /quota exceeded/);
+
+		await b.sync.sync();
+		assert.deepEqual(linkNames(b), ["Docs"]);
+
+		// Back under the quota, syncing resumes
+		for (const link of a.fs.links.filter((l) => l.name.startsWith("Big"))) {
+			await a.fs.deleteRootLink(link.id);
+		}
+		await a.sync.sync();
+		assert.equal((await a.fs.storage.getSyncState()).status, "synced");
+	},
+
+	async "concurrent edits to the same item keep the most recent one on both devices"() {
+		const area = createArea();
+		const a = await createDevice(area);
+		const link = await a.fs.addRootLink({ name: "Mail", url: "https://mail.example.com" });
+		const other = await a.fs.addRootLink({ name: "News", url: "https://news.example.com" });
+		await a.sync.sync();
+		const b = await createDevice(area);
+
+		await a.fs.updateRootLink(link.id, { name: "Mail (A)" });
+		await tick();
+		await b.fs.updateRootLink(link.id, { name: "Mail (B)" });
+		await b.fs.updateRootLink(other.id, { name: "News (B)" });
+
+		// The older edit syncs last and still loses
+		await b.sync.sync();
+		const { changed } = await a.sync.sync();
+		assert.equal(changed, true);
+		await b.sync.sync();
+
+		assert.deepEqual(linkNames(a), ["Mail (B)", "News (B)"]);
+		assert.deepEqual(linkNames(b), ["Mail (B)", "News (B)"]);
+	},
+
+	async "an item edited on one device while deleted on the other survives"() {
+		const area = createArea();
+		const a = await createDevice(area);
+		const folder = await a.fs.createFolder("Work");
+		const site = await a.fs.addSite(folder.id, { name: "Tracker", url: "https://tracker.example.com" });
+		const stale = await a.fs.addSite(folder.id, { name: "Wiki", url: "https://wiki.example.com" });
+		await a.sync.sync();
+		const b = await createDevice(area);
+
+		await a.fs.deleteSite(folder.id, site.id);
+		await a.fs.deleteSite(folder.id, stale.id);
+		await b.fs.updateSite(folder.id, site.id, { name: "Issue tracker" });
+
+		await a.sync.sync();
+		await b.sync.sync();
+		await a.sync.sync();
+
+		for (const device of [a, b]) {
+			const sites = device.fs.getFolderById(folder.id).sites;
+			assert.deepEqual(Array.from(sites, (s) => s.name), ["Issue tracker"]);
+		}
+	},
+
+	async "the background stays on each device"() {
+		const area = createArea();
+		const a = await createDevice(area);
+		a.fs.data.settings.wallpaper = { ...a.fs.data.settings.wallpaper, source: "single", imageId: "img-a" };
+		a.fs.data.settings.gridSize = 5;
+		await a.fs.save();
+		await a.sync.sync();
+
+		const b = await createDevice(area);
+		assert.equal(b.fs.data.settings.gridSize, 5);
+		assert.equal(b.fs.data.settings.wallpaper.imageId, null);
+
+		// A payload written before the background was device specific
+		const payload = a.sync.toPayload();
+		payload.settings.wallpaper = { source: "single", imageId: "img-old" };
+		await a.fs.storage.writeSyncData(payload, area);
+		await b.sync.sync();
+		assert.equal(b.fs.data.settings.wallpaper.imageId, null);
+		const synced = await b.fs.storage.readSyncData(area);
+		assert.equal("wallpaper" in synced.payload.settings, false);
+	},
+};
+
+(async () => {
+	let failed = 0;
+	for (const [name, test] of Object.entries(tests)) {
+		try {
+			await test();
+			console.log(`ok - ${name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${name}`);
+			console.error(error);
+		}
+	}
+	process.exitCode = failed ? 1 : 0;
+})();
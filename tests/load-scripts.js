@@ -0,0 +1,68 @@
+// tilio - Test helper: loads the extension's browser scripts into a fresh global scope,
+// the way the pages load them. Each scope gets its own chrome.storage.local, so two
+// scopes behave like two devices.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * In-memory chrome.storage.local
+ */
+function createLocalArea() {
+	const items = new Map();
+	return {
+		QUOTA_BYTES: 10485760,
+		async get(keys) {
+			const list = keys == null ? [...items.keys()] : Array.isArray(keys) ? keys : [keys];
+			const result = {};
+			list.forEach((key) => {
+				if (items.has(key)) result[key] = JSON.parse(items.get(key));
+			});
+			return result;
+		},
+		async set(values) {
+			Object.entries(values).forEach(([key, value]) => items.set(key, JSON.stringify(value)));
+		},
+		async remove(keys) {
+			(Array.isArray(keys) ? keys : [keys]).forEach((key) => items.delete(key));
+		},
+		async getBytesInUse() {
+			let total = 0;
+			items.forEach((json, key) => (total += key.length + json.length));
+			return total;
+		},
+	};
+}
+
+/**
+ * Run scripts in a new global scope
+ * @param {string[]} files - paths relative to the repository root
+ * @param {Object} [globals] - extra globals (e.g. fetch)
+ * @returns {Object} the global scope; classes are exported on it like on window
+ */
+function loadScripts(files, globals = {}) {
+	const context = vm.createContext({
+		console: { log() {}, info() {}, warn() {}, error: console.error },
+		chrome: { storage: { local: createLocalArea() } },
+		crypto: globalThis.crypto,
+		TextEncoder,
+		TextDecoder,
+		URL,
+		btoa,
+		atob,
+		setTimeout,
+		clearTimeout,
+		...globals,
+	});
+	context.window = context;
+	files.forEach((file) => {
+		const filename = path.join(ROOT, file);
+		vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+	});
+	return context;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,94 @@
+// tilio - Undo test: undo and redo put back only the items a command touched.
+// Run with: node tests/undo-manager.test.js
+
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts");
+
+const SCRIPTS = ["src/js/storage.js", "src/js/folders.js", "src/js/ui/ComponentManager.js", "src/js/ui/UndoManager.js"];
+
+async function setup() {
+	const scope = loadScripts(SCRIPTS);
+	const fs = new scope.FolderSystem(new scope.StorageManager());
+	await fs.initialize();
+	const undo = new scope.UndoManager(fs);
+	const docs = await fs.addRootLink({ name: "Docs", url: "https://docs.example.com" });
+	const mail = await fs.addRootLink({ name: "Mail", url: "https://mail.example.com" });
+	undo.clear();
+	return { fs, undo, docs, mail };
+}
+
+/** Change a link without recording it, like a top sites refresh or a reload from storage */
+function changeOutside(fs, id, name) {
+	fs.links.find((link) => link.id === id).name = name;
+}
+
+const rootNames = (fs) => Array.from(fs.rootOrder, (entry) => fs.links.find((l) => l.id === entry.id)?.name);
+
+const tests = {
+	async "undo keeps changes that were not recorded"() {
+		const { fs, undo, mail } = await setup();
+		const news = await fs.addRootLink({ name: "News", url: "https://news.example.com" });
+
+		changeOutside(fs, mail.id, "Webmail");
+		fs.links.push({ id: "top-site", name: "Top site", url: "https://top.example.com" });
+		fs.rootOrder.unshift({ type: "link", id: "top-site" });
+		await undo.untracked(() => fs.save());
+
+		await undo.undo();
+		assert.equal(fs.links.some((link) => link.id === news.id), false);
+		assert.deepEqual(rootNames(fs), ["Top site", "Docs", "Webmail"]);
+
+		await undo.redo();
+		assert.deepEqual(rootNames(fs), ["Top site", "Docs", "Webmail", "News"]);
+	},
+
+	async "undo restores a deleted site into its folder"() {
+		const { fs, undo } = await setup();
+		const folder = await fs.createFolder("Work");
+		await fs.addSite(folder.id, { name: "Wiki", url: "https://wiki.example.com" });
+		const tracker = await fs.addSite(folder.id, { name: "Tracker", url: "https://tracker.example.com" });
+		await fs.deleteSite(folder.id, tracker.id);
+		await fs.addSite(folder.id, { name: "Chat", url: "https://chat.example.com" });
+
+		// Undo the add, then the delete
+		await undo.undo();
+		await undo.undo();
+		const sites = fs.getFolderById(folder.id).sites;
+		assert.deepEqual(Array.from(sites, (site) => site.name), ["Wiki", "Tracker"]);
+		assert.ok(sites[1].modifiedAt, "restored items count as modified");
+	},
+
+	async "a reload keeps the commands whose items were not changed elsewhere"() {
+		const { fs, undo, docs, mail } = await setup();
+		await fs.updateRootLink(docs.id, { name: "Docs (renamed)" });
+		await fs.updateRootLink(mail.id, { name: "Mail (renamed)" });
+
+		fs.links.push({ id: "top-site", name: "Top site", url: "https://top.example.com" });
+		undo.dropConflicts();
+		assert.equal(undo.undoStack.length, 2);
+
+		// The older command touched Docs, which another tab renamed since
+		changeOutside(fs, docs.id, "Docs (other tab)");
+		undo.dropConflicts();
+		assert.deepEqual(Array.from(undo.undoStack, (command) => command.changes.items[mail.id].after.fields.name), [
+			"Mail (renamed)",
+		]);
+		await undo.undo();
+		assert.deepEqual(Array.from(fs.links, (link) => link.name), ["Docs (other tab)", "Mail", "Top site"]);
+	},
+};
+
+(async () => {
+	let failed = 0;
+	for (const [name, test] of Object.entries(tests)) {
+		try {
+			await test();
+			console.log(`ok - ${name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${name}`);
+			console.error(error);
+		}
+	}
+	process.exitCode = failed ? 1 : 0;
+})();